@@ -4,18 +4,192 @@
  * This React application provides an interactive platform for tracking and analyzing stock market data in real-time.
  *
  * Users can:
- *  -   Add up to 10 stocks to the dashboard for a comprehensive overview of their performance.
- *  -   View detailed information and visualizations for individual stocks.
- *  -   Analyze stock performance across multiple timeframes, such as daily, monthly, yearly, or custom durations.
- *  -   Leverage the Alpha Vantage API for accurate and up-to-date stock market data.
+ *  -   Organize stocks in any number of named, reorderable watchlists for a comprehensive overview of their
+ *      performance, with quotes refreshed automatically during market hours.
+ *  -   Keep a transaction journal per stock (buys, sells, dividends, splits, fees) and follow position value,
+ *      cost basis, unrealized gain/loss and realized gain/loss under FIFO, LIFO or average-cost matching.
+ *  -   Set price, change, volume and 52-week high/low alerts per stock, collected in an alert center and sent as
+ *      browser notifications when permitted.
+ *  -   View detailed information and visualizations for individual stocks as line, area, candlestick, OHLC or
+ *      Heikin-Ashi charts on a linear, log or percent scale, with moving average, Bollinger Band and VWAP
+ *      overlays and volume, RSI and MACD panels.
+ *  -   Analyze stock performance across multiple timeframes, such as daily, monthly, yearly, or any custom date
+ *      range picked with the range fields or by dragging across the chart, at an automatic or chosen interval.
+ *  -   Back up the whole app state to a JSON file, export transactions, holdings, charted bars and financial
+ *      statements as CSV, and import transactions or holdings from broker statements.
+ *  -   Leverage the Alpha Vantage API for accurate and up-to-date stock market data, or local fixture data offline
+ *      (set REACT_APP_DATA_PROVIDER=fixture; see providers/).
  */
 
 
 
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
 import Chart from 'chart.js/auto';
 import 'chartjs-adapter-date-fns';
 import './App.css';
+import { computePortfolioTotals, computePosition } from './holdings';
+import { getBarPrice, summarizeTrading } from './marketData';
+import { computeIndicators, isIntraday, normalizeIndicatorSettings } from './indicators';
+import {
+    CHART_TYPES,
+    CHART_TYPE_LABELS,
+    SCALE_MODES,
+    SCALE_MODE_LABELS,
+    candlestickPlugin,
+    isFinancialType,
+    normalizeChartMode,
+    sessionShadingPlugin,
+    toHeikinAshi,
+    toPercent,
+    toPercentChange,
+} from './chartModes';
+import { createDataProvider } from './providers';
+import { DB_STORES, createDefaultStorage, createRequestCache, getCacheTtl, summarizeCacheStatus } from './requestCache';
+import { createRequestScheduler } from './requestScheduler';
+import { isAbortError } from './abort';
+import {
+    SCHEMA_VERSION,
+    STORAGE_KEYS,
+    migrateStorage,
+    readCollection,
+    readList,
+    readValue,
+    writeCollection,
+    writeValue,
+} from './storage';
+import { getBarSession, isMarketOpen, selectSessionBars } from './marketHours';
+import { buildRoute, parseRoute } from './routes';
+import { createStore } from './store';
+import {
+    DEFAULT_REFRESH_INTERVAL,
+    REFRESH_INTERVALS,
+    addAlertRule,
+    addTransaction,
+    addWatchlist,
+    appReducer,
+    applyRoute,
+    changeChartMode,
+    changeComparison,
+    changeConcentrationLimits,
+    changeIndicator,
+    changeRefreshInterval,
+    checkAlerts,
+    clearAlertHistory,
+    copyWatchlist,
+    createInitialState,
+    createLoadRegistry,
+    dismissError,
+    markAlertsRead,
+    moveGridStock,
+    openPortfolioView,
+    openStock,
+    openWatchlist,
+    placeStock,
+    refreshQuotes,
+    removeAlertRule,
+    removeStock,
+    removeTransaction,
+    removeWatchlist,
+    renameWatchlistTo,
+    replaceLedger,
+    reportError,
+    restoreBackup,
+    restoreSnapshots,
+    selectActiveWatchlist,
+    selectBareSymbols,
+    selectErrorMessage,
+    selectGridSymbols,
+    selectLoad,
+    selectMatchingMethod,
+    selectPortfolioPositions,
+    selectReplays,
+    selectRoute,
+    selectTimeFrame,
+    selectUnreadAlertCount,
+    showGrid,
+    startComparison,
+    toggleAlertRule,
+} from './appState';
+import {
+    INTERVAL_LABELS,
+    TIME_FRAMES,
+    createTimeRange,
+    describeTimeFrame,
+    filterBarsByRange,
+    getRangeAxis,
+    isTimeRange,
+    pickRangeInterval,
+    toRangeDate,
+} from './timeRange';
+import {
+    MATCHING_METHODS,
+    TRANSACTION_TYPES,
+    isTransaction,
+    suggestCorporateActions,
+} from './ledger';
+import {
+    ALERT_CONDITIONS,
+    ALERT_CONDITION_LABELS,
+    alertNeedsValue,
+    describeAlertRule,
+    isAlertEvent,
+    isAlertRule,
+} from './alerts';
+import {
+    MAX_WATCHLIST_NAME_LENGTH,
+    hasQuote,
+    isWatchlist,
+    listTrackedStocks,
+    migrateStocksToWatchlists,
+    toStoredWatchlists,
+} from './watchlists';
+import { BENCHMARK_SYMBOL, addComparisonSymbol, alignComparisonSeries } from './comparison';
+import { analyzePerformance, buildPortfolioSeries, rebaseOnDates } from './performance';
+import {
+    ALLOCATION_DIMENSIONS,
+    ALLOCATION_DIMENSION_LABELS,
+    findConcentrations,
+    groupAllocation,
+    layoutTreemap,
+    normalizeConcentrationLimits,
+    weighHoldings,
+} from './allocation';
+import {
+    MAX_STATEMENT_PERIODS,
+    STATEMENT_LABELS,
+    STATEMENT_PERIODS,
+    STATEMENT_TYPES,
+    buildStatementTable,
+    sortStatementRows,
+    sparklinePoints,
+} from './statements';
+import {
+    DEFAULT_EARNINGS_WEEKS,
+    EARNINGS_CALENDAR_WEEKS,
+    findNextEarnings,
+    listUpcomingEarnings,
+    placeEarningsMarkers,
+    summarizeSurprises,
+} from './earnings';
+import {
+    INCOME_PERIODS,
+    groupDividendIncome,
+    listDividendPayments,
+    projectDividendIncome,
+    summarizeDividends,
+} from './dividends';
+import {
+    IMPORT_KINDS,
+    IMPORT_MODES,
+    barsToCsv,
+    buildStateExport,
+    holdingsToCsv,
+    mergeImportedTransactions,
+    parseImportFile,
+    parseStateExport,
+    statementsToCsv,
+    transactionsToCsv,
+} from './importExport';
 
 
 
@@ -23,9 +197,82 @@ import './App.css';
 
 // Constants
 const API_KEY = process.env.REACT_APP_API_KEY; // Environment variable saved on local machine
-const MAX_STOCK_SYMBOL_LENGTH = 20; // User can key up to 20 characters on symbol search
-const NUM_STOCKS = 10; // Maximum number of stocks
-const LOCAL_STORAGE_KEY = 'stockTracker_stocks'; // Key for localStorage to retain stock symbols on page refresh
+const DATA_PROVIDER = process.env.REACT_APP_DATA_PROVIDER || 'alphavantage'; // 'alphavantage' or 'fixture' for offline work
+const MAX_STOCK_SYMBOL_LENGTH = 40; // User can key up to 40 characters on symbol or company name search
+const SEARCH_DEBOUNCE_DELAY = 400; // Pause in typing before the add stock dialog searches, in milliseconds
+const INDICATOR_LABELS = {
+    sma: 'SMA',
+    ema: 'EMA',
+    bollinger: 'Bollinger Bands',
+    vwap: 'VWAP',
+    volume: 'Volume',
+    rsi: 'RSI',
+    macd: 'MACD',
+};
+const INDICATOR_COLORS = {
+    sma: '#f5a623',
+    ema: '#bd10e0',
+    bollinger: '#50e3c2',
+    vwap: '#f8e71c',
+    macd: '#4a90e2',
+    signal: '#f5a623',
+};
+const PORTFOLIO_TIME_FRAMES = ['1M', '6M', 'YTD', '1Y', '5Y', 'ALL']; // Time frames of the daily portfolio series
+const FUNDAMENTALS_TABS = ['summary', 'profile', 'valuation', 'profitability', 'dividend', 'earnings', 'financials']; // Sections of the stock stats
+const FUNDAMENTALS_TAB_LABELS = {
+    summary: 'Summary',
+    profile: 'Profile',
+    valuation: 'Valuation',
+    profitability: 'Profitability',
+    dividend: 'Dividend',
+    earnings: 'Earnings',
+    financials: 'Financials',
+};
+const PAYMENT_FREQUENCY_LABELS = { 12: 'Monthly', 4: 'Quarterly', 2: 'Semi-Annual', 1: 'Annual' }; // By payments per year
+const EARNINGS_MARKER_COLORS = { beat: '#4caf50', miss: '#f40a06', inline: '#e0e0e0' }; // Report markers by surprise
+const SPARKLINE_SIZE = { width: 80, height: 20 }; // Size of the line item trends in the statement tables, in pixels
+const SERIES_COLORS = ['#4a90e2', '#f5a623', '#bd10e0', '#50e3c2', '#f8e71c', '#e94e77', '#7ed321', '#9b9b9b'];
+const API_CALLS_PER_MINUTE = Number(process.env.REACT_APP_API_CALLS_PER_MINUTE) || 5; // Alpha Vantage free tier limits
+const API_CALLS_PER_DAY = Number(process.env.REACT_APP_API_CALLS_PER_DAY) || 25;
+const PRICE_FLASH_DURATION = 1500; // How long a card flashes after its price moved, in milliseconds
+const ROUTE_BASE = (process.env.PUBLIC_URL || '').replace(/\/$/, ''); // Path the app is served from, for its routes
+const MIN_BRUSH_WIDTH = 10; // Narrowest drag across the chart that zooms in, in pixels; anything less is a click
+const MAX_IMPORT_PREVIEW_ROWS = 200; // Rows of an import file listed in the preview; every row is still imported
+const IMPORT_KIND_LABELS = { transactions: 'Transactions', holdings: 'Holdings (one buy per row)' };
+const IMPORT_MODE_LABELS = { merge: 'Keep and add new ones', replace: 'Replace with the file' };
+
+// Stored data brought up to the current schema, and the store keeping the last snapshot of every stock
+const storageMigration = migrateStorage(localStorage);
+const snapshotStorage = createDefaultStorage(DB_STORES.snapshots);
+const savedSnapshots = new WeakSet(); // Snapshots already in the store, so unchanged stocks are not written again
+saveStockSnapshots(storageMigration.snapshots);
+
+// Scheduler keeping API calls within budget, the market-data provider every fetch goes through, and the cache in front of it
+const apiScheduler = createRequestScheduler({
+    callsPerMinute: API_CALLS_PER_MINUTE,
+    callsPerDay: API_CALLS_PER_DAY,
+    initialUsage: loadApiUsage(),
+    onUsageChange: saveApiUsage,
+});
+const dataProvider = createDataProvider(DATA_PROVIDER, { apiKey: API_KEY, scheduler: apiScheduler });
+const requestCache = createRequestCache({ storage: createDefaultStorage() });
+
+// Route the app was opened at, and the store holding the app state, with the services its thunks load data through
+const initialRoute = readLocationRoute();
+const store = createStore(appReducer, createInitialState(loadStoredState(), initialRoute), {
+    fetchStock: (params) => fetchStockData({ provider: dataProvider, cache: requestCache, ...params }),
+    fetchComparison: (params) => fetchComparisonData({ provider: dataProvider, cache: requestCache, ...params }),
+    fetchQuote: (symbol) => fetchStockQuote({ provider: dataProvider, cache: requestCache, symbol }),
+    getApiStatus: () => apiScheduler.getStatus(),
+    readSnapshot: readStockSnapshot,
+    loadRegistry: createLoadRegistry(),
+});
+
+// Data a migration could not finish on is still read in its old layout (see storage.js); tell the user why
+if (storageMigration.to < SCHEMA_VERSION) {
+    const message = 'Your saved data could not be upgraded: the browser storage is full or unavailable. It is kept as is.';
+    store.dispatch(reportError(message));
+}
 
 
 
@@ -35,37 +282,150 @@ const LOCAL_STORAGE_KEY = 'stockTracker_stocks'; // Key for localStorage to reta
  * The main App component.
  */
 function App() {
+    // App state kept in the store (see appState.js)
+    const state = useSyncExternalStore(store.subscribe, store.getState);
+    const {
+        watchlists,
+        selectedStock,
+        timeFrame,
+        comparisonSymbols,
+        comparison,
+        portfolioView,
+        ledger,
+        matchingMethod,
+        alertRules,
+        alertHistory,
+        indicatorSettings,
+        chartMode,
+        concentrationLimits,
+        refreshInterval,
+    } = state;
+
     // State variables
-    const [stockSymbols, setStockSymbols] = useState(Array(NUM_STOCKS).fill(null)); // Stores up to 10 stocks
-    const [selectedStock, setSelectedStock] = useState(null); // Currently selected stock for detailed view
-    const [timeFrame, setTimeFrame] = useState('1D'); // Selected time frame for data
+    const [watchlistDialog, setWatchlistDialog] = useState(null); // 'create' or 'rename' while naming a watchlist
     const [isDialogOpen,  setIsDialogOpen] = useState(false); // Controls visibility of the add stock dialog
-    const [currentSlot, setCurrentSlot] = useState(null); // Slot index for adding or replacing a stock
-    const [stockInput, setStockInput] = useState(''); // User input for stock symbol
-    const [isLoading, setIsLoading] = useState(false); // Loading state for data fetching
+    const [currentSlot, setCurrentSlot] = useState(null); // Index in the watchlist for adding or replacing a stock
+    const [stockInput, setStockInput] = useState(''); // User input for stock symbol or company name
+    const [ledgerSymbol, setLedgerSymbol] = useState(null); // Symbol whose transactions are being edited
+    const [apiStatus, setApiStatus] = useState(apiScheduler.getStatus()); // Queue and throttling state of API calls
+    const [marketOpen, setMarketOpen] = useState(() => isMarketOpen()); // Whether the regular session is open
+    const [alertSymbol, setAlertSymbol] = useState(null); // Symbol whose alert rules are being edited
+    const [isAlertCenterOpen, setIsAlertCenterOpen] = useState(false); // Controls visibility of the alert center
+    const hasRoutedRef = useRef(false); // Whether the URL was written once, after which new views add history entries
+    const [isImportDialogOpen, setIsImportDialogOpen] = useState(false); // Controls visibility of the CSV import dialog
+    const [corporateActions, setCorporateActions] = useState([]); // Dividends and splits of the ledger's symbol
+
+    // Stocks of the open watchlist, and what the grid, portfolio and URL derive from the state
+    const activeWatchlist = selectActiveWatchlist(state);
+    const stockSymbols = activeWatchlist.stocks;
+    const gridSymbols = selectGridSymbols(state);
+    const bareSymbols = selectBareSymbols(state);
+    const replays = selectReplays(state);
+    const portfolioPositions = selectPortfolioPositions(state);
+    const unreadAlertCount = selectUnreadAlertCount(state);
+    const routePath = buildRoute(selectRoute(state));
+    const isStockLoading = selectLoad(state, 'stock').status === 'loading';
+    const isComparisonLoading = selectLoad(state, 'comparison').status === 'loading';
+
+    // Effect to follow the API scheduler's status while mounted
+    useEffect(() => apiScheduler.subscribe(setApiStatus), []);
+
+    // Effect to refresh the grid quotes on a schedule while the market is open and the API budget allows
+    useEffect(() => {
+        setMarketOpen(isMarketOpen());
+        if (!refreshInterval) return undefined;
+
+        const intervalId = setInterval(function () {
+            const open = isMarketOpen();
+            setMarketOpen(open);
+            if (open) store.dispatch(refreshQuotes(gridSymbols.split(',').filter(Boolean)));
+        }, refreshInterval * 60 * 1000);
+
+        return () => clearInterval(intervalId);
+    }, [refreshInterval, gridSymbols]);
+
+    // Effect to save the refresh interval to localStorage whenever it changes
+    useEffect(() => { saveRefreshInterval(refreshInterval); }, [refreshInterval]);
+
+    // Effect to save the watchlists whenever they or the open watchlist change
+    useEffect(() => { saveWatchlists(watchlists, activeWatchlist.id); }, [watchlists, activeWatchlist.id]);
+
+    // Effect to restore the last snapshots of stocks loaded with only their symbol and name
+    useEffect(() => {
+        if (bareSymbols) store.dispatch(restoreSnapshots(bareSymbols.split(',')));
+    }, [bareSymbols]);
+
+    // Effect to evaluate the alert rules whenever fresh stock data arrives
+    useEffect(() => {
+        const events = store.dispatch(checkAlerts());
+        if (events.length > 0) notifyAlerts(events);
+    }, [watchlists, selectedStock, alertRules]);
+
+    // Effect to save the alert rules and history to localStorage whenever they change
+    useEffect(() => { saveAlertsToLocalStorage(alertRules, alertHistory); }, [alertRules, alertHistory]);
+
+    // Effect to save the indicator settings to localStorage whenever they change
+    useEffect(() => { saveIndicatorSettings(indicatorSettings); }, [indicatorSettings]);
+
+    // Effect to save the chart mode to localStorage whenever it changes
+    useEffect(() => { saveChartMode(chartMode); }, [chartMode]);
+
+    // Effect to save the concentration limits to localStorage whenever they change
+    useEffect(() => { saveConcentrationLimits(concentrationLimits); }, [concentrationLimits]);
+
+    // Effect to save the ledger to localStorage whenever it or the matching method change
+    useEffect(() => { saveLedgerToLocalStorage(ledger, matchingMethod); }, [ledger, matchingMethod]);
 
-    // Effect to load stocks from localStorage on component mount
-    useEffect(() => { loadStoredStocks(setStockSymbols); }, []);
+    // Effect to open the view the app was opened at, loading its stock
+    useEffect(() => { store.dispatch(applyRoute(initialRoute)); }, []);
 
-    // Effect to save stocks to localStorage whenever stockSymbols change
-    useEffect(() => { saveStocksToLocalStorage(stockSymbols); }, [stockSymbols]);
+    // Effect to keep the URL in step with the open view once its stock has loaded
+    useEffect(() => {
+        if (isStockLoading) return;
+
+        writeLocation(routePath, hasRoutedRef.current);
+        hasRoutedRef.current = true;
+    }, [routePath, isStockLoading]);
+
+    // Load the daily history of the ledger's symbol, which carries every dividend and split
+    useAbortableLoad(function (signal) {
+        if (!ledgerSymbol) return null;
+
+        setCorporateActions([]);
+        return fetchHistories(dataProvider, requestCache, [ledgerSymbol], getTimeFrameParams('1M').resolution, signal);
+    }, (data) => setCorporateActions(extractCorporateActions(data.historyBySymbol[ledgerSymbol])), null, ledgerSymbol);
 
-    // Effect to fetch data when timeFrame changes and a stock is selected
-    useEffect(() => { fetchSelectedStockData(selectedStock, timeFrame, setSelectedStock, setIsLoading); }, [timeFrame]);
+    // Effect to follow the browser's back and forward buttons
+    useEffect(() => {
+        const handlePopState = () => store.dispatch(applyRoute(readLocationRoute()));
+
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
 
-    // Function to handle time frame selection
-    function handleTimeFrameClick(period) { setTimeFrame(period); }
+    // Function to handle time frame selection; the open stock is loaded again for it
+    function handleTimeFrameClick(period) { store.dispatch(selectTimeFrame(period)); }
 
     // Render the component
     return (
         <div>
             <header>
                 <div>
-                    <h1>Stock {selectedStock ? 'Details' : 'Cards'}</h1>
+                    <h1>Stock {comparisonSymbols ? 'Comparison' : portfolioView ? 'Portfolio' : selectedStock ? 'Details' : 'Cards'}</h1>
+                    <button
+                        id="button-alerts"
+                        onClick={() => openAlertCenter(setIsAlertCenterOpen)}
+                        aria-label="Alerts"
+                    >
+                        <svg height="26" viewBox="0 0 24 24" width="26">
+                            <path d="M12 22a2 2 0 0 0 2-2h-4a2 2 0 0 0 2 2zm6-6V11c0-3.1-1.6-5.6-4.5-6.3V4a1.5 1.5 0 0 0-3 0v.7C7.6 5.4 6 7.9 6 11v5l-2 2v1h16v-1l-2-2z" />
+                        </svg>
+                        {unreadAlertCount > 0 && <span className="alert-count">{unreadAlertCount}</span>}
+                    </button>
                     <button
                         id="button-home"
-                        onClick={() => showStocksGrid(setSelectedStock)}
-                        style={{ display: selectedStock ? 'inline' : 'none' }}
+                        onClick={() => store.dispatch(showGrid())}
+                        style={{ display: selectedStock || comparisonSymbols || portfolioView ? 'inline' : 'none' }}
                     >
                         <svg height="30" viewBox="0 0 24 24" width="30">
                             <path d="M10 20v-6h4v6h5v-8h3L12 3 2 12h3v8h5z" />
@@ -74,45 +434,188 @@ function App() {
                 </div>
             </header>
             <main>
-                {selectedStock ? (
+                <ApiStatusBar
+                    status={apiStatus}
+                    errorMessage={selectErrorMessage(state)}
+                    onDismissError={() => store.dispatch(dismissError())}
+                />
+                {comparisonSymbols ? (
+                    // Show ComparisonView while symbols are being compared
+                    <ComparisonView
+                        symbols={comparisonSymbols}
+                        comparison={comparison}
+                        isLoading={isComparisonLoading}
+                        timeFrame={timeFrame}
+                        handleTimeFrameClick={handleTimeFrameClick}
+                        onSymbolsChange={(symbols) => store.dispatch(changeComparison(symbols))}
+                    />
+                ) : portfolioView === 'performance' ? (
+                    // Show PortfolioView while the portfolio's performance is open
+                    <PortfolioView ledger={ledger} />
+                ) : portfolioView === 'allocation' ? (
+                    // Show AllocationView while the portfolio's allocation is open
+                    <AllocationView
+                        positions={portfolioPositions.positions}
+                        unpriced={portfolioPositions.unpriced}
+                        limits={concentrationLimits}
+                        onLimitsChange={(limits) => store.dispatch(changeConcentrationLimits(limits))}
+                    />
+                ) : portfolioView === 'dividends' ? (
+                    // Show DividendView while the portfolio's dividend income is open
+                    <DividendView ledger={ledger} replays={replays} />
+                ) : portfolioView === 'earnings' ? (
+                    // Show EarningsCalendarView while the upcoming earnings of the tracked stocks are open
+                    <EarningsCalendarView symbols={listTrackedStocks(watchlists).map((stock) => stock.symbol)} />
+                ) : selectedStock ? (
                     // Show StockDetails component if a stock is selected
                     <StockDetails
                         stockDetails={selectedStock}
                         timeFrame={timeFrame}
                         handleTimeFrameClick={handleTimeFrameClick}
-                        isLoading={isLoading}
+                        isLoading={isStockLoading}
+                        position={computePosition(getLots(replays, selectedStock.symbol), selectedStock.price)}
+                        replay={replays[selectedStock.symbol]}
+                        onEditLedger={() => setLedgerSymbol(selectedStock.symbol)}
+                        onEditAlerts={() => setAlertSymbol(selectedStock.symbol)}
+                        onCompare={() => store.dispatch(startComparison([selectedStock.symbol]))}
+                        indicatorSettings={indicatorSettings}
+                        onIndicatorChange={(name, changes) => store.dispatch(changeIndicator(name, changes))}
+                        chartMode={chartMode}
+                        onChartModeChange={(changes) => store.dispatch(changeChartMode(changes))}
                     />
                 ) : (
-                    // Show Grid component otherwise
-                    <Grid
-                        stocks={stockSymbols}
-                        onAddStock={(slotId) =>
-                            openAddOrReplaceModal(slotId, setCurrentSlot, setIsDialogOpen, setStockInput)
-                        }
-                        onStockSelect={(stock) =>
-                            handleStockClick(stock, timeFrame, setSelectedStock, setIsLoading)
-                        }
-                        onRemoveStock={(slotId) => handleRemoveStock(slotId, setStockSymbols)}
-                    />
+                    // Show the portfolio totals and the Grid component otherwise
+                    <>
+                        <PortfolioSummary
+                            totals={computePortfolioTotals(listTrackedStocks(watchlists), replays)}
+                            onOpenPerformance={() => store.dispatch(openPortfolioView('performance'))}
+                            onOpenAllocation={() => store.dispatch(openPortfolioView('allocation'))}
+                            onOpenDividends={() => store.dispatch(openPortfolioView('dividends'))}
+                        />
+                        <WatchlistTabs
+                            watchlists={watchlists}
+                            activeId={activeWatchlist.id}
+                            onSelect={(id) => store.dispatch(openWatchlist(id))}
+                            onCreate={() => setWatchlistDialog('create')}
+                            onRename={() => setWatchlistDialog('rename')}
+                            onDuplicate={() => store.dispatch(copyWatchlist(activeWatchlist.id))}
+                            onDelete={() => handleDeleteWatchlist(activeWatchlist)}
+                            onCompare={() =>
+                                store.dispatch(startComparison(stockSymbols.map((stock) => stock.symbol)))
+                            }
+                            onOpenEarnings={() => store.dispatch(openPortfolioView('earnings'))}
+                        />
+                        <RefreshControls
+                            refreshInterval={refreshInterval}
+                            onRefreshIntervalChange={(minutes) => store.dispatch(changeRefreshInterval(minutes))}
+                            marketOpen={marketOpen}
+                        />
+                        <DataControls
+                            onExportState={() =>
+                                exportAppState({
+                                    watchlists: toStoredWatchlists(watchlists),
+                                    activeWatchlistId: activeWatchlist.id,
+                                    ledger,
+                                    matchingMethod,
+                                    alertRules,
+                                    alertHistory,
+                                    indicatorSettings,
+                                    chartMode,
+                                    concentrationLimits,
+                                    refreshInterval,
+                                })
+                            }
+                            onImportState={(file) => importAppState(file)}
+                            onExportTransactions={() => downloadCsv('transactions', transactionsToCsv(ledger))}
+                            onExportHoldings={() => downloadCsv('holdings', holdingsToCsv(replays))}
+                            onOpenImport={() => setIsImportDialogOpen(true)}
+                        />
+                        <Grid
+                            stocks={stockSymbols}
+                            replays={replays}
+                            onAddStock={(slotId) =>
+                                openAddOrReplaceModal(slotId, setCurrentSlot, setIsDialogOpen, setStockInput)
+                            }
+                            onStockSelect={(stock) => store.dispatch(openStock(stock))}
+                            onRemoveStock={(slotId) => store.dispatch(removeStock(slotId))}
+                            onMoveStock={(from, to) => store.dispatch(moveGridStock(from, to))}
+                            onEditLedger={(symbol) => setLedgerSymbol(symbol)}
+                            onEditAlerts={(symbol) => setAlertSymbol(symbol)}
+                        />
+                    </>
                 )}
                 {isDialogOpen && (
                     // Show StockDialog if dialog is open
                     <StockDialog
-                        onSubmit={() =>
-                            addOrReplaceStock({
-                                stockInput,
-                                stockSymbols,
-                                currentSlot,
-                                setStockSymbols,
-                                closeAddModal: () => closeAddModal(setIsDialogOpen, setStockInput),
-                                timeFrame,
-                            })
+                        onSubmit={(listing) =>
+                            store.dispatch(placeStock(listing, currentSlot))
+                                .then(() => closeAddModal(setIsDialogOpen, setStockInput))
+                                .catch((error) => alert(error.message))
                         }
                         onClose={() => closeAddModal(setIsDialogOpen, setStockInput)}
                         stockInput={stockInput}
                         handleStockInputChange={(event) => handleStockInputChange(event, setStockInput)}
                     />
                 )}
+                {watchlistDialog && (
+                    // Show WatchlistDialog while a watchlist is being created or renamed
+                    <WatchlistDialog
+                        title={watchlistDialog === 'create' ? 'New Watchlist' : 'Rename Watchlist'}
+                        initialName={watchlistDialog === 'create' ? '' : activeWatchlist.name}
+                        onSubmit={(name) => {
+                            if (watchlistDialog === 'create') {
+                                store.dispatch(addWatchlist(name));
+                            } else {
+                                store.dispatch(renameWatchlistTo(activeWatchlist.id, name));
+                            }
+                            setWatchlistDialog(null);
+                        }}
+                        onClose={() => setWatchlistDialog(null)}
+                    />
+                )}
+                {ledgerSymbol && (
+                    // Show LedgerDialog while a symbol's transactions are being edited
+                    <LedgerDialog
+                        symbol={ledgerSymbol}
+                        transactions={ledger[ledgerSymbol] || []}
+                        replay={replays[ledgerSymbol]}
+                        suggestions={suggestCorporateActions(ledger[ledgerSymbol], corporateActions)}
+                        matchingMethod={matchingMethod}
+                        onMatchingMethodChange={(method) => store.dispatch(selectMatchingMethod(method))}
+                        onAddTransaction={(input) => store.dispatch(addTransaction(ledgerSymbol, input))}
+                        onRemoveTransaction={(transactionId) =>
+                            store.dispatch(removeTransaction(ledgerSymbol, transactionId))
+                        }
+                        onClose={() => setLedgerSymbol(null)}
+                    />
+                )}
+                {alertSymbol && (
+                    // Show AlertsDialog while a symbol's alert rules are being edited
+                    <AlertsDialog
+                        symbol={alertSymbol}
+                        rules={alertRules.filter((rule) => rule.symbol === alertSymbol)}
+                        onAddRule={(input) => store.dispatch(addAlertRule(alertSymbol, input))}
+                        onToggleRule={(ruleId) => store.dispatch(toggleAlertRule(ruleId))}
+                        onRemoveRule={(ruleId) => store.dispatch(removeAlertRule(ruleId))}
+                        onClose={() => setAlertSymbol(null)}
+                    />
+                )}
+                {isImportDialogOpen && (
+                    // Show ImportDialog while a CSV file of transactions or holdings is being imported
+                    <ImportDialog
+                        ledger={ledger}
+                        onImport={(importedLedger) => store.dispatch(replaceLedger(importedLedger))}
+                        onClose={() => setIsImportDialogOpen(false)}
+                    />
+                )}
+                {isAlertCenterOpen && (
+                    // Show AlertCenter while the triggered alerts are being reviewed
+                    <AlertCenter
+                        history={alertHistory}
+                        onClearHistory={() => store.dispatch(clearAlertHistory())}
+                        onClose={() => setIsAlertCenterOpen(false)}
+                    />
+                )}
             </main>
             <footer>
                 <p>
@@ -129,34 +632,284 @@ function App() {
 
 
 /**
- * Component representing the grid of stocks.
+ * Component representing the portfolio totals shown above the grid.
+ * @param {object} props - Component properties.
+ * @param {object|null} props.totals - Portfolio totals, or null when no transactions are recorded.
+ * @param {function} props.onOpenPerformance - Function to open the portfolio performance.
+ * @param {function} props.onOpenAllocation - Function to open the allocation dashboard.
+ * @param {function} props.onOpenDividends - Function to open the dividend income.
+ */
+function PortfolioSummary(props) {
+    const { totals, onOpenPerformance, onOpenAllocation, onOpenDividends } = props;
+
+    if (!totals) return null;
+
+    return (
+        <ul id="portfolio-summary">
+            {renderStat('Portfolio Value', formatPrice(totals.marketValue))}
+            {renderStat('Cost Basis', formatPrice(totals.costBasis))}
+            {renderGainStat('Unrealized Gain/Loss', totals.unrealizedGain, totals.unrealizedGainPercent)}
+            {renderGainStat('Realized Gain/Loss', totals.totalRealized, null)}
+            <li className="portfolio-action">
+                <button data-button-text="performance" onClick={onOpenPerformance}></button>
+            </li>
+            <li className="portfolio-action">
+                <button data-button-text="allocation" onClick={onOpenAllocation}></button>
+            </li>
+            <li className="portfolio-action">
+                <button data-button-text="dividends" onClick={onOpenDividends}></button>
+            </li>
+        </ul>
+    );
+}
+
+
+
+
+
+/**
+ * Component controlling the automatic refresh of the grid quotes.
+ * @param {object} props - Component properties.
+ * @param {number} props.refreshInterval - Minutes between refreshes; 0 when off.
+ * @param {function} props.onRefreshIntervalChange - Function to change the interval.
+ * @param {boolean} props.marketOpen - Whether the regular trading session is open.
+ */
+function RefreshControls(props) {
+    const { refreshInterval, onRefreshIntervalChange, marketOpen } = props;
+
+    return (
+        <div id="refresh-controls">
+            <label>
+                Auto-refresh
+                <select value={refreshInterval} onChange={(e) => onRefreshIntervalChange(Number(e.target.value))}>
+                    {REFRESH_INTERVALS.map((minutes) => (
+                        <option key={minutes} value={minutes}>{minutes ? `every ${minutes} min` : 'off'}</option>
+                    ))}
+                </select>
+            </label>
+            {refreshInterval > 0 && !marketOpen && <span>Market closed, refresh paused</span>}
+        </div>
+    );
+}
+
+
+
+
+
+/**
+ * Component with the backup of the app state and the CSV export and import of the portfolio.
+ * @param {object} props - Component properties.
+ * @param {function} props.onExportState - Function to download the app state as JSON.
+ * @param {function} props.onImportState - Function to restore the app state from a chosen JSON file.
+ * @param {function} props.onExportTransactions - Function to download every transaction as CSV.
+ * @param {function} props.onExportHoldings - Function to download the open lots as CSV.
+ * @param {function} props.onOpenImport - Function to open the CSV import dialog.
+ */
+function DataControls(props) {
+    const { onExportState, onImportState, onExportTransactions, onExportHoldings, onOpenImport } = props;
+    const fileInputRef = useRef(null);
+
+    // Restore the chosen file, clearing the input so the same file can be chosen again
+    function handleFileChange(e) {
+        const file = e.target.files[0];
+
+        e.target.value = '';
+        if (file) onImportState(file);
+    }
+
+    return (
+        <div id="data-controls">
+            <button data-button-text="export backup" onClick={onExportState}></button>
+            <button data-button-text="restore backup" onClick={() => fileInputRef.current.click()}></button>
+            <button data-button-text="export transactions" onClick={onExportTransactions}></button>
+            <button data-button-text="export holdings" onClick={onExportHoldings}></button>
+            <button data-button-text="import csv" onClick={onOpenImport}></button>
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json"
+                aria-label="Backup file"
+                hidden
+                onChange={handleFileChange}
+            />
+        </div>
+    );
+}
+
+
+
+
+
+/**
+ * Component representing the tabs that switch between watchlists, with the actions on the open watchlist.
+ * @param {object} props - Component properties.
+ * @param {Array<object>} props.watchlists - The watchlists.
+ * @param {string} props.activeId - Id of the open watchlist.
+ * @param {function} props.onSelect - Function to open a watchlist by id.
+ * @param {function} props.onCreate - Function to create a watchlist.
+ * @param {function} props.onRename - Function to rename the open watchlist.
+ * @param {function} props.onDuplicate - Function to duplicate the open watchlist.
+ * @param {function} props.onDelete - Function to delete the open watchlist.
+ * @param {function} props.onCompare - Function to compare the stocks of the open watchlist.
+ * @param {function} props.onOpenEarnings - Function to open the upcoming earnings of every tracked stock.
+ */
+function WatchlistTabs(props) {
+    const { watchlists, activeId, onSelect, onCreate, onRename, onDuplicate, onDelete, onCompare, onOpenEarnings } =
+        props;
+    const activeList = watchlists.find((list) => list.id === activeId);
+
+    return (
+        <nav id="watchlist-tabs">
+            <ul role="tablist">
+                {watchlists.map((list) => (
+                    <li key={list.id}>
+                        <button
+                            role="tab"
+                            aria-selected={list.id === activeId}
+                            className={list.id === activeId ? 'active' : ''}
+                            onClick={() => onSelect(list.id)}
+                        >
+                            {list.name}
+                            <span className="watchlist-count">{list.stocks.length}</span>
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            <div id="watchlist-actions">
+                <button data-button-text="new" onClick={onCreate}></button>
+                <button data-button-text="rename" onClick={onRename}></button>
+                <button data-button-text="duplicate" onClick={onDuplicate}></button>
+                <button data-button-text="delete" onClick={onDelete} disabled={watchlists.length <= 1}></button>
+                <button
+                    data-button-text="compare"
+                    onClick={onCompare}
+                    disabled={!activeList || activeList.stocks.length === 0}
+                ></button>
+                <button
+                    data-button-text="earnings"
+                    onClick={onOpenEarnings}
+                    disabled={watchlists.every((list) => list.stocks.length === 0)}
+                ></button>
+            </div>
+        </nav>
+    );
+}
+
+
+
+
+
+/**
+ * Component representing the name dialog used to create or rename a watchlist.
+ * @param {object} props - Component properties.
+ * @param {string} props.title - Dialog title.
+ * @param {string} props.initialName - Name the input starts with.
+ * @param {function} props.onSubmit - Function to submit the name; throws if the name is invalid.
+ * @param {function} props.onClose - Function to close the dialog.
+ */
+function WatchlistDialog(props) {
+    const { title, initialName, onSubmit, onClose } = props;
+    const [name, setName] = useState(initialName);
+    const inputRef = useRef(null);
+
+    // Automatically focus on the input field when the dialog opens
+    useEffect(() => {
+        if (inputRef.current) inputRef.current.focus();
+    }, []);
+
+    // Submit the name unless it is invalid
+    function handleSubmit() {
+        try {
+            onSubmit(name);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    // Handle keydown event for Enter and Escape keys
+    function handleKeyDown(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            handleSubmit();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        }
+    }
+
+    return (
+        <dialog id="watchlist-dialog" className="modal open">
+            <section>
+                <button className="button-close" onClick={onClose}></button>
+                <p>{title}</p>
+                <input
+                    id="watchlist-name-input"
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Watchlist Name"
+                    ref={inputRef}
+                    maxLength={MAX_WATCHLIST_NAME_LENGTH}
+                    onKeyDown={handleKeyDown}
+                />
+                <div id="button-group">
+                    <button data-button-text="ok" onClick={handleSubmit}></button>
+                    <button data-button-text="cancel" onClick={onClose}></button>
+                </div>
+            </section>
+        </dialog>
+    );
+}
+
+
+
+
+
+/**
+ * Component representing the grid of stocks in the open watchlist, followed by a slot to add another stock.
+ * Stocks can be dragged onto one another to reorder the list.
  * @param {object} props - Component properties.
- * @param {Array} props.stocks - Array of stock symbols.
+ * @param {Array} props.stocks - Stock snapshots of the open watchlist.
+ * @param {object} props.replays - Ledger replay results keyed by stock symbol.
  * @param {function} props.onAddStock - Function to add a stock.
  * @param {function} props.onStockSelect - Function to select a stock.
  * @param {function} props.onRemoveStock - Function to remove a stock.
+ * @param {function} props.onMoveStock - Function to move a stock from one index to another.
+ * @param {function} props.onEditLedger - Function to edit the transactions of a stock.
+ * @param {function} props.onEditAlerts - Function to edit the alert rules of a stock.
  */
 function Grid(props) {
-    const { stocks, onAddStock, onStockSelect, onRemoveStock } = props;
+    const { stocks, replays, onAddStock, onStockSelect, onRemoveStock, onMoveStock, onEditLedger, onEditAlerts } = props;
+    const dragIndexRef = useRef(null); // Index of the stock being dragged
 
     return (
         <ul id="stocks-grid">
             {stocks.map(function (stock, index) {
                 return (
                     <StockSlot
-                        key={index}
+                        key={stock.symbol}
                         slotId={index}
-                        symbol={stock && stock.symbol}
-                        stockName={stock && stock.name}
-                        price={stock && stock.price}
-                        change={stock && stock.changePercent}
+                        symbol={stock.symbol}
+                        stockName={stock.name}
+                        price={stock.price}
+                        change={stock.changePercent}
+                        updatedAt={stock.updatedAt}
+                        position={computePosition(getLots(replays, stock.symbol), stock.price)}
                         onAdd={onAddStock}
                         onFetchDetails={() => onStockSelect(stock)}
                         onRemove={() => onRemoveStock(index)}
                         onReplace={onAddStock}
+                        onEditLedger={() => onEditLedger(stock.symbol)}
+                        onEditAlerts={() => onEditAlerts(stock.symbol)}
+                        onDragStart={() => { dragIndexRef.current = index; }}
+                        onDrop={() => {
+                            if (dragIndexRef.current !== null) onMoveStock(dragIndexRef.current, index);
+                            dragIndexRef.current = null;
+                        }}
                     />
                 );
             })}
+            <StockSlot key="add-slot" slotId={stocks.length} onAdd={onAddStock} />
         </ul>
     );
 }
@@ -173,16 +926,51 @@ function Grid(props) {
  * @param {string} [props.stockName] - The name of the stock.
  * @param {number} [props.price] - The current price of the stock.
  * @param {number} [props.change] - The percentage change in stock price.
+ * @param {number} [props.updatedAt] - When the price was last fetched, in milliseconds since the epoch.
+ * @param {object|null} [props.position] - Position summary computed from the stock's open lots.
  * @param {function} props.onAdd - Function to add a stock.
  * @param {function} props.onFetchDetails - Function to fetch stock details.
  * @param {function} props.onRemove - Function to remove a stock.
  * @param {function} props.onReplace - Function to replace a stock.
+ * @param {function} props.onEditLedger - Function to edit the stock's transactions.
+ * @param {function} props.onEditAlerts - Function to edit the stock's alert rules.
+ * @param {function} [props.onDragStart] - Function called when the user starts dragging the stock.
+ * @param {function} [props.onDrop] - Function called when another stock is dropped onto this one.
  */
 function StockSlot(props) {
-    const { slotId, symbol, stockName, price, change, onAdd, onFetchDetails, onRemove, onReplace } =
-        props;
+    const {
+        slotId,
+        symbol,
+        stockName,
+        price,
+        change,
+        updatedAt,
+        position,
+        onAdd,
+        onFetchDetails,
+        onRemove,
+        onReplace,
+        onEditLedger,
+        onEditAlerts,
+        onDragStart,
+        onDrop,
+    } = props;
 
     const isStockAdded = Boolean(symbol);
+    const previousQuoteRef = useRef({ symbol, price });
+    const [flashClass, setFlashClass] = useState('');
+
+    // Flash the card when a refresh moves the price of the same stock
+    useEffect(() => {
+        const previous = previousQuoteRef.current;
+        previousQuoteRef.current = { symbol, price };
+
+        if (!symbol || previous.symbol !== symbol || previous.price === price || previous.price == null) return undefined;
+
+        setFlashClass(price > previous.price ? 'flash-up' : 'flash-down');
+        const timeoutId = setTimeout(() => setFlashClass(''), PRICE_FLASH_DURATION);
+        return () => clearTimeout(timeoutId);
+    }, [symbol, price]);
 
     // Event handler for section click
     function handleSectionClick(e) {
@@ -202,14 +990,37 @@ function StockSlot(props) {
         onRemove(slotId);
     }
 
+    // Event handler for ledger button
+    function handleLedgerClick(e) {
+        e.stopPropagation();
+        onEditLedger();
+    }
+
+    // Event handler for alerts button
+    function handleAlertsClick(e) {
+        e.stopPropagation();
+        onEditAlerts();
+    }
+
     // Event handler for add button
     function handleAddClick() { onAdd(slotId); }
 
+    // Event handlers for reordering by drag and drop
+    function handleDragOver(e) { e.preventDefault(); }
+    function handleDrop(e) {
+        e.preventDefault();
+        onDrop();
+    }
+
     return (
         <li
             data-slot-id={slotId}
-            className={`${isStockAdded ? 'stock-slot' : 'empty-slot'}`}
+            className={`${isStockAdded ? 'stock-slot' : 'empty-slot'} ${flashClass}`}
             onClick={!isStockAdded ? handleAddClick : undefined}
+            draggable={isStockAdded}
+            onDragStart={isStockAdded ? onDragStart : undefined}
+            onDragOver={isStockAdded ? handleDragOver : undefined}
+            onDrop={isStockAdded ? handleDrop : undefined}
         >
             {isStockAdded ? (
                 <>
@@ -221,8 +1032,20 @@ function StockSlot(props) {
                         <span className={`price-change ${getPriceChangeClass(change)}`}>
               {formatChangePercent(change)}
             </span>
+                        {updatedAt && <p className="last-updated">Updated {formatTime(updatedAt)}</p>}
+                        <PositionSummary position={position} />
                     </section>
-                    {/* Replace and Remove buttons */}
+                    {/* Ledger, Alerts, Replace and Remove buttons */}
+                    <button
+                        data-button-text="ledger"
+                        className="ledger-button"
+                        onClick={handleLedgerClick}
+                    ></button>
+                    <button
+                        data-button-text="alerts"
+                        className="alerts-button"
+                        onClick={handleAlertsClick}
+                    ></button>
                     <button
                         data-button-text="replace"
                         className="replace-button"
@@ -245,17 +1068,24 @@ function StockSlot(props) {
 
 /**
  * Component representing the add/replace stock dialog.
+ * Searches listings by symbol or company name as the user types and lets them pick the exact listing to add.
  * @param {object} props - Component properties.
- * @param {function} props.onSubmit - Function to submit the new stock symbol.
+ * @param {function} props.onSubmit - Function to submit the chosen listing ({ symbol, name }), or null when nothing was entered.
  * @param {function} props.onClose - Function to close the dialog.
  * @param {string} props.stockInput - Current value of the stock input field.
  * @param {function} props.handleStockInputChange - Handler for input field changes.
  */
 function StockDialog(props) {
     const { onSubmit, onClose, stockInput, handleStockInputChange } = props;
+    const [results, setResults] = useState({ query: '', matches: [] }); // Listings found for the last completed search
+    const [highlighted, setHighlighted] = useState(-1); // Index of the candidate picked with the arrow keys
+    const [isSearching, setIsSearching] = useState(false);
+    const [searchMessage, setSearchMessage] = useState(null);
 
     // Create a ref for the input field
     const inputRef = useRef(null);
+    const listRef = useRef(null);
+    const latestQueryRef = useRef(''); // Results of any other query arrive too late and are dropped
 
     // Automatically focus on the input field when the dialog opens
     useEffect(() => {
@@ -264,16 +1094,90 @@ function StockDialog(props) {
         }
     }, []);
 
-    // Handle keydown event for Enter key
+    // Search once the user pauses typing
+    useEffect(() => {
+        const query = stockInput.trim();
+
+        latestQueryRef.current = query;
+        setHighlighted(-1);
+        setSearchMessage(null);
+
+        if (!query) {
+            setResults({ query: '', matches: [] });
+            setIsSearching(false);
+            return undefined;
+        }
+
+        const controller = new AbortController(); // Cancels the search once the query changes again
+        const search = () => searchCandidates(
+            query, latestQueryRef, setResults, setIsSearching, setSearchMessage, controller.signal
+        );
+        const timer = setTimeout(search, SEARCH_DEBOUNCE_DELAY);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [stockInput]);
+
+    // Keep the highlighted candidate in view
+    useEffect(() => {
+        const item = listRef.current && listRef.current.children[highlighted];
+        if (item && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    }, [highlighted]);
+
+    const query = stockInput.trim();
+    const candidates = results.query === query ? results.matches : [];
+
+    // Submit the highlighted candidate, else the listing the query unambiguously names
+    async function handleSubmit() {
+        if (!query) {
+            onSubmit(null);
+            return;
+        }
+        if (candidates[highlighted]) {
+            onSubmit(candidates[highlighted]);
+            return;
+        }
+
+        const matches = results.query === query
+            ? results.matches
+            : await searchCandidates(query, latestQueryRef, setResults, setIsSearching, setSearchMessage);
+        if (!matches || matches.length === 0) return;
+
+        const listing = pickListing(matches, query);
+        if (listing) {
+            onSubmit(listing);
+        } else {
+            setSearchMessage(`${matches.length} listings match "${query}". Please pick one.`);
+        }
+    }
+
+    // Handle keyboard navigation of the candidates
     function handleKeyDown(e) {
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            onSubmit(); // Trigger the submission
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                setHighlighted((index) => Math.min(index + 1, candidates.length - 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                setHighlighted((index) => Math.max(index - 1, -1));
+                break;
+            case 'Enter':
+                e.preventDefault();
+                handleSubmit(); // Trigger the submission
+                break;
+            case 'Escape':
+                e.preventDefault();
+                onClose();
+                break;
+            default:
+                break;
         }
     }
 
     return (
-        <dialog id="add-stock-dialog" className={'open'}>
+        <dialog id="add-stock-dialog" className="modal open">
             <section>
                 <button className="button-close" onClick={onClose}></button>
                 <p>Add or Replace Stock</p>
@@ -282,13 +1186,46 @@ function StockDialog(props) {
                     type="text"
                     value={stockInput}
                     onChange={handleStockInputChange}
-                    placeholder="Enter Stock Symbol"
+                    placeholder="Enter Symbol or Company Name"
                     ref={inputRef} // Attach the ref to the input
                     maxLength={MAX_STOCK_SYMBOL_LENGTH} // Set the maximum length
                     onKeyDown={handleKeyDown}
+                    role="combobox"
+                    aria-expanded={candidates.length > 0}
+                    aria-controls="symbol-candidates"
+                    aria-activedescendant={highlighted >= 0 ? `symbol-candidate-${highlighted}` : undefined}
+                    autoComplete="off"
                 />
+                {(isSearching || searchMessage) && (
+                    <p id="symbol-search-status" className={searchMessage ? 'error-message' : ''}>
+                        {searchMessage || 'Searching...'}
+                    </p>
+                )}
+                {candidates.length > 0 && (
+                    <ul id="symbol-candidates" role="listbox" ref={listRef}>
+                        {candidates.map((match, index) => (
+                            <li
+                                key={`${match.symbol}-${match.region}`}
+                                id={`symbol-candidate-${index}`}
+                                role="option"
+                                aria-selected={index === highlighted}
+                                className={index === highlighted ? 'highlighted' : ''}
+                                onMouseEnter={() => setHighlighted(index)}
+                                onMouseDown={(e) => e.preventDefault()} // Keep the focus in the input
+                                onClick={() => onSubmit(match)}
+                            >
+                                <span className="candidate-symbol">{match.symbol}</span>
+                                <span className="candidate-name">{match.name}</span>
+                                <span className="candidate-details">
+                                    {[match.type, match.region, match.currency].filter(Boolean).join(' · ')}
+                                </span>
+                                <span className="candidate-score">{formatMatchScore(match.matchScore)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
                 <div id="button-group">
-                    <button data-button-text="ok" onClick={onSubmit}></button>
+                    <button data-button-text="ok" onClick={handleSubmit}></button>
                     <button data-button-text="cancel" onClick={onClose}></button>
                 </div>
             </section>
@@ -301,80 +1238,38 @@ function StockDialog(props) {
 
 
 /**
- * Component representing the detailed view of a selected stock.
+ * Component summarizing a position: value, cost basis and unrealized gain/loss.
  * @param {object} props - Component properties.
- * @param {object} props.stockDetails - Detailed information about the selected stock.
- * @param {string} props.timeFrame - The currently selected time frame.
- * @param {function} props.handleTimeFrameClick - Function to handle time frame selection.
- * @param {boolean} props.isLoading - Loading state for data fetching.
+ * @param {object|null} props.position - Position summary, or null when no shares are held.
+ * @param {object} [props.replay] - Ledger replay result, for the realized gain/loss.
  */
-function StockDetails(props) {
-    const { stockDetails, timeFrame, handleTimeFrameClick, isLoading } = props;
-
-    const chartRef = useRef(null);
-    const canvasRef = useRef(null);
-    const additionalStatsRef = useRef([]);
+function PositionSummary(props) {
+    const { position, replay } = props;
 
-    // Effect to render the chart when stockDetails change
-    useEffect(() => {
-        if (stockDetails && stockDetails.dates && stockDetails.timeSeries) {
-            renderChart(stockDetails, canvasRef, chartRef, additionalStatsRef);
-        }
+    if (!position && !replay) return null;
 
-        return () => {
-            if (chartRef.current) {
-                chartRef.current.destroy();
-                chartRef.current = null;
-            }
-        };
-    }, [stockDetails]);
+    if (!position) {
+        return (
+            <dl className="position-summary">
+                {renderRealizedTerms(replay)}
+            </dl>
+        );
+    }
 
     return (
-        <section id="stock-details">
-            {isLoading ? (
-                <div>Loading...</div>
-            ) : (
-                <>
-                    <div className="stock-header">
-                        <span className="stock-symbol">{stockDetails && stockDetails.symbol}</span>
-                        <span className="stock-name">{stockDetails && stockDetails.name}</span>
-                    </div>
-                    <div className="stock-price-change">
-                        <span className="current-price">{formatPrice(stockDetails.price)}</span>
-                        <span className={`price-change ${getPriceChangeClass(stockDetails.changePercent)}`}>
-              {formatChangePercent(stockDetails.changePercent)}
-            </span>
-                    </div>
-                    <ul id="time-options">
-                        {['1D', '5D', '1M', '6M', 'YTD', '1Y', '5Y', 'ALL'].map((period) => (
-                            <li
-                                key={period}
-                                data-period={period}
-                                className={timeFrame === period ? 'active' : ''}
-                                onClick={() => handleTimeFrameClick(period)}
-                            ></li>
-                        ))}
-                    </ul>
-                    <div id="chart-container">
-                        <canvas ref={canvasRef}></canvas>
-                    </div>
-                    <ul className="stock-stats">
-                        {renderStat('Previous Close', formatPrice(stockDetails.previousClose))}
-                        {renderStat('Open', formatPrice(stockDetails.openPrice))}
-                        {renderStat("Day's Range", formatRange(stockDetails.dayLow, stockDetails.dayHigh))}
-                        {renderStat('52 Week Range', formatRange(stockDetails.weekLow, stockDetails.weekHigh))}
-                        {renderStat('Volume', formatNumber(stockDetails.volume))}
-                        {renderStat('Avg. Volume', formatNumber(stockDetails.avgVolume))}
-                        {renderStat('Market Cap (intraday)', formatMarketCap(stockDetails.marketCap))}
-                        {renderStat('Beta (5Y Monthly)', formatNumber(stockDetails.beta, 2))}
-                        {renderStat('PE Ratio (TTM)', formatNumber(stockDetails.peRatio, 2))}
-                        {renderStat('EPS (TTM)', formatPrice(stockDetails.eps))}
-                        {renderStat('1y Target Est.', formatPrice(stockDetails.targetEst))}
-                        {renderStat('Dividend Amount', formatPrice(stockDetails.dividendAmount))}
-                    </ul>
-                </>
-            )}
-        </section>
+        <dl className="position-summary">
+            <dt>Shares</dt>
+            <dd>{formatNumber(position.shares, 2)}</dd>
+            <dt>Value</dt>
+            <dd>{formatPrice(position.marketValue)}</dd>
+            <dt>Cost Basis</dt>
+            <dd>{formatPrice(position.costBasis)}</dd>
+            <dt>Gain/Loss</dt>
+            <dd className={`position-gain ${getPriceChangeClass(position.unrealizedGain)}`}>
+                {formatGain(position.unrealizedGain, position.unrealizedGainPercent)}
+            </dd>
+            {replay && renderRealizedTerms(replay)}
+        </dl>
     );
 }
 
@@ -383,30 +1278,3300 @@ function StockDetails(props) {
 
 
 /**
- * Opens the add/replace stock dialog.
- * @param {number} slotId - The slot index for adding or replacing a stock.
- * @param {function} setCurrentSlot - Setter for currentSlot state.
- * @param {function} setIsDialogOpen - Setter for isDialogOpen state.
- * @param {function} setStockInput - Setter for stockInput state.
+ * Component representing the dialog listing and recording the transactions of a stock.
+ * @param {object} props - Component properties.
+ * @param {string} props.symbol - The stock symbol the transactions belong to.
+ * @param {Array<object>} props.transactions - The transactions recorded for the stock.
+ * @param {object} [props.replay] - Result of replaying the transactions.
+ * @param {Array<object>} props.suggestions - Dividends and splits found in market data but not recorded yet.
+ * @param {string} props.matchingMethod - How sales are matched against open lots.
+ * @param {function} props.onMatchingMethodChange - Function to change the matching method.
+ * @param {function} props.onAddTransaction - Function to record a new transaction; throws on invalid input.
+ * @param {function} props.onRemoveTransaction - Function to remove a transaction by id; throws if that breaks the journal.
+ * @param {function} props.onClose - Function to close the dialog.
  */
-function openAddOrReplaceModal(slotId, setCurrentSlot, setIsDialogOpen, setStockInput) {
-    setCurrentSlot(slotId);
-    setIsDialogOpen(true);
-    setStockInput('');
-}
+function LedgerDialog(props) {
+    const {
+        symbol,
+        transactions,
+        replay,
+        suggestions,
+        matchingMethod,
+        onMatchingMethodChange,
+        onAddTransaction,
+        onRemoveTransaction,
+        onClose,
+    } = props;
+
+    const [transactionInput, setTransactionInput] = useState({
+        type: 'buy',
+        date: new Date().toISOString().slice(0, 10),
+        shares: '',
+        price: '',
+        fees: '',
+        amount: '',
+        ratio: '',
+    });
 
+    const isTrade = transactionInput.type === 'buy' || transactionInput.type === 'sell';
+    const sales = {};
+    if (replay) replay.sales.forEach((sale) => { sales[sale.id] = sale; });
 
+    // Handle changes in any of the transaction fields
+    function handleFieldChange(e) {
+        const { name, value } = e.target;
+        setTransactionInput((prev) => ({ ...prev, [name]: value }));
+    }
 
+    // Record the transaction and reset the amount fields
+    function handleSubmit() {
+        try {
+            onAddTransaction(transactionInput);
+            setTransactionInput((prev) => ({ ...prev, shares: '', price: '', fees: '', amount: '', ratio: '' }));
+        } catch (error) {
+            alert(error.message);
+        }
+    }
 
+    // Record a suggested dividend or split as is
+    function handleSuggestionClick(suggestion) {
+        try {
+            onAddTransaction(suggestion);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
 
-/**
- * Closes the add stock dialog.
+    // Remove a transaction unless that would break the journal
+    function handleRemoveClick(transactionId) {
+        try {
+            onRemoveTransaction(transactionId);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    return (
+        <dialog id="ledger-dialog" className="modal open">
+            <section>
+                <button className="button-close" onClick={onClose}></button>
+                <p>{symbol} Transactions</p>
+                <label id="matching-method">
+                    Matching method
+                    <select value={matchingMethod} onChange={(e) => onMatchingMethodChange(e.target.value)}>
+                        {MATCHING_METHODS.map((method) => (
+                            <option key={method} value={method}>{method}</option>
+                        ))}
+                    </select>
+                </label>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Type</th>
+                            <th>Details</th>
+                            <th>Realized</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {transactions.length === 0 && (
+                            <tr>
+                                <td colSpan={5}>No transactions recorded yet.</td>
+                            </tr>
+                        )}
+                        {transactions.map((transaction) => (
+                            <tr key={transaction.id} data-type={transaction.type}>
+                                <td>{transaction.date}</td>
+                                <td>{transaction.type}</td>
+                                <td>{describeTransaction(transaction)}</td>
+                                <td className={`position-gain ${getPriceChangeClass(sales[transaction.id] && sales[transaction.id].gain)}`}>
+                                    {sales[transaction.id] ? formatGain(sales[transaction.id].gain, null) : ''}
+                                </td>
+                                <td>
+                                    <button data-button-text="remove" onClick={() => handleRemoveClick(transaction.id)}></button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {suggestions.length > 0 && (
+                    <ul id="ledger-suggestions">
+                        {suggestions.map((suggestion) => (
+                            <li key={`${suggestion.type}:${suggestion.date}`}>
+                                <span>{suggestion.date} {suggestion.type}: {describeTransaction(suggestion)}</span>
+                                <button data-button-text="record" onClick={() => handleSuggestionClick(suggestion)}></button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                <div id="transaction-fields">
+                    <select name="type" value={transactionInput.type} onChange={handleFieldChange}>
+                        {TRANSACTION_TYPES.map((type) => (
+                            <option key={type} value={type}>{type}</option>
+                        ))}
+                    </select>
+                    <input name="date" type="date" value={transactionInput.date} onChange={handleFieldChange} />
+                    {isTrade && (
+                        <>
+                            <input name="shares" type="number" min="0" step="any" placeholder="Shares"
+                                   value={transactionInput.shares} onChange={handleFieldChange} />
+                            <input name="price" type="number" min="0" step="any" placeholder="Price"
+                                   value={transactionInput.price} onChange={handleFieldChange} />
+                            <input name="fees" type="number" min="0" step="any" placeholder="Fees"
+                                   value={transactionInput.fees} onChange={handleFieldChange} />
+                        </>
+                    )}
+                    {(transactionInput.type === 'dividend' || transactionInput.type === 'fee') && (
+                        <input name="amount" type="number" min="0" step="any" placeholder="Amount"
+                               value={transactionInput.amount} onChange={handleFieldChange} />
+                    )}
+                    {transactionInput.type === 'split' && (
+                        <input name="ratio" type="number" min="0" step="any" placeholder="New shares per share"
+                               value={transactionInput.ratio} onChange={handleFieldChange} />
+                    )}
+                </div>
+                <div id="button-group">
+                    <button data-button-text="record" onClick={handleSubmit}></button>
+                    <button data-button-text="done" onClick={onClose}></button>
+                </div>
+            </section>
+        </dialog>
+    );
+}
+
+
+
+
+
+/**
+ * Component for importing transactions or holdings from a CSV file, such as a broker statement.
+ * The rows are previewed with the reason any of them cannot be read, and the import only goes ahead when the
+ * resulting journals add up.
+ * @param {object} props - Component properties.
+ * @param {object} props.ledger - The current transactions keyed by stock symbol.
+ * @param {function} props.onImport - Function to replace the ledger with the imported one.
+ * @param {function} props.onClose - Function to close the dialog.
+ */
+function ImportDialog(props) {
+    const { ledger, onImport, onClose } = props;
+    const [kind, setKind] = useState('transactions'); // One of IMPORT_KINDS
+    const [mode, setMode] = useState('merge'); // One of IMPORT_MODES
+    const [file, setFile] = useState(null); // Name and contents of the chosen file
+
+    // Rows of the file as read for the chosen kind, or the reason the file cannot be read
+    const preview = useMemo(function () {
+        if (!file) return null;
+
+        try {
+            return parseImportFile(file.text, kind, new Date().toISOString().slice(0, 10));
+        } catch (error) {
+            return { columns: [], rows: [], error: error.message };
+        }
+    }, [file, kind]);
+
+    // Journals the import would leave, or the reason they would not add up
+    const outcome = useMemo(function () {
+        if (!preview || preview.error) return null;
+
+        try {
+            return mergeImportedTransactions(ledger, preview.rows, mode);
+        } catch (error) {
+            return { error: error.message };
+        }
+    }, [ledger, preview, mode]);
+
+    const validCount = preview ? preview.rows.filter((row) => row.transaction).length : 0;
+
+    // Read the chosen file
+    function handleFileChange(e) {
+        const chosen = e.target.files[0];
+
+        if (!chosen) return;
+        readFileText(chosen)
+            .then((text) => setFile({ name: chosen.name, text }))
+            .catch((error) => alert(error.message));
+    }
+
+    // Hand the new journals over, asking first when the recorded transactions are about to be replaced
+    function handleImport() {
+        if (mode === 'replace' && !window.confirm('Replace every recorded transaction with the rows of this file?')) return;
+
+        onImport(outcome.ledger);
+        onClose();
+    }
+
+    return (
+        <dialog id="import-dialog" className="modal open">
+            <section>
+                <button className="button-close" onClick={onClose}></button>
+                <p>Import CSV</p>
+                <div id="import-options">
+                    <label>
+                        File contains
+                        <select value={kind} onChange={(e) => setKind(e.target.value)}>
+                            {IMPORT_KINDS.map((name) => (
+                                <option key={name} value={name}>{IMPORT_KIND_LABELS[name]}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label>
+                        Recorded transactions
+                        <select value={mode} onChange={(e) => setMode(e.target.value)}>
+                            {IMPORT_MODES.map((name) => (
+                                <option key={name} value={name}>{IMPORT_MODE_LABELS[name]}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <input type="file" accept=".csv,text/csv" aria-label="CSV file" onChange={handleFileChange} />
+                </div>
+                {preview && preview.error && <p className="error-message">{preview.error}</p>}
+                {preview && !preview.error && (
+                    <>
+                        <p id="import-summary">
+                            {validCount} of {preview.rows.length} rows can be imported
+                            {outcome && !outcome.error && `: ${outcome.added} new, ${outcome.duplicates} already recorded`}.
+                            {validCount < preview.rows.length && ' Rows with errors are skipped.'}
+                        </p>
+                        {outcome && outcome.error && <p className="error-message">{outcome.error}</p>}
+                        <div className="import-scroll">
+                            <table id="import-preview">
+                                <thead>
+                                    <tr>
+                                        <th>Line</th>
+                                        <th>Symbol</th>
+                                        <th>Date</th>
+                                        <th>Type</th>
+                                        <th>Details</th>
+                                        <th>Status</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {preview.rows.slice(0, MAX_IMPORT_PREVIEW_ROWS).map((row) => (
+                                        <tr key={row.line} className={row.error ? 'invalid' : ''}>
+                                            <td>{row.line}</td>
+                                            <td>{row.symbol}</td>
+                                            <td>{row.transaction && row.transaction.date}</td>
+                                            <td>{row.transaction && row.transaction.type}</td>
+                                            <td>{row.transaction && describeTransaction(row.transaction)}</td>
+                                            <td>{row.error || 'OK'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        {preview.rows.length > MAX_IMPORT_PREVIEW_ROWS && (
+                            <p>Showing the first {MAX_IMPORT_PREVIEW_ROWS} of {preview.rows.length} rows.</p>
+                        )}
+                    </>
+                )}
+                <div id="button-group">
+                    <button
+                        data-button-text="import"
+                        disabled={!outcome || Boolean(outcome.error) || outcome.added === 0}
+                        onClick={handleImport}
+                    ></button>
+                    <button data-button-text="cancel" onClick={onClose}></button>
+                </div>
+            </section>
+        </dialog>
+    );
+}
+
+
+
+
+
+/**
+ * Component for editing the alert rules of a stock.
+ * @param {object} props - Component properties.
+ * @param {string} props.symbol - The stock symbol the rules watch.
+ * @param {Array<object>} props.rules - The stock's alert rules.
+ * @param {function} props.onAddRule - Function to add a rule from form input; throws on invalid input.
+ * @param {function} props.onToggleRule - Function to enable or disable a rule by id.
+ * @param {function} props.onRemoveRule - Function to remove a rule by id.
+ * @param {function} props.onClose - Function to close the dialog.
+ */
+function AlertsDialog(props) {
+    const { symbol, rules, onAddRule, onToggleRule, onRemoveRule, onClose } = props;
+    const [ruleInput, setRuleInput] = useState({ condition: 'priceAbove', value: '' });
+
+    // Handle changes in any of the rule fields
+    function handleFieldChange(e) {
+        const { name, value } = e.target;
+        setRuleInput((prev) => ({ ...prev, [name]: value }));
+    }
+
+    // Add the rule and reset the threshold
+    function handleSubmit() {
+        try {
+            onAddRule(ruleInput);
+            setRuleInput((prev) => ({ ...prev, value: '' }));
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    return (
+        <dialog id="alerts-dialog" className="modal open">
+            <section>
+                <button className="button-close" onClick={onClose}></button>
+                <p>{symbol} Alerts</p>
+                <ul id="alert-rules">
+                    {rules.length === 0 && <li>No alerts set yet.</li>}
+                    {rules.map((rule) => (
+                        <li key={rule.id} className={rule.enabled ? '' : 'disabled'}>
+                            <span>{describeAlertRule(rule)}</span>
+                            <button
+                                data-button-text={rule.enabled ? 'pause' : 'resume'}
+                                onClick={() => onToggleRule(rule.id)}
+                            ></button>
+                            <button data-button-text="remove" onClick={() => onRemoveRule(rule.id)}></button>
+                        </li>
+                    ))}
+                </ul>
+                <div id="alert-fields">
+                    <select name="condition" value={ruleInput.condition} onChange={handleFieldChange}>
+                        {ALERT_CONDITIONS.map((condition) => (
+                            <option key={condition} value={condition}>{ALERT_CONDITION_LABELS[condition]}</option>
+                        ))}
+                    </select>
+                    {alertNeedsValue(ruleInput.condition) && (
+                        <input name="value" type="number" min="0" step="any" placeholder="Threshold"
+                               value={ruleInput.value} onChange={handleFieldChange} />
+                    )}
+                </div>
+                <div id="button-group">
+                    <button data-button-text="add" onClick={handleSubmit}></button>
+                    <button data-button-text="done" onClick={onClose}></button>
+                </div>
+            </section>
+        </dialog>
+    );
+}
+
+
+
+
+
+/**
+ * Component listing the alerts that triggered, newest first.
+ * Also offers to turn on browser notifications while the browser has not been told yet.
+ * @param {object} props - Component properties.
+ * @param {Array<object>} props.history - Triggered alerts, newest first.
+ * @param {function} props.onClearHistory - Function to clear the history.
+ * @param {function} props.onClose - Function to close the dialog.
+ */
+function AlertCenter(props) {
+    const { history, onClearHistory, onClose } = props;
+    const [permission, setPermission] = useState(getNotificationPermission);
+
+    // Ask for permission to show browser notifications
+    function handleEnableNotifications() {
+        Promise.resolve(Notification.requestPermission()).then(setPermission, () => setPermission('denied'));
+    }
+
+    return (
+        <dialog id="alert-center" className="modal open">
+            <section>
+                <button className="button-close" onClick={onClose}></button>
+                <p>Alerts</p>
+                {permission === 'default' && (
+                    <button id="enable-notifications" onClick={handleEnableNotifications}>
+                        Enable browser notifications
+                    </button>
+                )}
+                <ul id="alert-history">
+                    {history.length === 0 && <li>No alerts have triggered yet.</li>}
+                    {history.map((event) => (
+                        <li key={event.id} className={event.read ? '' : 'unread'}>
+                            <span>{event.message}</span>
+                            <time dateTime={new Date(event.triggeredAt).toISOString()}>
+                                {new Date(event.triggeredAt).toLocaleString()}
+                            </time>
+                        </li>
+                    ))}
+                </ul>
+                <div id="button-group">
+                    <button data-button-text="clear" onClick={onClearHistory} disabled={history.length === 0}></button>
+                    <button data-button-text="done" onClick={onClose}></button>
+                </div>
+            </section>
+        </dialog>
+    );
+}
+
+
+
+
+
+/**
+ * Component for charting a custom date range at a chosen or automatic interval.
+ * @param {object} props - Component properties.
+ * @param {string|object} props.timeFrame - Selected time frame, or the custom range shown.
+ * @param {Array<object>} props.bars - Bars on the chart, whose dates fill the fields until a range is picked.
+ * @param {function} props.onApply - Function to chart a range (see timeRange.js).
+ */
+function TimeRangeControls(props) {
+    const { timeFrame, bars, onApply } = props;
+    const custom = isTimeRange(timeFrame);
+    const [range, setRange] = useState({ start: '', end: '', interval: 'auto' }); // Fields as entered
+
+    // Dates the fields show: the custom range, or else the first and last charted bars
+    const firstDate = custom ? timeFrame.start : (bars[0] || { date: '' }).date;
+    const lastDate = custom ? timeFrame.end : (bars[bars.length - 1] || { date: '' }).date;
+    const interval = custom ? timeFrame.interval : 'auto';
+
+    // Effect to show the charted dates whenever another time frame or range is picked
+    useEffect(() => {
+        setRange({ start: firstDate.slice(0, 10), end: lastDate.slice(0, 10), interval });
+    }, [firstDate, lastDate, interval]);
+
+    function handleSubmit(event) {
+        event.preventDefault();
+        try {
+            onApply(createTimeRange(range));
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    return (
+        <form id="time-range" className={custom ? 'active' : ''} onSubmit={handleSubmit}>
+            <label>
+                From
+                <input type="date" value={range.start} onChange={(e) => setRange({ ...range, start: e.target.value })} />
+            </label>
+            <label>
+                To
+                <input type="date" value={range.end} onChange={(e) => setRange({ ...range, end: e.target.value })} />
+            </label>
+            <label>
+                Interval
+                <select value={range.interval} onChange={(e) => setRange({ ...range, interval: e.target.value })}>
+                    {Object.keys(INTERVAL_LABELS).map((interval) => (
+                        <option key={interval} value={interval}>{INTERVAL_LABELS[interval]}</option>
+                    ))}
+                </select>
+            </label>
+            <button type="submit" data-button-text="apply"></button>
+        </form>
+    );
+}
+
+
+
+
+
+/**
+ * Component shading the span being dragged across the chart.
+ * @param {object} props - Component properties.
+ * @param {object} props.brush - Span dragged: { from, to } in pixels from the left of the canvas.
+ * @param {object} props.chart - The Chart.js instance, for the height of its plot area.
+ * @param {HTMLCanvasElement} props.canvas - The chart canvas.
+ */
+function ChartBrush(props) {
+    const { brush, chart, canvas } = props;
+
+    if (!chart || !canvas) return null;
+
+    return (
+        <div
+            className="chart-brush"
+            style={{
+                left: canvas.offsetLeft + Math.min(brush.from, brush.to),
+                width: Math.abs(brush.to - brush.from),
+                top: canvas.offsetTop + chart.chartArea.top,
+                height: chart.chartArea.bottom - chart.chartArea.top,
+            }}
+        ></div>
+    );
+}
+
+
+
+
+
+/**
+ * Component for choosing the chart type, the y-axis mode and whether extended hours are shaded.
+ * @param {object} props - Component properties.
+ * @param {object} props.chartMode - Chart type, y-axis mode and shading: { type, scale, shadeExtendedHours }.
+ * @param {boolean} props.intraday - Whether the chart shows intraday bars, which extended hours need.
+ * @param {function} props.onChange - Function to change the type, the scale or the shading.
+ */
+function ChartModeControls(props) {
+    const { chartMode, intraday, onChange } = props;
+
+    return (
+        <div id="chart-mode-controls">
+            <label>
+                Chart
+                <select value={chartMode.type} onChange={(e) => onChange({ type: e.target.value })}>
+                    {CHART_TYPES.map((type) => (
+                        <option key={type} value={type}>{CHART_TYPE_LABELS[type]}</option>
+                    ))}
+                </select>
+            </label>
+            <label>
+                Scale
+                <select value={chartMode.scale} onChange={(e) => onChange({ scale: e.target.value })}>
+                    {SCALE_MODES.map((scale) => (
+                        <option key={scale} value={scale}>{SCALE_MODE_LABELS[scale]}</option>
+                    ))}
+                </select>
+            </label>
+            <label
+                className={intraday ? '' : 'unavailable'}
+                title={intraday ? undefined : 'Extended hours are shaded on intraday charts only'}
+            >
+                <input
+                    type="checkbox"
+                    checked={chartMode.shadeExtendedHours}
+                    onChange={(e) => onChange({ shadeExtendedHours: e.target.checked })}
+                />
+                Shade extended hours
+            </label>
+        </div>
+    );
+}
+
+
+
+
+
+/**
+ * Component for turning chart indicators on and off and setting their periods.
+ * @param {object} props - Component properties.
+ * @param {object} props.settings - Indicator settings (see indicators.js).
+ * @param {boolean} props.intraday - Whether the chart shows intraday bars, which VWAP needs.
+ * @param {function} props.onChange - Function to change one indicator: (name, changes).
+ */
+function IndicatorControls(props) {
+    const { settings, intraday, onChange } = props;
+
+    // Apply a parameter once it is a valid number, so the field can be cleared while typing
+    function handleParameterChange(name, key, value) {
+        const normalized = normalizeIndicatorSettings({ [name]: { ...settings[name], [key]: value } })[name];
+        if (normalized[key] === Number(value)) onChange(name, { [key]: normalized[key] });
+    }
+
+    return (
+        <ul id="indicator-controls">
+            {Object.keys(INDICATOR_LABELS).map((name) => (
+                <li key={name} className={name === 'vwap' && !intraday ? 'unavailable' : ''}>
+                    <label title={name === 'vwap' && !intraday ? 'VWAP is shown on intraday charts only' : undefined}>
+                        <input
+                            type="checkbox"
+                            checked={settings[name].enabled}
+                            onChange={(e) => onChange(name, { enabled: e.target.checked })}
+                        />
+                        {INDICATOR_LABELS[name]}
+                    </label>
+                    {settings[name].enabled && Object.keys(settings[name]).filter((key) => key !== 'enabled').map((key) => (
+                        <input
+                            key={key}
+                            type="number"
+                            min="1"
+                            step={key === 'multiplier' ? '0.1' : '1'}
+                            title={key}
+                            aria-label={`${INDICATOR_LABELS[name]} ${key}`}
+                            defaultValue={settings[name][key]}
+                            onChange={(e) => handleParameterChange(name, key, e.target.value)}
+                        />
+                    ))}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+
+
+
+
+/**
+ * Component showing the state of the API request queue and the last data loading error.
+ * Counts down while calls wait for the rate limit to clear.
+ * @param {object} props - Component properties.
+ * @param {object} props.status - Scheduler status: { state, resumeAt, queued, callsToday, callsPerDay, callsPerMinute }.
+ * @param {string|null} props.errorMessage - Last error reported, or the error of a failed load.
+ * @param {function} props.onDismissError - Function to dismiss the error.
+ */
+function ApiStatusBar(props) {
+    const { status, errorMessage, onDismissError } = props;
+
+    const [, setTick] = useState(0);
+
+    // Re-render every second while a countdown is shown
+    useEffect(() => {
+        if (!status.resumeAt) return undefined;
+
+        const intervalId = setInterval(() => setTick((tick) => tick + 1), 1000);
+        return () => clearInterval(intervalId);
+    }, [status.resumeAt]);
+
+    const seconds = status.resumeAt ? Math.max(Math.ceil((status.resumeAt - Date.now()) / 1000), 0) : 0;
+    const pending = `${status.queued} request${status.queued === 1 ? '' : 's'} waiting`;
+    let message = null;
+
+    switch (status.state) {
+        case 'throttled':
+            message = `Rate limited by the data provider, retrying in ${seconds}s (${pending}).`;
+            break;
+        case 'queued':
+            message = `API budget of ${status.callsPerMinute} calls per minute reached, resuming in ${seconds}s (${pending}).`;
+            break;
+        case 'exhausted':
+            message = `Daily API budget of ${status.callsPerDay} calls is used up. Cached data is still available.`;
+            break;
+        default:
+            break;
+    }
+
+    if (!message && !errorMessage) return null;
+
+    return (
+        <div id="api-status" className={status.state}>
+            {message && <p>{message}</p>}
+            {errorMessage && (
+                <p className="error-message">
+                    {errorMessage}
+                    <button data-button-text="dismiss" onClick={onDismissError}></button>
+                </p>
+            )}
+        </div>
+    );
+}
+
+
+
+
+
+/**
+ * Component telling the user the data on screen came from the cache, and how old it is.
+ * @param {object} props - Component properties.
+ * @param {object} [props.status] - Cache status: { fromCache, stale, cachedAt }.
+ */
+function CacheStatus(props) {
+    const { status } = props;
+
+    if (!status || !status.fromCache) return null;
+
+    return (
+        <p className={`cache-status ${status.stale ? 'stale' : ''}`}>
+            {status.stale ? 'Showing expired cached data' : 'Showing cached data'} from {formatAge(Date.now() - status.cachedAt)}
+        </p>
+    );
+}
+
+
+
+
+
+/**
+ * Component representing the detailed view of a selected stock.
+ * @param {object} props - Component properties.
+ * @param {object} props.stockDetails - Detailed information about the selected stock.
+ * @param {string|object} props.timeFrame - The currently selected time frame, or a custom range (see timeRange.js).
+ * @param {function} props.handleTimeFrameClick - Function to select a time frame or a custom range.
+ * @param {boolean} props.isLoading - Loading state for data fetching.
+ * @param {object|null} props.position - Position summary computed from the stock's open lots.
+ * @param {object} [props.replay] - Ledger replay result of the stock.
+ * @param {function} props.onEditLedger - Function to edit the stock's transactions.
+ * @param {function} props.onEditAlerts - Function to edit the stock's alert rules.
+ * @param {function} props.onCompare - Function to compare the stock with the benchmark.
+ * @param {object} props.indicatorSettings - Chart indicator settings (see indicators.js).
+ * @param {function} props.onIndicatorChange - Function to change the settings of one indicator.
+ * @param {object} props.chartMode - Chart type and y-axis mode: { type, scale } (see chartModes.js).
+ * @param {function} props.onChartModeChange - Function to change the chart type or y-axis mode.
+ */
+function StockDetails(props) {
+    const {
+        stockDetails,
+        timeFrame,
+        handleTimeFrameClick,
+        isLoading,
+        position,
+        replay,
+        onEditLedger,
+        onEditAlerts,
+        onCompare,
+        indicatorSettings,
+        onIndicatorChange,
+        chartMode,
+        onChartModeChange,
+    } = props;
+
+    const [brush, setBrush] = useState(null); // Span being dragged across the chart: { from, to } in pixels
+    const [earnings, setEarnings] = useState(null); // { history, nextReport } of the stock, or null while loading
+    const chartRef = useRef(null);
+    const canvasRef = useRef(null);
+    const additionalStatsRef = useRef([]);
+    const symbol = stockDetails ? stockDetails.symbol : null;
+
+    // Load the earnings of the open stock apart from its data, which the grid shares
+    useAbortableLoad(function (signal) {
+        if (!symbol) return null;
+
+        setEarnings(null);
+        return fetchEarnings(dataProvider, requestCache, symbol, signal);
+    }, setEarnings, () => setEarnings({ history: [], nextReport: null }), symbol);
+
+    // Effect to render the chart when stockDetails, its earnings, the indicators or the chart mode change
+    useEffect(() => {
+        if (stockDetails && stockDetails.bars) {
+            const earningsHistory = earnings ? earnings.history : [];
+            renderChart(
+                stockDetails, earningsHistory, canvasRef, chartRef, additionalStatsRef, indicatorSettings, chartMode
+            );
+        }
+
+        return () => {
+            if (chartRef.current) {
+                chartRef.current.destroy();
+                chartRef.current = null;
+            }
+        };
+    }, [stockDetails, earnings, indicatorSettings, chartMode]);
+
+    const hasPanels = ['volume', 'rsi', 'macd'].some((name) => indicatorSettings[name].enabled);
+    const nextReport = earnings && earnings.nextReport;
+
+    // Zoom into the span dragged across the chart
+    function handleBrushEnd() {
+        const range = brush && selectChartRange(chartRef.current, brush, isIntraday(stockDetails.bars || []));
+
+        setBrush(null);
+        if (range) handleTimeFrameClick(range);
+    }
+
+    return (
+        <section id="stock-details">
+            {isLoading ? (
+                <div>Loading...</div>
+            ) : (
+                <>
+                    <div className="stock-header">
+                        <span className="stock-symbol">{stockDetails && stockDetails.symbol}</span>
+                        <span className="stock-name">{stockDetails && stockDetails.name}</span>
+                    </div>
+                    <div className="stock-price-change">
+                        <span className="current-price">{formatPrice(stockDetails.price)}</span>
+                        <span className={`price-change ${getPriceChangeClass(stockDetails.changePercent)}`}>
+              {formatChangePercent(stockDetails.changePercent)}
+            </span>
+                    </div>
+                    <CacheStatus status={stockDetails.cacheStatus} />
+                    <EarningsCallout earningsDate={nextReport ? nextReport.reportDate : null} />
+                    <div className="stock-position">
+                        <PositionSummary position={position} replay={replay} />
+                        <button data-button-text="transactions" onClick={onEditLedger}></button>
+                        <button data-button-text="alerts" onClick={onEditAlerts}></button>
+                        <button data-button-text="compare" onClick={onCompare}></button>
+                        <button
+                            data-button-text="export csv"
+                            disabled={!stockDetails.bars}
+                            onClick={() => downloadCsv(`${stockDetails.symbol}-${describeTimeFrame(timeFrame)}`, barsToCsv(stockDetails.bars))}
+                        ></button>
+                    </div>
+                    <ul id="time-options">
+                        {TIME_FRAMES.map((period) => (
+                            <li
+                                key={period}
+                                data-period={period}
+                                className={timeFrame === period ? 'active' : ''}
+                                onClick={() => handleTimeFrameClick(period)}
+                            ></li>
+                        ))}
+                    </ul>
+                    <TimeRangeControls timeFrame={timeFrame} bars={stockDetails.bars || []} onApply={handleTimeFrameClick} />
+                    <ChartModeControls
+                        chartMode={chartMode}
+                        intraday={isIntraday(stockDetails.bars || [])}
+                        onChange={onChartModeChange}
+                    />
+                    <IndicatorControls
+                        settings={indicatorSettings}
+                        intraday={isIntraday(stockDetails.bars || [])}
+                        onChange={onIndicatorChange}
+                    />
+                    <div
+                        id="chart-container"
+                        className={hasPanels ? 'zoomable with-panels' : 'zoomable'}
+                        title="Drag across the chart to zoom in"
+                    >
+                        <canvas
+                            ref={canvasRef}
+                            onMouseDown={(e) => setBrush({ from: e.nativeEvent.offsetX, to: e.nativeEvent.offsetX })}
+                            onMouseMove={(e) => { if (brush) setBrush({ ...brush, to: e.nativeEvent.offsetX }); }}
+                            onMouseUp={handleBrushEnd}
+                            onMouseLeave={() => setBrush(null)}
+                        ></canvas>
+                        {brush && <ChartBrush brush={brush} chart={chartRef.current} canvas={canvasRef.current} />}
+                    </div>
+                    <FundamentalsTabs stockDetails={stockDetails} earnings={earnings} />
+                </>
+            )}
+        </section>
+    );
+}
+
+
+
+
+
+/**
+ * Component representing the comparison view, which overlays several symbols normalized to percent return.
+ * @param {object} props - Component properties.
+ * @param {Array<string>} props.symbols - Symbols to compare.
+ * @param {object|null} props.comparison - Bars and load errors of the compared symbols (see fetchComparisonData).
+ * @param {boolean} props.isLoading - Whether the bars are being loaded for the symbols or time frame.
+ * @param {string} props.timeFrame - Selected time frame.
+ * @param {function} props.handleTimeFrameClick - Function to handle time frame selection.
+ * @param {function} props.onSymbolsChange - Function to change the compared symbols.
+ */
+function ComparisonView(props) {
+    const { symbols, comparison, isLoading, timeFrame, handleTimeFrameClick, onSymbolsChange } = props;
+    const [symbolInput, setSymbolInput] = useState('');
+
+    const chartRef = useRef(null);
+    const canvasRef = useRef(null);
+
+    // Effect to render the chart when new bars arrive
+    useEffect(() => {
+        if (comparison) renderComparisonChart(comparison, canvasRef, chartRef);
+
+        return () => {
+            if (chartRef.current) {
+                chartRef.current.destroy();
+                chartRef.current = null;
+            }
+        };
+    }, [comparison]);
+
+    // Add a symbol unless the comparison is full
+    function handleAddSymbol(symbol) {
+        try {
+            onSymbolsChange(addComparisonSymbol(symbols, symbol));
+            setSymbolInput('');
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    return (
+        <section id="stock-details" className="comparison">
+            <ul id="comparison-symbols">
+                {symbols.map((symbol, index) => (
+                    <li key={symbol} style={{ borderColor: SERIES_COLORS[index % SERIES_COLORS.length] }}>
+                        {symbol}
+                        <button
+                            onClick={() => onSymbolsChange(symbols.filter((item) => item !== symbol))}
+                            disabled={symbols.length <= 1}
+                            aria-label={`Remove ${symbol}`}
+                        >
+                            &times;
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            <form
+                id="comparison-add"
+                onSubmit={(event) => {
+                    event.preventDefault();
+                    handleAddSymbol(symbolInput);
+                }}
+            >
+                <input
+                    type="text"
+                    placeholder="Add symbol"
+                    value={symbolInput}
+                    maxLength={MAX_STOCK_SYMBOL_LENGTH}
+                    onChange={(event) => setSymbolInput(event.target.value)}
+                />
+                <button type="submit" data-button-text="add"></button>
+                {!symbols.includes(BENCHMARK_SYMBOL) && (
+                    <button type="button" onClick={() => handleAddSymbol(BENCHMARK_SYMBOL)}>
+                        + {BENCHMARK_SYMBOL}
+                    </button>
+                )}
+            </form>
+            {comparison && comparison.errors.map((error) => (
+                <p key={error.symbol} className="error-message">{error.message}</p>
+            ))}
+            <ul id="time-options">
+                {TIME_FRAMES.map((period) => (
+                    <li
+                        key={period}
+                        data-period={period}
+                        className={timeFrame === period ? 'active' : ''}
+                        onClick={() => handleTimeFrameClick(period)}
+                    ></li>
+                ))}
+            </ul>
+            {isLoading && <div>Loading...</div>}
+            <div id="chart-container">
+                <canvas ref={canvasRef}></canvas>
+            </div>
+        </section>
+    );
+}
+
+
+
+
+
+/**
+ * Component representing the portfolio details: the daily value of every holding together, its returns and risk,
+ * and a benchmark to measure them against.
+ * @param {object} props - Component properties.
+ * @param {object} props.ledger - Transactions keyed by stock symbol.
+ */
+function PortfolioView(props) {
+    const { ledger } = props;
+    const [timeFrame, setTimeFrame] = useState('1Y');
+    const [benchmark, setBenchmark] = useState(BENCHMARK_SYMBOL); // Index symbol the returns are compared with
+    const [benchmarkInput, setBenchmarkInput] = useState(BENCHMARK_SYMBOL);
+    const [histories, setHistories] = useState(null); // Daily bars and load errors of the held symbols and the benchmark
+    const [isLoading, setIsLoading] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+
+    const chartRef = useRef(null);
+    const canvasRef = useRef(null);
+
+    // Symbols traded and the benchmark
+    const symbolsKey = Array.from(
+        new Set(Object.keys(ledger).filter((symbol) => ledger[symbol].length > 0).concat(benchmark))
+    ).join(',');
+
+    // Load the daily history of every symbol
+    useAbortableLoad(function (signal) {
+        const symbols = symbolsKey.split(',');
+
+        setIsLoading(true);
+        setLoadError(null);
+        return fetchHistories(dataProvider, requestCache, symbols, getTimeFrameParams('1M').resolution, signal);
+    }, function (data) {
+        setHistories(data);
+        setIsLoading(false);
+    }, function (error) {
+        setLoadError(error.message);
+        setIsLoading(false);
+    }, symbolsKey);
+
+    // Value series and performance of the chosen time frame
+    const report = useMemo(() => {
+        if (!histories) return null;
+
+        const series = getChartBars(buildPortfolioSeries(ledger, histories.historyBySymbol), timeFrame);
+        const benchmarkHistory = histories.historyBySymbol[benchmark];
+        const benchmarkReturns = benchmarkHistory ? rebaseOnDates(series.map((point) => point.date), benchmarkHistory) : null;
+
+        return {
+            ...getTimeFrameParams(timeFrame),
+            series,
+            performance: analyzePerformance(series),
+            benchmark,
+            benchmarkReturns,
+            benchmarkReturn: benchmarkReturns ? benchmarkReturns[benchmarkReturns.length - 1] : null,
+        };
+    }, [ledger, histories, timeFrame, benchmark]);
+
+    // Effect to render the chart when the report changes
+    useEffect(() => {
+        if (report && report.series.length > 0) renderPortfolioChart(report, canvasRef, chartRef);
+
+        return () => {
+            if (chartRef.current) {
+                chartRef.current.destroy();
+                chartRef.current = null;
+            }
+        };
+    }, [report]);
+
+    const performance = report && report.performance;
+    const lastPoint = report && report.series[report.series.length - 1];
+
+    return (
+        <section id="stock-details" className="portfolio">
+            <form
+                id="benchmark-form"
+                onSubmit={(event) => {
+                    event.preventDefault();
+                    if (benchmarkInput.trim()) setBenchmark(benchmarkInput.trim().toUpperCase());
+                }}
+            >
+                <label>
+                    Benchmark
+                    <input
+                        type="text"
+                        value={benchmarkInput}
+                        maxLength={MAX_STOCK_SYMBOL_LENGTH}
+                        onChange={(event) => setBenchmarkInput(event.target.value)}
+                    />
+                </label>
+                <button type="submit" data-button-text="apply"></button>
+            </form>
+            {histories && histories.errors.map((error) => (
+                <p key={error.symbol} className="error-message">{error.message}</p>
+            ))}
+            {loadError && <p className="error-message">{loadError}</p>}
+            <ul id="time-options">
+                {PORTFOLIO_TIME_FRAMES.map((period) => (
+                    <li
+                        key={period}
+                        data-period={period}
+                        className={timeFrame === period ? 'active' : ''}
+                        onClick={() => setTimeFrame(period)}
+                    ></li>
+                ))}
+            </ul>
+            {isLoading && <div>Loading...</div>}
+            {report && report.series.length === 0 && !isLoading && (
+                <p>No holdings in this time frame. Record transactions to follow the portfolio's performance.</p>
+            )}
+            <div id="chart-container">
+                <canvas ref={canvasRef}></canvas>
+            </div>
+            <ul className="stock-stats">
+                {renderStat('Portfolio Value', formatPrice(lastPoint ? lastPoint.value : null))}
+                {renderStat('Time-Weighted Return', formatReturn(performance && performance.timeWeightedReturn))}
+                {renderStat('Money-Weighted Return (IRR)', formatReturn(performance && performance.moneyWeightedReturn))}
+                {renderStat(`${benchmark} Return`, formatReturn(report && report.benchmarkReturn))}
+                {renderStat('Max Drawdown', formatReturn(performance && performance.maxDrawdown))}
+                {renderStat(
+                    'Volatility (Annualized)',
+                    performance && performance.volatility !== null ? `${formatNumber(performance.volatility, 2)}%` : null
+                )}
+            </ul>
+        </section>
+    );
+}
+
+
+
+
+
+/**
+ * Component representing the portfolio's dividend income: what the recorded dividends brought in per month or year,
+ * the yields of each holding and the income projected for the next 12 months.
+ * @param {object} props - Component properties.
+ * @param {object} props.ledger - Transactions keyed by stock symbol.
+ * @param {object} props.replays - Replayed journals keyed by stock symbol (see replayAllLedgers).
+ */
+function DividendView(props) {
+    const { ledger, replays } = props;
+    const [period, setPeriod] = useState('month'); // One of INCOME_PERIODS
+    const [histories, setHistories] = useState(null); // Daily bars and load errors of the held symbols
+    const [loadError, setLoadError] = useState(null);
+
+    const chartRef = useRef(null);
+    const canvasRef = useRef(null);
+
+    // Symbols held today
+    const symbolsKey = Object.keys(replays).filter((symbol) => replays[symbol].shares > 0).sort().join(',');
+
+    // Load the daily history of every holding
+    useAbortableLoad(function (signal) {
+        const symbols = symbolsKey.split(',').filter(Boolean);
+
+        setHistories(null);
+        setLoadError(null);
+        return fetchHistories(dataProvider, requestCache, symbols, getTimeFrameParams('1M').resolution, signal);
+    }, setHistories, (error) => setLoadError(error.message), symbolsKey);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const received = useMemo(() => groupDividendIncome(ledger, period), [ledger, period]);
+    const holdings = useMemo(function () {
+        if (!histories) return [];
+
+        return Object.keys(histories.historyBySymbol).map(function (symbol) {
+            const history = histories.historyBySymbol[symbol];
+            const payments = listDividendPayments(history);
+            const price = history.length > 0 ? history[history.length - 1].close : null;
+
+            return {
+                symbol,
+                shares: replays[symbol].shares,
+                payments,
+                summary: summarizeDividends(payments, price, today),
+            };
+        });
+    }, [histories, replays, today]);
+    const projection = useMemo(() => projectDividendIncome(holdings, today), [holdings, today]);
+
+    const thisYear = today.slice(0, 4);
+    const receivedThisYear = groupDividendIncome(ledger, 'year').find((group) => group.key === thisYear);
+    const projectedTotal = projection.reduce((sum, month) => sum + month.total, 0);
+    const projectedBySymbol = {};
+    projection.forEach(function (month) {
+        month.payments.forEach((payment) => {
+            projectedBySymbol[payment.symbol] = (projectedBySymbol[payment.symbol] || 0) + payment.amount;
+        });
+    });
+
+    // Effect to render the income chart when the received income changes
+    useEffect(() => {
+        if (received.length > 0) renderIncomeChart(received, canvasRef, chartRef);
+
+        return () => {
+            if (chartRef.current) {
+                chartRef.current.destroy();
+                chartRef.current = null;
+            }
+        };
+    }, [received]);
+
+    return (
+        <section id="stock-details" className="dividends">
+            <ul className="stock-stats">
+                {renderStat(`Received in ${thisYear}`, formatPrice(receivedThisYear ? receivedThisYear.total : 0))}
+                {renderStat('Projected (Next 12 Months)', formatPrice(projectedTotal))}
+            </ul>
+            <div role="tablist" className="section-tabs">
+                {INCOME_PERIODS.map((name) => (
+                    <button
+                        key={name}
+                        role="tab"
+                        aria-selected={period === name}
+                        className={period === name ? 'active' : ''}
+                        onClick={() => setPeriod(name)}
+                    >
+                        {name === 'month' ? 'Monthly' : 'Yearly'}
+                    </button>
+                ))}
+            </div>
+            {received.length === 0 ? (
+                <p>
+                    No dividends recorded yet. Record them in the ledger of each holding to follow the income received.
+                </p>
+            ) : (
+                <div id="chart-container">
+                    <canvas ref={canvasRef}></canvas>
+                </div>
+            )}
+            {histories && histories.errors.map((error) => (
+                <p key={error.symbol} className="error-message">{error.message}</p>
+            ))}
+            {loadError && <p className="error-message">{loadError}</p>}
+            {!histories && !loadError && <div>Loading...</div>}
+            {holdings.length > 0 && (
+                <table className="dividend-table">
+                    <thead>
+                        <tr>
+                            <th>Symbol</th>
+                            <th>Shares</th>
+                            <th>Trailing Yield</th>
+                            <th>Forward Yield</th>
+                            <th>Growth (5Y CAGR)</th>
+                            <th>Projected Income</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {holdings.map((holding) => (
+                            <tr key={holding.symbol}>
+                                <td>{holding.symbol}</td>
+                                <td>{formatNumber(holding.shares, 2)}</td>
+                                <td>{formatYield(holding.summary.trailingYield)}</td>
+                                <td>{formatYield(holding.summary.forwardYield)}</td>
+                                <td>{formatReturn(holding.summary.growthRate)}</td>
+                                <td>{formatPrice(projectedBySymbol[holding.symbol] || 0)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            {histories && (
+                <>
+                    <h2>Projected Income Calendar</h2>
+                    <ol id="income-calendar">
+                        {projection.map((month) => (
+                            <li key={month.key} className={month.total > 0 ? 'paying' : ''}>
+                                <span className="income-month">{formatMonth(month.key)}</span>
+                                <span className="income-total">{formatPrice(month.total)}</span>
+                                {month.payments.map((payment) => (
+                                    <span key={`${payment.symbol}-${payment.date}`} className="income-payment">
+                                        {payment.symbol} {formatPrice(payment.amount)} ({payment.date.slice(5)})
+                                    </span>
+                                ))}
+                            </li>
+                        ))}
+                    </ol>
+                </>
+            )}
+        </section>
+    );
+}
+
+
+
+
+
+/**
+ * Component representing the allocation dashboard: the portfolio's weight by sector, industry, country, currency,
+ * asset type or market cap, with warnings when a holding or sector exceeds its concentration limit.
+ * @param {object} props - Component properties.
+ * @param {Array<object>} props.positions - Priced holdings: { symbol, marketValue }.
+ * @param {Array<string>} props.unpriced - Symbols held but without a quote, left out of the weights.
+ * @param {object} props.limits - Concentration limits: { holding, sector } in percent.
+ * @param {function} props.onLimitsChange - Function to change the concentration limits.
+ */
+function AllocationView(props) {
+    const { positions, unpriced, limits, onLimitsChange } = props;
+    const [fundamentals, setFundamentals] = useState({}); // Fundamentals keyed by stock symbol
+    const [dimension, setDimension] = useState('sector');
+    const [chartStyle, setChartStyle] = useState('donut'); // 'donut' or 'treemap'
+    const [isLoading, setIsLoading] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+
+    const chartRef = useRef(null);
+    const canvasRef = useRef(null);
+
+    // Symbols to look up
+    const symbolsKey = positions.map((position) => position.symbol).sort().join(',');
+
+    // Load the fundamentals of every holding
+    useAbortableLoad(function (signal) {
+        const symbols = symbolsKey.split(',').filter(Boolean);
+
+        setIsLoading(true);
+        setLoadError(null);
+        return Promise.all(symbols.map(async function (symbol) {
+            const { fundamentals: loaded } = await fetchStockOverview(dataProvider, requestCache, symbol, signal);
+            return [symbol, loaded];
+        }));
+    }, function (entries) {
+        setFundamentals(Object.fromEntries(entries));
+        setIsLoading(false);
+    }, function (error) {
+        setLoadError(error.message);
+        setIsLoading(false);
+    }, symbolsKey);
+
+    const holdings = useMemo(
+        () => weighHoldings(positions.map((position) => ({ ...position, fundamentals: fundamentals[position.symbol] }))),
+        [positions, fundamentals]
+    );
+    const groups = useMemo(() => groupAllocation(holdings, dimension), [holdings, dimension]);
+    const warnings = findConcentrations(holdings, limits);
+
+    // Effect to render the donut chart when the groups change
+    useEffect(() => {
+        if (chartStyle === 'donut' && groups.length > 0) renderAllocationChart(groups, canvasRef, chartRef);
+
+        return () => {
+            if (chartRef.current) {
+                chartRef.current.destroy();
+                chartRef.current = null;
+            }
+        };
+    }, [groups, chartStyle]);
+
+    // Apply a limit once it is a valid percentage, so the field can be cleared while typing
+    function handleLimitChange(name, value) {
+        const limit = Number(value);
+        if (value !== '' && limit > 0 && limit <= 100) onLimitsChange({ ...limits, [name]: limit });
+    }
+
+    return (
+        <section id="stock-details" className="allocation">
+            <div id="allocation-controls">
+                <div role="tablist" className="section-tabs">
+                    {ALLOCATION_DIMENSIONS.map((name) => (
+                        <button
+                            key={name}
+                            role="tab"
+                            aria-selected={dimension === name}
+                            className={dimension === name ? 'active' : ''}
+                            onClick={() => setDimension(name)}
+                        >
+                            {ALLOCATION_DIMENSION_LABELS[name]}
+                        </button>
+                    ))}
+                </div>
+                <label>
+                    Chart
+                    <select value={chartStyle} onChange={(e) => setChartStyle(e.target.value)}>
+                        <option value="donut">Donut</option>
+                        <option value="treemap">Treemap</option>
+                    </select>
+                </label>
+            </div>
+            <div id="concentration-limits">
+                <label>
+                    Max. holding %
+                    <input
+                        type="number"
+                        min="1"
+                        max="100"
+                        defaultValue={limits.holding}
+                        onChange={(e) => handleLimitChange('holding', e.target.value)}
+                    />
+                </label>
+                <label>
+                    Max. sector %
+                    <input
+                        type="number"
+                        min="1"
+                        max="100"
+                        defaultValue={limits.sector}
+                        onChange={(e) => handleLimitChange('sector', e.target.value)}
+                    />
+                </label>
+            </div>
+            {warnings.length > 0 && (
+                <ul id="concentration-warnings">
+                    {warnings.map((warning) => (
+                        <li key={`${warning.kind}-${warning.key}`} className="error-message">
+                            {warning.kind === 'holding' ? warning.key : `Sector ${warning.key}`} is{' '}
+                            {formatNumber(warning.weight, 1)}% of the portfolio, above the {warning.limit}% limit.
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {unpriced.length > 0 && (
+                <p className="cache-status">
+                    Left out without a quote: {unpriced.join(', ')}. Add them to a watchlist to include them.
+                </p>
+            )}
+            {isLoading && <div>Loading...</div>}
+            {loadError && <p className="error-message">{loadError}</p>}
+            {holdings.length === 0 ? (
+                <p>No priced holdings. Record transactions for stocks in your watchlists to see their allocation.</p>
+            ) : chartStyle === 'donut' ? (
+                <div id="chart-container">
+                    <canvas ref={canvasRef}></canvas>
+                </div>
+            ) : (
+                <div id="allocation-treemap">
+                    {layoutTreemap(groups, (group) => group.marketValue).map((tile, index) => (
+                        <div
+                            key={tile.item.key}
+                            className="treemap-tile"
+                            title={`${tile.item.key}: ${tile.item.symbols.join(', ')}`}
+                            style={{
+                                left: `${tile.x}%`,
+                                top: `${tile.y}%`,
+                                width: `${tile.width}%`,
+                                height: `${tile.height}%`,
+                                backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length],
+                            }}
+                        >
+                            <span>{tile.item.key}</span>
+                            <span>{formatNumber(tile.item.weight, 1)}%</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+            <table id="allocation-table">
+                <thead>
+                    <tr>
+                        <th>{ALLOCATION_DIMENSION_LABELS[dimension]}</th>
+                        <th>Weight</th>
+                        <th>Value</th>
+                        <th>Holdings</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {groups.map((group) => (
+                        <tr key={group.key}>
+                            <td>{group.key}</td>
+                            <td>{formatNumber(group.weight, 1)}%</td>
+                            <td>{formatPrice(group.marketValue)}</td>
+                            <td>{group.symbols.join(', ')}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </section>
+    );
+}
+
+
+
+
+
+/**
+ * Component representing the stock's statistics and company fundamentals, split into tabs.
+ * @param {object} props - Component properties.
+ * @param {object} props.stockDetails - Stock data as returned by fetchStockData.
+ * @param {object|null} props.earnings - Earnings of the stock as returned by fetchEarnings, or null while loading.
+ */
+function FundamentalsTabs(props) {
+    const { stockDetails, earnings } = props;
+    const [tab, setTab] = useState('summary');
+    const fundamentals = stockDetails.fundamentals || {};
+
+    return (
+        <div id="fundamentals">
+            <div role="tablist" className="section-tabs">
+                {FUNDAMENTALS_TABS.map((name) => (
+                    <button
+                        key={name}
+                        role="tab"
+                        aria-selected={tab === name}
+                        className={tab === name ? 'active' : ''}
+                        onClick={() => setTab(name)}
+                    >
+                        {FUNDAMENTALS_TAB_LABELS[name]}
+                    </button>
+                ))}
+            </div>
+            {tab === 'profile' && fundamentals.description && (
+                <p className="company-description">{fundamentals.description}</p>
+            )}
+            {tab === 'dividend' ? (
+                <DividendHistory stockDetails={stockDetails} />
+            ) : tab === 'earnings' ? (
+                earnings ? <EarningsHistory history={earnings.history} /> : <div role="tabpanel">Loading...</div>
+            ) : tab === 'financials' ? (
+                <FinancialStatements symbol={stockDetails.symbol} />
+            ) : (
+                <ul className="stock-stats" role="tabpanel">
+                    {tab === 'summary' && (
+                        <>
+                            {renderStat('Previous Close', formatPrice(stockDetails.previousClose))}
+                            {renderStat('Open', formatPrice(stockDetails.openPrice))}
+                            {renderStat("Day's Range", formatRange(stockDetails.dayLow, stockDetails.dayHigh))}
+                            {renderStat('52 Week Range', formatRange(stockDetails.weekLow, stockDetails.weekHigh))}
+                            {renderStat('Volume', formatNumber(stockDetails.volume))}
+                            {renderStat('Avg. Volume', formatNumber(stockDetails.avgVolume))}
+                            {renderStat('Market Cap (intraday)', formatMarketCap(stockDetails.marketCap))}
+                            {renderStat('Beta (5Y Monthly)', formatNumber(stockDetails.beta, 2))}
+                            {renderStat('PE Ratio (TTM)', formatNumber(stockDetails.peRatio, 2))}
+                            {renderStat('EPS (TTM)', formatPrice(stockDetails.eps))}
+                            {renderStat('1y Target Est.', formatPrice(stockDetails.targetEst))}
+                            {renderStat('Forward Dividend & Yield', formatDividendAndYield(fundamentals))}
+                        </>
+                    )}
+                    {tab === 'profile' && (
+                        <>
+                            {renderStat('Exchange', fundamentals.exchange)}
+                            {renderStat('Asset Type', fundamentals.assetType)}
+                            {renderStat('Sector', fundamentals.sector)}
+                            {renderStat('Industry', fundamentals.industry)}
+                            {renderStat('Country', fundamentals.country)}
+                            {renderStat('Currency', fundamentals.currency)}
+                            {renderStat('Fiscal Year End', fundamentals.fiscalYearEnd)}
+                            {renderStat('Website', renderWebsiteLink(fundamentals.website))}
+                        </>
+                    )}
+                    {tab === 'valuation' && (
+                        <>
+                            {renderStat('Forward PE', formatNumber(fundamentals.forwardPE, 2))}
+                            {renderStat('PEG Ratio', formatNumber(fundamentals.pegRatio, 2))}
+                            {renderStat('Price/Book', formatNumber(fundamentals.priceToBook, 2))}
+                            {renderStat('Price/Sales (TTM)', formatNumber(fundamentals.priceToSales, 2))}
+                            {renderStat('EV/EBITDA', formatNumber(fundamentals.evToEbitda, 2))}
+                        </>
+                    )}
+                    {tab === 'profitability' && (
+                        <>
+                            {renderStat('Profit Margin', formatRatio(fundamentals.profitMargin))}
+                            {renderStat('Operating Margin (TTM)', formatRatio(fundamentals.operatingMargin))}
+                            {renderStat('Return on Equity (TTM)', formatRatio(fundamentals.returnOnEquity))}
+                            {renderStat('Return on Assets (TTM)', formatRatio(fundamentals.returnOnAssets))}
+                        </>
+                    )}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+
+
+
+
+/**
+ * Component showing the company's financial statements as sortable tables with year-over-year growth.
+ * @param {object} props - Component properties.
+ * @param {string} props.symbol - Stock symbol.
+ */
+function FinancialStatements(props) {
+    const { symbol } = props;
+    const [data, setData] = useState(null); // Statements and load errors of the symbol
+    const [isLoading, setIsLoading] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+    const [type, setType] = useState('income');
+    const [period, setPeriod] = useState('annual');
+    const [sort, setSort] = useState(null); // Sorted column, or null for the statement's own order
+
+    // Load the statements when another stock is shown
+    useAbortableLoad(function (signal) {
+        setIsLoading(true);
+        setLoadError(null);
+        return fetchFinancialStatements(dataProvider, requestCache, symbol, signal);
+    }, function (result) {
+        setData(result);
+        setIsLoading(false);
+    }, function (error) {
+        setLoadError(error.message);
+        setIsLoading(false);
+    }, symbol);
+
+    const table = useMemo(function () {
+        const statement = data && data.statements[type];
+        return buildStatementTable(statement ? statement[period] : [], MAX_STATEMENT_PERIODS[period]);
+    }, [data, type, period]);
+    const rows = useMemo(() => sortStatementRows(table.rows, sort), [table, sort]);
+    const failure = data && data.errors.find((statementError) => statementError.type === type);
+    const error = loadError || (failure && failure.message);
+
+    // Sort by a column, then reverse it, then go back to the statement's own order
+    function handleSort(column, index) {
+        const firstDirection = column === 'label' ? 'asc' : 'desc';
+
+        setSort(function (current) {
+            if (!current || current.column !== column || current.index !== index) {
+                return { column, index, direction: firstDirection };
+            }
+            return current.direction === firstDirection
+                ? { column, index, direction: firstDirection === 'asc' ? 'desc' : 'asc' }
+                : null;
+        });
+    }
+
+    // Render a sortable column header
+    function renderSortHeader(label, column, index) {
+        const isSorted = sort && sort.column === column && sort.index === index;
+
+        return (
+            <th
+                key={`${column}-${index}`}
+                aria-sort={isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+            >
+                <button onClick={() => handleSort(column, index)}>{label}</button>
+            </th>
+        );
+    }
+
+    return (
+        <div id="financial-statements" role="tabpanel">
+            <div role="tablist" className="section-tabs">
+                {STATEMENT_TYPES.map((name) => (
+                    <button
+                        key={name}
+                        role="tab"
+                        aria-selected={type === name}
+                        className={type === name ? 'active' : ''}
+                        onClick={() => setType(name)}
+                    >
+                        {STATEMENT_LABELS[name]}
+                    </button>
+                ))}
+                <select
+                    aria-label="Reporting period"
+                    value={period}
+                    onChange={function (event) {
+                        setPeriod(event.target.value);
+                        setSort(null); // Period columns differ between annual and quarterly reports
+                    }}
+                >
+                    {STATEMENT_PERIODS.map((name) => (
+                        <option key={name} value={name}>{name === 'annual' ? 'Annual' : 'Quarterly'}</option>
+                    ))}
+                </select>
+                <button
+                    data-button-text="export csv"
+                    disabled={!data}
+                    onClick={() => downloadCsv(`${symbol}-statements`, statementsToCsv(symbol, data.statements))}
+                ></button>
+            </div>
+            {isLoading && <p>Loading...</p>}
+            {!isLoading && error && <p className="error-message">{error}</p>}
+            {!isLoading && !error && rows.length === 0 && <p>No reports available.</p>}
+            {!isLoading && rows.length > 0 && (
+                <div className="statement-scroll">
+                    <table id="statement-table">
+                        <thead>
+                            <tr>
+                                {renderSortHeader('Line Item', 'label')}
+                                <th>Trend</th>
+                                {table.periods.map((date, index) => [
+                                    renderSortHeader(date, 'value', index),
+                                    renderSortHeader('YoY', 'growth', index),
+                                ])}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((row) => (
+                                <tr key={row.item}>
+                                    <th scope="row">{row.label}</th>
+                                    <td>
+                                        <svg
+                                            className="sparkline"
+                                            width={SPARKLINE_SIZE.width}
+                                            height={SPARKLINE_SIZE.height}
+                                            aria-hidden="true"
+                                        >
+                                            <polyline
+                                                points={sparklinePoints(row.history, SPARKLINE_SIZE.width, SPARKLINE_SIZE.height)}
+                                            />
+                                        </svg>
+                                    </td>
+                                    {row.values.map((value, index) => [
+                                        <td key={`value-${index}`}>{formatAmount(value)}</td>,
+                                        <td
+                                            key={`growth-${index}`}
+                                            className={row.growth[index] === null ? '' : `price-change ${getPriceChangeClass(row.growth[index])}`}
+                                        >
+                                            {row.growth[index] === null ? '' : formatChangePercent(row.growth[index])}
+                                        </td>,
+                                    ])}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+
+
+
+
+/**
+ * Component showing the stock's dividend payments since the start of its daily history, with its yields and
+ * dividend growth.
+ * @param {object} props - Component properties.
+ * @param {object} props.stockDetails - Stock data as returned by fetchStockData.
+ */
+function DividendHistory(props) {
+    const { stockDetails } = props;
+    const { symbol, price } = stockDetails;
+    const fundamentals = stockDetails.fundamentals || {};
+    const [payments, setPayments] = useState(null); // Payments per share, oldest first, or null while loading
+    const [error, setError] = useState(null);
+
+    // Load the daily history, which carries every payment
+    useAbortableLoad(function (signal) {
+        setPayments(null);
+        setError(null);
+        return fetchHistories(dataProvider, requestCache, [symbol], getTimeFrameParams('1M').resolution, signal);
+    }, function (data) {
+        setPayments(listDividendPayments(data.historyBySymbol[symbol]));
+        setError(data.errors.length > 0 ? data.errors[0].message : null);
+    }, (error) => setError(error.message), symbol);
+
+    const summary = useMemo(
+        () => (payments ? summarizeDividends(payments, price, new Date().toISOString().slice(0, 10)) : null),
+        [payments, price]
+    );
+
+    return (
+        <div id="dividend-history" role="tabpanel">
+            <ul className="stock-stats">
+                {renderStat('Dividend Per Share', formatPrice(fundamentals.dividendPerShare))}
+                {renderStat('Dividend Yield', formatRatio(fundamentals.dividendYield))}
+                {renderStat('Trailing 12M Dividends', formatPrice(summary && summary.trailingAmount))}
+                {renderStat('Trailing Yield', formatYield(summary && summary.trailingYield))}
+                {renderStat('Forward Dividends', formatPrice(summary && summary.forwardAmount))}
+                {renderStat('Forward Yield', formatYield(summary && summary.forwardYield))}
+                {renderStat('Frequency', summary && PAYMENT_FREQUENCY_LABELS[summary.frequency])}
+                {renderStat('Dividend Growth (5Y CAGR)', formatReturn(summary && summary.growthRate))}
+                {renderStat('Payout Date', fundamentals.dividendDate)}
+                {renderStat('Ex-Dividend Date', fundamentals.exDividendDate)}
+            </ul>
+            {error && <p className="error-message">{error}</p>}
+            {!payments && !error && <div>Loading...</div>}
+            {payments && payments.length === 0 && <p>No dividends paid in the available history.</p>}
+            {payments && payments.length > 0 && (
+                <div className="dividend-tables">
+                    <table className="dividend-table">
+                        <thead>
+                            <tr>
+                                <th>Year</th>
+                                <th>Payments</th>
+                                <th>Total</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {summary.annual.slice().reverse().map((year) => (
+                                <tr key={year.year}>
+                                    <td>{year.year}</td>
+                                    <td>{year.count}</td>
+                                    <td>{formatPrice(year.total)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <table className="dividend-table">
+                        <thead>
+                            <tr>
+                                <th>Ex-Dividend Date</th>
+                                <th>Amount</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {payments.slice().reverse().map((payment) => (
+                                <tr key={payment.date}>
+                                    <td>{payment.date}</td>
+                                    <td>{formatPrice(payment.amount)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+
+
+
+
+/**
+ * Component listing the stock's past earnings reports against the estimates, with a chart of the surprises.
+ * @param {object} props - Component properties.
+ * @param {Array<object>} props.history - Past earnings reports, newest first (see marketData.js).
+ */
+function EarningsHistory(props) {
+    const { history } = props;
+    const summary = useMemo(() => summarizeSurprises(history), [history]);
+
+    const chartRef = useRef(null);
+    const canvasRef = useRef(null);
+
+    // Effect to render the surprise chart when another history is shown
+    useEffect(() => {
+        if (history.length > 0) renderSurpriseChart(history, canvasRef, chartRef);
+
+        return () => {
+            if (chartRef.current) {
+                chartRef.current.destroy();
+                chartRef.current = null;
+            }
+        };
+    }, [history]);
+
+    if (history.length === 0) return <p role="tabpanel">No earnings reports available.</p>;
+
+    return (
+        <div id="earnings-history" role="tabpanel">
+            {summary.reported > 0 && (
+                <p className="earnings-summary">
+                    Beat the estimate in {summary.beats} of the last {summary.reported} quarters, missed it in{' '}
+                    {summary.misses}; average surprise {formatReturn(summary.averageSurprise)}.
+                </p>
+            )}
+            <div className="surprise-chart">
+                <canvas ref={canvasRef}></canvas>
+            </div>
+            <table id="earnings-table">
+                <thead>
+                    <tr>
+                        <th>Fiscal Quarter</th>
+                        <th>Reported</th>
+                        <th>Estimated EPS</th>
+                        <th>Reported EPS</th>
+                        <th>Surprise</th>
+                        <th>Surprise %</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {history.map((report) => (
+                        <tr key={report.fiscalDateEnding}>
+                            <td>{report.fiscalDateEnding}</td>
+                            <td>
+                                {report.reportedDate || 'N/A'}
+                                {report.reportTime && <span className="report-time"> {report.reportTime}</span>}
+                            </td>
+                            <td>{formatPrice(report.estimatedEPS)}</td>
+                            <td>{formatPrice(report.reportedEPS)}</td>
+                            <td>{formatPrice(report.surprise)}</td>
+                            {report.surprisePercentage === null ? (
+                                <td>N/A</td>
+                            ) : (
+                                <td className={`price-change ${getPriceChangeClass(report.surprisePercentage)}`}>
+                                    {formatChangePercent(report.surprisePercentage)}
+                                </td>
+                            )}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+
+
+
+
+/**
+ * Component listing the tracked stocks that report earnings in the next weeks.
+ * @param {object} props - Component properties.
+ * @param {Array<string>} props.symbols - Symbols of every tracked stock.
+ */
+function EarningsCalendarView(props) {
+    const { symbols } = props;
+    const [calendar, setCalendar] = useState(null); // Upcoming reports of every company, or null while loading
+    const [weeks, setWeeks] = useState(DEFAULT_EARNINGS_WEEKS);
+
+    // Load the market's earnings calendar once
+    useAbortableLoad(
+        (signal) => fetchEarningsCalendar(dataProvider, requestCache, signal),
+        setCalendar,
+        () => setCalendar([]),
+        null
+    );
+
+    const today = new Date().toISOString().slice(0, 10);
+    const upcoming = calendar ? listUpcomingEarnings(calendar, symbols, weeks, today) : [];
+
+    return (
+        <section id="stock-details" className="earnings-calendar">
+            <div id="earnings-calendar-controls">
+                <h2>Upcoming Earnings</h2>
+                <label>
+                    Next
+                    <select value={weeks} onChange={(e) => setWeeks(Number(e.target.value))}>
+                        {EARNINGS_CALENDAR_WEEKS.map((count) => (
+                            <option key={count} value={count}>
+                                {count} {count === 1 ? 'week' : 'weeks'}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            {!calendar ? (
+                <div>Loading...</div>
+            ) : upcoming.length === 0 ? (
+                <p>None of your tracked stocks report earnings in the next {weeks} {weeks === 1 ? 'week' : 'weeks'}.</p>
+            ) : (
+                <table id="earnings-calendar-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Symbol</th>
+                            <th>Company</th>
+                            <th>Fiscal Quarter</th>
+                            <th>EPS Estimate</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {upcoming.map((entry) => (
+                            <tr key={`${entry.symbol}-${entry.reportDate}`}>
+                                <td>
+                                    {entry.reportDate}
+                                    <span className="report-time"> {formatDaysAhead(entry.days)}</span>
+                                </td>
+                                <td>{entry.symbol}</td>
+                                <td>{entry.name || ''}</td>
+                                <td>{entry.fiscalDateEnding || 'N/A'}</td>
+                                <td>{formatPrice(entry.estimate)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </section>
+    );
+}
+
+
+
+
+
+/**
+ * Component calling out the stock's next earnings report.
+ * @param {object} props - Component properties.
+ * @param {string|null} props.earningsDate - Date of the next report (YYYY-MM-DD), or null when unknown.
+ */
+function EarningsCallout(props) {
+    const { earningsDate } = props;
+    const days = daysUntil(earningsDate);
+
+    if (days === null || days < 0) return null;
+
+    return (
+        <p id="earnings-callout">
+            Earnings report {formatDaysAhead(days)} ({earningsDate})
+        </p>
+    );
+}
+
+
+
+
+
+/**
+ * Opens the add/replace stock dialog.
+ * @param {number} slotId - The slot index for adding or replacing a stock.
+ * @param {function} setCurrentSlot - Setter for currentSlot state.
+ * @param {function} setIsDialogOpen - Setter for isDialogOpen state.
+ * @param {function} setStockInput - Setter for stockInput state.
+ */
+function openAddOrReplaceModal(slotId, setCurrentSlot, setIsDialogOpen, setStockInput) {
+    setCurrentSlot(slotId);
+    setIsDialogOpen(true);
+    setStockInput('');
+}
+
+
+
+
+
+/**
+ * Closes the add stock dialog.
  * @param {function} setIsDialogOpen - Setter for isDialogOpen state.
  * @param {function} setStockInput - Setter for stockInput state.
  */
-function closeAddModal(setIsDialogOpen, setStockInput) {
-    setIsDialogOpen(false);
-    setStockInput('');
+function closeAddModal(setIsDialogOpen, setStockInput) {
+    setIsDialogOpen(false);
+    setStockInput('');
+}
+
+
+
+
+
+/**
+ * Handles changes in the stock input field.
+ * @param {object} event - The event object from the input field.
+ * @param {function} setStockInput - Setter for stockInput state.
+ */
+function handleStockInputChange(event, setStockInput) {
+    const inputValue = event.target.value.toUpperCase();
+    setStockInput(inputValue.slice(0, MAX_STOCK_SYMBOL_LENGTH)); // Enforce the max length
+}
+
+
+
+
+
+/**
+ * Deletes a watchlist after asking the user to confirm. The neighbouring watchlist is opened instead.
+ * Transaction journals are kept, like when a single stock is removed.
+ * @param {object} watchlist - The watchlist to delete.
+ */
+function handleDeleteWatchlist(watchlist) {
+    const count = watchlist.stocks.length;
+
+    if (!window.confirm(`Delete the "${watchlist.name}" watchlist${count ? ` and its ${count} stock(s)` : ''}?`)) return;
+
+    try {
+        store.dispatch(removeWatchlist(watchlist.id));
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+
+
+
+
+/**
+ * Downloads the app state as a versioned JSON backup.
+ * @param {object} state - The state to back up (see buildStateExport).
+ */
+function exportAppState(state) {
+    const today = new Date().toISOString().slice(0, 10);
+
+    downloadFile(`stock-tracker-${today}.json`, JSON.stringify(buildStateExport(state), null, 2), 'application/json');
+}
+
+
+
+
+
+/**
+ * Restores the app state from a JSON backup after asking the user to confirm.
+ * Settings missing from the backup fall back to their defaults (see restoreBackup).
+ * @param {File} file - The backup file chosen by the user.
+ */
+async function importAppState(file) {
+    try {
+        const data = parseStateExport(await readFileText(file));
+
+        if (!window.confirm(`Replace all watchlists, transactions, alerts and settings with the backup "${file.name}"?`)) return;
+
+        store.dispatch(restoreBackup(data));
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+
+
+
+
+/**
+ * Downloads CSV text, naming the file after its contents and today's date.
+ * @param {string} name - What the file holds, e.g. "transactions" or "AAPL-1Y".
+ * @param {string} csv - The CSV text.
+ */
+function downloadCsv(name, csv) {
+    downloadFile(`${name}-${new Date().toISOString().slice(0, 10)}.csv`, csv, 'text/csv');
+}
+
+
+
+
+
+/**
+ * Offers text as a file download.
+ * @param {string} fileName - Name the file is saved under.
+ * @param {string} content - Contents of the file.
+ * @param {string} type - MIME type of the contents.
+ */
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+
+
+
+
+/**
+ * Reads a file chosen by the user as text.
+ * @param {File} file - The file.
+ * @returns {Promise<string>} - The contents of the file.
+ */
+function readFileText(file) {
+    return new Promise(function (resolve, reject) {
+        const reader = new FileReader();
+
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error(`Could not read "${file.name}".`));
+        reader.readAsText(file);
+    });
+}
+
+
+
+
+
+/**
+ * Opens the alert center and marks every triggered alert as read.
+ * @param {function} setIsAlertCenterOpen - Setter for isAlertCenterOpen state.
+ */
+function openAlertCenter(setIsAlertCenterOpen) {
+    setIsAlertCenterOpen(true);
+    store.dispatch(markAlertsRead());
+}
+
+
+
+
+
+/**
+ * Shows a browser notification for each triggered alert, if the user permitted notifications.
+ * @param {Array<object>} events - Triggered alerts.
+ */
+function notifyAlerts(events) {
+    if (getNotificationPermission() !== 'granted') return;
+
+    events.forEach(function (event) {
+        try {
+            new Notification(`${event.symbol} alert`, { body: event.message, tag: event.ruleId });
+        } catch (error) {
+            console.warn('Failed to show a browser notification:', error.message);
+        }
+    });
+}
+
+
+
+
+
+/**
+ * Reads whether the browser may show notifications.
+ * @returns {string} - 'granted', 'denied', 'default', or 'unsupported' when the browser has no Notification API.
+ */
+function getNotificationPermission() {
+    return typeof Notification !== 'undefined' ? Notification.permission : 'unsupported';
+}
+
+
+
+
+
+/**
+ * Gets the open lots of a symbol from the ledger replay results.
+ * @param {object} replays - Ledger replay results keyed by stock symbol.
+ * @param {string} symbol - The stock symbol.
+ * @returns {Array<object>} - The open lots, empty when nothing is recorded.
+ */
+function getLots(replays, symbol) {
+    return replays[symbol] ? replays[symbol].lots : [];
+}
+
+
+
+
+
+/**
+ * Reads the route of the page's URL.
+ * @returns {object} - The route (see routes.js).
+ */
+function readLocationRoute() {
+    const { pathname, search } = window.location;
+    const path = pathname.startsWith(ROUTE_BASE) ? pathname.slice(ROUTE_BASE.length) : pathname;
+
+    return parseRoute(path, search);
+}
+
+
+
+
+
+/**
+ * Points the page's URL at a route, without reloading.
+ * A new path adds a history entry, so the back button returns to the previous view; a new query, such as another
+ * time frame, replaces the current one.
+ * @param {string} path - Path and query string of the route (see buildRoute).
+ * @param {boolean} addEntry - Whether a new path may add a history entry; false to correct the URL the app opened at.
+ */
+function writeLocation(path, addEntry) {
+    const target = new URL(ROUTE_BASE + path, window.location.origin);
+    const { pathname, search } = window.location;
+
+    if (target.pathname === pathname && target.search === search) return;
+
+    if (addEntry && target.pathname !== pathname) {
+        window.history.pushState(null, '', target.pathname + target.search);
+    } else {
+        window.history.replaceState(null, '', target.pathname + target.search);
+    }
+}
+
+
+
+
+
+/**
+ * Loads the user's saved data the app starts with.
+ * @returns {object} - { watchlists, activeWatchlistId, ledger, matchingMethod, alertRules, alertHistory,
+ *      indicatorSettings, chartMode, concentrationLimits, refreshInterval } (see createInitialState).
+ */
+function loadStoredState() {
+    return {
+        watchlists: loadStoredWatchlists(),
+        activeWatchlistId: loadActiveWatchlistId(),
+        ledger: loadStoredLedger(),
+        matchingMethod: loadMatchingMethod(),
+        alertRules: readList(localStorage, STORAGE_KEYS.alertRules, isAlertRule),
+        alertHistory: readList(localStorage, STORAGE_KEYS.alertHistory, isAlertEvent),
+        indicatorSettings: loadIndicatorSettings(),
+        chartMode: loadChartMode(),
+        concentrationLimits: loadConcentrationLimits(),
+        refreshInterval: loadRefreshInterval(),
+    };
+}
+
+
+
+
+
+/**
+ * Loads the watchlists from localStorage when the app starts.
+ * Their stocks carry only a symbol and name until their last snapshots are restored (see restoreStockSnapshots).
+ * @returns {Array<object>} - The watchlists; never empty.
+ */
+function loadStoredWatchlists() {
+    const watchlists = readCollection(localStorage, STORAGE_KEYS.watchlists, isWatchlist).map((entry) => entry[1]);
+    return watchlists.length > 0 ? watchlists : migrateStocksToWatchlists([]);
+}
+
+
+
+
+
+/**
+ * Loads the id of the watchlist that was open last from localStorage.
+ * @returns {string|null} - The watchlist id, or null when none was stored.
+ */
+function loadActiveWatchlistId() {
+    return localStorage.getItem(STORAGE_KEYS.activeWatchlist);
+}
+
+
+
+
+
+/**
+ * Saves the watchlists and the open watchlist whenever they change, reporting a failed save in the status bar.
+ * Only the symbols and names go to localStorage; the snapshots of the stocks go to the market-data store.
+ * @param {Array<object>} watchlists - The watchlists.
+ * @param {string} activeWatchlistId - Id of the open watchlist.
+ */
+function saveWatchlists(watchlists, activeWatchlistId) {
+    const entries = toStoredWatchlists(watchlists).map((list) => [list.id, list]);
+
+    if (!writeCollection(localStorage, STORAGE_KEYS.watchlists, entries)) {
+        store.dispatch(reportError('Your watchlists could not be saved: the browser storage is full or unavailable.'));
+    }
+    saveText(STORAGE_KEYS.activeWatchlist, activeWatchlistId);
+    saveStockSnapshots(listTrackedStocks(watchlists));
+}
+
+
+
+
+
+/**
+ * Saves the stock snapshots that changed since they were last saved to the market-data store.
+ * @param {Array<object>} stocks - Stock snapshots; stocks without fetched data are skipped.
+ */
+function saveStockSnapshots(stocks) {
+    stocks
+        .filter((stock) => hasQuote(stock) && !savedSnapshots.has(stock))
+        .forEach(function (stock) {
+            savedSnapshots.add(stock);
+            snapshotStorage.set(stock.symbol, stock).catch((error) => console.error('Failed to save a stock snapshot:', error));
+        });
+}
+
+
+
+
+
+/**
+ * Reads the last snapshot of a stock from the market-data store, remembering it is saved there already.
+ * @param {string} symbol - The stock symbol.
+ * @returns {Promise<object|null>} - The snapshot, or null when none is stored.
+ */
+async function readStockSnapshot(symbol) {
+    const snapshot = await snapshotStorage.get(symbol);
+
+    if (snapshot) savedSnapshots.add(snapshot);
+    return snapshot || null;
+}
+
+
+
+
+
+/**
+ * Saves the alert rules and the triggered alerts to localStorage whenever they change.
+ * @param {Array<object>} alertRules - Alert rules of every symbol.
+ * @param {Array<object>} alertHistory - Triggered alerts, newest first.
+ */
+function saveAlertsToLocalStorage(alertRules, alertHistory) {
+    writeValue(localStorage, STORAGE_KEYS.alertRules, alertRules);
+    writeValue(localStorage, STORAGE_KEYS.alertHistory, alertHistory);
+}
+
+
+
+
+
+/**
+ * Loads the chart indicator settings from localStorage.
+ * @returns {object} - The settings, with defaults for anything not stored.
+ */
+function loadIndicatorSettings() {
+    return normalizeIndicatorSettings(readValue(localStorage, STORAGE_KEYS.indicators));
+}
+
+
+
+
+
+/**
+ * Saves the chart indicator settings to localStorage whenever they change.
+ * @param {object} indicatorSettings - Chart indicator settings.
+ */
+function saveIndicatorSettings(indicatorSettings) {
+    writeValue(localStorage, STORAGE_KEYS.indicators, indicatorSettings);
+}
+
+
+
+
+
+/**
+ * Loads the chart type and y-axis mode from localStorage.
+ * @returns {object} - The chart mode, or the default mode when none is stored.
+ */
+function loadChartMode() {
+    return normalizeChartMode(readValue(localStorage, STORAGE_KEYS.chartMode));
+}
+
+
+
+
+
+/**
+ * Saves the chart type and y-axis mode to localStorage whenever they change.
+ * @param {object} chartMode - Chart type and y-axis mode.
+ */
+function saveChartMode(chartMode) {
+    writeValue(localStorage, STORAGE_KEYS.chartMode, chartMode);
+}
+
+
+
+
+
+/**
+ * Loads the allocation concentration limits from localStorage.
+ * @returns {object} - The limits, or the default limits when none are stored.
+ */
+function loadConcentrationLimits() {
+    return normalizeConcentrationLimits(readValue(localStorage, STORAGE_KEYS.concentrationLimits));
+}
+
+
+
+
+
+/**
+ * Saves the allocation concentration limits to localStorage whenever they change.
+ * @param {object} limits - Concentration limits: { holding, sector } in percent.
+ */
+function saveConcentrationLimits(limits) {
+    writeValue(localStorage, STORAGE_KEYS.concentrationLimits, limits);
+}
+
+
+
+
+
+/**
+ * Loads the ledger from localStorage when the app starts.
+ * Transactions that cannot be read are dropped; the rest of their journal is kept.
+ * @returns {object} - Transactions keyed by stock symbol.
+ */
+function loadStoredLedger() {
+    const ledger = {};
+
+    readCollection(localStorage, STORAGE_KEYS.ledger, Array.isArray).forEach(function ([symbol, transactions]) {
+        ledger[symbol] = transactions.filter(isTransaction);
+    });
+    return ledger;
+}
+
+
+
+
+
+/**
+ * Loads the matching method from localStorage.
+ * @returns {string} - One of MATCHING_METHODS; FIFO when none is stored.
+ */
+function loadMatchingMethod() {
+    const storedMethod = localStorage.getItem(STORAGE_KEYS.matchingMethod);
+    return MATCHING_METHODS.includes(storedMethod) ? storedMethod : 'FIFO';
+}
+
+
+
+
+
+/**
+ * Saves the ledger and matching method to localStorage whenever they change, reporting a failed save in the status
+ * bar.
+ * @param {object} ledger - Transactions keyed by stock symbol.
+ * @param {string} matchingMethod - How sales are matched against open lots.
+ */
+function saveLedgerToLocalStorage(ledger, matchingMethod) {
+    if (!writeCollection(localStorage, STORAGE_KEYS.ledger, Object.entries(ledger))) {
+        const message = 'Your transactions could not be saved: the browser storage is full or unavailable.';
+        store.dispatch(reportError(message));
+    }
+    saveText(STORAGE_KEYS.matchingMethod, matchingMethod);
+}
+
+
+
+
+
+/**
+ * Saves a setting stored as plain text to localStorage.
+ * @param {string} key - The localStorage key.
+ * @param {string} text - The value.
+ */
+function saveText(key, text) {
+    try {
+        localStorage.setItem(key, text);
+    } catch (error) {
+        console.error(`Failed to save ${key}:`, error);
+    }
+}
+
+
+
+
+
+/**
+ * Loads the auto-refresh interval from localStorage.
+ * @returns {number} - Minutes between quote refreshes; 0 when off.
+ */
+function loadRefreshInterval() {
+    const storedInterval = readValue(localStorage, STORAGE_KEYS.refreshInterval);
+    return REFRESH_INTERVALS.includes(storedInterval) ? storedInterval : DEFAULT_REFRESH_INTERVAL;
+}
+
+
+
+
+
+/**
+ * Saves the auto-refresh interval to localStorage.
+ * @param {number} refreshInterval - Minutes between quote refreshes; 0 when off.
+ */
+function saveRefreshInterval(refreshInterval) {
+    writeValue(localStorage, STORAGE_KEYS.refreshInterval, refreshInterval);
+}
+
+
+
+
+
+/**
+ * Loads the number of API calls made today from localStorage.
+ * @returns {object|undefined} - Usage: { day, count }, or undefined when nothing valid is stored.
+ */
+function loadApiUsage() {
+    const storedUsage = readValue(localStorage, STORAGE_KEYS.apiUsage);
+    return storedUsage && typeof storedUsage.count === 'number' ? storedUsage : undefined;
+}
+
+
+
+
+
+/**
+ * Saves the number of API calls made today to localStorage.
+ * @param {object} usage - Usage: { day, count }.
+ */
+function saveApiUsage(usage) {
+    writeValue(localStorage, STORAGE_KEYS.apiUsage, usage);
+}
+
+
+
+
+
+/**
+ * Extracts the dividends and splits found in a stock's daily history.
+ * @param {Array<object>} [history] - Daily adjusted bars, oldest first.
+ * @returns {Array<object>} - Corporate actions: { date, dividendAmount, splitCoefficient }.
+ */
+function extractCorporateActions(history) {
+    if (!history) return [];
+
+    return history
+        .filter((bar) => bar.dividend > 0 || bar.splitCoefficient !== 1)
+        .map((bar) => ({ date: bar.date, dividendAmount: bar.dividend, splitCoefficient: bar.splitCoefficient }));
+}
+
+
+
+
+
+/**
+ * Renders the stock chart using Chart.js.
+ * Overlays share the price axis; volume, RSI and MACD get panels stacked below it.
+ * @param {object} data - The stock data.
+ * @param {Array<object>} earnings - Past earnings reports of the stock, marked on the price line.
+ * @param {object} canvasRef - Reference to the canvas element.
+ * @param {object} chartRef - Reference to the Chart.js instance.
+ * @param {object} additionalStatsRef - Reference to additional stats for tooltips.
+ * @param {object} indicatorSettings - Chart indicator settings (see indicators.js).
+ * @param {object} chartMode - Chart type and y-axis mode (see chartModes.js).
+ */
+function renderChart(data, earnings, canvasRef, chartRef, additionalStatsRef, indicatorSettings, chartMode) {
+    const ctx = canvasRef.current.getContext('2d');
+
+    if (chartRef.current) {
+        chartRef.current.destroy();
+    }
+
+    const { type, scale } = chartMode;
+    const financial = isFinancialType(type);
+    const percentBase = getBarPrice(data.bars[0]);
+    const toDisplay = (series) => (scale === 'percent' ? series.map((value) => toPercent(value, percentBase)) : series);
+
+    // Bars as drawn: rebased to the change from the first bar and/or turned into Heikin-Ashi candles
+    let displayBars = scale === 'percent' ? toPercentChange(data.bars) : data.bars;
+    if (type === 'heikinAshi') displayBars = toHeikinAshi(displayBars);
+
+    // Extract adjusted close prices for the line chart, and the closes of the candles otherwise
+    const prices = financial ? displayBars.map((bar) => bar.close) : displayBars.map(getBarPrice);
+
+    // Store stats in a ref to be accessible in the tooltip callback
+    additionalStatsRef.current = data.bars;
+
+    const { borderColor, backgroundColor } = getOverallColor(data.bars);
+
+    // Indicator series and the panels they need
+    const indicators = computeIndicators(data.history, data.bars, indicatorSettings);
+    const { datasets: indicatorDatasets, panels } = buildIndicatorDatasets(indicators, data.bars, toDisplay);
+    const panelScales = {};
+    panels.forEach((panel) => { panelScales[panel.id] = buildPanelScale(panel); });
+
+    // Pre- and post-market bars are shaded on intraday charts
+    const shadeSessions = chartMode.shadeExtendedHours && isIntraday(data.bars);
+
+    // Earnings reports within the time frame, marked on the price line
+    const earningsMarkers = placeEarningsMarkers(earnings, data.bars);
+    const earningsDatasets = earningsMarkers.some(Boolean) ? [buildEarningsDataset(earningsMarkers, prices)] : [];
+
+    chartRef.current = new Chart(ctx, {
+        type: 'line',
+        plugins: [sessionShadingPlugin, candlestickPlugin],
+
+        data: {
+            labels: data.bars.map((bar) => bar.date),
+            datasets: [
+                {
+                    label: `${data.symbol} Price`,
+                    data: prices,
+                    borderColor: borderColor,
+                    backgroundColor: backgroundColor,
+                    fill: type === 'area',
+                    showLine: !financial, // Candles and OHLC bars are drawn by candlestickPlugin
+                    pointRadius: financial ? 0 : undefined,
+                    pointHoverRadius: financial ? 4 : 7,
+                    pointHoverBackgroundColor: borderColor,
+                    tension: 0.1, // Smooth curves
+                    yAxisID: 'y',
+                },
+                ...indicatorDatasets,
+                ...earningsDatasets,
+            ],
+        },
+
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false }, // Show every series at the hovered time
+            scales: {
+                x: {
+                    type: 'time',
+                    time: { unit: data.timeUnit },
+                    title: {
+                        display: true,
+                        text: 'Time',
+                        color: '#1f1f1f',
+                        font: { size: 20 },
+                    },
+                    grid: {
+                        color: 'rgb(31,31,31)',
+                        drawOnChartArea: true,
+                        drawTicks: true,
+                    },
+                    ticks: {
+                        color: '#e0e0e0',
+                        maxTicksLimit: data.ticks,
+                        autoSkip: true,
+                    },
+                },
+
+                y: {
+                    type: scale === 'log' ? 'logarithmic' : 'linear',
+                    beginAtZero: false,
+                    suggestedMin: financial ? Math.min(...displayBars.map((bar) => bar.low)) : undefined,
+                    suggestedMax: financial ? Math.max(...displayBars.map((bar) => bar.high)) : undefined,
+                    position: 'left',
+                    stack: 'panels',
+                    stackWeight: 4,
+                    title: {
+                        display: true,
+                        text: scale === 'percent' ? 'Change (%)' : 'Price',
+                        color: '#1f1f1f',
+                        font: { size: 20 },
+                    },
+                    grid: {
+                        color: 'rgb(31,31,31)',
+                        drawOnChartArea: true,
+                        drawTicks: true,
+                    },
+                    ticks: {
+                        color: '#e0e0e0',
+                        callback: function (value) {
+                            return scale === 'percent' ? `${formatNumber(value, 1)}%` : formatPrice(value);
+                        },
+                    },
+                },
+
+                ...panelScales,
+            },
+
+            plugins: {
+                tooltip: {
+                    backgroundColor: 'rgba(255,255,255, 0.9)',
+                    borderColor: borderColor,
+                    borderWidth: 3,
+                    titleColor: borderColor,
+                    bodyColor: '#000000',
+                    padding: 10,
+                    // Volume is already part of the price lines, and warming-up indicators have no value yet
+                    filter: (item) => item.dataset.yAxisID !== 'volume' && item.raw !== null,
+                    callbacks: {
+                        label: function (context) {
+                            if (context.dataset.reports) {
+                                return describeEarningsReport(context.dataset.reports[context.dataIndex]);
+                            }
+                            if (context.datasetIndex > 0) {
+                                return `${context.dataset.label}: ${formatNumber(context.raw, 2)}`;
+                            }
+
+                            const index = context.dataIndex;
+                            const stat = additionalStatsRef.current[index];
+
+                            if (!stat) { return 'Loading data. Click another timeline tab, then revisit this.'; }
+
+                            return [
+                                ...(scale === 'percent' ? [`Change: ${formatNumber(prices[index], 2)}%`] : []),
+                                `Close: ${formatPrice(stat.close)}`,
+                                `Open: ${formatPrice(stat.open)}`,
+                                `High: ${formatPrice(stat.high)}`,
+                                `Low: ${formatPrice(stat.low)}`,
+                                `Volume: ${stat.volume.toLocaleString()}`,
+                            ];
+                        },
+                    },
+                },
+
+                legend: {
+                    labels: { color: '#1f1f1f' },
+                },
+
+                candlesticks: financial ? { bars: displayBars, style: type === 'ohlc' ? 'ohlc' : 'candlestick' } : false,
+
+                sessionShading: { sessions: shadeSessions ? data.bars.map((bar) => getBarSession(bar.date)) : [] },
+            },
+        },
+    });
+}
+
+
+
+
+/**
+ * Builds the Chart.js dataset marking earnings reports on the price line.
+ * @param {Array<object|null>} markers - The report of each bar (see placeEarningsMarkers).
+ * @param {Array<number>} prices - The charted prices, aligned with the bars.
+ * @returns {object} - Dataset of triangles colored by whether the report beat the estimate.
+ */
+function buildEarningsDataset(markers, prices) {
+    const colors = markers.map(function (report) {
+        if (!report || report.surprise === null || report.surprise === 0) return EARNINGS_MARKER_COLORS.inline;
+        return report.surprise > 0 ? EARNINGS_MARKER_COLORS.beat : EARNINGS_MARKER_COLORS.miss;
+    });
+
+    return {
+        type: 'line',
+        label: 'Earnings',
+        data: markers.map((report, index) => (report ? prices[index] : null)),
+        reports: markers, // Read by the tooltip
+        showLine: false,
+        pointStyle: 'triangle',
+        pointRadius: markers.map((report) => (report ? 8 : 0)),
+        pointHoverRadius: markers.map((report) => (report ? 10 : 0)),
+        pointBackgroundColor: colors,
+        pointBorderColor: colors,
+        backgroundColor: EARNINGS_MARKER_COLORS.inline,
+        borderColor: EARNINGS_MARKER_COLORS.inline,
+        yAxisID: 'y',
+    };
+}
+
+
+
+
+
+/**
+ * Describes an earnings report for a chart tooltip.
+ * @param {object} report - Earnings report (see marketData.js).
+ * @returns {Array<string>} - Tooltip lines.
+ */
+function describeEarningsReport(report) {
+    return [
+        `Earnings (${report.fiscalDateEnding})`,
+        `EPS: ${formatPrice(report.reportedEPS)} vs. ${formatPrice(report.estimatedEPS)} est.`,
+        `Surprise: ${formatReturn(report.surprisePercentage)}`,
+    ];
+}
+
+
+
+
+
+/**
+ * Builds the Chart.js datasets of the computed indicators.
+ * @param {object} indicators - Indicator series aligned with the bars (see computeIndicators).
+ * @param {Array<object>} bars - The charted bars.
+ * @param {function} toDisplay - Converts a price series to the units of the price axis.
+ * @returns {object} - { datasets, panels } where panels lists the sub-panels the datasets are drawn in.
+ */
+function buildIndicatorDatasets(indicators, bars, toDisplay) {
+    const datasets = [];
+    const panels = [];
+
+    // Thin line without points, on the price axis unless told otherwise; only price-axis series are converted
+    const line = (label, series, color, extra) => ({
+        type: 'line',
+        label,
+        data: extra && extra.yAxisID ? series : toDisplay(series),
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 1.5,
+        pointRadius: 0,
+        pointHoverRadius: 3,
+        fill: false,
+        yAxisID: 'y',
+        ...extra,
+    });
+
+    if (indicators.sma) datasets.push(line('SMA', indicators.sma, INDICATOR_COLORS.sma));
+    if (indicators.ema) datasets.push(line('EMA', indicators.ema, INDICATOR_COLORS.ema));
+    if (indicators.bollinger) {
+        const color = INDICATOR_COLORS.bollinger;
+        datasets.push(line('Bollinger Upper', indicators.bollinger.upper, color, { borderDash: [4, 4] }));
+        datasets.push(line('Bollinger Middle', indicators.bollinger.middle, color));
+        datasets.push(line('Bollinger Lower', indicators.bollinger.lower, color, { borderDash: [4, 4] }));
+    }
+    if (indicators.vwap) datasets.push(line('VWAP', indicators.vwap, INDICATOR_COLORS.vwap));
+
+    if (indicators.volume) {
+        panels.push({ id: 'volume', title: 'Volume' });
+        datasets.push({
+            type: 'bar',
+            label: 'Volume',
+            data: indicators.volume,
+            backgroundColor: bars.map((bar) => (bar.close >= bar.open ? 'rgba(76,175,80,0.6)' : 'rgba(244,10,6,0.6)')),
+            yAxisID: 'volume',
+        });
+    }
+    if (indicators.rsi) {
+        panels.push({ id: 'rsi', title: 'RSI', min: 0, max: 100 });
+        datasets.push(line('RSI', indicators.rsi, INDICATOR_COLORS.macd, { yAxisID: 'rsi' }));
+    }
+    if (indicators.macd) {
+        panels.push({ id: 'macd', title: 'MACD' });
+        datasets.push(line('MACD', indicators.macd.macd, INDICATOR_COLORS.macd, { yAxisID: 'macd' }));
+        datasets.push(line('MACD Signal', indicators.macd.signal, INDICATOR_COLORS.signal, { yAxisID: 'macd' }));
+        datasets.push({
+            type: 'bar',
+            label: 'MACD Histogram',
+            data: indicators.macd.histogram,
+            backgroundColor: indicators.macd.histogram.map((value) =>
+                value >= 0 ? 'rgba(76,175,80,0.6)' : 'rgba(244,10,6,0.6)'
+            ),
+            yAxisID: 'macd',
+        });
+    }
+
+    return { datasets, panels };
+}
+
+
+
+
+
+/**
+ * Builds the Chart.js scale of an indicator panel, stacked below the price axis.
+ * @param {object} panel - Panel description: { id, title, min, max }.
+ * @returns {object} - The scale options.
+ */
+function buildPanelScale(panel) {
+    return {
+        type: 'linear',
+        position: 'left',
+        stack: 'panels',
+        stackWeight: 1,
+        offset: true,
+        min: panel.min,
+        max: panel.max,
+        title: {
+            display: true,
+            text: panel.title,
+            color: '#1f1f1f',
+        },
+        grid: {
+            color: 'rgb(31,31,31)',
+        },
+        ticks: {
+            color: '#e0e0e0',
+            maxTicksLimit: 3,
+            callback: (value) => (panel.id === 'volume' ? formatMarketCap(value) : formatNumber(value, 2)),
+        },
+    };
+}
+
+
+
+
+
+/**
+ * Renders the comparison chart: one line per symbol, in percent return since the start of the time frame.
+ * The legend shows each symbol's return over the whole period.
+ * @param {object} comparison - Comparison data (see fetchComparisonData).
+ * @param {object} canvasRef - Reference to the canvas element.
+ * @param {object} chartRef - Reference to the Chart.js instance.
+ */
+function renderComparisonChart(comparison, canvasRef, chartRef) {
+    const ctx = canvasRef.current.getContext('2d');
+
+    if (chartRef.current) {
+        chartRef.current.destroy();
+    }
+
+    const { dates, series } = alignComparisonSeries(comparison.barsBySymbol);
+
+    chartRef.current = new Chart(ctx, {
+        type: 'line',
+
+        data: {
+            labels: dates,
+            datasets: Object.keys(series).map(function (symbol) {
+                // Same color as the symbol's entry above the chart
+                const color = SERIES_COLORS[comparison.symbols.indexOf(symbol) % SERIES_COLORS.length];
+
+                return {
+                    symbol,
+                    label: `${symbol} ${formatReturn(series[symbol].periodReturn)}`,
+                    data: series[symbol].values,
+                    borderColor: color,
+                    backgroundColor: color,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    pointHoverRadius: 5,
+                    spanGaps: true, // Bridge dates on which only the other symbols traded
+                    tension: 0.1,
+                };
+            }),
+        },
+
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                x: {
+                    type: 'time',
+                    time: { unit: comparison.timeUnit },
+                    title: {
+                        display: true,
+                        text: 'Time',
+                        color: '#1f1f1f',
+                        font: { size: 20 },
+                    },
+                    grid: {
+                        color: 'rgb(31,31,31)',
+                    },
+                    ticks: {
+                        color: '#e0e0e0',
+                        maxTicksLimit: comparison.ticks,
+                        autoSkip: true,
+                    },
+                },
+
+                y: {
+                    type: 'linear',
+                    title: {
+                        display: true,
+                        text: 'Return (%)',
+                        color: '#1f1f1f',
+                        font: { size: 20 },
+                    },
+                    grid: {
+                        color: 'rgb(31,31,31)',
+                    },
+                    ticks: {
+                        color: '#e0e0e0',
+                        callback: (value) => `${formatNumber(value, 1)}%`,
+                    },
+                },
+            },
+
+            plugins: {
+                tooltip: {
+                    backgroundColor: 'rgba(255,255,255, 0.9)',
+                    bodyColor: '#000000',
+                    titleColor: '#000000',
+                    padding: 10,
+                    filter: (item) => item.raw !== null,
+                    callbacks: {
+                        label: (context) => `${context.dataset.symbol}: ${formatReturn(context.raw)}`,
+                    },
+                },
+
+                legend: {
+                    labels: { color: '#1f1f1f' },
+                },
+            },
+        },
+    });
+}
+
+
+
+
+
+/**
+ * Renders the portfolio chart: the value of the portfolio on the left axis, and its time-weighted return with the
+ * benchmark's return on the right one.
+ * @param {object} report - Portfolio report: { series, performance, benchmark, benchmarkReturns, timeUnit, ticks }.
+ * @param {object} canvasRef - Reference to the canvas element.
+ * @param {object} chartRef - Reference to the Chart.js instance.
+ */
+function renderPortfolioChart(report, canvasRef, chartRef) {
+    const ctx = canvasRef.current.getContext('2d');
+
+    if (chartRef.current) {
+        chartRef.current.destroy();
+    }
+
+    const { series, performance, benchmark, benchmarkReturns } = report;
+    const datasets = [
+        {
+            label: 'Portfolio Value',
+            data: series.map((point) => point.value),
+            borderColor: SERIES_COLORS[0],
+            backgroundColor: 'rgba(74, 144, 226, 0.1)',
+            fill: true,
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            tension: 0.1,
+            yAxisID: 'y',
+        },
+        {
+            symbol: 'Portfolio',
+            label: `Portfolio Return ${formatReturn(performance.timeWeightedReturn)}`,
+            data: performance.returnIndex,
+            borderColor: SERIES_COLORS[1],
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            tension: 0.1,
+            yAxisID: 'returns',
+        },
+    ];
+
+    if (benchmarkReturns) {
+        datasets.push({
+            symbol: benchmark,
+            label: `${benchmark} ${formatReturn(benchmarkReturns[benchmarkReturns.length - 1])}`,
+            data: benchmarkReturns,
+            borderColor: SERIES_COLORS[2],
+            borderWidth: 2,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            spanGaps: true,
+            tension: 0.1,
+            yAxisID: 'returns',
+        });
+    }
+
+    chartRef.current = new Chart(ctx, {
+        type: 'line',
+
+        data: {
+            labels: series.map((point) => point.date),
+            datasets,
+        },
+
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                x: {
+                    type: 'time',
+                    time: { unit: report.timeUnit },
+                    title: {
+                        display: true,
+                        text: 'Time',
+                        color: '#1f1f1f',
+                        font: { size: 20 },
+                    },
+                    grid: {
+                        color: 'rgb(31,31,31)',
+                    },
+                    ticks: {
+                        color: '#e0e0e0',
+                        maxTicksLimit: report.ticks,
+                        autoSkip: true,
+                    },
+                },
+
+                y: {
+                    type: 'linear',
+                    position: 'left',
+                    title: {
+                        display: true,
+                        text: 'Value',
+                        color: '#1f1f1f',
+                        font: { size: 20 },
+                    },
+                    grid: {
+                        color: 'rgb(31,31,31)',
+                    },
+                    ticks: {
+                        color: '#e0e0e0',
+                        callback: (value) => formatPrice(value),
+                    },
+                },
+
+                returns: {
+                    type: 'linear',
+                    position: 'right',
+                    title: {
+                        display: true,
+                        text: 'Return (%)',
+                        color: '#1f1f1f',
+                        font: { size: 20 },
+                    },
+                    grid: {
+                        drawOnChartArea: false, // Keep the value grid only
+                    },
+                    ticks: {
+                        color: '#e0e0e0',
+                        callback: (value) => `${formatNumber(value, 1)}%`,
+                    },
+                },
+            },
+
+            plugins: {
+                tooltip: {
+                    backgroundColor: 'rgba(255,255,255, 0.9)',
+                    bodyColor: '#000000',
+                    titleColor: '#000000',
+                    padding: 10,
+                    filter: (item) => item.raw !== null,
+                    callbacks: {
+                        label: function (context) {
+                            if (context.dataset.yAxisID === 'y') return `Value: ${formatPrice(context.raw)}`;
+                            return `${context.dataset.symbol}: ${formatReturn(context.raw)}`;
+                        },
+                    },
+                },
+
+                legend: {
+                    labels: { color: '#1f1f1f' },
+                },
+            },
+        },
+    });
+}
+
+
+
+
+
+/**
+ * Renders the allocation donut chart.
+ * @param {Array<object>} groups - Allocation groups: { key, marketValue, weight, symbols }, largest first.
+ * @param {object} canvasRef - Reference to the canvas element.
+ * @param {object} chartRef - Reference to the Chart.js instance.
+ */
+function renderAllocationChart(groups, canvasRef, chartRef) {
+    const ctx = canvasRef.current.getContext('2d');
+
+    if (chartRef.current) {
+        chartRef.current.destroy();
+    }
+
+    // Same colors as the treemap tiles
+    const colors = groups.map((group, index) => SERIES_COLORS[index % SERIES_COLORS.length]);
+
+    chartRef.current = new Chart(ctx, {
+        type: 'doughnut',
+
+        data: {
+            labels: groups.map((group) => group.key),
+            datasets: [
+                {
+                    data: groups.map((group) => group.marketValue),
+                    backgroundColor: colors,
+                    borderColor: '#2a2a2a',
+                    borderWidth: 2,
+                },
+            ],
+        },
+
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            cutout: '60%',
+
+            plugins: {
+                tooltip: {
+                    backgroundColor: 'rgba(255,255,255, 0.9)',
+                    bodyColor: '#000000',
+                    titleColor: '#000000',
+                    padding: 10,
+                    callbacks: {
+                        label: function (context) {
+                            const group = groups[context.dataIndex];
+                            return [
+                                `${formatNumber(group.weight, 1)}% (${formatPrice(group.marketValue)})`,
+                                group.symbols.join(', '),
+                            ];
+                        },
+                    },
+                },
+
+                legend: {
+                    position: 'right',
+                    labels: { color: '#e0e0e0' },
+                },
+            },
+        },
+    });
+}
+
+
+
+
+
+/**
+ * Renders the earnings surprise chart: one bar per quarter, oldest first, above zero when the estimate was beaten.
+ * @param {Array<object>} history - Past earnings reports, newest first.
+ * @param {object} canvasRef - Reference to the canvas element.
+ * @param {object} chartRef - Reference to the Chart.js instance.
+ */
+function renderSurpriseChart(history, canvasRef, chartRef) {
+    const ctx = canvasRef.current.getContext('2d');
+
+    if (chartRef.current) {
+        chartRef.current.destroy();
+    }
+
+    const reports = history.slice().reverse();
+    const colors = reports.map((report) =>
+        report.surprisePercentage >= 0 ? EARNINGS_MARKER_COLORS.beat : EARNINGS_MARKER_COLORS.miss
+    );
+
+    chartRef.current = new Chart(ctx, {
+        type: 'bar',
+
+        data: {
+            labels: reports.map((report) => report.fiscalDateEnding),
+            datasets: [
+                {
+                    label: 'Surprise (%)',
+                    data: reports.map((report) => report.surprisePercentage),
+                    backgroundColor: colors,
+                    borderColor: colors,
+                },
+            ],
+        },
+
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+
+            scales: {
+                x: {
+                    grid: { color: 'rgb(31,31,31)' },
+                    ticks: { color: '#e0e0e0' },
+                },
+                y: {
+                    grid: { color: 'rgb(31,31,31)' },
+                    ticks: {
+                        color: '#e0e0e0',
+                        callback: (value) => `${formatNumber(value, 1)}%`,
+                    },
+                },
+            },
+
+            plugins: {
+                tooltip: {
+                    backgroundColor: 'rgba(255,255,255, 0.9)',
+                    bodyColor: '#000000',
+                    titleColor: '#000000',
+                    padding: 10,
+                    callbacks: {
+                        label: (context) => describeEarningsReport(reports[context.dataIndex]).slice(1),
+                    },
+                },
+
+                legend: { display: false },
+            },
+        },
+    });
+}
+
+
+
+
+
+/**
+ * Renders the dividend income chart: one bar per month or year, stacked by symbol.
+ * @param {Array<object>} received - Periods { key, total, bySymbol }, oldest first (see groupDividendIncome).
+ * @param {object} canvasRef - Reference to the canvas element.
+ * @param {object} chartRef - Reference to the Chart.js instance.
+ */
+function renderIncomeChart(received, canvasRef, chartRef) {
+    const ctx = canvasRef.current.getContext('2d');
+
+    if (chartRef.current) {
+        chartRef.current.destroy();
+    }
+
+    const symbols = Array.from(new Set(received.flatMap((group) => Object.keys(group.bySymbol)))).sort();
+
+    chartRef.current = new Chart(ctx, {
+        type: 'bar',
+
+        data: {
+            labels: received.map((group) => (group.key.length === 7 ? formatMonth(group.key) : group.key)),
+            datasets: symbols.map((symbol, index) => ({
+                label: symbol,
+                data: received.map((group) => group.bySymbol[symbol] || 0),
+                backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length],
+            })),
+        },
+
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+
+            scales: {
+                x: {
+                    stacked: true,
+                    grid: { color: 'rgb(31,31,31)' },
+                    ticks: { color: '#e0e0e0' },
+                },
+                y: {
+                    stacked: true,
+                    grid: { color: 'rgb(31,31,31)' },
+                    ticks: {
+                        color: '#e0e0e0',
+                        callback: (value) => formatPrice(value),
+                    },
+                },
+            },
+
+            plugins: {
+                tooltip: {
+                    backgroundColor: 'rgba(255,255,255, 0.9)',
+                    bodyColor: '#000000',
+                    titleColor: '#000000',
+                    padding: 10,
+                    filter: (item) => item.raw > 0,
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${formatPrice(context.raw)}`,
+                        footer: (items) => `Total: ${formatPrice(received[items[0].dataIndex].total)}`,
+                    },
+                },
+
+                legend: {
+                    labels: { color: '#e0e0e0' },
+                },
+            },
+        },
+    });
 }
 
 
@@ -414,13 +4579,25 @@ function closeAddModal(setIsDialogOpen, setStockInput) {
 
 
 /**
- * Handles changes in the stock input field.
- * @param {object} event - The event object from the input field.
- * @param {function} setStockInput - Setter for stockInput state.
+ * Determines the color for the chart based on overall percentage change.
+ * @param {Array<object>} bars - Normalized bars, oldest first.
+ * @returns {object} - Contains borderColor and backgroundColor.
  */
-function handleStockInputChange(event, setStockInput) {
-    const inputValue = event.target.value.toUpperCase();
-    setStockInput(inputValue.slice(0, MAX_STOCK_SYMBOL_LENGTH)); // Enforce the max length
+function getOverallColor(bars) {
+    const percentageChange = calculatePercentageChange(bars);
+    let borderColor, backgroundColor;
+
+    if (percentageChange < 0) {
+        borderColor = 'red';
+        backgroundColor = 'rgba(255, 0, 0, 0.1)';
+    } else if (percentageChange > 0) {
+        borderColor = 'green';
+        backgroundColor = 'rgba(0, 255, 0, 0.1)';
+    } else {
+        borderColor = 'blue';
+        backgroundColor = 'rgba(0, 0, 255, 0.1)';
+    }
+    return { borderColor, backgroundColor };
 }
 
 
@@ -428,52 +4605,36 @@ function handleStockInputChange(event, setStockInput) {
 
 
 /**
- * Adds or replaces a stock in the grid.
- * @param {object} params - Parameters including state variables and setters.
- * @param {string} params.stockInput - The stock symbol input by the user.
- * @param {Array} params.stockSymbols - The current array of stock symbols.
- * @param {number} params.currentSlot - The slot index where the stock is to be added or replaced.
- * @param {function} params.setStockSymbols - Setter for stockSymbols state.
- * @param {function} params.closeAddModal - Function to close the add stock dialog.
- * @param {string} params.timeFrame - The current selected time frame.
+ * Helper function to render a single stat.
+ * @param {string} label - The label of the stat.
+ * @param {string|number|null} value - The value of the stat.
+ * @returns {JSX.Element} - The rendered <li> element.
  */
-async function addOrReplaceStock({stockInput, stockSymbols, currentSlot, setStockSymbols, closeAddModal, timeFrame,}) {
-    let resultMessage = ''; // Placeholder for return message
-    let inputSymbol = stockInput.trim().toUpperCase();
+function renderStat(label, value) {
+    return (
+        <li key={label} data-stat={label}>
+            {value !== null && value !== undefined ? value : 'N/A'}
+        </li>
+    );
+}
 
-    if (!inputSymbol) {
-        resultMessage = 'Please enter a valid stock symbol.';
-    } else if (
-        stockSymbols.some(
-            (stock, index) => stock && stock.symbol === inputSymbol && index !== currentSlot
-        )
-    ) {
-        resultMessage = 'Duplicate stock symbol in another slot.';
-        closeAddModal(); // Don't proceed with duplicates
-    } else {
-        try {
-            const stockData = await fetchStockData({
-                apiKey: API_KEY,
-                query: inputSymbol,
-                timeFrame: timeFrame,
-            });
 
-            if (stockData && stockData.symbol === inputSymbol) {
-                setStockSymbols((prev) => {
-                    const updatedSymbols = [...prev];
-                    updatedSymbols[currentSlot] = stockData;
-                    return updatedSymbols;
-                });
 
-                closeAddModal();
-            } else {
-                resultMessage = 'No data found for the provided stock symbol.';
-            }
-        } catch (error) {
-            resultMessage = `Error fetching stock data: ${error.message}`;
-        }
-    }
-    if (resultMessage) alert(resultMessage);
+
+
+/**
+ * Helper function to render a company website as a link.
+ * @param {string|null} website - The website address.
+ * @returns {JSX.Element|null} - The link, or null when there is no valid http(s) address.
+ */
+function renderWebsiteLink(website) {
+    if (!website || !/^https?:\/\//i.test(website)) return null;
+
+    return (
+        <a href={website} target="_blank" rel="noopener noreferrer">
+            {website.replace(/^https?:\/\//i, '')}
+        </a>
+    );
 }
 
 
@@ -481,16 +4642,18 @@ async function addOrReplaceStock({stockInput, stockSymbols, currentSlot, setStoc
 
 
 /**
- * Removes a stock from a slot.
- * @param {number} slotId - The slot index to remove the stock from.
- * @param {function} setStockSymbols - Setter for stockSymbols state.
+ * Helper function to render a gain/loss stat, colored by its sign.
+ * @param {string} label - The label of the stat.
+ * @param {number|null} gain - The gain or loss in dollars.
+ * @param {number|null} gainPercent - The gain or loss in percent.
+ * @returns {JSX.Element} - The rendered <li> element.
  */
-function handleRemoveStock(slotId, setStockSymbols) {
-    setStockSymbols(function (prevSymbols) {
-        let updatedSymbols = prevSymbols.slice();
-        updatedSymbols[slotId] = null;
-        return updatedSymbols;
-    });
+function renderGainStat(label, gain, gainPercent) {
+    return (
+        <li key={label} data-stat={label} className={`position-gain ${getPriceChangeClass(gain)}`}>
+            {formatGain(gain, gainPercent)}
+        </li>
+    );
 }
 
 
@@ -498,11 +4661,25 @@ function handleRemoveStock(slotId, setStockSymbols) {
 
 
 /**
- * Shows the stocks grid (hides details view).
- * @param {function} setSelectedStock - Setter for selectedStock state.
+ * Helper function to render the realized results of a ledger replay as description-list terms.
+ * @param {object} replay - Ledger replay result.
+ * @returns {JSX.Element} - The rendered <dt>/<dd> pairs.
  */
-function showStocksGrid(setSelectedStock) {
-    setSelectedStock(null);
+function renderRealizedTerms(replay) {
+    return (
+        <>
+            <dt>Realized</dt>
+            <dd className={`position-gain ${getPriceChangeClass(replay.realizedGain)}`}>
+                {formatGain(replay.realizedGain, null)}
+            </dd>
+            {replay.dividendIncome > 0 && (
+                <>
+                    <dt>Dividends</dt>
+                    <dd>{formatPrice(replay.dividendIncome)}</dd>
+                </>
+            )}
+        </>
+    );
 }
 
 
@@ -510,29 +4687,27 @@ function showStocksGrid(setSelectedStock) {
 
 
 /**
- * Fetches data when timeFrame changes and a stock is selected.
- * @param {object} selectedStock - The currently selected stock.
- * @param {string} timeFrame - The selected time frame.
- * @param {function} setSelectedStock - Setter for selectedStock state.
- * @param {function} setIsLoading - Setter for isLoading state.
+ * Describes the amounts of a transaction in one line.
+ * @param {object} transaction - A transaction or transaction input.
+ * @returns {string} - Description, e.g. "10 @ 150.00 + 1.00 fees".
  */
-function fetchSelectedStockData(selectedStock, timeFrame, setSelectedStock, setIsLoading) {
-    if (selectedStock) {
-        setIsLoading(true);
-        fetchStockData({
-            apiKey: API_KEY,
-            query: selectedStock.symbol,
-            timeFrame: timeFrame,
-        })
-            .then(function (stockData) {
-                setSelectedStock(stockData);
-                setIsLoading(false);
-            })
-            .catch(function (error) {
-                console.error(error);
-                alert(error.message);
-                setIsLoading(false);
-            });
+function describeTransaction(transaction) {
+    switch (transaction.type) {
+        case 'buy':
+        case 'sell': {
+            const fees = parseFloat(transaction.fees) > 0 ? ` + ${formatPrice(parseFloat(transaction.fees))} fees` : '';
+            return `${formatNumber(parseFloat(transaction.shares), 2)} @ ${formatPrice(parseFloat(transaction.price))}${fees}`;
+        }
+        case 'dividend':
+            return transaction.perShare
+                ? `${formatPrice(transaction.amount)} (${formatNumber(transaction.shares, 2)} × ${transaction.perShare})`
+                : formatPrice(parseFloat(transaction.amount));
+        case 'fee':
+            return formatPrice(parseFloat(transaction.amount));
+        case 'split':
+            return `${transaction.ratio}-for-1`;
+        default:
+            return '';
     }
 }
 
@@ -541,27 +4716,20 @@ function fetchSelectedStockData(selectedStock, timeFrame, setSelectedStock, setI
 
 
 /**
- * Handles clicking on a stock in the grid to view details.
- * @param {object} stock - The stock that was clicked.
- * @param {string} timeFrame - The current selected time frame.
- * @param {function} setSelectedStock - Setter for selectedStock state.
- * @param {function} setIsLoading - Setter for isLoading state.
+ * Format a gain/loss as dollars and percent.
+ * @param {number|null} gain - The gain or loss in dollars.
+ * @param {number|null} gainPercent - The gain or loss in percent.
+ * @returns {string} - Formatted gain, e.g. "+12.50 (+3.10%)".
  */
-async function handleStockClick(stock, timeFrame, setSelectedStock, setIsLoading) {
-    setIsLoading(true);
-    try {
-        let stockData = await fetchStockData({
-            apiKey: API_KEY,
-            query: stock.symbol,
-            timeFrame: timeFrame,
-        });
-        setSelectedStock(stockData);
-        setIsLoading(false);
-    } catch (error) {
-        console.error(error);
-        alert(error.message);
-        setIsLoading(false);
-    }
+function formatGain(gain, gainPercent) {
+    if (gain === null || gain === undefined) return 'N/A';
+
+    const sign = gain > 0 ? '+' : '';
+    const percent = gainPercent !== null && gainPercent !== undefined
+        ? ` (${sign}${gainPercent.toFixed(2)}%)`
+        : '';
+
+    return `${sign}${formatPrice(gain)}${percent}`;
 }
 
 
@@ -569,30 +4737,17 @@ async function handleStockClick(stock, timeFrame, setSelectedStock, setIsLoading
 
 
 /**
- * Loads stocks from localStorage on component mount.
- * @param {function} setStockSymbols - Setter for stockSymbols state.
+ * Format the age of a piece of data.
+ * @param {number} age - Age in milliseconds.
+ * @returns {string} - Formatted age, e.g. "5 min ago".
  */
-function loadStoredStocks(setStockSymbols) {
-    const storedStocks = localStorage.getItem(LOCAL_STORAGE_KEY);
-    if (storedStocks) {
-        try {
-            const parsedStocks = JSON.parse(storedStocks);
-            // Ensure the parsed data is an array with a maximum length of NUM_STOCKS
-            if (Array.isArray(parsedStocks)) {
-                setStockSymbols((prev) => {
-                    const updatedSymbols = [...prev];
-                    parsedStocks.slice(0, NUM_STOCKS).forEach((stock, index) => {
-                        updatedSymbols[index] = stock;
-                    });
-                    return updatedSymbols;
-                });
-            }
-        } catch (error) {
-            console.error('Failed to parse stored stocks:', error);
-            // Optionally, you can clear the invalid data
-            localStorage.removeItem(LOCAL_STORAGE_KEY);
-        }
-    }
+function formatAge(age) {
+    const minutes = Math.floor(age / 60000);
+
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return `${Math.floor(minutes / (24 * 60))} d ago`;
 }
 
 
@@ -600,16 +4755,17 @@ function loadStoredStocks(setStockSymbols) {
 
 
 /**
- * Saves stocks to localStorage whenever stockSymbols change.
- * @param {Array} stockSymbols - The current array of stock symbols.
+ * Format a timestamp as a time of day, with the date when it is not today.
+ * @param {number} time - Milliseconds since the epoch.
+ * @returns {string} - Formatted time, e.g. "10:42" or "Jan 3, 10:42".
  */
-function saveStocksToLocalStorage(stockSymbols) {
-    try {
-        const stocksToStore = stockSymbols.filter((stock) => stock !== null);
-        localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(stocksToStore));
-    } catch (error) {
-        console.error('Failed to save stocks to localStorage:', error);
-    }
+function formatTime(time) {
+    const date = new Date(time);
+    const clock = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+    return date.toDateString() === new Date().toDateString()
+        ? clock
+        : `${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}, ${clock}`;
 }
 
 
@@ -617,176 +4773,81 @@ function saveStocksToLocalStorage(stockSymbols) {
 
 
 /**
- * Renders the stock chart using Chart.js.
- * @param {object} data - The stock data.
- * @param {object} canvasRef - Reference to the canvas element.
- * @param {object} chartRef - Reference to the Chart.js instance.
- * @param {object} additionalStatsRef - Reference to additional stats for tooltips.
+ * Format a price value.
+ * @param {number|null} price - The price to format.
+ * @returns {string} - Formatted price.
  */
-function renderChart(data, canvasRef, chartRef, additionalStatsRef) {
-    const ctx = canvasRef.current.getContext('2d');
+function formatPrice(price) {
+    return price !== null && price !== undefined ? `${price.toFixed(2)}` : 'N/A';
+}
 
-    if (chartRef.current) {
-        chartRef.current.destroy();
-    }
 
-    // Extract adjusted close prices for the chart
-    const prices = data.dates.map(function (date) {
-        const dataPoint = data.timeSeries[date];
-        return dataPoint['5. adjusted close']
-            ? parseFloat(dataPoint['5. adjusted close'])
-            : parseFloat(dataPoint['4. close']);
-    });
 
-    // Store stats in a ref to be accessible in the tooltip callback
-    additionalStatsRef.current = data.dates.map(function (date) {
-        const dataPoint = data.timeSeries[date];
 
-        return {
-            date: date,
-            open: parseFloat(dataPoint['1. open']),
-            high: parseFloat(dataPoint['2. high']),
-            low: parseFloat(dataPoint['3. low']),
-            close: parseFloat(dataPoint['4. close']),
-            adjustedClose: dataPoint['5. adjusted close']
-                ? parseFloat(dataPoint['5. adjusted close'])
-                : null,
-            dividendAmount: dataPoint['7. dividend amount']
-                ? parseFloat(dataPoint['7. dividend amount'])
-                : null,
-            splitCoefficient: dataPoint['8. split coefficient']
-                ? parseFloat(dataPoint['8. split coefficient'])
-                : null,
-            volume: parseInt(dataPoint[data.volumeKey]),
-        };
-    });
 
-    const { borderColor, backgroundColor } = getOverallColor(data.timeSeries, data.dates);
+/**
+ * Format a percentage change value.
+ * @param {number|null} changePercent - The percentage change.
+ * @returns {string} - Formatted percentage change.
+ */
+function formatChangePercent(changePercent) {
+    return changePercent !== null && changePercent !== undefined
+        ? `${changePercent.toFixed(2)}`
+        : '0.00';
+}
 
-    chartRef.current = new Chart(ctx, {
-        type: 'line',
 
-        data: {
-            labels: data.dates,
-            datasets: [
-                {
-                    label: `${data.symbol} Price`,
-                    data: prices,
-                    borderColor: borderColor,
-                    backgroundColor: backgroundColor,
-                    fill: true,
-                    pointHoverRadius: 7,
-                    pointHoverBackgroundColor: borderColor,
-                    tension: 0.1, // Smooth curves
-                },
-            ],
-        },
 
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            scales: {
-                x: {
-                    type: 'time',
-                    time: { unit: data.timeUnit },
-                    title: {
-                        display: true,
-                        text: 'Time',
-                        color: '#1f1f1f',
-                        font: { size: 20 },
-                    },
-                    grid: {
-                        color: 'rgb(31,31,31)',
-                        drawOnChartArea: true,
-                        drawTicks: true,
-                    },
-                    ticks: {
-                        color: '#e0e0e0',
-                        maxTicksLimit: data.ticks,
-                        autoSkip: true,
-                    },
-                },
 
-                y: {
-                    beginAtZero: false,
-                    title: {
-                        display: true,
-                        text: 'Price',
-                        color: '#1f1f1f',
-                        font: { size: 20 },
-                    },
-                    grid: {
-                        color: 'rgb(31,31,31)',
-                        drawOnChartArea: true,
-                        drawTicks: true,
-                    },
-                    ticks: {
-                        color: '#e0e0e0',
-                        callback: function (value) {
-                            return formatPrice(value);
-                        },
-                    },
-                },
-            },
 
-            plugins: {
-                tooltip: {
-                    backgroundColor: 'rgba(255,255,255, 0.9)',
-                    borderColor: borderColor,
-                    borderWidth: 3,
-                    titleColor: borderColor,
-                    bodyColor: '#000000',
-                    padding: 10,
-                    callbacks: {
-                        label: function (context) {
-                            const index = context.dataIndex;
-                            const stat = additionalStatsRef.current[index];
+/**
+ * Format a return with its sign.
+ * @param {number|null} value - The return in percent.
+ * @returns {string} - Formatted return, e.g. "+12.34%".
+ */
+function formatReturn(value) {
+    return value !== null && value !== undefined ? `${value > 0 ? '+' : ''}${formatNumber(value, 2)}%` : 'N/A';
+}
 
-                            if (!stat) { return 'Loading data. Click another timeline tab, then revisit this.'; }
 
-                            return [
-                                `Close: ${formatPrice(stat.close)}`,
-                                `Open: ${formatPrice(stat.open)}`,
-                                `High: ${formatPrice(stat.high)}`,
-                                `Low: ${formatPrice(stat.low)}`,
-                                `Volume: ${stat.volume.toLocaleString()}`,
-                            ];
-                        },
-                    },
-                },
 
-                legend: {
-                    labels: { color: '#1f1f1f' },
-                },
-            },
-        },
-    });
+
+
+/**
+ * Format a ratio, such as a margin or a yield, as a percentage.
+ * @param {number|null} ratio - The ratio, e.g. 0.18 for 18%.
+ * @returns {string} - Formatted percentage.
+ */
+function formatRatio(ratio) {
+    return ratio !== null && ratio !== undefined ? `${formatNumber(ratio * 100, 2)}%` : 'N/A';
 }
 
 
 
 
+
 /**
- * Determines the color for the chart based on overall percentage change.
- * @param {object} timeSeries - The time series data.
- * @param {Array} dates - Array of dates.
- * @returns {object} - Contains borderColor and backgroundColor.
+ * Format a yield that is already in percent.
+ * @param {number|null} value - The yield, e.g. 2.5 for 2.5%.
+ * @returns {string} - Formatted yield.
  */
-function getOverallColor(timeSeries, dates) {
-    const percentageChange = calculatePercentageChange(timeSeries, dates);
-    let borderColor, backgroundColor;
+function formatYield(value) {
+    return value !== null && value !== undefined ? `${formatNumber(value, 2)}%` : 'N/A';
+}
 
-    if (percentageChange < 0) {
-        borderColor = 'red';
-        backgroundColor = 'rgba(255, 0, 0, 0.1)';
-    } else if (percentageChange > 0) {
-        borderColor = 'green';
-        backgroundColor = 'rgba(0, 255, 0, 0.1)';
-    } else {
-        borderColor = 'blue';
-        backgroundColor = 'rgba(0, 0, 255, 0.1)';
-    }
-    return { borderColor, backgroundColor };
+
+
+
+
+/**
+ * Format the forward dividend per share with its yield, e.g. "0.96 (0.88%)".
+ * @param {object} fundamentals - Normalized fundamentals.
+ * @returns {string} - Formatted dividend and yield; "N/A" when the company pays none.
+ */
+function formatDividendAndYield(fundamentals) {
+    if (!fundamentals.dividendPerShare) return 'N/A';
+
+    return `${formatPrice(fundamentals.dividendPerShare)} (${formatRatio(fundamentals.dividendYield)})`;
 }
 
 
@@ -794,17 +4855,13 @@ function getOverallColor(timeSeries, dates) {
 
 
 /**
- * Helper function to render a single stat.
- * @param {string} label - The label of the stat.
- * @param {string|number|null} value - The value of the stat.
- * @returns {JSX.Element} - The rendered <li> element.
+ * Format a month key as a short month name.
+ * @param {string} key - The month (YYYY-MM).
+ * @returns {string} - E.g. "Mar 2025".
  */
-function renderStat(label, value) {
-    return (
-        <li key={label} data-stat={label}>
-            {value !== null && value !== undefined ? value : 'N/A'}
-        </li>
-    );
+function formatMonth(key) {
+    const [year, month] = key.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
 }
 
 
@@ -812,12 +4869,20 @@ function renderStat(label, value) {
 
 
 /**
- * Format a price value.
- * @param {number|null} price - The price to format.
- * @returns {string} - Formatted price.
+ * Count the calendar days from today until a date.
+ * @param {string|null} date - The date (YYYY-MM-DD).
+ * @returns {number|null} - Days until the date, negative when it is past; null when the date is missing or invalid.
  */
-function formatPrice(price) {
-    return price !== null && price !== undefined ? `${price.toFixed(2)}` : 'N/A';
+function daysUntil(date) {
+    if (!date) return null;
+
+    const target = new Date(`${date.slice(0, 10)}T00:00:00`);
+    if (isNaN(target.getTime())) return null;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    return Math.round((target.getTime() - today.getTime()) / (24 * 60 * 60 * 1000));
 }
 
 
@@ -825,14 +4890,12 @@ function formatPrice(price) {
 
 
 /**
- * Format a percentage change value.
- * @param {number|null} changePercent - The percentage change.
- * @returns {string} - Formatted percentage change.
+ * Format a search match score as a percentage.
+ * @param {number|null} matchScore - Match score between 0 and 1.
+ * @returns {string} - Formatted score, or an empty string when unknown.
  */
-function formatChangePercent(changePercent) {
-    return changePercent !== null && changePercent !== undefined
-        ? `${changePercent.toFixed(2)}`
-        : '0.00';
+function formatMatchScore(matchScore) {
+    return typeof matchScore === 'number' && !isNaN(matchScore) ? `${Math.round(matchScore * 100)}%` : '';
 }
 
 
@@ -890,6 +4953,35 @@ function formatNumber(value, decimals = 0) {
 
 
 
+/**
+ * Format a statement amount, which may be negative, to a readable format.
+ * @param {number|null} value - The amount.
+ * @returns {string} - Formatted amount, e.g. "-1.20B"; "N/A" when missing.
+ */
+function formatAmount(value) {
+    if (typeof value !== 'number' || isNaN(value)) return 'N/A';
+
+    return `${value < 0 ? '-' : ''}${formatMarketCap(Math.abs(value))}`;
+}
+
+
+
+
+
+/**
+ * Format how far ahead an event is.
+ * @param {number} days - Calendar days until the event.
+ * @returns {string} - E.g. "today", "tomorrow" or "in 5 days".
+ */
+function formatDaysAhead(days) {
+    if (days === 0) return 'today';
+    return days === 1 ? 'tomorrow' : `in ${days} days`;
+}
+
+
+
+
+
 /**
  * Format Market Capitalization to a readable format.
  * @param {number} value - Market capitalization value.
@@ -918,24 +5010,53 @@ function formatMarketCap(value) {
 
 
 /**
- * Calculate the percentage change between the first and last dates.
- * @param {Object} timeSeries - Time series data.
- * @param {Array} dates - Array of dates.
- * @returns {number} - Percentage change.
+ * Finds the previous trading day's close in intraday bars: the last regular-session bar before the latest bar's
+ * day, not a post-market trade.
+ * @param {Array<object>} bars - Normalized intraday bars, oldest first.
+ * @returns {number|null} - The close, or null when the bars hold no earlier regular session.
+ */
+function findPreviousClose(bars) {
+    const latestDay = bars[bars.length - 1].date.slice(0, 10);
+    const previousSession = bars.filter(function (bar) {
+        return bar.date.slice(0, 10) < latestDay && getBarSession(bar.date) === 'regular';
+    });
+
+    return previousSession.length > 0 ? previousSession[previousSession.length - 1].close : null;
+}
+
+
+
+
+
+/**
+ * Calculates the change of the latest price against the previous trading day's close, whatever the time frame.
+ * @param {Array<object>} history - Normalized bars at one resolution, oldest first.
+ * @param {string} resolution - Resolution of the bars.
+ * @returns {number|null} - Percentage change, or null when the bars are coarser than a day or too few.
  */
-function calculatePercentageChange(timeSeries, dates) {
-    if (dates.length < 2) return 0;
+function calculateDayChange(history, resolution) {
+    if (history.length < 2 || resolution === 'weekly' || resolution === 'monthly') return null;
+
+    const previousClose = resolution === 'daily' ? history[history.length - 2].close : findPreviousClose(history);
+    if (!previousClose) return null;
+
+    return ((history[history.length - 1].close - previousClose) / previousClose) * 100;
+}
 
-    const firstDate = dates[0];
-    const lastDate = dates[dates.length - 1];
 
-    const firstData = timeSeries[firstDate];
-    const lastData = timeSeries[lastDate];
 
-    if (!firstData || !lastData) return 0;
 
-    const firstPrice = parseFloat(firstData['4. close']);
-    const lastPrice = parseFloat(lastData['4. close']);
+
+/**
+ * Calculate the percentage change between the first and last bars.
+ * @param {Array<object>} bars - Normalized bars, oldest first.
+ * @returns {number} - Percentage change.
+ */
+function calculatePercentageChange(bars) {
+    if (bars.length < 2) return 0;
+
+    const firstPrice = bars[0].close;
+    const lastPrice = bars[bars.length - 1].close;
 
     return ((lastPrice - firstPrice) / firstPrice) * 100;
 }
@@ -943,112 +5064,129 @@ function calculatePercentageChange(timeSeries, dates) {
 
 
 
- /**
+/**
+ * Hook running a component's load on mount and whenever its key changes. Each run cancels the load it supersedes,
+ * and unmounting cancels the last one; the outcome of a cancelled load is dropped.
+ * The callbacks are read when a load starts, so they may close over the component's latest state.
+ * @param {function} load - Starts the load: (signal) => Promise, or null when there is nothing to load.
+ * @param {function} onLoad - Receives the result of a load that was not cancelled.
+ * @param {function|null} onError - Receives the error of a load that failed, or null to only log it.
+ * @param {string|null} key - Value the load depends on; lists are best joined into one string.
+ */
+function useAbortableLoad(load, onLoad, onError, key) {
+    const callbacksRef = useRef(null);
+    callbacksRef.current = { load, onLoad, onError };
+
+    useEffect(() => {
+        const controller = new AbortController();
+        const callbacks = callbacksRef.current;
+        const loading = callbacks.load(controller.signal);
+
+        if (loading) {
+            loading.then(function (result) {
+                if (!controller.signal.aborted) callbacks.onLoad(result);
+            }, function (error) {
+                if (controller.signal.aborted || isAbortError(error)) return;
+
+                if (callbacks.onError) {
+                    callbacks.onError(error);
+                } else {
+                    console.error('Error loading data:', error);
+                }
+            });
+        }
+
+        return () => controller.abort();
+    }, [key]);
+}
+
+
+
+
+/**
  * Fetches stock data including time series and overview information.
  * @param {Object} params - Parameters for fetching stock data.
- * @param {string} params.apiKey - Alpha Vantage API key.
- * @param {string} params.query - Stock symbol to query.
+ * @param {Object} params.provider - Market-data provider (see providers/).
+ * @param {Object} params.cache - Request cache in front of the provider.
+ * @param {string} [params.query] - Stock symbol to search for, when no listing was picked.
+ * @param {Object} [params.listing] - Listing already picked: { symbol, name }; skips the search.
  * @param {string} params.timeFrame - Time frame for the data.
- * @returns {Object} - Stock data including various statistics.
+ * @param {AbortSignal} [params.signal] - Cancels the load.
+ * @returns {Object} - Stock data including various statistics and the cache status of the data.
  */
 async function fetchStockData(params) {
-    const { apiKey, query, timeFrame } = params;
+    const { provider, cache, query, listing, timeFrame, signal } = params;
 
     try {
-        // Use the helper function to search for the stock symbol
-        const { symbol, name } = await searchSymbol(apiKey, query);
+        // Use the picked listing, or the helper function to search for the stock symbol
+        const { symbol, name, envelope: searchEnvelope } = listing
+            ? { ...listing, envelope: null }
+            : await searchSymbol(provider, cache, query, signal);
 
         // Get parameters for the selected time frame
-        const timeFrameParams = getTimeFrameParams(timeFrame);
-        const { endpoint, interval, dateRange, timeUnit, ticks } = timeFrameParams;
-
-        // Determine the volume key based on the endpoint
-        const volumeKey = endpoint.includes('ADJUSTED') ? '6. volume' : '5. volume';
-
-        // Build the API URL based on the endpoint
-        const url =
-            endpoint === 'TIME_SERIES_INTRADAY'
-                ? `https://www.alphavantage.co/query?function=${endpoint}&symbol=${symbol}&interval=${interval}&apikey=${apiKey}&outputsize=full`
-                : `https://www.alphavantage.co/query?function=${endpoint}&symbol=${symbol}&apikey=${apiKey}&outputsize=full`;
-
-        // Fetch the time series data
-        const response = await fetch(url);
-        const data = await response.json();
-
-        const timeSeriesKeyMap = {
-            TIME_SERIES_INTRADAY: `Time Series (${interval})`,
-            TIME_SERIES_DAILY: 'Time Series (Daily)',
-            TIME_SERIES_DAILY_ADJUSTED: 'Time Series (Daily)',
-            TIME_SERIES_WEEKLY: 'Weekly Time Series',
-            TIME_SERIES_WEEKLY_ADJUSTED: 'Weekly Adjusted Time Series',
-            TIME_SERIES_MONTHLY: 'Monthly Time Series',
-            TIME_SERIES_MONTHLY_ADJUSTED: 'Monthly Adjusted Time Series',
-        };
-
-        const timeSeriesKey = timeSeriesKeyMap[endpoint];
-        const timeSeries = data[timeSeriesKey];
+        const { resolution, timeUnit, ticks } = getTimeFrameParams(timeFrame);
+
+        // Fetch the full history at that resolution, then keep the bars within the time frame
+        const barsEnvelope = await cache.fetch(
+            ['bars', provider.name, symbol, resolution],
+            (loadSignal) => provider.getBars(symbol, resolution, loadSignal),
+            getCacheTtl('bars', resolution),
+            signal
+        );
+        const history = barsEnvelope.value;
+        const bars = getChartBars(history, timeFrame);
 
-        if (!timeSeries) {
-            throw new Error(`Time series data unavailable for "${timeFrame}".`);
+        if (bars.length === 0) {
+            throw new Error(`Time series data unavailable for "${describeTimeFrame(timeFrame)}".`);
         }
 
-        // Use the helper function to get relevant dates
-        const allDates = Object.keys(timeSeries);
-        const dates = getChartDates(allDates, timeFrame);
-
         // Fetch overview data
-        const overviewData = await fetchStockOverview(apiKey, symbol);
-
-        // Extract PE Ratio and Market Cap
-        const peRatio = overviewData['PERatio'] ? parseFloat(overviewData['PERatio']) : null;
-        const marketCap = overviewData['MarketCapitalization']
-            ? parseFloat(overviewData['MarketCapitalization'])
-            : null;
-
-        // Extract additional stats if available
-        const beta = overviewData['Beta'] ? parseFloat(overviewData['Beta']) : null;
-        const eps = overviewData['EPS'] ? parseFloat(overviewData['EPS']) : null;
-        const earningsDate = overviewData['EarningsDate'] || null;
-        const targetEst = overviewData['AnalystTargetPrice']
-            ? parseFloat(overviewData['AnalystTargetPrice'])
-            : null;
+        const { fundamentals, envelope: overviewEnvelope } = await fetchStockOverview(provider, cache, symbol, signal);
 
-        // Compute detailed stats, pass the volumeKey
-        const stats = computeDetailedStats(timeSeries, dates, volumeKey);
+        // Compute detailed stats; the day's and 52-week ranges and the volumes come from daily bars at any time frame
+        const stats = computeDetailedStats(bars);
+        const daily = resolution === 'daily'
+            ? history
+            : (await fetchHistories(provider, cache, [symbol], 'daily', signal)).historyBySymbol[symbol] || [];
+        const trading = summarizeTrading(daily, isIntraday(history) ? history : []);
 
         return {
             symbol,
             name,
-            latestDate: dates[dates.length - 1],
-            price: parseFloat(timeSeries[dates[dates.length - 1]]['4. close']),
-            changePercent: calculatePercentageChange(timeSeries, dates),
-            dates,
-            timeSeries,
+            latestDate: bars[bars.length - 1].date,
+            price: bars[bars.length - 1].close,
+            changePercent: calculatePercentageChange(bars),
+            dayChangePercent: calculateDayChange(history, resolution),
+            bars,
+            history,
             timeUnit,
             ticks,
-            volumeKey,
             previousClose: stats.previousClose,
             openPrice: stats.openPrice,
-            volume: stats.volume,
-            dayLow: stats.dayLow,
-            dayHigh: stats.dayHigh,
-            weekLow: stats.weekLow,
-            weekHigh: stats.weekHigh,
-            avgVolume: stats.avgVolume,
+            volume: trading.volume,
+            dayLow: trading.dayLow,
+            dayHigh: trading.dayHigh,
+            weekLow: trading.weekLow,
+            weekHigh: trading.weekHigh,
+            avgVolume: trading.avgVolume,
             adjustedClose: stats.adjustedClose,
             dividendAmount: stats.dividendAmount,
             splitCoefficient: stats.splitCoefficient,
-            beta,
-            peRatio,
-            eps,
-            earningsDate,
-            targetEst,
-            marketCap,
+            beta: fundamentals.beta ?? null,
+            peRatio: fundamentals.peRatio ?? null,
+            eps: fundamentals.eps ?? null,
+            targetEst: fundamentals.targetPrice ?? null,
+            marketCap: fundamentals.marketCap ?? null,
+            fundamentals,
+            cacheStatus: summarizeCacheStatus([searchEnvelope, barsEnvelope, overviewEnvelope]),
+            updatedAt: barsEnvelope.cachedAt,
         };
     } catch (error) {
+        if (isAbortError(error)) throw error;
+
         console.error('Error while fetching stock data:', error.message || error);
         throw new Error(
-            `Could not fetch data for "${query}": ${error.message || 'Please try again later.'}`
+            `Could not fetch data for "${listing ? listing.symbol : query}": ${error.message || 'Please try again later.'}`
         );
     }
 }
@@ -1057,72 +5195,175 @@ async function fetchStockData(params) {
 
 
 /**
- * Helper function to get relevant dates based on the timeframe.
- * @param {Array<string>} allDates - Array of all date strings from the time series.
- * @param {string} timeFrame - Time frame for the data (e.g., '1D', '5D', '1M', etc.).
- * @returns {Array<string>} - Filtered and sorted array of date strings.
+ * Fetches the latest price of a stock, its change since the previous session's close, and its day's and 52-week
+ * ranges and volumes. A refresh costs at most two API calls per symbol: the intraday bars, and the daily bars the
+ * cache does not serve anymore.
+ * @param {Object} params - Parameters for fetching the quote.
+ * @param {Object} params.provider - Market-data provider (see providers/).
+ * @param {Object} params.cache - Request cache in front of the provider.
+ * @param {string} params.symbol - Stock symbol.
+ * @returns {Object} - Quote: { price, changePercent, dayChangePercent, latestDate, updatedAt } and the fields of
+ *      summarizeTrading (see marketData.js).
  */
-function getChartDates(allDates, timeFrame) {
-    const currentDate = new Date();
-    let dates = [];
+async function fetchStockQuote(params) {
+    const { provider, cache, symbol } = params;
+    const { resolution } = getTimeFrameParams('1D');
+
+    const envelope = await cache.fetch(
+        ['bars', provider.name, symbol, resolution],
+        (loadSignal) => provider.getBars(symbol, resolution, loadSignal),
+        getCacheTtl('bars', resolution)
+    );
+    const bars = envelope.value;
 
-    switch (timeFrame) {
-        case '1D': {
-            const past24Hours = new Date(currentDate.getTime() - 24 * 60 * 60 * 1000);
-            dates = allDates.filter((dateStr) => new Date(dateStr) >= past24Hours).reverse();
+    if (bars.length === 0) {
+        throw new Error(`No quote available for "${symbol}".`);
+    }
 
-            if (dates.length === 0) {
-                dates = allDates.slice(0, 96).reverse(); // Approx. 2 days at 15min intervals
-            }
-            break;
+    const latestBar = bars[bars.length - 1];
+    const previousClose = findPreviousClose(bars) ?? bars[0].open;
+    const changePercent = ((latestBar.close - previousClose) / previousClose) * 100;
+    const { historyBySymbol } = await fetchHistories(provider, cache, [symbol], 'daily');
+
+    return {
+        price: latestBar.close,
+        changePercent,
+        dayChangePercent: changePercent,
+        latestDate: latestBar.date,
+        updatedAt: envelope.cachedAt,
+        ...summarizeTrading(historyBySymbol[symbol] || [], bars),
+    };
+}
+
+
+
+
+
+/**
+ * Fetches the bars of the compared symbols within the time frame.
+ * @param {Object} params - Parameters for fetching the comparison.
+ * @param {Object} params.provider - Market-data provider (see providers/).
+ * @param {Object} params.cache - Request cache in front of the provider.
+ * @param {Array<string>} params.symbols - Stock symbols to compare.
+ * @param {string} params.timeFrame - Time frame for the data.
+ * @param {AbortSignal} [params.signal] - Cancels the load.
+ * @returns {Object} - { symbols, barsBySymbol, errors, timeUnit, ticks }; errors lists { symbol, message } of the
+ *      symbols that could not be loaded.
+ */
+async function fetchComparisonData(params) {
+    const { provider, cache, symbols, timeFrame, signal } = params;
+    const { resolution, timeUnit, ticks } = getTimeFrameParams(timeFrame);
+    const { historyBySymbol, errors } = await fetchHistories(provider, cache, symbols, resolution, signal);
+    const barsBySymbol = {};
+
+    Object.keys(historyBySymbol).forEach(function (symbol) {
+        const bars = getChartBars(historyBySymbol[symbol], timeFrame);
+
+        if (bars.length > 0) {
+            barsBySymbol[symbol] = bars;
+        } else {
+            errors.push({
+                symbol,
+                message: `Could not fetch data for "${symbol}": Time series data unavailable for "${describeTimeFrame(timeFrame)}".`,
+            });
         }
-        case '5D': {
-            const past5Days = new Date(currentDate.getTime() - 5 * 24 * 60 * 60 * 1000);
-            dates = allDates.filter((dateStr) => new Date(dateStr) >= past5Days).reverse();
-            break;
+    });
+
+    return { symbols, barsBySymbol, errors, timeUnit, ticks };
+}
+
+
+
+
+
+/**
+ * Fetches the full bar history of several symbols at one resolution.
+ * Every symbol is fetched on its own, so an unknown or failing symbol does not hide the others.
+ * @param {Object} provider - Market-data provider (see providers/).
+ * @param {Object} cache - Request cache in front of the provider.
+ * @param {Array<string>} symbols - Stock symbols.
+ * @param {string} resolution - Bar resolution, e.g. 'daily'.
+ * @param {AbortSignal} [signal] - Cancels the load.
+ * @returns {Object} - { historyBySymbol, errors }; errors lists { symbol, message } of the symbols that failed.
+ */
+async function fetchHistories(provider, cache, symbols, resolution, signal) {
+    const results = await Promise.all(symbols.map(async function (symbol) {
+        try {
+            const envelope = await cache.fetch(
+                ['bars', provider.name, symbol, resolution],
+                (loadSignal) => provider.getBars(symbol, resolution, loadSignal),
+                getCacheTtl('bars', resolution),
+                signal
+            );
+
+            return { symbol, history: envelope.value };
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+
+            console.error('Error while fetching bar history:', error.message || error);
+            return { symbol, error: `Could not fetch data for "${symbol}": ${error.message || 'Please try again later.'}` };
         }
+    }));
+
+    const historyBySymbol = {};
+    results.filter((result) => result.history).forEach((result) => { historyBySymbol[result.symbol] = result.history; });
+
+    return {
+        historyBySymbol,
+        errors: results.filter((result) => result.error).map((result) => ({ symbol: result.symbol, message: result.error })),
+    };
+}
+
+
+
+
+
+/**
+ * Helper function to get the bars to chart for the timeframe.
+ * @param {Array<object>} allBars - All normalized bars, oldest first.
+ * @param {string|object} timeFrame - Time frame for the data (e.g., '1D', '5D', '1M', etc.) or a custom range.
+ * @returns {Array<object>} - The bars within the time frame, oldest first.
+ */
+function getChartBars(allBars, timeFrame) {
+    const currentDate = new Date();
+    let startDate = null;
+
+    if (isTimeRange(timeFrame)) return filterBarsByRange(allBars, timeFrame);
+
+    switch (timeFrame) {
+        case '1D':
+            return selectSessionBars(allBars, 1); // The latest trading session, whatever day it is now
+        case '5D':
+            return selectSessionBars(allBars, 5);
         case '1M': {
-            const past1Month = new Date();
-            past1Month.setMonth(past1Month.getMonth() - 1);
-            dates = allDates.filter((dateStr) => new Date(dateStr) >= past1Month).reverse();
+            startDate = new Date();
+            startDate.setMonth(startDate.getMonth() - 1);
             break;
         }
         case '6M': {
-            const past6Months = new Date();
-            past6Months.setMonth(past6Months.getMonth() - 6);
-            dates = allDates.filter((dateStr) => new Date(dateStr) >= past6Months).reverse();
+            startDate = new Date();
+            startDate.setMonth(startDate.getMonth() - 6);
             break;
         }
         case 'YTD': {
-            const startOfYear = new Date(currentDate.getFullYear(), 0, 1);
-            dates = allDates.filter((dateStr) => new Date(dateStr) >= startOfYear).reverse();
+            startDate = new Date(currentDate.getFullYear(), 0, 1);
             break;
         }
         case '1Y': {
-            const past1Year = new Date();
-            past1Year.setFullYear(past1Year.getFullYear() - 1);
-            dates = allDates.filter((dateStr) => new Date(dateStr) >= past1Year).reverse();
+            startDate = new Date();
+            startDate.setFullYear(startDate.getFullYear() - 1);
             break;
         }
         case '5Y': {
-            const past5Years = new Date();
-            past5Years.setFullYear(past5Years.getFullYear() - 5);
-            dates = allDates.filter((dateStr) => new Date(dateStr) >= past5Years).reverse();
-            break;
-        }
-        case 'ALL': {
-            dates = allDates.reverse();
-            break;
-        }
-        default: {
-            const dateRange = Infinity; // Adjust this if necessary
-            const slicedDates = dateRange === Infinity ? allDates : allDates.slice(0, dateRange);
-            dates = slicedDates.reverse();
+            startDate = new Date();
+            startDate.setFullYear(startDate.getFullYear() - 5);
             break;
         }
+        default:
+            return allBars.slice(); // 'ALL'
     }
 
-    return dates;
+    return allBars.filter((bar) => new Date(bar.date) >= startDate);
 }
 
 
@@ -1131,22 +5372,109 @@ function getChartDates(allDates, timeFrame) {
 
 /**
  * Separate function to search for a stock symbol.
- * @param {string} apiKey - Alpha Vantage API key.
+ * Prefers the listing whose symbol is exactly the query over the provider's best match.
+ * @param {Object} provider - Market-data provider.
+ * @param {Object} cache - Request cache in front of the provider.
  * @param {string} query - The stock symbol to search for.
- * @returns {Object} - Contains the symbol and name of the stock.
+ * @param {AbortSignal} [signal] - Cancels the search.
+ * @returns {Object} - Contains the symbol and name of the stock, and the cache envelope of the search.
  */
-async function searchSymbol(apiKey, query) {
-    const searchUrl = `https://www.alphavantage.co/query?function=SYMBOL_SEARCH&keywords=${query}&apikey=${apiKey}`;
-    const searchResponse = await fetch(searchUrl);
-    const searchData = await searchResponse.json();
+async function searchSymbol(provider, cache, query, signal) {
+    const { matches, envelope } = await searchListings(provider, cache, query, signal);
 
-    if (!searchData.bestMatches || searchData.bestMatches.length === 0) {
+    if (matches.length === 0) {
         throw new Error(`No matches found for symbol "${query}"`);
     }
 
-    const symbol = searchData.bestMatches[0]['1. symbol'];
-    const name = searchData.bestMatches[0]['2. name'];
-    return { symbol, name };
+    const { symbol, name } = findExactListing(matches, query) || matches[0];
+    return { symbol, name, envelope };
+}
+
+
+
+
+
+/**
+ * Searches the listings matching a symbol or company name.
+ * @param {Object} provider - Market-data provider.
+ * @param {Object} cache - Request cache in front of the provider.
+ * @param {string} query - Symbol or company name keywords.
+ * @param {AbortSignal} [signal] - Cancels the search.
+ * @returns {Object} - The matches, best first, and the cache envelope of the search.
+ */
+async function searchListings(provider, cache, query, signal) {
+    const envelope = await cache.fetch(
+        ['search', provider.name, query.trim().toUpperCase()],
+        (loadSignal) => provider.searchSymbols(query.trim(), loadSignal),
+        getCacheTtl('search'),
+        signal
+    );
+    return { matches: envelope.value || [], envelope };
+}
+
+
+
+
+
+/**
+ * Runs the add stock dialog's search and publishes the candidates, unless a newer query superseded it.
+ * @param {string} query - Symbol or company name keywords.
+ * @param {object} latestQueryRef - Ref holding the query currently in the input.
+ * @param {function} setResults - Setter for the dialog's results state.
+ * @param {function} setIsSearching - Setter for the dialog's isSearching state.
+ * @param {function} setSearchMessage - Setter for the dialog's searchMessage state.
+ * @param {AbortSignal} [signal] - Cancels the search.
+ * @returns {Promise<Array<object>|null>} - The matches, or null when the search failed, was superseded or cancelled.
+ */
+async function searchCandidates(query, latestQueryRef, setResults, setIsSearching, setSearchMessage, signal) {
+    setIsSearching(true);
+
+    try {
+        const { matches } = await searchListings(dataProvider, requestCache, query, signal);
+        if (latestQueryRef.current !== query) return null;
+
+        setResults({ query, matches });
+        setSearchMessage(matches.length === 0 ? `No listings match "${query}".` : null);
+        return matches;
+    } catch (error) {
+        if (latestQueryRef.current !== query || isAbortError(error)) return null;
+
+        console.error(error);
+        setResults({ query, matches: [] });
+        setSearchMessage(`Search failed: ${error.message}`);
+        return null;
+    } finally {
+        if (latestQueryRef.current === query) setIsSearching(false);
+    }
+}
+
+
+
+
+
+/**
+ * Finds the listing whose symbol is exactly the query.
+ * @param {Array<object>} matches - Search matches.
+ * @param {string} query - Symbol or company name keywords.
+ * @returns {object|undefined} - The listing, if any.
+ */
+function findExactListing(matches, query) {
+    const symbol = query.trim().toUpperCase();
+    return matches.find((match) => match.symbol.toUpperCase() === symbol);
+}
+
+
+
+
+
+/**
+ * Picks the listing a query unambiguously names: the exact symbol match, or the only match.
+ * @param {Array<object>} matches - Search matches.
+ * @param {string} query - Symbol or company name keywords.
+ * @returns {object|null} - The listing, or null when the user has to pick one.
+ */
+function pickListing(matches, query) {
+    return findExactListing(matches, query) || (matches.length === 1 ? matches[0] : null);
 }
 
 
@@ -1156,21 +5484,134 @@ async function searchSymbol(apiKey, query) {
 
 /**
  * Fetch overview data for a stock symbol.
- * @param {string} apiKey - Alpha Vantage API key.
+ * @param {Object} provider - Market-data provider.
+ * @param {Object} cache - Request cache in front of the provider.
+ * @param {string} symbol - Stock symbol.
+ * @param {AbortSignal} [signal] - Cancels the load.
+ * @returns {Object} - Normalized fundamentals, empty when unavailable, and the cache envelope of the request.
+ */
+async function fetchStockOverview(provider, cache, symbol, signal) {
+    try {
+        const envelope = await cache.fetch(
+            ['fundamentals', provider.name, symbol],
+            (loadSignal) => provider.getFundamentals(symbol, loadSignal),
+            getCacheTtl('fundamentals'),
+            signal
+        );
+        return { fundamentals: envelope.value, envelope };
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+
+        console.warn('Overview data is not available:', error.message);
+        return { fundamentals: {}, envelope: null };
+    }
+}
+
+
+
+
+
+
+/**
+ * Fetch the past earnings reports of a stock symbol and its next report from the earnings calendar.
+ * @param {Object} provider - Market-data provider.
+ * @param {Object} cache - Request cache in front of the provider.
  * @param {string} symbol - Stock symbol.
- * @returns {Object} - Overview data.
+ * @param {AbortSignal} [signal] - Cancels the load.
+ * @returns {Object} - { history, nextReport }; history is empty and nextReport null when unavailable.
  */
-async function fetchStockOverview(apiKey, symbol) {
-    const url = `https://www.alphavantage.co/query?function=OVERVIEW&symbol=${symbol}&apikey=${apiKey}`;
-    const response = await fetch(url);
-    const data = await response.json();
+async function fetchEarnings(provider, cache, symbol, signal) {
+    let history = [];
 
-    if (!data || Object.keys(data).length === 0) {
-        console.warn('Overview data is not available.');
-        return {};
+    try {
+        const envelope = await cache.fetch(
+            ['earnings', provider.name, symbol],
+            (loadSignal) => provider.getEarnings(symbol, loadSignal),
+            getCacheTtl('earnings'),
+            signal
+        );
+        history = envelope.value;
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+
+        console.warn('Earnings data is not available:', error.message);
+    }
+
+    const calendar = await fetchEarningsCalendar(provider, cache, signal);
+    return { history, nextReport: findNextEarnings(calendar, symbol, new Date().toISOString().slice(0, 10)) };
+}
+
+
+
+
+
+
+/**
+ * Fetch the upcoming earnings reports of every company.
+ * One calendar covers the whole market, so it is fetched once and shared by every stock.
+ * @param {Object} provider - Market-data provider.
+ * @param {Object} cache - Request cache in front of the provider.
+ * @param {AbortSignal} [signal] - Cancels the load.
+ * @returns {Array<Object>} - Normalized earnings calendar, empty when unavailable.
+ */
+async function fetchEarningsCalendar(provider, cache, signal) {
+    try {
+        const envelope = await cache.fetch(
+            ['earningsCalendar', provider.name],
+            (loadSignal) => provider.getEarningsCalendar(loadSignal),
+            getCacheTtl('earningsCalendar'),
+            signal
+        );
+        return envelope.value;
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+
+        console.warn('Earnings calendar is not available:', error.message);
+        return [];
     }
+}
+
+
+
+
+
+
+/**
+ * Fetch the financial statements of a stock symbol, e.g. to show or export them.
+ * Every statement is fetched on its own, so a missing statement does not hide the others.
+ * @param {Object} provider - Market-data provider.
+ * @param {Object} cache - Request cache in front of the provider.
+ * @param {string} symbol - Stock symbol.
+ * @param {AbortSignal} [signal] - Cancels the load.
+ * @returns {Object} - { statements, errors }; statements are keyed by type (see statements.js) and errors list
+ *      { type, message } of the statements that failed.
+ */
+async function fetchFinancialStatements(provider, cache, symbol, signal) {
+    const results = await Promise.all(STATEMENT_TYPES.map(async function (type) {
+        try {
+            const envelope = await cache.fetch(
+                ['statements', provider.name, symbol, type],
+                (loadSignal) => provider.getStatements(symbol, type, loadSignal),
+                getCacheTtl('statements'),
+                signal
+            );
+
+            return { type, statement: envelope.value };
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+
+            console.warn('Financial statements are not available:', error.message);
+            return { type, error: `Could not fetch the ${STATEMENT_LABELS[type].toLowerCase()}: ${error.message || 'Please try again later.'}` };
+        }
+    }));
+
+    const statements = {};
+    results.filter((result) => result.statement).forEach((result) => { statements[result.type] = result.statement; });
 
-    return data;
+    return {
+        statements,
+        errors: results.filter((result) => result.error).map((result) => ({ type: result.type, message: result.error })),
+    };
 }
 
 
@@ -1179,80 +5620,55 @@ async function fetchStockOverview(apiKey, symbol) {
 
 
 /**
- * Determine API parameters based on the selected time frame.
- * @param {string} timeFrame - Selected time frame.
- * @returns {Object} - API parameters.
+ * Turns a span dragged across the chart into a custom range.
+ * @param {object|null} chart - The Chart.js instance.
+ * @param {object} brush - Span dragged: { from, to } in pixels from the left of the canvas.
+ * @param {boolean} intraday - Whether the chart shows intraday bars, so the range keeps the time of day.
+ * @returns {object|null} - The range at an automatic interval, or null when the drag was too short to be a zoom.
+ */
+function selectChartRange(chart, brush, intraday) {
+    if (!chart || Math.abs(brush.to - brush.from) < MIN_BRUSH_WIDTH) return null;
+
+    const times = [brush.from, brush.to].map((pixel) => chart.scales.x.getValueForPixel(pixel)).sort((a, b) => a - b);
+    if (!times.every(Number.isFinite)) return null;
+
+    return createTimeRange({ start: toRangeDate(times[0], intraday), end: toRangeDate(times[1], intraday) });
+}
+
+
+
+
+
+/**
+ * Determine the bar resolution and chart axis settings for the selected time frame.
+ * @param {string|object} timeFrame - Selected time frame, or a custom range (see timeRange.js).
+ * @returns {Object} - Resolution, time unit and tick count.
  */
 function getTimeFrameParams(timeFrame = '1D') {
-    let endpoint = 'TIME_SERIES_DAILY';
-    let interval = '';
-    let dateRange;
-    let timeUnit;
-    let ticks;
+    if (isTimeRange(timeFrame)) {
+        return { resolution: pickRangeInterval(timeFrame), ...getRangeAxis(timeFrame) };
+    }
 
     switch (timeFrame) {
         case '1D':
-            endpoint = 'TIME_SERIES_INTRADAY';
-            interval = '15min';
-            dateRange = undefined; // We'll filter dates within the past 24 hours
-            timeUnit = 'hour';
-            ticks = 24; // 24 hours
-            break;
-
+            return { resolution: '15min', timeUnit: 'hour', ticks: 24 }; // 24 hours
         case '5D':
-            endpoint = 'TIME_SERIES_INTRADAY';
-            interval = '60min';
-            dateRange = undefined; // We'll filter dates within the past 5 days
-            timeUnit = 'day';
-            ticks = 5;
-            break;
-
+            return { resolution: '60min', timeUnit: 'day', ticks: 5 };
         case '1M':
-            endpoint = 'TIME_SERIES_DAILY_ADJUSTED';
-            dateRange = undefined; // We'll filter dates within the past 1 month
-            timeUnit = 'day';
-            ticks = 22; // Approximate trading days in a month
-            break;
-
+            return { resolution: 'daily', timeUnit: 'day', ticks: 22 }; // Approximate trading days in a month
         case '6M':
-            endpoint = 'TIME_SERIES_DAILY_ADJUSTED';
-            dateRange = undefined; // We'll filter dates within the past 6 months
-            timeUnit = 'month';
-            ticks = 6; // 6 months
-            break;
-
+            return { resolution: 'daily', timeUnit: 'month', ticks: 6 };
         case 'YTD':
-            timeUnit = 'month';
-            ticks = new Date().getMonth() + 1; // Number of months since start of year
-            endpoint = 'TIME_SERIES_WEEKLY_ADJUSTED';
-            break;
-
+            return { resolution: 'weekly', timeUnit: 'month', ticks: new Date().getMonth() + 1 }; // Months since start of year
         case '1Y':
-            endpoint = 'TIME_SERIES_WEEKLY_ADJUSTED';
-            dateRange = undefined; // We'll filter dates within the past 12 months
-            timeUnit = 'month';
-            ticks = 12;
-            break;
-
+            return { resolution: 'weekly', timeUnit: 'month', ticks: 12 };
         case '5Y':
-            endpoint = 'TIME_SERIES_WEEKLY_ADJUSTED';
-            dateRange = undefined; // We'll filter dates within the past 5 years
-            timeUnit = 'year';
-            ticks = 5;
-            break;
-
+            return { resolution: 'weekly', timeUnit: 'year', ticks: 5 };
         case 'ALL':
-            endpoint = 'TIME_SERIES_MONTHLY_ADJUSTED';
-            dateRange = Infinity;
-            timeUnit = 'year';
-            ticks = 20;
-            break;
-
+            return { resolution: 'monthly', timeUnit: 'year', ticks: 20 };
         default:
             throw new Error('Invalid time frame: ' + timeFrame);
     }
-
-    return { endpoint, interval, timeUnit, dateRange, ticks };
 }
 
 
@@ -1260,90 +5676,33 @@ function getTimeFrameParams(timeFrame = '1D') {
 
 
 /**
- * Compute detailed statistics from the time series data.
- * @param {Object} timeSeries - Time series data.
- * @param {Array} dates - Array of dates.
- * @param {string} volumeKey - The key to access volume data.
+ * Compute detailed statistics from the bars; the ranges and volumes come from summarizeTrading instead.
+ * @param {Array<object>} bars - The bars within the time frame, oldest first.
  * @returns {Object} - Detailed statistics.
  */
-function computeDetailedStats(timeSeries, dates, volumeKey) {
-    if (dates.length < 2) {
+function computeDetailedStats(bars) {
+    if (bars.length < 2) {
         return {
             previousClose: null,
             openPrice: null,
-            dayLow: null,
-            dayHigh: null,
-            volume: null,
             adjustedClose: null,
             dividendAmount: null,
             splitCoefficient: null,
-            weekLow: null,
-            weekHigh: null,
-            avgVolume: null,
         };
     }
 
-    const latestData = timeSeries[dates[dates.length - 1]];
-    const previousData = timeSeries[dates[dates.length - 2]];
-    const previousClose = previousData ? parseFloat(previousData['4. close']) : null;
-    const dayHigh = latestData ? parseFloat(latestData['2. high']) : null;
-    const dayLow = latestData ? parseFloat(latestData['3. low']) : null;
-    const openPrice = latestData ? parseFloat(latestData['1. open']) : null;
-    const volume = latestData ? parseInt(latestData[volumeKey]) : null;
-
-    // Adjusted Close
-    const adjustedClose =
-        latestData && latestData['5. adjusted close'] !== undefined
-            ? parseFloat(latestData['5. adjusted close'])
-            : null;
-
-    // Dividend Amount
-    const dividendAmount =
-        latestData && latestData['7. dividend amount'] !== undefined
-            ? parseFloat(latestData['7. dividend amount'])
-            : null;
-
-    // Split Coefficient
-    const splitCoefficient =
-        latestData && latestData['8. split coefficient'] !== undefined
-            ? parseFloat(latestData['8. split coefficient'])
-            : null;
-
-    // 52-week Range
-    const past52Weeks = Object.keys(timeSeries).slice(-260); // Approximately 260 trading days in 52 weeks
-
-    const weekLow =
-        past52Weeks.length > 0
-            ? Math.min(...past52Weeks.map((date) => parseFloat(timeSeries[date]['3. low'])))
-            : null;
-
-    const weekHigh =
-        past52Weeks.length > 0
-            ? Math.max(...past52Weeks.map((date) => parseFloat(timeSeries[date]['2. high'])))
-            : null;
-
-    // Average Volume
-    const avgVolume =
-        dates.length > 0
-            ? dates.reduce((sum, date) => sum + parseInt(timeSeries[date][volumeKey] || 0), 0) /
-            dates.length
-            : null;
+    const latestBar = bars[bars.length - 1];
+    const previousBar = bars[bars.length - 2];
 
     return {
-        previousClose,
-        openPrice,
-        dayLow,
-        dayHigh,
-        volume,
-        adjustedClose,
-        dividendAmount,
-        splitCoefficient,
-        weekLow,
-        weekHigh,
-        avgVolume,
+        previousClose: previousBar.close,
+        openPrice: latestBar.open,
+        adjustedClose: latestBar.adjustedClose,
+        dividendAmount: latestBar.adjustedClose !== null ? latestBar.dividend : null,
+        splitCoefficient: latestBar.adjustedClose !== null ? latestBar.splitCoefficient : null,
     };
 }
 
 
 
-export default App;
\ No newline at end of file
+export default App;
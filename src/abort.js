@@ -0,0 +1,80 @@
+/**
+ * File: abort.js
+ *
+ * Cancelling loads with an AbortController. A load takes the controller's signal and hands it down to every request
+ * it waits on; once the signal is aborted, the load rejects with an AbortError. Callers drop that error silently,
+ * since it only means the user moved on to something else.
+ */
+
+
+
+
+
+/**
+ * Error a load rejects with once it was cancelled. Its name matches the error fetch() throws when aborted, so
+ * isAbortError recognizes both.
+ */
+export class AbortError extends Error {
+    /**
+     * @param {string} [message='The request was cancelled.'] - Description of what was cancelled.
+     */
+    constructor(message = 'The request was cancelled.') {
+        super(message);
+        this.name = 'AbortError';
+    }
+}
+
+
+
+
+
+/**
+ * Tells whether an error only means the load was cancelled.
+ * @param {*} error - The error.
+ * @returns {boolean} - True for an AbortError, ours or the browser's.
+ */
+export function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+
+
+
+
+/**
+ * Stops a load that was cancelled before its next step.
+ * @param {AbortSignal} [signal] - Signal of the load; nothing is checked without one.
+ * @throws {AbortError} - If the signal is aborted.
+ */
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw new AbortError();
+}
+
+
+
+
+
+/**
+ * Waits for a promise, but rejects as soon as the signal is aborted. The work behind the promise goes on; only the
+ * wait stops.
+ * @param {Promise<*>} promise - The promise to wait for.
+ * @param {AbortSignal} [signal] - Signal of the load; without one, the promise is returned as is.
+ * @returns {Promise<*>} - Settles like the promise, or rejects with an AbortError once the signal is aborted.
+ */
+export function abortable(promise, signal) {
+    if (!signal) return promise;
+
+    return new Promise(function (resolve, reject) {
+        if (signal.aborted) {
+            reject(new AbortError());
+            return;
+        }
+
+        const handleAbort = () => reject(new AbortError());
+
+        signal.addEventListener('abort', handleAbort, { once: true });
+        promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', handleAbort));
+    });
+}
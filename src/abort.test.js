@@ -0,0 +1,30 @@
+import { AbortError, abortable, isAbortError, throwIfAborted } from './abort';
+
+test('abort errors are recognized, ours and the browser\'s', () => {
+    expect(isAbortError(new AbortError())).toBe(true);
+    expect(isAbortError(new DOMException('The user aborted a request.', 'AbortError'))).toBe(true);
+    expect(isAbortError(new Error('offline'))).toBe(false);
+    expect(isAbortError(null)).toBe(false);
+});
+
+test('throwIfAborted only throws once the signal is aborted', () => {
+    const controller = new AbortController();
+
+    expect(() => throwIfAborted(undefined)).not.toThrow();
+    expect(() => throwIfAborted(controller.signal)).not.toThrow();
+    controller.abort();
+    expect(() => throwIfAborted(controller.signal)).toThrow(AbortError);
+});
+
+test('abortable stops waiting when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const pending = new Promise(() => {});
+    const waiting = abortable(pending, controller.signal);
+
+    expect(abortable(pending, undefined)).toBe(pending);
+    await expect(abortable(Promise.resolve(1), controller.signal)).resolves.toBe(1);
+
+    controller.abort();
+    await expect(waiting).rejects.toThrow(AbortError);
+    await expect(abortable(Promise.resolve(2), controller.signal)).rejects.toThrow(AbortError);
+});
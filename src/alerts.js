@@ -0,0 +1,263 @@
+/**
+ * File: alerts.js
+ *
+ * Pure helpers for price alerts. A rule watches one symbol for one of the ALERT_CONDITIONS; it is evaluated
+ * against every fresh stock snapshot and triggers when its condition starts to hold. The rule then stays quiet
+ * until the condition stops holding, so a price hovering above a level triggers once rather than on every refresh.
+ *
+ * Each rule remembers whether its condition held at the last evaluation (`active`). It is null until the rule
+ * has seen data, and that first evaluation never triggers: a rule fires on a change, not on the state it was
+ * created in.
+ */
+
+
+
+import { createId } from './holdings';
+
+
+
+
+
+// Constants
+export const ALERT_CONDITIONS = ['priceAbove', 'priceBelow', 'changeBeyond', 'volumeSpike', 'newHigh', 'newLow'];
+export const ALERT_CONDITION_LABELS = {
+    priceAbove: 'Price crosses above',
+    priceBelow: 'Price crosses below',
+    changeBeyond: 'Daily change beyond ±%',
+    volumeSpike: 'Volume above × average',
+    newHigh: 'New 52-week high',
+    newLow: 'New 52-week low',
+};
+const CONDITIONS_WITHOUT_VALUE = ['newHigh', 'newLow'];
+
+
+
+
+
+/**
+ * Validates user input and creates an alert rule.
+ * @param {object} input - Raw rule values, usually straight from form fields.
+ * @param {string} input.symbol - Stock symbol to watch.
+ * @param {string} input.condition - One of ALERT_CONDITIONS.
+ * @param {string|number} [input.value] - Price level, percentage or volume multiple; unused for new highs and lows.
+ * @returns {object} - The new rule.
+ * @throws {Error} - If any value is missing or invalid.
+ */
+export function createAlertRule(input) {
+    const { symbol, condition } = input;
+
+    if (!symbol) {
+        throw new Error('Alert rules need a stock symbol.');
+    }
+    if (!ALERT_CONDITIONS.includes(condition)) {
+        throw new Error(`Unknown alert condition "${condition}".`);
+    }
+
+    const rule = { id: createId(), symbol, condition, value: null, enabled: true, active: null };
+
+    if (!alertNeedsValue(condition)) return rule;
+
+    const value = parseFloat(input.value);
+    if (!(value > 0)) {
+        throw new Error('The alert threshold must be a number greater than zero.');
+    }
+
+    return { ...rule, value };
+}
+
+
+
+
+
+/**
+ * Tells whether a condition takes a threshold.
+ * @param {string} condition - One of ALERT_CONDITIONS.
+ * @returns {boolean} - False for new highs and lows.
+ */
+export function alertNeedsValue(condition) {
+    return !CONDITIONS_WITHOUT_VALUE.includes(condition);
+}
+
+
+
+
+
+/**
+ * Describes a rule for display.
+ * @param {object} rule - An alert rule.
+ * @returns {string} - E.g. 'Price crosses above 150'.
+ */
+export function describeAlertRule(rule) {
+    const label = ALERT_CONDITION_LABELS[rule.condition] || rule.condition;
+    return alertNeedsValue(rule.condition) ? `${label} ${rule.value}` : label;
+}
+
+
+
+
+
+/**
+ * Evaluates every enabled rule against the latest snapshot of its symbol.
+ * @param {Array<object>} rules - Alert rules.
+ * @param {Array<object>} stocks - Stock snapshots; when a symbol appears twice, the most recently updated one is used.
+ * @param {number} [now=Date.now()] - Time stamped on the events, in milliseconds since the epoch.
+ * @returns {object} - { rules, events }: the rules with their state updated, and the alerts that triggered.
+ *      The same rules array is returned when no rule changed, so callers can skip a state update.
+ */
+export function evaluateAlertRules(rules, stocks, now = Date.now()) {
+    const snapshots = pickLatestSnapshots(stocks);
+    const events = [];
+    let changed = false;
+
+    const updatedRules = rules.map(function (rule) {
+        const stock = snapshots[rule.symbol];
+        if (!rule.enabled || !stock) return rule;
+
+        const active = checkCondition(rule, stock);
+        if (active === null || active === rule.active) return rule;
+
+        if (active && rule.active === false) {
+            events.push({
+                id: createId(),
+                ruleId: rule.id,
+                symbol: rule.symbol,
+                condition: rule.condition,
+                message: describeTrigger(rule, stock),
+                triggeredAt: now,
+                read: false,
+            });
+        }
+
+        changed = true;
+        return { ...rule, active };
+    });
+
+    return { rules: changed ? updatedRules : rules, events };
+}
+
+
+
+
+
+/**
+ * Tells whether a stored value is a usable alert rule.
+ * @param {*} rule - The value.
+ * @returns {boolean} - True when it has an id, a symbol and a known condition.
+ */
+export function isAlertRule(rule) {
+    return Boolean(rule && rule.id && rule.symbol && ALERT_CONDITIONS.includes(rule.condition));
+}
+
+
+
+
+
+/**
+ * Tells whether a stored value is a usable triggered alert.
+ * @param {*} event - The value.
+ * @returns {boolean} - True when it has an id, a symbol and a message.
+ */
+export function isAlertEvent(event) {
+    return Boolean(event && event.id && event.symbol && typeof event.message === 'string');
+}
+
+
+
+
+
+/**
+ * Keeps the most recently updated snapshot of each symbol.
+ * @param {Array<object>} stocks - Stock snapshots.
+ * @returns {object} - Snapshots keyed by stock symbol.
+ */
+function pickLatestSnapshots(stocks) {
+    const snapshots = {};
+
+    stocks.forEach(function (stock) {
+        if (!stock || !stock.symbol) return;
+
+        const current = snapshots[stock.symbol];
+        if (!current || (stock.updatedAt || 0) > (current.updatedAt || 0)) snapshots[stock.symbol] = stock;
+    });
+
+    return snapshots;
+}
+
+
+
+
+
+/**
+ * Checks whether a rule's condition holds for a snapshot.
+ * @param {object} rule - An alert rule.
+ * @param {object} stock - Stock snapshot.
+ * @returns {boolean|null} - Whether the condition holds, or null when the snapshot lacks the data to tell.
+ */
+function checkCondition(rule, stock) {
+    const { price, dayChangePercent, volume, avgVolume, dayHigh, dayLow, weekHigh, weekLow } = stock;
+
+    switch (rule.condition) {
+        case 'priceAbove':
+            return isNumber(price) ? price >= rule.value : null;
+        case 'priceBelow':
+            return isNumber(price) ? price <= rule.value : null;
+        case 'changeBeyond':
+            // Not changePercent, which is the change over the chart's time frame
+            return isNumber(dayChangePercent) ? Math.abs(dayChangePercent) >= rule.value : null;
+        case 'volumeSpike':
+            return isNumber(volume) && avgVolume > 0 ? volume >= rule.value * avgVolume : null;
+        case 'newHigh':
+            // The 52-week range includes the latest bar, so a new high is a latest bar reaching the top of the range
+            if (!isNumber(price) || !isNumber(weekHigh)) return null;
+            return Math.max(price, isNumber(dayHigh) ? dayHigh : price) >= weekHigh;
+        case 'newLow':
+            if (!isNumber(price) || !isNumber(weekLow)) return null;
+            return Math.min(price, isNumber(dayLow) ? dayLow : price) <= weekLow;
+        default:
+            return null;
+    }
+}
+
+
+
+
+
+/**
+ * Describes why a rule triggered.
+ * @param {object} rule - The rule that triggered.
+ * @param {object} stock - The snapshot it triggered on.
+ * @returns {string} - Message for the alert center and the browser notification.
+ */
+function describeTrigger(rule, stock) {
+    const price = isNumber(stock.price) ? stock.price.toFixed(2) : 'N/A';
+
+    switch (rule.condition) {
+        case 'priceAbove':
+            return `${rule.symbol} rose above ${rule.value} (now ${price}).`;
+        case 'priceBelow':
+            return `${rule.symbol} fell below ${rule.value} (now ${price}).`;
+        case 'changeBeyond':
+            return `${rule.symbol} moved ${stock.dayChangePercent.toFixed(2)}% today, beyond ±${rule.value}%.`;
+        case 'volumeSpike':
+            return `${rule.symbol} volume is ${(stock.volume / stock.avgVolume).toFixed(1)}× its average.`;
+        case 'newHigh':
+            return `${rule.symbol} hit a new 52-week high (now ${price}).`;
+        case 'newLow':
+            return `${rule.symbol} hit a new 52-week low (now ${price}).`;
+        default:
+            return `${rule.symbol}: ${describeAlertRule(rule)}.`;
+    }
+}
+
+
+
+
+
+/**
+ * Checks for a usable number.
+ * @param {*} value - The value.
+ * @returns {boolean} - True for finite numbers.
+ */
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
@@ -0,0 +1,67 @@
+import { createAlertRule, describeAlertRule, evaluateAlertRules, isAlertEvent, isAlertRule } from './alerts';
+
+test('createAlertRule validates the condition and threshold', () => {
+    expect(createAlertRule({ symbol: 'AAA', condition: 'priceAbove', value: '150' })).toMatchObject({
+        symbol: 'AAA',
+        condition: 'priceAbove',
+        value: 150,
+        enabled: true,
+        active: null,
+    });
+    expect(createAlertRule({ symbol: 'AAA', condition: 'newHigh' }).value).toBeNull();
+    expect(() => createAlertRule({ symbol: 'AAA', condition: 'priceBelow', value: '' })).toThrow(/threshold/);
+    expect(() => createAlertRule({ symbol: 'AAA', condition: 'sideways' })).toThrow(/Unknown/);
+    expect(describeAlertRule(createAlertRule({ symbol: 'AAA', condition: 'volumeSpike', value: 3 }))).toBe(
+        'Volume above × average 3'
+    );
+});
+
+test('evaluateAlertRules triggers when a condition starts to hold, not while it keeps holding', () => {
+    const rule = createAlertRule({ symbol: 'AAA', condition: 'priceAbove', value: 100 });
+
+    // The first evaluation only records the state
+    let result = evaluateAlertRules([rule], [{ symbol: 'AAA', price: 99 }], 1);
+    expect(result.events).toEqual([]);
+    expect(result.rules[0].active).toBe(false);
+
+    result = evaluateAlertRules(result.rules, [{ symbol: 'AAA', price: 101 }], 2);
+    expect(result.events).toHaveLength(1);
+    expect(result.events[0]).toMatchObject({ symbol: 'AAA', ruleId: rule.id, triggeredAt: 2 });
+    expect(result.events[0].message).toMatch(/rose above 100/);
+
+    const unchanged = evaluateAlertRules(result.rules, [{ symbol: 'AAA', price: 102 }], 3);
+    expect(unchanged.events).toEqual([]);
+    expect(unchanged.rules).toBe(result.rules);
+});
+
+test('evaluateAlertRules uses the latest snapshot of a symbol and skips missing data', () => {
+    const rules = [
+        { ...createAlertRule({ symbol: 'AAA', condition: 'volumeSpike', value: 2 }), active: false },
+        { ...createAlertRule({ symbol: 'AAA', condition: 'newLow' }), active: false },
+        { ...createAlertRule({ symbol: 'AAA', condition: 'changeBeyond', value: 5 }), active: false, enabled: false },
+    ];
+    const stocks = [
+        { symbol: 'AAA', price: 10, volume: 100, avgVolume: 100, updatedAt: 1 },
+        { symbol: 'AAA', price: 8, dayChangePercent: -9, volume: 300, avgVolume: 100, dayLow: 7, weekLow: 7, updatedAt: 2 },
+    ];
+    const { events } = evaluateAlertRules(rules, stocks, 5);
+
+    expect(events.map((event) => event.condition)).toEqual(['volumeSpike', 'newLow']);
+    expect(evaluateAlertRules(rules, [{ symbol: 'AAA', price: 8 }]).events).toEqual([]);
+});
+
+test('changeBeyond rules watch the daily change, not the change over the chart\'s time frame', () => {
+    const rules = [{ ...createAlertRule({ symbol: 'AAA', condition: 'changeBeyond', value: 5 }), active: false }];
+
+    expect(evaluateAlertRules(rules, [{ symbol: 'AAA', price: 8, changePercent: -40 }]).events).toEqual([]);
+
+    const { events } = evaluateAlertRules(rules, [{ symbol: 'AAA', price: 8, changePercent: -40, dayChangePercent: 6 }]);
+    expect(events[0].message).toMatch(/moved 6.00% today/);
+});
+
+test('isAlertRule and isAlertEvent reject stored values missing their fields', () => {
+    expect(isAlertRule(createAlertRule({ symbol: 'AAA', condition: 'newHigh' }))).toBe(true);
+    expect(isAlertRule({ id: '1', symbol: 'AAA', condition: 'sideways' })).toBe(false);
+    expect(isAlertEvent({ id: '1', symbol: 'AAA', message: 'AAA hit a new high' })).toBe(true);
+    expect(isAlertEvent({ id: '1', symbol: 'AAA' })).toBe(false);
+});
@@ -0,0 +1,243 @@
+/**
+ * File: allocation.js
+ *
+ * Pure helpers for the allocation dashboard. Each holding is weighed by its market value and grouped by one of
+ * the fundamentals (see marketData.js) or by a market-cap bucket. Concentration warnings flag a single holding or
+ * sector whose weight exceeds the user's limit.
+ *
+ * layoutTreemap places the groups in a rectangle with the squarified algorithm (Bruls, Huizing and van Wijk), which
+ * keeps the tiles close to square so their areas are easy to compare.
+ */
+
+
+
+
+
+// Constants
+export const ALLOCATION_DIMENSIONS = ['sector', 'industry', 'country', 'currency', 'assetType', 'marketCap'];
+export const ALLOCATION_DIMENSION_LABELS = {
+    sector: 'Sector',
+    industry: 'Industry',
+    country: 'Country',
+    currency: 'Currency',
+    assetType: 'Asset Type',
+    marketCap: 'Market Cap',
+};
+export const UNKNOWN_GROUP = 'Unknown';
+export const DEFAULT_CONCENTRATION_LIMITS = { holding: 20, sector: 40 }; // Maximum weights in percent
+const MARKET_CAP_BUCKETS = [
+    { min: 200e9, label: 'Mega Cap (200B+)' },
+    { min: 10e9, label: 'Large Cap (10B-200B)' },
+    { min: 2e9, label: 'Mid Cap (2B-10B)' },
+    { min: 300e6, label: 'Small Cap (300M-2B)' },
+    { min: 0, label: 'Micro Cap (<300M)' },
+];
+
+
+
+
+
+/**
+ * Names the market-cap bucket of a company.
+ * @param {number|null} marketCap - Market capitalization in the listing currency.
+ * @returns {string} - Bucket label, or UNKNOWN_GROUP when the market cap is missing.
+ */
+export function getMarketCapBucket(marketCap) {
+    if (typeof marketCap !== 'number' || isNaN(marketCap)) return UNKNOWN_GROUP;
+
+    return MARKET_CAP_BUCKETS.find((bucket) => marketCap >= bucket.min).label;
+}
+
+
+
+
+
+/**
+ * Weighs holdings by their share of the portfolio's market value.
+ * @param {Array<object>} positions - Holdings: { symbol, marketValue, fundamentals }.
+ * @returns {Array<object>} - Holdings with their weight in percent, largest first; empty positions are left out.
+ */
+export function weighHoldings(positions) {
+    const held = positions.filter((position) => position.marketValue > 0);
+    const total = held.reduce((sum, position) => sum + position.marketValue, 0);
+
+    return held
+        .map((position) => ({ ...position, weight: (position.marketValue / total) * 100 }))
+        .sort((a, b) => b.marketValue - a.marketValue);
+}
+
+
+
+
+
+/**
+ * Groups weighed holdings by a dimension.
+ * @param {Array<object>} holdings - Holdings as returned by weighHoldings.
+ * @param {string} dimension - One of ALLOCATION_DIMENSIONS.
+ * @returns {Array<object>} - Groups { key, marketValue, weight, symbols }, largest first.
+ */
+export function groupAllocation(holdings, dimension) {
+    const groups = new Map();
+
+    holdings.forEach(function (holding) {
+        const fundamentals = holding.fundamentals || {};
+        const key = dimension === 'marketCap'
+            ? getMarketCapBucket(fundamentals.marketCap)
+            : fundamentals[dimension] || UNKNOWN_GROUP;
+        const group = groups.get(key) || { key, marketValue: 0, weight: 0, symbols: [] };
+
+        group.marketValue += holding.marketValue;
+        group.weight += holding.weight;
+        group.symbols.push(holding.symbol);
+        groups.set(key, group);
+    });
+
+    return Array.from(groups.values()).sort((a, b) => b.marketValue - a.marketValue);
+}
+
+
+
+
+
+/**
+ * Validates stored concentration limits.
+ * @param {object} [limits] - Stored limits: { holding, sector } in percent.
+ * @returns {object} - Valid limits; values outside (0, 100] fall back to DEFAULT_CONCENTRATION_LIMITS.
+ */
+export function normalizeConcentrationLimits(limits) {
+    const normalized = {};
+
+    Object.keys(DEFAULT_CONCENTRATION_LIMITS).forEach(function (name) {
+        const value = Number(limits && limits[name]);
+        normalized[name] = value > 0 && value <= 100 ? value : DEFAULT_CONCENTRATION_LIMITS[name];
+    });
+
+    return normalized;
+}
+
+
+
+
+
+/**
+ * Finds the holdings and sectors weighing more than the concentration limits.
+ * Holdings without a known sector are not grouped into a sector warning.
+ * @param {Array<object>} holdings - Holdings as returned by weighHoldings.
+ * @param {object} limits - Concentration limits: { holding, sector } in percent.
+ * @returns {Array<object>} - Warnings { kind ('holding' or 'sector'), key, weight, limit }, heaviest first.
+ */
+export function findConcentrations(holdings, limits) {
+    const warnings = [];
+
+    holdings.forEach(function (holding) {
+        if (holding.weight > limits.holding) {
+            warnings.push({ kind: 'holding', key: holding.symbol, weight: holding.weight, limit: limits.holding });
+        }
+    });
+    groupAllocation(holdings, 'sector').forEach(function (group) {
+        if (group.key !== UNKNOWN_GROUP && group.weight > limits.sector) {
+            warnings.push({ kind: 'sector', key: group.key, weight: group.weight, limit: limits.sector });
+        }
+    });
+
+    return warnings.sort((a, b) => b.weight - a.weight);
+}
+
+
+
+
+
+/**
+ * Lays out a squarified treemap.
+ * @param {Array<object>} items - Items with a positive value, e.g. allocation groups with their marketValue.
+ * @param {function} getValue - Returns an item's value.
+ * @param {number} [width=100] - Width of the area to fill.
+ * @param {number} [height=100] - Height of the area to fill.
+ * @returns {Array<object>} - Tiles { item, x, y, width, height }, largest first.
+ */
+export function layoutTreemap(items, getValue, width = 100, height = 100) {
+    const cells = items
+        .map((item) => ({ item, value: getValue(item) }))
+        .filter((cell) => cell.value > 0)
+        .sort((a, b) => b.value - a.value);
+    const total = cells.reduce((sum, cell) => sum + cell.value, 0);
+    const tiles = [];
+    let free = { x: 0, y: 0, width, height };
+    let row = [];
+
+    cells.forEach((cell) => { cell.area = (cell.value / total) * width * height; });
+
+    // Add cells to the current row while that makes its worst aspect ratio better, then lay it along the short side
+    cells.forEach(function (cell) {
+        const side = Math.min(free.width, free.height);
+
+        if (row.length > 0 && worstRatio(row.concat(cell), side) > worstRatio(row, side)) {
+            free = layoutRow(row, free, tiles);
+            row = [];
+        }
+        row.push(cell);
+    });
+    if (row.length > 0) layoutRow(row, free, tiles);
+
+    return tiles;
+}
+
+
+
+
+
+/**
+ * Computes the worst aspect ratio of a treemap row.
+ * @param {Array<object>} row - Cells with their area.
+ * @param {number} side - Length of the side the row is laid along.
+ * @returns {number} - The largest ratio of long to short side among the row's tiles.
+ */
+function worstRatio(row, side) {
+    const areas = row.map((cell) => cell.area);
+    const sum = areas.reduce((total, area) => total + area, 0);
+    const max = Math.max(...areas);
+    const min = Math.min(...areas);
+
+    return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+}
+
+
+
+
+
+/**
+ * Lays a treemap row along the short side of the free rectangle.
+ * @param {Array<object>} row - Cells with their area.
+ * @param {object} free - Free rectangle: { x, y, width, height }.
+ * @param {Array<object>} tiles - Tiles laid out so far; the row's tiles are appended.
+ * @returns {object} - The rectangle left free.
+ */
+function layoutRow(row, free, tiles) {
+    const area = row.reduce((sum, cell) => sum + cell.area, 0);
+
+    if (free.width >= free.height) {
+        // Column on the left
+        const width = area / free.height;
+        let y = free.y;
+
+        row.forEach(function (cell) {
+            const height = cell.area / width;
+            tiles.push({ item: cell.item, x: free.x, y, width, height });
+            y += height;
+        });
+
+        return { x: free.x + width, y: free.y, width: free.width - width, height: free.height };
+    }
+
+    // Row on top
+    const height = area / free.width;
+    let x = free.x;
+
+    row.forEach(function (cell) {
+        const width = cell.area / height;
+        tiles.push({ item: cell.item, x, y: free.y, width, height });
+        x += width;
+    });
+
+    return { x: free.x, y: free.y + height, width: free.width, height: free.height - height };
+}
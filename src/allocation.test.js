@@ -0,0 +1,48 @@
+import {
+    findConcentrations,
+    getMarketCapBucket,
+    groupAllocation,
+    layoutTreemap,
+    normalizeConcentrationLimits,
+    weighHoldings,
+} from './allocation';
+
+const holdings = weighHoldings([
+    { symbol: 'AAA', marketValue: 500, fundamentals: { sector: 'TECHNOLOGY', country: 'USA', marketCap: 3e12 } },
+    { symbol: 'BBB', marketValue: 300, fundamentals: { sector: 'TECHNOLOGY', country: 'USA', marketCap: 5e9 } },
+    { symbol: 'CCC', marketValue: 200, fundamentals: {} },
+    { symbol: 'DDD', marketValue: 0, fundamentals: { sector: 'ENERGY' } },
+]);
+
+test('weighHoldings and groupAllocation split the market value by dimension', () => {
+    expect(holdings.map((holding) => [holding.symbol, holding.weight])).toEqual([['AAA', 50], ['BBB', 30], ['CCC', 20]]);
+    expect(groupAllocation(holdings, 'sector')).toEqual([
+        { key: 'TECHNOLOGY', marketValue: 800, weight: 80, symbols: ['AAA', 'BBB'] },
+        { key: 'Unknown', marketValue: 200, weight: 20, symbols: ['CCC'] },
+    ]);
+    expect(groupAllocation(holdings, 'marketCap').map((group) => group.key)).toEqual([
+        'Mega Cap (200B+)',
+        'Mid Cap (2B-10B)',
+        'Unknown',
+    ]);
+    expect(getMarketCapBucket(1e6)).toBe('Micro Cap (<300M)');
+});
+
+test('findConcentrations flags holdings and known sectors above the limits', () => {
+    expect(findConcentrations(holdings, { holding: 40, sector: 60 })).toEqual([
+        { kind: 'sector', key: 'TECHNOLOGY', weight: 80, limit: 60 },
+        { kind: 'holding', key: 'AAA', weight: 50, limit: 40 },
+    ]);
+    expect(findConcentrations(holdings, { holding: 50, sector: 80 })).toEqual([]);
+    expect(normalizeConcentrationLimits({ holding: '15', sector: 150 })).toEqual({ holding: 15, sector: 40 });
+});
+
+test('layoutTreemap fills the area with tiles proportional to the values', () => {
+    const tiles = layoutTreemap([{ value: 6 }, { value: 6 }, { value: 4 }, { value: 3 }, { value: 2 }, { value: 2 }, { value: 1 }], (item) => item.value, 6, 4);
+
+    expect(tiles).toHaveLength(7);
+    tiles.forEach((tile) => expect(tile.width * tile.height).toBeCloseTo(tile.item.value, 10));
+    expect(tiles[0]).toMatchObject({ x: 0, y: 0 });
+    expect(tiles.every((tile) => tile.x + tile.width <= 6 + 1e-9 && tile.y + tile.height <= 4 + 1e-9)).toBe(true);
+    expect(layoutTreemap([{ value: 0 }], (item) => item.value)).toEqual([]);
+});
@@ -0,0 +1,1197 @@
+/**
+ * File: appState.js
+ *
+ * State of the app, the actions that change it, the selectors that read it and the thunks that load data into it
+ * (see store.js).
+ *
+ *  State:  { watchlists, activeWatchlistId, selectedStock, timeFrame, loads, errorMessage, comparisonSymbols,
+ *          comparison, portfolioView, ledger, matchingMethod, alertRules, alertHistory, indicatorSettings, chartMode,
+ *          concentrationLimits, refreshInterval }
+ *  Load:   { requestId, status, error } in loads, keyed by the view it loads data for ('stock' or 'comparison').
+ *          status is 'loading', 'loaded' or 'failed'; error holds the message of a failed load.
+ *
+ * Every load is tagged with a request id and can be cancelled. Starting a load for a view aborts the one still in
+ * flight for it, and leaving the view aborts its load. A response tagged with any other id than the view's current
+ * load is dropped, so picking a time frame or stock while another is loading, or going back to the grid, is never
+ * undone by a slower response arriving late.
+ *
+ * Thunks load data through the store's services:
+ *  -   fetchStock({ listing, query, timeFrame, signal }): the data of a stock for the details view.
+ *  -   fetchComparison({ symbols, timeFrame, signal }): the bars of the compared symbols.
+ *  -   fetchQuote(symbol): the latest price and change of a stock, with its day's and 52-week ranges and volumes.
+ *  -   getApiStatus(): the API scheduler's status, to stop refreshing once the daily budget is used up.
+ *  -   readSnapshot(symbol): the last saved snapshot of a stock, or null.
+ *  -   loadRegistry: the loads in flight of the store, as made by createLoadRegistry().
+ */
+
+
+
+import { isAbortError } from './abort';
+import { createAlertRule, evaluateAlertRules, isAlertEvent, isAlertRule } from './alerts';
+import { normalizeConcentrationLimits } from './allocation';
+import { normalizeChartMode } from './chartModes';
+import { BENCHMARK_SYMBOL, MAX_COMPARISON_SYMBOLS, addComparisonSymbol } from './comparison';
+import { computePosition } from './holdings';
+import { normalizeIndicatorSettings } from './indicators';
+import { MATCHING_METHODS, createTransaction, replayAllLedgers, replayLedger } from './ledger';
+import { createSelector } from './store';
+import {
+    applyStockSnapshots,
+    createWatchlist,
+    deleteWatchlist,
+    duplicateWatchlist,
+    hasQuote,
+    listTrackedStocks,
+    moveStock,
+    renameWatchlist,
+    updateWatchlistStocks,
+} from './watchlists';
+
+
+
+
+
+// Constants
+export const REFRESH_INTERVALS = [0, 1, 5, 15, 30]; // Auto-refresh choices in minutes; 0 turns it off
+export const DEFAULT_REFRESH_INTERVAL = 5;
+const QUOTE_CALL_RESERVE = 5; // API calls a refresh round leaves for what the user opens next
+const CALLS_PER_QUOTE = 2; // At most: the intraday bars, and the daily bars when the cache no longer serves them
+export const MAX_ALERT_HISTORY = 100; // Triggered alerts kept in the alert center
+const VIEW_LOADS = { // State field each view's load fills, and the route view it belongs to
+    stock: { field: 'selectedStock', route: 'stock' },
+    comparison: { field: 'comparison', route: 'compare' },
+};
+const IDLE_LOAD = { requestId: null, status: 'idle', error: null }; // Load of a view that loads nothing
+
+
+
+
+
+/**
+ * Creates the registry of a store's loads in flight, handed to the store as its loadRegistry service. It keeps the
+ * AbortController of each load by request id, next to the last id handed out.
+ * @returns {object} - The registry: { lastRequestId, controllers }.
+ */
+export function createLoadRegistry() {
+    return { lastRequestId: 0, controllers: new Map() };
+}
+
+
+
+
+
+/**
+ * Builds the state the app starts with.
+ * @param {object} stored - The user's saved data: { watchlists, activeWatchlistId, ledger, matchingMethod,
+ *      alertRules, alertHistory, indicatorSettings, chartMode, concentrationLimits, refreshInterval }.
+ * @param {object} route - Route the app was opened at (see routes.js), which sets the view, time frame and chart
+ *      settings to start with. The stock or comparison it names is loaded by applyRoute; a stock counts as loading
+ *      from the start.
+ * @returns {object} - The state.
+ */
+export function createInitialState(stored, route) {
+    return {
+        ...stored,
+        selectedStock: null,
+        timeFrame: route.timeFrame || '1D',
+        loads: route.view === 'stock' ? { stock: { ...IDLE_LOAD, status: 'loading' } } : {},
+        errorMessage: null,
+        comparisonSymbols: route.view === 'compare' ? route.symbols : null,
+        comparison: null,
+        portfolioView: route.view === 'portfolio' ? route.portfolioView : null,
+        chartMode: { ...stored.chartMode, ...route.chartMode },
+    };
+}
+
+
+
+
+
+/**
+ * Computes the next state of the app.
+ * @param {object} state - The current state.
+ * @param {object} action - The action; see the action creators below.
+ * @returns {object} - The next state; the same object when nothing changed.
+ */
+export function appReducer(state, action) {
+    switch (action.type) {
+        case 'watchlists/changed':
+            return {
+                ...state,
+                watchlists: action.watchlists,
+                activeWatchlistId: action.activeWatchlistId ?? state.activeWatchlistId,
+            };
+        case 'watchlists/opened':
+            return { ...state, activeWatchlistId: action.id };
+        case 'stocks/placed':
+            return {
+                ...state,
+                watchlists: updateWatchlistStocks(state.watchlists, action.watchlistId, function (stocks) {
+                    const updatedStocks = [...stocks];
+                    updatedStocks[action.index] = action.stock;
+                    return updatedStocks;
+                }),
+            };
+        case 'stocks/removed':
+            return updateGridStocks(state, (stocks) => stocks.filter((stock, index) => index !== action.index));
+        case 'stocks/moved':
+            return updateGridStocks(state, (stocks) => moveStock(stocks, action.from, action.to));
+        case 'quotes/refreshed': {
+            const refresh = (stock) => (stock.symbol === action.symbol ? { ...stock, ...action.quote } : stock);
+            const watchlists = state.watchlists.map((list) => ({ ...list, stocks: list.stocks.map(refresh) }));
+
+            return { ...state, watchlists };
+        }
+        case 'snapshots/restored':
+            return { ...state, watchlists: applyStockSnapshots(state.watchlists, action.snapshots) };
+        case 'load/started':
+            return updateLoad(state, action, 'loading', null);
+        case 'load/succeeded':
+            if (!isCurrentLoad(state, action)) return state;
+            return { ...updateLoad(state, action, 'loaded', null), [VIEW_LOADS[action.view].field]: action.data };
+        case 'load/failed':
+            if (!isCurrentLoad(state, action)) return state;
+            return updateLoad(state, action, 'failed', action.message);
+        case 'timeFrame/selected':
+            return { ...state, timeFrame: action.timeFrame };
+        case 'view/gridShown':
+            return {
+                ...state,
+                selectedStock: null,
+                comparisonSymbols: null,
+                comparison: null,
+                portfolioView: null,
+                loads: {},
+            };
+        case 'view/comparisonOpened':
+            return {
+                ...state,
+                comparisonSymbols: action.symbols,
+                comparison: action.symbols ? state.comparison : null,
+                loads: action.symbols ? state.loads : dropLoads(state.loads, (view) => view === 'comparison'),
+            };
+        case 'view/portfolioOpened':
+            return { ...state, portfolioView: action.portfolioView };
+        case 'route/applied':
+            return applyRouteToState(state, action.route);
+        case 'error/reported':
+            return { ...state, errorMessage: action.message };
+        case 'error/dismissed':
+            return {
+                ...state,
+                errorMessage: null,
+                loads: dropLoads(state.loads, (view, load) => load.status === 'failed'),
+            };
+        case 'ledger/journalChanged': {
+            const ledger = { ...state.ledger, [action.symbol]: action.transactions };
+
+            if (action.transactions.length === 0) delete ledger[action.symbol];
+            return { ...state, ledger };
+        }
+        case 'ledger/replaced':
+            return { ...state, ledger: action.ledger };
+        case 'ledger/matchingMethodSelected':
+            return { ...state, matchingMethod: action.matchingMethod };
+        case 'alerts/ruleAdded':
+            return { ...state, alertRules: state.alertRules.concat(action.rule) };
+        case 'alerts/ruleToggled':
+            return {
+                ...state,
+                alertRules: state.alertRules.map((rule) =>
+                    rule.id === action.ruleId ? { ...rule, enabled: !rule.enabled, active: null } : rule
+                ),
+            };
+        case 'alerts/ruleRemoved':
+            return { ...state, alertRules: state.alertRules.filter((rule) => rule.id !== action.ruleId) };
+        case 'alerts/evaluated':
+            return {
+                ...state,
+                alertRules: action.rules,
+                alertHistory: action.events.concat(state.alertHistory).slice(0, MAX_ALERT_HISTORY),
+            };
+        case 'alerts/read':
+            if (!state.alertHistory.some((event) => !event.read)) return state;
+            return { ...state, alertHistory: state.alertHistory.map((event) => ({ ...event, read: true })) };
+        case 'alerts/historyCleared':
+            return { ...state, alertHistory: [] };
+        case 'settings/indicatorChanged':
+            return {
+                ...state,
+                indicatorSettings: {
+                    ...state.indicatorSettings,
+                    [action.name]: { ...state.indicatorSettings[action.name], ...action.changes },
+                },
+            };
+        case 'settings/chartModeChanged':
+            return { ...state, chartMode: { ...state.chartMode, ...action.changes } };
+        case 'settings/concentrationLimitsChanged':
+            return { ...state, concentrationLimits: action.limits };
+        case 'settings/refreshIntervalChanged':
+            return { ...state, refreshInterval: action.refreshInterval };
+        case 'backup/restored':
+            return { ...state, ...action.data };
+        default:
+            return state;
+    }
+}
+
+
+
+
+
+/**
+ * Selects the open watchlist; the first one when the stored id no longer exists.
+ * @param {object} state - The app state.
+ * @returns {object} - The watchlist.
+ */
+export const selectActiveWatchlist = createSelector(
+    [(state) => state.watchlists, (state) => state.activeWatchlistId],
+    (watchlists, activeWatchlistId) => watchlists.find((list) => list.id === activeWatchlistId) || watchlists[0]
+);
+
+
+
+
+
+/**
+ * Selects every stock tracked in any watchlist once.
+ * @param {object} state - The app state.
+ * @returns {Array<object>} - Stock snapshots unique by symbol (see listTrackedStocks).
+ */
+export const selectTrackedStocks = createSelector([(state) => state.watchlists], listTrackedStocks);
+
+
+
+
+
+/**
+ * Selects the symbols of the open watchlist as one string, so the quote refresh only restarts when the list itself
+ * changes.
+ * @param {object} state - The app state.
+ * @returns {string} - The symbols, separated by commas.
+ */
+export const selectGridSymbols = createSelector([selectActiveWatchlist], (watchlist) =>
+    watchlist.stocks.map((stock) => stock.symbol).join(',')
+);
+
+
+
+
+
+/**
+ * Selects the symbols of tracked stocks without fetched data yet as one string, so their snapshots are restored
+ * once.
+ * @param {object} state - The app state.
+ * @returns {string} - The symbols, separated by commas.
+ */
+export const selectBareSymbols = createSelector([(state) => state.watchlists], (watchlists) =>
+    Array.from(new Set(watchlists
+        .flatMap((list) => list.stocks)
+        .filter((stock) => stock && !hasQuote(stock))
+        .map((stock) => stock.symbol))).join(',')
+);
+
+
+
+
+
+/**
+ * Selects the holdings and realized results derived by replaying every journal.
+ * @param {object} state - The app state.
+ * @returns {object} - Replay results keyed by stock symbol (see replayAllLedgers).
+ */
+export const selectReplays = createSelector(
+    [(state) => state.ledger, (state) => state.matchingMethod],
+    replayAllLedgers
+);
+
+
+
+
+
+/**
+ * Selects the holdings priced by the latest quotes of the tracked stocks, for the allocation dashboard.
+ * @param {object} state - The app state.
+ * @returns {object} - { positions, unpriced }: positions lists { symbol, marketValue }, unpriced the symbols held
+ *      without a quote.
+ */
+export const selectPortfolioPositions = createSelector([selectTrackedStocks, selectReplays], (stocks, replays) => {
+    const positions = [];
+
+    stocks.forEach(function (stock) {
+        const position = replays[stock.symbol] && computePosition(replays[stock.symbol].lots, stock.price);
+        if (position && position.marketValue !== null) {
+            positions.push({ symbol: stock.symbol, marketValue: position.marketValue });
+        }
+    });
+
+    const unpriced = Object.keys(replays).filter(
+        (symbol) => replays[symbol].shares > 0 && !positions.some((position) => position.symbol === symbol)
+    );
+
+    return { positions, unpriced };
+});
+
+
+
+
+
+/**
+ * Selects the number of triggered alerts not seen in the alert center yet.
+ * @param {object} state - The app state.
+ * @returns {number} - The count.
+ */
+export function selectUnreadAlertCount(state) {
+    return state.alertHistory.filter((event) => !event.read).length;
+}
+
+
+
+
+
+/**
+ * Selects the load of a view.
+ * @param {object} state - The app state.
+ * @param {string} view - 'stock' or 'comparison'.
+ * @returns {object} - The view's load; its status is 'idle' when nothing was loaded for the view.
+ */
+export function selectLoad(state, view) {
+    return state.loads[view] || IDLE_LOAD;
+}
+
+
+
+
+
+/**
+ * Selects the error to show in the status bar: the last one reported, else the message of a failed load.
+ * @param {object} state - The app state.
+ * @returns {string|null} - The message, or null when there is nothing to show.
+ */
+export function selectErrorMessage(state) {
+    const failed = Object.values(state.loads).find((load) => load.status === 'failed');
+    return state.errorMessage || (failed ? failed.error : null);
+}
+
+
+
+
+
+/**
+ * Selects the route of the open view (see routes.js).
+ * @param {object} state - The app state.
+ * @returns {object} - The route of the view shown.
+ */
+export const selectRoute = createSelector(
+    [
+        (state) => state.selectedStock,
+        (state) => state.comparisonSymbols,
+        (state) => state.portfolioView,
+        (state) => state.timeFrame,
+        (state) => state.chartMode,
+    ],
+    function (selectedStock, comparisonSymbols, portfolioView, timeFrame, chartMode) {
+        if (comparisonSymbols) return { view: 'compare', symbols: comparisonSymbols, timeFrame };
+        if (portfolioView) return { view: 'portfolio', portfolioView };
+        if (selectedStock) return { view: 'stock', symbol: selectedStock.symbol, timeFrame, chartMode };
+        return { view: 'grid' };
+    }
+);
+
+
+
+
+
+/**
+ * Creates a watchlist and opens it.
+ * @param {string} name - Name entered by the user.
+ * @returns {function} - Thunk; throws if the name is empty, too long or already taken.
+ */
+export function addWatchlist(name) {
+    return function (dispatch, getState) {
+        const { watchlists } = getState();
+        const watchlist = createWatchlist(watchlists, name);
+
+        const updatedWatchlists = watchlists.concat(watchlist);
+
+        dispatch({ type: 'watchlists/changed', watchlists: updatedWatchlists, activeWatchlistId: watchlist.id });
+    };
+}
+
+
+
+
+
+/**
+ * Renames a watchlist.
+ * @param {string} id - The watchlist to rename.
+ * @param {string} name - New name entered by the user.
+ * @returns {function} - Thunk; throws if the name is empty, too long or already taken.
+ */
+export function renameWatchlistTo(id, name) {
+    return function (dispatch, getState) {
+        dispatch({ type: 'watchlists/changed', watchlists: renameWatchlist(getState().watchlists, id, name) });
+    };
+}
+
+
+
+
+
+/**
+ * Duplicates a watchlist and opens the copy.
+ * @param {string} id - The watchlist to duplicate.
+ * @returns {function} - Thunk.
+ */
+export function copyWatchlist(id) {
+    return function (dispatch, getState) {
+        const { watchlists, copy } = duplicateWatchlist(getState().watchlists, id);
+
+        dispatch({ type: 'watchlists/changed', watchlists, activeWatchlistId: copy.id });
+    };
+}
+
+
+
+
+
+/**
+ * Deletes a watchlist. Transaction journals are kept, like when a single stock is removed.
+ * @param {string} id - The watchlist to delete.
+ * @returns {function} - Thunk; throws if it is the last watchlist.
+ */
+export function removeWatchlist(id) {
+    return function (dispatch, getState) {
+        dispatch({ type: 'watchlists/changed', watchlists: deleteWatchlist(getState().watchlists, id) });
+    };
+}
+
+
+
+
+
+/**
+ * Opens a watchlist in the grid.
+ * @param {string} id - The watchlist to open.
+ * @returns {object} - The action.
+ */
+export function openWatchlist(id) {
+    return { type: 'watchlists/opened', id };
+}
+
+
+
+
+
+/**
+ * Fetches a stock and puts it in the open watchlist.
+ * @param {object|null} listing - The listing picked in the search: { symbol, name }.
+ * @param {number} index - Where the stock goes in the watchlist; the list length appends it.
+ * @returns {function} - Async thunk; rejects with a message for the user when the stock cannot be added.
+ */
+export function placeStock(listing, index) {
+    return async function (dispatch, getState, services) {
+        if (!listing) throw new Error('Please enter a stock symbol or company name.');
+
+        const watchlist = selectActiveWatchlist(getState());
+
+        if (watchlist.stocks.some((stock, slot) => stock && stock.symbol === listing.symbol && slot !== index)) {
+            throw new Error('Duplicate stock symbol in another slot.');
+        }
+
+        let stock;
+        try {
+            stock = await services.fetchStock({
+                listing: { symbol: listing.symbol, name: listing.name },
+                timeFrame: getState().timeFrame,
+            });
+        } catch (error) {
+            throw new Error(`Error fetching stock data: ${error.message}`);
+        }
+        if (!stock) throw new Error('No data found for the selected listing.');
+
+        dispatch({ type: 'stocks/placed', watchlistId: watchlist.id, index, stock });
+    };
+}
+
+
+
+
+
+/**
+ * Removes a stock from the open watchlist.
+ * The stock's transaction journal is kept, so its realized results still count and re-adding it restores its position.
+ * @param {number} index - The index of the stock in the watchlist.
+ * @returns {object} - The action.
+ */
+export function removeStock(index) {
+    return { type: 'stocks/removed', index };
+}
+
+
+
+
+
+/**
+ * Moves a stock to another position within the open watchlist.
+ * @param {number} from - Current index of the stock.
+ * @param {number} to - Index the stock should end up at.
+ * @returns {object} - The action.
+ */
+export function moveGridStock(from, to) {
+    return { type: 'stocks/moved', from, to };
+}
+
+
+
+
+
+/**
+ * Refreshes the price and change of stocks, one symbol at a time, in every watchlist holding them.
+ * Skips the round when the API budget left today cannot cover every symbol plus a reserve for the user's own
+ * requests, and stops early when the budget runs out on the way.
+ * @param {Array<string>} symbols - Symbols to refresh.
+ * @returns {function} - Async thunk.
+ */
+export function refreshQuotes(symbols) {
+    return async function (dispatch, getState, services) {
+        const { callsToday, callsPerDay } = services.getApiStatus();
+
+        if (symbols.length > 0 && callsPerDay - callsToday < symbols.length * CALLS_PER_QUOTE + QUOTE_CALL_RESERVE) {
+            console.warn(`Skipping quote refresh: the API budget left today cannot cover ${symbols.length} symbols.`);
+            return;
+        }
+
+        for (const symbol of symbols) {
+            const { state, callsToday, callsPerDay } = services.getApiStatus();
+
+            if (state === 'exhausted' || callsPerDay - callsToday < 1) {
+                console.warn('Skipping quote refresh: daily API budget is used up.');
+                return;
+            }
+
+            try {
+                dispatch({ type: 'quotes/refreshed', symbol, quote: await services.fetchQuote(symbol) });
+            } catch (error) {
+                console.warn(`Failed to refresh the quote of ${symbol}:`, error.message);
+            }
+        }
+    };
+}
+
+
+
+
+
+/**
+ * Restores the last snapshots of stocks loaded without fetched data. Symbols without a snapshot get a fresh quote.
+ * @param {Array<string>} symbols - Symbols of the stocks to restore.
+ * @returns {function} - Async thunk.
+ */
+export function restoreSnapshots(symbols) {
+    return async function (dispatch, getState, services) {
+        const snapshots = {};
+
+        for (const symbol of symbols) {
+            try {
+                const snapshot = await services.readSnapshot(symbol);
+                if (snapshot) snapshots[symbol] = snapshot;
+            } catch (error) {
+                console.error(`Failed to read the snapshot of ${symbol}:`, error);
+            }
+        }
+
+        dispatch({ type: 'snapshots/restored', snapshots });
+        await dispatch(refreshQuotes(symbols.filter((symbol) => !snapshots[symbol])));
+    };
+}
+
+
+
+
+
+/**
+ * Loads a stock for the details view at the selected time frame, cancelling the stock load still in flight.
+ * @param {object} stock - The stock to open: { symbol, name }; without a name, the symbol is looked up.
+ * @returns {function} - Async thunk; a failed load is reported in the view's load.
+ */
+export function openStock(stock) {
+    return startLoad('stock', (services, state, signal) => services.fetchStock({
+        listing: stock.name ? { symbol: stock.symbol, name: stock.name } : undefined,
+        query: stock.symbol,
+        timeFrame: state.timeFrame,
+        signal,
+    }));
+}
+
+
+
+
+
+/**
+ * Loads the bars of the compared symbols at the selected time frame, cancelling the comparison load still in flight.
+ * @returns {function} - Async thunk; a failed load is reported in the view's load.
+ */
+export function loadComparison() {
+    return startLoad('comparison', (services, state, signal) => services.fetchComparison({
+        symbols: state.comparisonSymbols,
+        timeFrame: state.timeFrame,
+        signal,
+    }));
+}
+
+
+
+
+
+/**
+ * Selects a time frame, and loads the view on screen again for it. A stock hidden behind the comparison is loaded
+ * again once it is shown (see changeComparison and applyRoute).
+ * @param {string|object} timeFrame - A fixed time frame or a range (see timeRange.js).
+ * @returns {function} - Thunk.
+ */
+export function selectTimeFrame(timeFrame) {
+    return function (dispatch, getState) {
+        dispatch({ type: 'timeFrame/selected', timeFrame });
+
+        const { view } = selectRoute(getState());
+        if (view === 'stock') dispatch(openStock(getState().selectedStock));
+        if (view === 'compare') dispatch(loadComparison());
+    };
+}
+
+
+
+
+
+/**
+ * Shows the stocks grid, hiding the details, comparison and portfolio views and cancelling their loads.
+ * @returns {function} - Thunk.
+ */
+export function showGrid() {
+    return function (dispatch, getState, services) {
+        abortLoads(services.loadRegistry, getState(), () => true);
+        dispatch({ type: 'view/gridShown' });
+    };
+}
+
+
+
+
+
+/**
+ * Opens a new comparison with the given symbols, capped, plus the benchmark.
+ * @param {Array<string>} symbols - Symbols to compare, e.g. the open watchlist or the selected stock.
+ * @returns {function} - Thunk.
+ */
+export function startComparison(symbols) {
+    const picked = Array.from(new Set(symbols)).slice(0, MAX_COMPARISON_SYMBOLS - 1);
+
+    return changeComparison(addComparisonSymbol(picked, BENCHMARK_SYMBOL));
+}
+
+
+
+
+
+/**
+ * Sets the symbols of the comparison view and loads their bars.
+ * @param {Array<string>|null} symbols - Symbols overlaid; null closes the comparison and cancels its load, loading
+ *      the stock shown again when the time frame changed meanwhile.
+ * @returns {function} - Thunk.
+ */
+export function changeComparison(symbols) {
+    return function (dispatch, getState, services) {
+        if (!symbols) abortLoads(services.loadRegistry, getState(), (view) => view === 'comparison');
+
+        dispatch({ type: 'view/comparisonOpened', symbols });
+        if (symbols) {
+            dispatch(loadComparison());
+        } else if (hasStaleStock(getState())) {
+            dispatch(openStock(getState().selectedStock));
+        }
+    };
+}
+
+
+
+
+
+/**
+ * Opens a portfolio view.
+ * @param {string} portfolioView - One of PORTFOLIO_VIEWS (see routes.js).
+ * @returns {object} - The action.
+ */
+export function openPortfolioView(portfolioView) {
+    return { type: 'view/portfolioOpened', portfolioView };
+}
+
+
+
+
+
+/**
+ * Opens the view of a route, as when the app starts or the browser goes back or forward.
+ * The loads of the views it leaves are cancelled. The stock a route names is loaded unless it is already open at
+ * the route's time frame, and likewise the comparison.
+ * @param {object} route - The route (see routes.js).
+ * @returns {function} - Thunk.
+ */
+export function applyRoute(route) {
+    return function (dispatch, getState, services) {
+        const previous = getState();
+
+        abortLoads(services.loadRegistry, previous, (view) => VIEW_LOADS[view].route !== route.view);
+        dispatch({ type: 'route/applied', route });
+
+        const { selectedStock, comparisonSymbols, timeFrame } = previous;
+
+        if (route.view === 'stock') {
+            if (!selectedStock || selectedStock.symbol !== route.symbol) {
+                dispatch(openStock({ symbol: route.symbol }));
+            } else if (hasStaleStock(getState())) {
+                dispatch(openStock(selectedStock));
+            }
+        } else if (route.view === 'compare') {
+            const sameSymbols = JSON.stringify(comparisonSymbols) === JSON.stringify(route.symbols);
+            const sameTimeFrame = JSON.stringify(getState().timeFrame) === JSON.stringify(timeFrame);
+            const { status } = selectLoad(getState(), 'comparison');
+
+            if (!sameSymbols || !sameTimeFrame || status === 'idle' || status === 'failed') {
+                dispatch(loadComparison());
+            }
+        }
+    };
+}
+
+
+
+
+
+/**
+ * Reports an error in the status bar.
+ * @param {string} message - The message.
+ * @returns {object} - The action.
+ */
+export function reportError(message) {
+    return { type: 'error/reported', message };
+}
+
+
+
+
+
+/**
+ * Clears the error shown in the status bar.
+ * @returns {object} - The action.
+ */
+export function dismissError() {
+    return { type: 'error/dismissed' };
+}
+
+
+
+
+
+/**
+ * Records a new transaction for a symbol.
+ * @param {string} symbol - The stock symbol the transaction belongs to.
+ * @param {object} input - Raw transaction values from the ledger dialog.
+ * @returns {function} - Thunk; throws if the transaction is invalid or sells more shares than are held.
+ */
+export function addTransaction(symbol, input) {
+    return function (dispatch, getState) {
+        const transaction = createTransaction(input);
+        const transactions = (getState().ledger[symbol] || [])
+            .concat(transaction)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        replayLedger(transactions); // Throws if the journal no longer adds up
+
+        dispatch({ type: 'ledger/journalChanged', symbol, transactions });
+    };
+}
+
+
+
+
+
+/**
+ * Removes a transaction from a symbol's journal.
+ * @param {string} symbol - The stock symbol the transaction belongs to.
+ * @param {string} transactionId - The id of the transaction to remove.
+ * @returns {function} - Thunk; throws if removing the transaction leaves a later sale without enough shares.
+ */
+export function removeTransaction(symbol, transactionId) {
+    return function (dispatch, getState) {
+        const journal = getState().ledger[symbol] || [];
+        const transactions = journal.filter((transaction) => transaction.id !== transactionId);
+
+        replayLedger(transactions); // Throws if the journal no longer adds up
+
+        dispatch({ type: 'ledger/journalChanged', symbol, transactions });
+    };
+}
+
+
+
+
+
+/**
+ * Replaces every transaction journal, as after an import.
+ * @param {object} ledger - Transactions keyed by stock symbol.
+ * @returns {object} - The action.
+ */
+export function replaceLedger(ledger) {
+    return { type: 'ledger/replaced', ledger };
+}
+
+
+
+
+
+/**
+ * Selects how sales are matched against open lots.
+ * @param {string} matchingMethod - One of MATCHING_METHODS.
+ * @returns {object} - The action.
+ */
+export function selectMatchingMethod(matchingMethod) {
+    return { type: 'ledger/matchingMethodSelected', matchingMethod };
+}
+
+
+
+
+
+/**
+ * Adds an alert rule for a symbol.
+ * @param {string} symbol - The stock symbol the rule watches.
+ * @param {object} input - Raw rule values from the alerts dialog.
+ * @returns {object} - The action.
+ * @throws {Error} - If the rule is invalid.
+ */
+export function addAlertRule(symbol, input) {
+    return { type: 'alerts/ruleAdded', rule: createAlertRule({ ...input, symbol }) };
+}
+
+
+
+
+
+/**
+ * Enables or disables an alert rule.
+ * A rule that is enabled again forgets its last state, so it does not trigger on what happened while it was off.
+ * @param {string} ruleId - The rule to toggle.
+ * @returns {object} - The action.
+ */
+export function toggleAlertRule(ruleId) {
+    return { type: 'alerts/ruleToggled', ruleId };
+}
+
+
+
+
+
+/**
+ * Removes an alert rule.
+ * @param {string} ruleId - The rule to remove.
+ * @returns {object} - The action.
+ */
+export function removeAlertRule(ruleId) {
+    return { type: 'alerts/ruleRemoved', ruleId };
+}
+
+
+
+
+
+/**
+ * Evaluates the alert rules against the latest data of the tracked stocks, and of the open stock when it is not
+ * tracked. A tracked stock keeps its own snapshot even when the open one is newer: that one follows the chart's
+ * time frame, while tracked stocks follow the quote refresh.
+ * @returns {function} - Thunk returning the alerts that triggered, newest first, for notifications.
+ */
+export function checkAlerts() {
+    return function (dispatch, getState) {
+        const { watchlists, selectedStock, alertRules } = getState();
+        const tracked = listTrackedStocks(watchlists);
+        const isTracked = selectedStock && tracked.some((stock) => stock.symbol === selectedStock.symbol);
+        const stocks = selectedStock && !isTracked ? tracked.concat([selectedStock]) : tracked;
+        const { rules, events } = evaluateAlertRules(alertRules, stocks);
+
+        if (rules !== alertRules || events.length > 0) dispatch({ type: 'alerts/evaluated', rules, events });
+        return events;
+    };
+}
+
+
+
+
+
+/**
+ * Marks every triggered alert as read, as when the alert center opens.
+ * @returns {object} - The action.
+ */
+export function markAlertsRead() {
+    return { type: 'alerts/read' };
+}
+
+
+
+
+
+/**
+ * Clears the triggered alerts.
+ * @returns {object} - The action.
+ */
+export function clearAlertHistory() {
+    return { type: 'alerts/historyCleared' };
+}
+
+
+
+
+
+/**
+ * Changes the settings of a chart indicator.
+ * @param {string} name - The indicator (see INDICATOR_DEFAULTS in indicators.js).
+ * @param {object} changes - Settings to change, e.g. { enabled: true }.
+ * @returns {object} - The action.
+ */
+export function changeIndicator(name, changes) {
+    return { type: 'settings/indicatorChanged', name, changes };
+}
+
+
+
+
+
+/**
+ * Changes the chart type or y-axis mode, kept across stocks.
+ * @param {object} changes - Fields of the chart mode to change (see chartModes.js).
+ * @returns {object} - The action.
+ */
+export function changeChartMode(changes) {
+    return { type: 'settings/chartModeChanged', changes };
+}
+
+
+
+
+
+/**
+ * Sets the allocation warning limits.
+ * @param {object} limits - Concentration limits: { holding, sector } in percent.
+ * @returns {object} - The action.
+ */
+export function changeConcentrationLimits(limits) {
+    return { type: 'settings/concentrationLimitsChanged', limits };
+}
+
+
+
+
+
+/**
+ * Sets the time between quote refreshes.
+ * @param {number} refreshInterval - One of REFRESH_INTERVALS, in minutes; 0 turns refreshing off.
+ * @returns {object} - The action.
+ */
+export function changeRefreshInterval(refreshInterval) {
+    return { type: 'settings/refreshIntervalChanged', refreshInterval };
+}
+
+
+
+
+
+/**
+ * Replaces the user's data with a backup. Settings missing from the backup fall back to their defaults and an open
+ * watchlist it does not hold to its first one; its transactions were already checked by parseStateExport.
+ * @param {object} data - The backup, as read by parseStateExport (see importExport.js).
+ * @returns {object} - The action.
+ */
+export function restoreBackup(data) {
+    return {
+        type: 'backup/restored',
+        data: {
+            watchlists: data.watchlists,
+            activeWatchlistId: data.watchlists.some((list) => list.id === data.activeWatchlistId)
+                ? data.activeWatchlistId
+                : data.watchlists[0].id,
+            ledger: data.ledger,
+            matchingMethod: MATCHING_METHODS.includes(data.matchingMethod) ? data.matchingMethod : 'FIFO',
+            alertRules: Array.isArray(data.alertRules) ? data.alertRules.filter(isAlertRule) : [],
+            alertHistory: Array.isArray(data.alertHistory) ? data.alertHistory.filter(isAlertEvent) : [],
+            indicatorSettings: normalizeIndicatorSettings(data.indicatorSettings),
+            chartMode: normalizeChartMode(data.chartMode),
+            concentrationLimits: normalizeConcentrationLimits(data.concentrationLimits),
+            refreshInterval: REFRESH_INTERVALS.includes(data.refreshInterval)
+                ? data.refreshInterval
+                : DEFAULT_REFRESH_INTERVAL,
+        },
+    };
+}
+
+
+
+
+
+/**
+ * Updates the stocks of the open watchlist.
+ * @param {object} state - The app state.
+ * @param {function} update - Function from the current stocks to the new ones.
+ * @returns {object} - The next state.
+ */
+function updateGridStocks(state, update) {
+    return { ...state, watchlists: updateWatchlistStocks(state.watchlists, selectActiveWatchlist(state).id, update) };
+}
+
+
+
+
+
+/**
+ * Creates a thunk that loads data for a view. The load is tagged with a new request id and cancels the one still in
+ * flight for the view; its result is dropped once it was cancelled, and otherwise records the time frame it was
+ * loaded for as timeFrame.
+ * @param {string} view - The view the data is for, one of VIEW_LOADS.
+ * @param {function} load - Loads the data: (services, state, signal) => Promise.
+ * @returns {function} - Async thunk; a failed load is reported in the view's load.
+ */
+function startLoad(view, load) {
+    return async function (dispatch, getState, services) {
+        const { loadRegistry } = services;
+        const requestId = ++loadRegistry.lastRequestId;
+        const controller = new AbortController();
+
+        abortLoads(loadRegistry, getState(), (loadView) => loadView === view);
+        loadRegistry.controllers.set(requestId, controller);
+        dispatch({ type: 'load/started', view, requestId });
+
+        try {
+            const state = getState();
+            const data = await load(services, state, controller.signal);
+            if (controller.signal.aborted) return;
+
+            dispatch({ type: 'load/succeeded', view, requestId, data: { ...data, timeFrame: state.timeFrame } });
+        } catch (error) {
+            if (isAbortError(error) || controller.signal.aborted) return;
+
+            console.error(error);
+            dispatch({ type: 'load/failed', view, requestId, message: error.message });
+        } finally {
+            loadRegistry.controllers.delete(requestId);
+        }
+    };
+}
+
+
+
+
+
+/**
+ * Cancels the loads in flight of some views.
+ * @param {object} loadRegistry - The loads in flight of the store (see createLoadRegistry).
+ * @param {object} state - The app state.
+ * @param {function} predicate - Tells whether to cancel the load of a view: (view) => boolean.
+ */
+function abortLoads(loadRegistry, state, predicate) {
+    Object.keys(state.loads).forEach(function (view) {
+        const controller = loadRegistry.controllers.get(state.loads[view].requestId);
+        if (controller && predicate(view)) controller.abort();
+    });
+}
+
+
+
+
+
+/**
+ * Tells whether a load action answers the current load of its view.
+ * @param {object} state - The app state.
+ * @param {object} action - 'load/succeeded' or 'load/failed', with the view and request id it answers.
+ * @returns {boolean} - False when the view started another load since, or left the load behind.
+ */
+function isCurrentLoad(state, action) {
+    const load = state.loads[action.view];
+    return Boolean(load) && load.requestId === action.requestId;
+}
+
+
+
+
+
+/**
+ * Tells whether the stock on screen was loaded for another time frame than the selected one.
+ * @param {object} state - The app state.
+ * @returns {boolean} - True when the stock view shows bars of an earlier time frame.
+ */
+function hasStaleStock(state) {
+    const { selectedStock, timeFrame } = state;
+
+    if (!selectedStock || selectRoute(state).view !== 'stock') return false;
+    return JSON.stringify(selectedStock.timeFrame) !== JSON.stringify(timeFrame);
+}
+
+
+
+
+
+/**
+ * Records the progress of a view's load.
+ * @param {object} state - The app state.
+ * @param {object} action - A load action, with the view and request id it is about.
+ * @param {string} status - 'loading', 'loaded' or 'failed'.
+ * @param {string|null} error - Message of a failed load.
+ * @returns {object} - The next state.
+ */
+function updateLoad(state, action, status, error) {
+    return { ...state, loads: { ...state.loads, [action.view]: { requestId: action.requestId, status, error } } };
+}
+
+
+
+
+
+/**
+ * Removes the loads of some views.
+ * @param {object} loads - Loads keyed by view.
+ * @param {function} predicate - Tells whether to remove a load: (view, load) => boolean.
+ * @returns {object} - The loads kept.
+ */
+function dropLoads(loads, predicate) {
+    const kept = {};
+
+    Object.keys(loads).forEach(function (view) {
+        if (!predicate(view, loads[view])) kept[view] = loads[view];
+    });
+    return kept;
+}
+
+
+
+
+
+/**
+ * Opens the view of a route. The open stock is closed when the route shows the grid or another stock, and the loads
+ * of the views the route leaves are dropped; the route's stock or comparison itself is loaded by applyRoute.
+ * @param {object} state - The app state.
+ * @param {object} route - The route (see routes.js).
+ * @returns {object} - The next state.
+ */
+function applyRouteToState(state, route) {
+    const otherStock = route.view === 'stock' && state.selectedStock && state.selectedStock.symbol !== route.symbol;
+    const leavesStock = route.view === 'grid' || otherStock;
+
+    return {
+        ...state,
+        comparisonSymbols: route.view === 'compare' ? route.symbols : null,
+        comparison: route.view === 'compare' ? state.comparison : null,
+        portfolioView: route.view === 'portfolio' ? route.portfolioView : null,
+        timeFrame: route.timeFrame || state.timeFrame,
+        chartMode: route.chartMode ? { ...state.chartMode, ...route.chartMode } : state.chartMode,
+        selectedStock: leavesStock ? null : state.selectedStock,
+        loads: dropLoads(state.loads, (view) => VIEW_LOADS[view].route !== route.view),
+    };
+}
@@ -0,0 +1,230 @@
+import {
+    appReducer,
+    applyRoute,
+    changeComparison,
+    checkAlerts,
+    createInitialState,
+    createLoadRegistry,
+    dismissError,
+    openStock,
+    placeStock,
+    refreshQuotes,
+    restoreBackup,
+    selectErrorMessage,
+    selectLoad,
+    selectReplays,
+    selectRoute,
+    selectTimeFrame,
+    showGrid,
+} from './appState';
+import { summarizeTrading } from './marketData';
+import { createStore } from './store';
+
+const STORED = {
+    watchlists: [{ id: 'w1', name: 'My Stocks', stocks: [{ symbol: 'AAA', name: 'A Corp', price: 10 }] }],
+    activeWatchlistId: 'w1',
+    ledger: {},
+    matchingMethod: 'FIFO',
+    alertRules: [],
+    alertHistory: [],
+    indicatorSettings: {},
+    chartMode: { type: 'area', scale: 'linear', shadeExtendedHours: true },
+    concentrationLimits: { holding: 20, sector: 40 },
+    refreshInterval: 5,
+};
+const GRID_ROUTE = { view: 'grid', symbol: null, symbols: null, portfolioView: null, timeFrame: null, chartMode: null };
+
+/**
+ * Creates a store whose stock and comparison loads wait until the test resolves them.
+ * @param {object} [services={}] - Further services of the store.
+ * @returns {object} - { store, requests, comparisons }: every fetchStock and fetchComparison call is recorded with
+ *      its resolve and reject.
+ */
+function createTestStore(services = {}) {
+    const requests = [];
+    const comparisons = [];
+    const fetchStock = (params) => new Promise((resolve, reject) => requests.push({ params, resolve, reject }));
+    const fetchComparison = (params) => new Promise((resolve, reject) => comparisons.push({ params, resolve, reject }));
+
+    const store = createStore(appReducer, createInitialState(STORED, GRID_ROUTE), {
+        fetchStock,
+        fetchComparison,
+        loadRegistry: createLoadRegistry(),
+        ...services,
+    });
+
+    return { store, requests, comparisons };
+}
+
+test('only the latest stock load is shown when time frames are picked quickly', async () => {
+    const { store, requests } = createTestStore();
+
+    store.dispatch(openStock({ symbol: 'AAA', name: 'A Corp' }));
+    requests[0].resolve({ symbol: 'AAA', name: 'A Corp', bars: '1D' });
+    await Promise.resolve();
+
+    store.dispatch(selectTimeFrame('1M'));
+    store.dispatch(selectTimeFrame('6M'));
+    expect(requests.map((request) => request.params.timeFrame)).toEqual(['1D', '1M', '6M']);
+    expect(requests.map((request) => request.params.signal.aborted)).toEqual([false, true, false]);
+    expect(selectLoad(store.getState(), 'stock').status).toBe('loading');
+
+    requests[2].resolve({ symbol: 'AAA', name: 'A Corp', bars: '6M' });
+    await Promise.resolve();
+    requests[1].resolve({ symbol: 'AAA', name: 'A Corp', bars: '1M' });
+    await Promise.resolve();
+
+    expect(store.getState()).toMatchObject({ timeFrame: '6M', selectedStock: { bars: '6M' } });
+    expect(selectLoad(store.getState(), 'stock').status).toBe('loaded');
+});
+
+test('going back to the grid cancels a stock still loading, and failures are reported', async () => {
+    const { store, requests } = createTestStore();
+
+    store.dispatch(openStock({ symbol: 'AAA' }));
+    store.dispatch(showGrid());
+    expect(requests[0].params.signal.aborted).toBe(true);
+    requests[0].resolve({ symbol: 'AAA' });
+    await Promise.resolve();
+    expect(store.getState()).toMatchObject({ selectedStock: null, loads: {} });
+
+    const load = store.dispatch(openStock({ symbol: 'BBB' }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    requests[1].reject(new Error('No such symbol.'));
+    await load;
+    console.error.mockRestore();
+    expect(selectLoad(store.getState(), 'stock')).toMatchObject({ status: 'failed', error: 'No such symbol.' });
+    expect(selectErrorMessage(store.getState())).toBe('No such symbol.');
+
+    store.dispatch(dismissError());
+    expect(selectErrorMessage(store.getState())).toBeNull();
+    expect(selectLoad(store.getState(), 'stock').status).toBe('idle');
+});
+
+test('applyRoute loads a stock or comparison only when it or its time frame changes', async () => {
+    const { store, requests, comparisons } = createTestStore();
+
+    store.dispatch(applyRoute({ ...GRID_ROUTE, view: 'stock', symbol: 'AAA', timeFrame: '1Y' }));
+    expect(requests[0].params).toMatchObject({ query: 'AAA', timeFrame: '1Y' });
+    requests[0].resolve({ symbol: 'AAA', name: 'A Corp' });
+    await Promise.resolve();
+
+    store.dispatch(applyRoute({ ...GRID_ROUTE, view: 'stock', symbol: 'AAA', timeFrame: '1Y' }));
+    store.dispatch(applyRoute({ ...GRID_ROUTE, view: 'compare', symbols: ['AAA', 'SPY'], timeFrame: '1Y' }));
+    store.dispatch(applyRoute({ ...GRID_ROUTE, view: 'compare', symbols: ['AAA', 'SPY'], timeFrame: '1Y' }));
+    expect(requests).toHaveLength(1);
+    expect(comparisons.map((comparison) => comparison.params)).toEqual([
+        { symbols: ['AAA', 'SPY'], timeFrame: '1Y', signal: expect.any(AbortSignal) },
+    ]);
+    expect(selectRoute(store.getState())).toEqual({ view: 'compare', symbols: ['AAA', 'SPY'], timeFrame: '1Y' });
+
+    store.dispatch(applyRoute(GRID_ROUTE));
+    expect(comparisons[0].params.signal.aborted).toBe(true);
+    comparisons[0].resolve({ symbols: ['AAA', 'SPY'] });
+    await Promise.resolve();
+    expect(store.getState()).toMatchObject({ comparison: null, loads: {} });
+    expect(selectRoute(store.getState())).toEqual({ view: 'grid' });
+});
+
+test('a time frame picked in the comparison loads the stock behind it only once it is shown again', async () => {
+    const { store, requests, comparisons } = createTestStore();
+
+    store.dispatch(openStock({ symbol: 'AAA', name: 'A Corp' }));
+    requests[0].resolve({ symbol: 'AAA', name: 'A Corp' });
+    await Promise.resolve();
+
+    store.dispatch(changeComparison(['AAA', 'SPY']));
+    store.dispatch(selectTimeFrame('1M'));
+    expect(requests).toHaveLength(1);
+    expect(comparisons.map((comparison) => comparison.params.timeFrame)).toEqual(['1D', '1M']);
+
+    store.dispatch(changeComparison(null));
+    expect(requests.map((request) => request.params.timeFrame)).toEqual(['1D', '1M']);
+});
+
+test('placeStock rejects duplicates and fills the slot of the open watchlist', async () => {
+    const { store, requests } = createTestStore();
+
+    await expect(store.dispatch(placeStock({ symbol: 'AAA', name: 'A Corp' }, 1))).rejects.toThrow('Duplicate');
+    await expect(store.dispatch(placeStock(null, 1))).rejects.toThrow('Please enter');
+
+    const placed = store.dispatch(placeStock({ symbol: 'BBB', name: 'B Corp' }, 1));
+    requests[0].resolve({ symbol: 'BBB', name: 'B Corp', price: 20 });
+    await placed;
+
+    expect(store.getState().watchlists[0].stocks.map((stock) => stock.symbol)).toEqual(['AAA', 'BBB']);
+});
+
+test('refreshQuotes updates every watchlist and skips rounds the API budget cannot cover with a reserve', async () => {
+    const status = { state: 'idle', callsToday: 0, callsPerDay: 9 };
+    const fetchQuote = jest.fn(async (symbol) => {
+        status.callsToday += 1;
+        return { price: symbol === 'AAA' ? 11 : 0 };
+    });
+    const { store } = createTestStore({ fetchQuote, getApiStatus: () => status });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await store.dispatch(refreshQuotes(['AAA', 'BBB']));
+    await store.dispatch(refreshQuotes(['AAA', 'BBB']));
+    console.warn.mockRestore();
+
+    expect(fetchQuote).toHaveBeenCalledTimes(2);
+    expect(store.getState().watchlists[0].stocks[0]).toMatchObject({ symbol: 'AAA', price: 11 });
+});
+
+test('checkAlerts evaluates a tracked stock on its own snapshot rather than the open one', async () => {
+    const rules = ['AAA', 'BBB'].map(function (symbol) {
+        return { id: symbol, symbol, condition: 'changeBeyond', value: 5, enabled: true, active: false };
+    });
+    const store = createStore(appReducer, createInitialState({ ...STORED, alertRules: rules }, GRID_ROUTE), {
+        fetchStock: async ({ listing }) => ({ ...listing, price: 6, dayChangePercent: -40, updatedAt: Date.now() }),
+        loadRegistry: createLoadRegistry(),
+    });
+
+    await store.dispatch(openStock({ symbol: 'AAA', name: 'A Corp' }));
+    expect(store.dispatch(checkAlerts())).toEqual([]);
+
+    await store.dispatch(openStock({ symbol: 'BBB', name: 'B Corp' }));
+    expect(store.dispatch(checkAlerts()).map((event) => event.symbol)).toEqual(['BBB']);
+});
+
+test('a stock added at the 1D time frame triggers new high and volume alerts from its quote refresh', async () => {
+    const daily = Array.from({ length: 40 }, (item, index) => ({
+        date: new Date(Date.UTC(2024, 0, 2 + index)).toISOString().slice(0, 10), high: 20, low: 10, volume: 100,
+    }));
+    const quietDay = [{ date: '2024-02-12 09:30:00', high: 15, low: 14, volume: 50 }];
+    const busyDay = quietDay.concat({ date: '2024-02-12 09:45:00', high: 25, low: 15, volume: 450 });
+    const rules = ['newHigh', 'volumeSpike'].map(function (condition) {
+        return { id: condition, symbol: 'CCC', condition, value: 3, enabled: true, active: null };
+    });
+    const quote = (bars, price) => ({ price, ...summarizeTrading(daily, bars) });
+    const fetchStock = jest.fn(async ({ listing }) => ({ ...listing, ...quote(quietDay, 15) }));
+    const store = createStore(appReducer, createInitialState({ ...STORED, alertRules: rules }, GRID_ROUTE), {
+        fetchStock,
+        fetchQuote: async () => quote(busyDay, 24),
+        getApiStatus: () => ({ state: 'idle', callsToday: 0, callsPerDay: 25 }),
+    });
+
+    await store.dispatch(placeStock({ symbol: 'CCC', name: 'C Corp' }, 1));
+    expect(fetchStock.mock.calls[0][0].timeFrame).toBe('1D');
+    expect(store.getState().watchlists[0].stocks[1]).toMatchObject({ weekHigh: 20, avgVolume: 100 });
+    expect(store.dispatch(checkAlerts())).toEqual([]);
+
+    await store.dispatch(refreshQuotes(['CCC']));
+    expect(store.dispatch(checkAlerts()).map((event) => event.condition)).toEqual(['newHigh', 'volumeSpike']);
+});
+
+test('selectors keep derived values until their inputs change, and backups are normalized', () => {
+    const { store } = createTestStore();
+    const replays = selectReplays(store.getState());
+
+    store.dispatch(showGrid());
+    expect(selectReplays(store.getState())).toBe(replays);
+
+    store.dispatch(restoreBackup({ watchlists: STORED.watchlists, ledger: {}, matchingMethod: 'NEWEST', refreshInterval: 7 }));
+    expect(store.getState()).toMatchObject({ matchingMethod: 'FIFO', refreshInterval: 5, alertRules: [] });
+
+    const buy = { id: 't1', type: 'buy', date: '2024-01-02', shares: 1, price: 10 };
+    store.dispatch(restoreBackup({ watchlists: STORED.watchlists, activeWatchlistId: 'gone', ledger: { AAA: [buy] } }));
+    expect(store.getState()).toMatchObject({ activeWatchlistId: 'w1', ledger: { AAA: [buy] } });
+});
@@ -0,0 +1,258 @@
+/**
+ * File: chartModes.js
+ *
+ * Chart types and y-axis modes of the StockDetails chart.
+ *
+ *  -   Bar transforms: Heikin-Ashi candles and "% change from start", both pure and unit-tested.
+ *  -   candlestickPlugin: a Chart.js plugin drawing candlesticks or OHLC bars from normalized bars. It draws
+ *      beneath the datasets, so indicator overlays stay visible on top of the candles.
+ *  -   sessionShadingPlugin: a Chart.js plugin shading the pre- and post-market bars of intraday charts. It is
+ *      registered before candlestickPlugin, so the shading stays beneath the candles.
+ */
+
+
+
+import { getBarPrice } from './marketData';
+
+
+
+
+
+// Constants
+export const CHART_TYPES = ['line', 'area', 'candlestick', 'ohlc', 'heikinAshi'];
+export const CHART_TYPE_LABELS = {
+    line: 'Line',
+    area: 'Area',
+    candlestick: 'Candles',
+    ohlc: 'OHLC',
+    heikinAshi: 'Heikin-Ashi',
+};
+export const SCALE_MODES = ['linear', 'log', 'percent'];
+export const SCALE_MODE_LABELS = { linear: 'Linear', log: 'Log', percent: '% Change' };
+export const DEFAULT_CHART_MODE = { type: 'area', scale: 'linear', shadeExtendedHours: true };
+
+
+
+
+
+/**
+ * Validates a stored chart mode.
+ * @param {object} [mode] - Stored chart mode: { type, scale, shadeExtendedHours }.
+ * @returns {object} - A valid chart mode; unknown values fall back to DEFAULT_CHART_MODE.
+ */
+export function normalizeChartMode(mode) {
+    return {
+        type: mode && CHART_TYPES.includes(mode.type) ? mode.type : DEFAULT_CHART_MODE.type,
+        scale: mode && SCALE_MODES.includes(mode.scale) ? mode.scale : DEFAULT_CHART_MODE.scale,
+        shadeExtendedHours: mode && typeof mode.shadeExtendedHours === 'boolean'
+            ? mode.shadeExtendedHours
+            : DEFAULT_CHART_MODE.shadeExtendedHours,
+    };
+}
+
+
+
+
+
+/**
+ * Tells whether a chart type draws every bar's open, high, low and close.
+ * @param {string} type - One of CHART_TYPES.
+ * @returns {boolean} - True for candlesticks, OHLC bars and Heikin-Ashi.
+ */
+export function isFinancialType(type) {
+    return type === 'candlestick' || type === 'ohlc' || type === 'heikinAshi';
+}
+
+
+
+
+
+/**
+ * Converts bars into Heikin-Ashi candles, which average out noise to make trends easier to see.
+ * @param {Array<object>} bars - Normalized bars, oldest first.
+ * @returns {Array<object>} - Bars with Heikin-Ashi open, high, low and close; adjustedClose is dropped.
+ */
+export function toHeikinAshi(bars) {
+    const candles = [];
+
+    bars.forEach(function (bar, index) {
+        const close = (bar.open + bar.high + bar.low + bar.close) / 4;
+        const open = index === 0 ? (bar.open + bar.close) / 2 : (candles[index - 1].open + candles[index - 1].close) / 2;
+
+        candles.push({
+            ...bar,
+            open,
+            high: Math.max(bar.high, open, close),
+            low: Math.min(bar.low, open, close),
+            close,
+            adjustedClose: null,
+        });
+    });
+
+    return candles;
+}
+
+
+
+
+
+/**
+ * Rebases bars to the percentage change from the first bar.
+ * The adjusted close is rebased on the first charted price, the other prices on the first close.
+ * @param {Array<object>} bars - Normalized bars, oldest first.
+ * @returns {Array<object>} - Bars whose prices are percentages; the first close is 0.
+ */
+export function toPercentChange(bars) {
+    if (bars.length === 0) return [];
+
+    const base = bars[0].close;
+    const priceBase = getBarPrice(bars[0]);
+
+    return bars.map((bar) => ({
+        ...bar,
+        open: toPercent(bar.open, base),
+        high: toPercent(bar.high, base),
+        low: toPercent(bar.low, base),
+        close: toPercent(bar.close, base),
+        adjustedClose: bar.adjustedClose !== null && bar.adjustedClose !== undefined ? toPercent(bar.adjustedClose, priceBase) : null,
+    }));
+}
+
+
+
+
+
+/**
+ * Rebases a price to the percentage change from a base price.
+ * @param {number|null} value - The price.
+ * @param {number} base - The base price.
+ * @returns {number|null} - The change in percent, or null when the price is missing.
+ */
+export function toPercent(value, base) {
+    return value === null || value === undefined || !base ? null : (value / base - 1) * 100;
+}
+
+
+
+
+
+/**
+ * Groups consecutive extended-hours bars into spans to shade.
+ * @param {Array<string|null>} sessions - Session of every bar: 'pre', 'regular', 'post' or null (see marketHours.js).
+ * @returns {Array<object>} - Spans { from, to } of bar indexes, both included, oldest first.
+ */
+export function findExtendedHoursSpans(sessions) {
+    const spans = [];
+
+    sessions.forEach(function (session, index) {
+        if (session !== 'pre' && session !== 'post') return;
+
+        const last = spans[spans.length - 1];
+        if (last && last.to === index - 1) {
+            last.to = index;
+        } else {
+            spans.push({ from: index, to: index });
+        }
+    });
+
+    return spans;
+}
+
+
+
+
+
+/**
+ * Chart.js plugin shading the extended-hours bars of intraday charts.
+ * Configured through options.plugins.sessionShading: { sessions, color } where sessions holds the session of every
+ * bar. Each span reaches halfway to the bars around it, at the x positions of the chart's first dataset.
+ */
+export const sessionShadingPlugin = {
+    id: 'sessionShading',
+
+    beforeDatasetsDraw(chart, args, options) {
+        const { sessions, color = 'rgba(255, 255, 255, 0.06)' } = options || {};
+        const points = chart.getDatasetMeta(0).data;
+        const { ctx, chartArea } = chart;
+
+        if (!sessions || sessions.length === 0 || points.length === 0) return;
+
+        const edge = (index) => (points[index].x + points[index + 1].x) / 2; // Halfway between two bars
+
+        ctx.save();
+        ctx.fillStyle = color;
+        findExtendedHoursSpans(sessions).forEach(function ({ from, to }) {
+            if (!points[from] || !points[to]) return;
+
+            const left = from > 0 ? edge(from - 1) : chartArea.left;
+            const right = to < points.length - 1 ? edge(to) : chartArea.right;
+            ctx.fillRect(left, chartArea.top, right - left, chartArea.height);
+        });
+        ctx.restore();
+    },
+};
+
+
+
+
+
+/**
+ * Chart.js plugin drawing candlesticks or OHLC bars.
+ * Configured through options.plugins.candlesticks: { bars, style ('candlestick' or 'ohlc'), upColor, downColor }.
+ * The bars are drawn at the x positions of the chart's first dataset, against the 'y' scale.
+ */
+export const candlestickPlugin = {
+    id: 'candlesticks',
+
+    beforeDatasetsDraw(chart, args, options) {
+        const { bars, style = 'candlestick', upColor = '#4caf50', downColor = '#f40a06' } = options || {};
+        const points = chart.getDatasetMeta(0).data;
+        const y = chart.scales.y;
+        const { ctx, chartArea } = chart;
+
+        if (!bars || bars.length === 0 || !y || points.length === 0) return;
+
+        const spacing = chartArea.width / bars.length;
+        const halfWidth = Math.max(Math.min(spacing * 0.35, 12), 1);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(chartArea.left, chartArea.top, chartArea.width, chartArea.height);
+        ctx.clip();
+
+        bars.forEach(function (bar, index) {
+            const point = points[index];
+            if (!point || [bar.open, bar.high, bar.low, bar.close].some((value) => value === null)) return;
+
+            const x = point.x;
+            const open = y.getPixelForValue(bar.open);
+            const close = y.getPixelForValue(bar.close);
+            const color = bar.close >= bar.open ? upColor : downColor;
+
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 1;
+
+            // High-low line
+            ctx.beginPath();
+            ctx.moveTo(x, y.getPixelForValue(bar.high));
+            ctx.lineTo(x, y.getPixelForValue(bar.low));
+            ctx.stroke();
+
+            if (style === 'ohlc') {
+                // Open tick to the left, close tick to the right
+                ctx.beginPath();
+                ctx.moveTo(x - halfWidth, open);
+                ctx.lineTo(x, open);
+                ctx.moveTo(x, close);
+                ctx.lineTo(x + halfWidth, close);
+                ctx.stroke();
+            } else {
+                // Body between open and close, at least one pixel high
+                ctx.fillRect(x - halfWidth, Math.min(open, close), halfWidth * 2, Math.max(Math.abs(close - open), 1));
+            }
+        });
+
+        ctx.restore();
+    },
+};
@@ -0,0 +1,44 @@
+import { findExtendedHoursSpans, normalizeChartMode, toHeikinAshi, toPercent, toPercentChange } from './chartModes';
+
+const bars = [
+    { date: '2024-01-02', open: 10, high: 12, low: 9, close: 11, adjustedClose: 5.5, volume: 100 },
+    { date: '2024-01-03', open: 11, high: 14, low: 10, close: 13, adjustedClose: 6.5, volume: 100 },
+];
+
+test('toHeikinAshi averages each candle with the previous one', () => {
+    const [first, second] = toHeikinAshi(bars);
+
+    expect(first).toMatchObject({ open: 10.5, close: 10.5, high: 12, low: 9, adjustedClose: null });
+    expect(second.open).toBe(10.5);
+    expect(second.close).toBe(12);
+    expect(second.high).toBe(14);
+    expect(second.low).toBe(10);
+});
+
+test('toPercentChange rebases prices on the first bar', () => {
+    const [first, second] = toPercentChange(bars);
+
+    expect(first.close).toBe(0);
+    expect(first.adjustedClose).toBe(0);
+    expect(second.high).toBeCloseTo(27.27, 2);
+    expect(second.adjustedClose).toBeCloseTo(18.18, 2);
+    expect(toPercent(null, 10)).toBeNull();
+    expect(toPercentChange([])).toEqual([]);
+});
+
+test('normalizeChartMode falls back to the defaults', () => {
+    expect(normalizeChartMode({ type: 'ohlc', scale: 'log', shadeExtendedHours: false })).toEqual({
+        type: 'ohlc', scale: 'log', shadeExtendedHours: false,
+    });
+    expect(normalizeChartMode({ type: 'pie' })).toEqual({ type: 'area', scale: 'linear', shadeExtendedHours: true });
+    expect(normalizeChartMode(null)).toEqual({ type: 'area', scale: 'linear', shadeExtendedHours: true });
+});
+
+test('findExtendedHoursSpans groups consecutive pre- and post-market bars', () => {
+    expect(findExtendedHoursSpans(['pre', 'pre', 'regular', 'regular', 'post', 'pre', null, 'post'])).toEqual([
+        { from: 0, to: 1 },
+        { from: 4, to: 5 },
+        { from: 7, to: 7 },
+    ]);
+    expect(findExtendedHoursSpans(['regular', null])).toEqual([]);
+});
@@ -0,0 +1,72 @@
+/**
+ * File: comparison.js
+ *
+ * Pure helpers for the comparison chart, which overlays several symbols normalized to their percent return.
+ * The bars of every symbol are aligned on the union of their dates; a symbol without a bar on a date gets a gap
+ * (null) there, so one listing's holidays or late start do not shift the other series.
+ */
+
+
+
+import { toPercent } from './chartModes';
+import { getBarPrice } from './marketData';
+
+
+
+
+
+// Constants
+export const BENCHMARK_SYMBOL = 'SPY';
+export const MAX_COMPARISON_SYMBOLS = 8;
+
+
+
+
+
+/**
+ * Aligns the bars of several symbols on a common date axis and normalizes them to percent return.
+ * Each series is rebased on its first price within the bars given, i.e. the start of the chosen time frame or
+ * the symbol's first trading day within it.
+ * @param {object} barsBySymbol - Normalized bars, oldest first, keyed by stock symbol.
+ * @returns {object} - { dates, series } where series maps each symbol to { values, periodReturn }; values are
+ *      percent returns aligned with dates (null where the symbol has no bar) and periodReturn is the last one.
+ */
+export function alignComparisonSeries(barsBySymbol) {
+    const symbols = Object.keys(barsBySymbol);
+    const dates = Array.from(new Set(symbols.flatMap((symbol) => barsBySymbol[symbol].map((bar) => bar.date)))).sort();
+    const series = {};
+
+    symbols.forEach(function (symbol) {
+        const bars = barsBySymbol[symbol];
+        const pricesByDate = new Map(bars.map((bar) => [bar.date, getBarPrice(bar)]));
+        const base = bars.length > 0 ? getBarPrice(bars[0]) : null;
+        const values = dates.map((date) => toPercent(pricesByDate.get(date), base));
+        const last = values.filter((value) => value !== null).pop();
+
+        series[symbol] = { values, periodReturn: last === undefined ? null : last };
+    });
+
+    return { dates, series };
+}
+
+
+
+
+
+/**
+ * Adds a symbol to a comparison, ignoring duplicates and blank input.
+ * @param {Array<string>} symbols - Symbols compared so far.
+ * @param {string} symbol - Symbol to add.
+ * @returns {Array<string>} - Updated symbols.
+ * @throws {Error} - If the comparison is already full.
+ */
+export function addComparisonSymbol(symbols, symbol) {
+    const normalized = (symbol || '').trim().toUpperCase();
+
+    if (!normalized || symbols.includes(normalized)) return symbols;
+    if (symbols.length >= MAX_COMPARISON_SYMBOLS) {
+        throw new Error(`At most ${MAX_COMPARISON_SYMBOLS} symbols can be compared at once.`);
+    }
+
+    return symbols.concat(normalized);
+}
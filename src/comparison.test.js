@@ -0,0 +1,29 @@
+import { addComparisonSymbol, alignComparisonSeries } from './comparison';
+
+const bar = (date, close) => ({ date, open: close, high: close, low: close, close, adjustedClose: null, volume: 0 });
+
+test('alignComparisonSeries rebases every symbol on its own first price and leaves gaps for missing dates', () => {
+    const { dates, series } = alignComparisonSeries({
+        AAA: [bar('2024-01-02', 100), bar('2024-01-03', 110), bar('2024-01-05', 120)],
+        BBB: [bar('2024-01-03', 50), bar('2024-01-04', 45)],
+    });
+
+    expect(dates).toEqual(['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05']);
+    expect(series.AAA.values.map((value) => value && Math.round(value))).toEqual([0, 10, null, 20]);
+    expect(series.AAA.periodReturn).toBeCloseTo(20, 10);
+    expect(series.BBB.values.map((value) => value && Math.round(value))).toEqual([null, 0, -10, null]);
+    expect(series.BBB.periodReturn).toBeCloseTo(-10, 10);
+});
+
+test('alignComparisonSeries handles a symbol without bars', () => {
+    const { series } = alignComparisonSeries({ AAA: [bar('2024-01-02', 100)], BBB: [] });
+
+    expect(series.BBB).toEqual({ values: [null], periodReturn: null });
+});
+
+test('addComparisonSymbol normalizes input and caps the comparison', () => {
+    expect(addComparisonSymbol(['AAA'], ' bbb ')).toEqual(['AAA', 'BBB']);
+    expect(addComparisonSymbol(['AAA'], 'aaa')).toEqual(['AAA']);
+    expect(addComparisonSymbol(['AAA'], '')).toEqual(['AAA']);
+    expect(() => addComparisonSymbol(['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'], 'I')).toThrow(/At most 8/);
+});
@@ -0,0 +1,84 @@
+/**
+ * File: csv.js
+ *
+ * Reading and writing comma-separated values (RFC 4180): fields holding commas, quotes or line breaks are quoted,
+ * and quotes inside them are doubled.
+ */
+
+
+
+
+
+/**
+ * Splits CSV text into rows of fields.
+ * Quoted fields may contain commas, line breaks and doubled quotes (e.g. company names like "Acme, Inc.").
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} - The rows.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+
+        if (inQuotes) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n') {
+            row.push(field.replace(/\r$/, ''));
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field.replace(/\r$/, ''));
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+
+
+
+
+/**
+ * Joins rows of values into CSV text.
+ * @param {Array<Array<*>>} rows - The rows, header first; null and undefined values become empty fields.
+ * @returns {string} - The CSV text, one line per row ending with a line break.
+ */
+export function toCsv(rows) {
+    return rows.map((row) => row.map(formatCsvField).join(',') + '\r\n').join('');
+}
+
+
+
+
+
+/**
+ * Formats a value as a CSV field, quoting it when needed.
+ * @param {*} value - The value.
+ * @returns {string} - The field.
+ */
+function formatCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
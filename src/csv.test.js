@@ -0,0 +1,17 @@
+import { parseCsv, toCsv } from './csv';
+
+test('parseCsv reads quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCsv('symbol,name\r\nAAA,"Acme, Inc."\nBBB,"Say ""hi""\nthere"')).toEqual([
+        ['symbol', 'name'],
+        ['AAA', 'Acme, Inc.'],
+        ['BBB', 'Say "hi"\nthere'],
+    ]);
+});
+
+test('toCsv quotes fields only when needed and reads back the same rows', () => {
+    const rows = [['Symbol', 'Name', 'Price'], ['AAA', 'Acme, Inc.', 1.5], ['BBB', 'Say "hi"', null]];
+    const text = toCsv(rows);
+
+    expect(text).toBe('Symbol,Name,Price\r\nAAA,"Acme, Inc.",1.5\r\nBBB,"Say ""hi""",\r\n');
+    expect(parseCsv(text)).toEqual(rows.map((row) => row.map((value) => (value === null ? '' : String(value)))));
+});
@@ -0,0 +1,237 @@
+/**
+ * File: dividends.js
+ *
+ * Pure helpers for dividends. Payments come from the dividend amount the adjusted daily series carry on each
+ * ex-dividend date (see the Bar model in marketData.js); income received comes from the dividend transactions
+ * recorded in the ledger (see ledger.js).
+ *
+ * Yields are in percent of the current price: the trailing yield uses the payments of the last 12 months, the
+ * forward yield the latest payment repeated at the usual frequency. The growth rate is the compound annual growth
+ * of the yearly totals over the last complete years.
+ *
+ * Projected income repeats the payments of the last 12 months one year later, at the latest amount per share and
+ * for the shares held today; payments whose repeat would already be past are not projected.
+ */
+
+
+
+
+
+// Constants
+export const DIVIDEND_GROWTH_YEARS = 5; // Years the dividend growth rate is measured over
+export const PROJECTION_MONTHS = 12; // Months of projected income
+export const INCOME_PERIODS = ['month', 'year']; // How received income is grouped
+const PAYMENT_FREQUENCIES = [
+    { maxGap: 45, perYear: 12 },
+    { maxGap: 135, perYear: 4 },
+    { maxGap: 270, perYear: 2 },
+    { maxGap: Infinity, perYear: 1 },
+];
+const DAY = 24 * 60 * 60 * 1000;
+
+
+
+
+
+/**
+ * Lists the dividend payments found in a bar history.
+ * @param {Array<object>} history - Normalized daily bars, oldest first.
+ * @returns {Array<object>} - Payments { date, amount } per share, oldest first.
+ */
+export function listDividendPayments(history) {
+    return (history || [])
+        .filter((bar) => bar.dividend > 0)
+        .map((bar) => ({ date: bar.date.slice(0, 10), amount: bar.dividend }));
+}
+
+
+
+
+
+/**
+ * Shifts a date by whole years; February 29 becomes March 1 outside leap years.
+ * @param {string} date - The date (YYYY-MM-DD).
+ * @param {number} years - Years to add, negative to go back.
+ * @returns {string} - The shifted date (YYYY-MM-DD).
+ */
+export function shiftYears(date, years) {
+    const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+    return new Date(Date.UTC(year + years, month - 1, day)).toISOString().slice(0, 10);
+}
+
+
+
+
+
+/**
+ * Estimates how many times a year a company pays from the median gap between its last payments.
+ * @param {Array<object>} payments - Payments { date, amount }, oldest first.
+ * @returns {number|null} - Payments per year (12, 4, 2 or 1), or null with fewer than two payments.
+ */
+export function estimatePaymentFrequency(payments) {
+    const recent = payments.slice(-9);
+    if (recent.length < 2) return null;
+
+    const gaps = recent.slice(1)
+        .map((payment, index) => (Date.parse(payment.date) - Date.parse(recent[index].date)) / DAY)
+        .sort((a, b) => a - b);
+    const median = gaps[Math.floor(gaps.length / 2)];
+
+    return PAYMENT_FREQUENCIES.find((frequency) => median <= frequency.maxGap).perYear;
+}
+
+
+
+
+
+/**
+ * Totals the payments of each calendar year.
+ * @param {Array<object>} payments - Payments { date, amount }, oldest first.
+ * @returns {Array<object>} - Years { year, total, count }, oldest first.
+ */
+export function annualDividendTotals(payments) {
+    const years = [];
+
+    payments.forEach(function (payment) {
+        const year = Number(payment.date.slice(0, 4));
+        const last = years[years.length - 1];
+
+        if (last && last.year === year) {
+            last.total += payment.amount;
+            last.count += 1;
+        } else {
+            years.push({ year, total: payment.amount, count: 1 });
+        }
+    });
+
+    return years;
+}
+
+
+
+
+
+/**
+ * Computes the compound annual growth rate of the yearly dividend totals.
+ * Only complete years count: the current year is left out, and so is the first year of the history, which may
+ * start after that year's first payment.
+ * @param {Array<object>} annual - Years { year, total } as returned by annualDividendTotals.
+ * @param {number} currentYear - The current calendar year.
+ * @param {number} [years=DIVIDEND_GROWTH_YEARS] - Years to measure over.
+ * @returns {number|null} - Growth rate in percent a year, or null without two complete years to compare.
+ */
+export function dividendGrowthRate(annual, currentYear, years = DIVIDEND_GROWTH_YEARS) {
+    const complete = annual.slice(1).filter((entry) => entry.year < currentYear).slice(-(years + 1));
+
+    if (complete.length < 2) return null;
+
+    const first = complete[0];
+    const last = complete[complete.length - 1];
+    if (first.total <= 0) return null;
+
+    return (Math.pow(last.total / first.total, 1 / (last.year - first.year)) - 1) * 100;
+}
+
+
+
+
+
+/**
+ * Summarizes the dividends of a stock.
+ * @param {Array<object>} payments - Payments { date, amount } per share, oldest first.
+ * @param {number|null} price - Current share price.
+ * @param {string} asOf - Today's date (YYYY-MM-DD).
+ * @returns {object} - { frequency, trailingAmount, trailingYield, forwardAmount, forwardYield, growthRate, annual };
+ *      amounts are per share and yields are null without a price.
+ */
+export function summarizeDividends(payments, price, asOf) {
+    const yearAgo = shiftYears(asOf, -1);
+    const frequency = estimatePaymentFrequency(payments);
+    const latest = payments[payments.length - 1];
+    const trailingAmount = payments
+        .filter((payment) => payment.date > yearAgo && payment.date <= asOf)
+        .reduce((sum, payment) => sum + payment.amount, 0);
+    const forwardAmount = latest && frequency && latest.date > yearAgo ? latest.amount * frequency : 0;
+    const annual = annualDividendTotals(payments);
+    const toYield = (amount) => (price > 0 ? (amount / price) * 100 : null);
+
+    return {
+        frequency,
+        trailingAmount,
+        trailingYield: toYield(trailingAmount),
+        forwardAmount,
+        forwardYield: toYield(forwardAmount),
+        growthRate: dividendGrowthRate(annual, Number(asOf.slice(0, 4))),
+        annual,
+    };
+}
+
+
+
+
+
+/**
+ * Groups the dividends recorded in the ledger by month or year.
+ * @param {object} ledger - Transactions keyed by stock symbol.
+ * @param {string} period - One of INCOME_PERIODS.
+ * @returns {Array<object>} - Periods { key ('YYYY-MM' or 'YYYY'), total, bySymbol }, oldest first.
+ */
+export function groupDividendIncome(ledger, period) {
+    const groups = new Map();
+
+    Object.keys(ledger || {}).forEach(function (symbol) {
+        ledger[symbol]
+            .filter((transaction) => transaction.type === 'dividend')
+            .forEach(function (transaction) {
+                const key = transaction.date.slice(0, period === 'year' ? 4 : 7);
+                const group = groups.get(key) || { key, total: 0, bySymbol: {} };
+
+                group.total += transaction.amount;
+                group.bySymbol[symbol] = (group.bySymbol[symbol] || 0) + transaction.amount;
+                groups.set(key, group);
+            });
+    });
+
+    return Array.from(groups.values()).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+
+
+
+
+/**
+ * Projects the dividend income of the holdings month by month.
+ * @param {Array<object>} holdings - Holdings { symbol, shares, payments } with their payments per share, oldest first.
+ * @param {string} asOf - Today's date (YYYY-MM-DD).
+ * @param {number} [months=PROJECTION_MONTHS] - Months to project, starting with the current one.
+ * @returns {Array<object>} - Months { key ('YYYY-MM'), total, payments } where payments lists
+ *      { symbol, date, perShare, amount }, soonest first.
+ */
+export function projectDividendIncome(holdings, asOf, months = PROJECTION_MONTHS) {
+    const [year, month] = asOf.split('-').map(Number);
+    const calendar = [];
+
+    for (let index = 0; index < months; index++) {
+        const date = new Date(Date.UTC(year, month - 1 + index, 1));
+        calendar.push({ key: date.toISOString().slice(0, 7), total: 0, payments: [] });
+    }
+
+    holdings.forEach(function (holding) {
+        if (!(holding.shares > 0) || holding.payments.length === 0) return;
+
+        const perShare = holding.payments[holding.payments.length - 1].amount;
+
+        holding.payments.forEach(function (payment) {
+            const date = shiftYears(payment.date, 1);
+            const entry = calendar.find((candidate) => candidate.key === date.slice(0, 7));
+            if (!entry || date <= asOf) return;
+
+            const amount = perShare * holding.shares;
+            entry.payments.push({ symbol: holding.symbol, date, perShare, amount });
+            entry.total += amount;
+        });
+    });
+
+    calendar.forEach((entry) => entry.payments.sort((a, b) => a.date.localeCompare(b.date)));
+    return calendar;
+}
@@ -0,0 +1,76 @@
+import {
+    dividendGrowthRate,
+    estimatePaymentFrequency,
+    groupDividendIncome,
+    listDividendPayments,
+    projectDividendIncome,
+    shiftYears,
+    summarizeDividends,
+} from './dividends';
+
+const payment = (date, amount) => ({ date, amount });
+const quarterly = [
+    payment('2022-03-10', 0.2), payment('2022-06-10', 0.2), payment('2022-09-10', 0.2), payment('2022-12-10', 0.2),
+    payment('2023-03-10', 0.22), payment('2023-06-10', 0.22), payment('2023-09-11', 0.22), payment('2023-12-11', 0.22),
+    payment('2024-03-11', 0.25), payment('2024-06-10', 0.25),
+];
+
+test('listDividendPayments and estimatePaymentFrequency read the payments from the bars', () => {
+    expect(listDividendPayments([
+        { date: '2024-01-02', dividend: 0 },
+        { date: '2024-01-03', dividend: 0.5 },
+    ])).toEqual([payment('2024-01-03', 0.5)]);
+    expect(estimatePaymentFrequency(quarterly)).toBe(4);
+    expect(estimatePaymentFrequency([payment('2023-01-05', 1), payment('2024-01-05', 1)])).toBe(1);
+    expect(estimatePaymentFrequency(quarterly.slice(0, 1))).toBeNull();
+    expect(shiftYears('2024-02-29', 1)).toBe('2025-03-01');
+});
+
+test('summarizeDividends computes trailing and forward yields and the growth rate', () => {
+    const summary = summarizeDividends(quarterly, 50, '2024-07-01');
+
+    expect(summary.frequency).toBe(4);
+    expect(summary.trailingAmount).toBeCloseTo(0.94, 10);
+    expect(summary.trailingYield).toBeCloseTo(1.88, 10);
+    expect(summary.forwardAmount).toBeCloseTo(1, 10);
+    expect(summary.forwardYield).toBeCloseTo(2, 10);
+    expect(summary.growthRate).toBeNull(); // 2022 starts the history and 2024 is not over
+    expect(summarizeDividends([], null, '2024-07-01')).toMatchObject({ trailingAmount: 0, trailingYield: null, forwardAmount: 0 });
+});
+
+test('dividendGrowthRate compounds the totals of complete years', () => {
+    const annual = [2019, 2020, 2021, 2022, 2023].map((year, index) => ({ year, total: 1 + index * 0.1 }));
+
+    expect(dividendGrowthRate(annual, 2024)).toBeCloseTo((Math.pow(1.4 / 1.1, 1 / 3) - 1) * 100, 10);
+    expect(dividendGrowthRate(annual, 2024, 1)).toBeCloseTo((1.4 / 1.3 - 1) * 100, 10);
+    expect(dividendGrowthRate(annual, 2021)).toBeNull(); // Only 2020 is complete after the first year
+});
+
+test('groupDividendIncome totals the recorded dividends by month and year', () => {
+    const ledger = {
+        AAA: [
+            { type: 'buy', date: '2024-01-02', shares: 10, price: 10 },
+            { type: 'dividend', date: '2024-03-10', amount: 2 },
+            { type: 'dividend', date: '2024-06-10', amount: 2.5 },
+        ],
+        BBB: [{ type: 'dividend', date: '2024-03-28', amount: 1 }],
+    };
+
+    expect(groupDividendIncome(ledger, 'month')).toEqual([
+        { key: '2024-03', total: 3, bySymbol: { AAA: 2, BBB: 1 } },
+        { key: '2024-06', total: 2.5, bySymbol: { AAA: 2.5 } },
+    ]);
+    expect(groupDividendIncome(ledger, 'year')).toEqual([{ key: '2024', total: 5.5, bySymbol: { AAA: 4.5, BBB: 1 } }]);
+});
+
+test('projectDividendIncome repeats last year\'s payments at the latest amount', () => {
+    const calendar = projectDividendIncome(
+        [{ symbol: 'AAA', shares: 10, payments: quarterly }, { symbol: 'BBB', shares: 0, payments: quarterly }],
+        '2024-07-01'
+    );
+
+    expect(calendar).toHaveLength(12);
+    expect(calendar[0].key).toBe('2024-07');
+    expect(calendar.filter((month) => month.total > 0).map((month) => month.key)).toEqual(['2024-09', '2024-12', '2025-03', '2025-06']);
+    expect(calendar[2].payments).toEqual([{ symbol: 'AAA', date: '2024-09-11', perShare: 0.25, amount: 2.5 }]);
+});
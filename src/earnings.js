@@ -0,0 +1,125 @@
+/**
+ * File: earnings.js
+ *
+ * Pure helpers for earnings reports (see the Earnings and Earnings calendar models in marketData.js).
+ *
+ * The history of past reports compares the reported EPS with the analysts' estimate; the surprise is how far the
+ * reported EPS landed from the estimate, in percent. The calendar lists upcoming report dates across the market,
+ * so one copy of it serves the next-report callout of every stock and the calendar of the tracked symbols.
+ */
+
+
+
+
+
+// Constants
+export const EARNINGS_CALENDAR_WEEKS = [1, 2, 4, 8, 12]; // Horizons the upcoming-earnings calendar can show
+export const DEFAULT_EARNINGS_WEEKS = 4;
+const DAY = 24 * 60 * 60 * 1000;
+
+
+
+
+
+/**
+ * Counts the calendar days between two dates.
+ * @param {string} from - The first date (YYYY-MM-DD).
+ * @param {string} to - The second date (YYYY-MM-DD).
+ * @returns {number} - Days from the first date to the second, negative when the second is earlier.
+ */
+export function daysBetween(from, to) {
+    return Math.round((Date.parse(to.slice(0, 10)) - Date.parse(from.slice(0, 10))) / DAY);
+}
+
+
+
+
+
+/**
+ * Finds the next report of a symbol in the earnings calendar.
+ * @param {Array<object>} calendar - Upcoming reports: { symbol, reportDate, ... }.
+ * @param {string} symbol - Stock symbol.
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @returns {object|null} - The soonest report on or after today, or null when none is scheduled.
+ */
+export function findNextEarnings(calendar, symbol, today) {
+    return listUpcomingEarnings(calendar, [symbol], Infinity, today)[0] || null;
+}
+
+
+
+
+
+/**
+ * Lists the upcoming reports of the given symbols.
+ * @param {Array<object>} calendar - Upcoming reports: { symbol, reportDate, ... }.
+ * @param {Array<string>} symbols - Symbols to list.
+ * @param {number} weeks - How many weeks ahead to look.
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @returns {Array<object>} - Reports with the days until them, soonest first, then by symbol.
+ */
+export function listUpcomingEarnings(calendar, symbols, weeks, today) {
+    const wanted = new Set(symbols.map((symbol) => symbol.toUpperCase()));
+
+    return calendar
+        .filter((entry) => wanted.has(entry.symbol.toUpperCase()))
+        .map((entry) => ({ ...entry, days: daysBetween(today, entry.reportDate) }))
+        .filter((entry) => entry.days >= 0 && entry.days <= weeks * 7)
+        .sort((a, b) => a.days - b.days || a.symbol.localeCompare(b.symbol));
+}
+
+
+
+
+
+/**
+ * Summarizes how often a company beat the estimates.
+ * @param {Array<object>} history - Past reports: { reportedEPS, estimatedEPS, surprisePercentage, ... }.
+ * @returns {object} - { reported, beats, misses, averageSurprise }; only reports with both an estimate and a result
+ *      count, and averageSurprise is null when none do.
+ */
+export function summarizeSurprises(history) {
+    const compared = history.filter((report) => report.reportedEPS !== null && report.estimatedEPS !== null);
+    const surprises = compared
+        .map((report) => report.surprisePercentage)
+        .filter((surprise) => surprise !== null);
+    const totalSurprise = surprises.reduce((sum, surprise) => sum + surprise, 0);
+
+    return {
+        reported: compared.length,
+        beats: compared.filter((report) => report.reportedEPS > report.estimatedEPS).length,
+        misses: compared.filter((report) => report.reportedEPS < report.estimatedEPS).length,
+        averageSurprise: surprises.length > 0 ? totalSurprise / surprises.length : null,
+    };
+}
+
+
+
+
+
+/**
+ * Places past reports on the bars of a chart.
+ * A report lands on the first bar dated on or after its report date, so weekly and monthly bars carry the reports
+ * of their period. The first bar is assumed to span as many days as the gap to the second one; reports outside the
+ * charted range are left out.
+ * @param {Array<object>} history - Past reports: { reportedDate, ... }.
+ * @param {Array<object>} bars - The charted bars, oldest first.
+ * @returns {Array<object|null>} - The report of each bar, aligned with the bars; null on bars without one.
+ */
+export function placeEarningsMarkers(history, bars) {
+    const markers = bars.map(() => null);
+
+    if (bars.length === 0) return markers;
+
+    const firstDate = bars[0].date.slice(0, 10);
+    const firstSpan = bars.length > 1 ? daysBetween(firstDate, bars[1].date) : 0;
+
+    history.forEach(function (report) {
+        if (!report.reportedDate || daysBetween(report.reportedDate, firstDate) >= Math.max(firstSpan, 1)) return;
+
+        const index = bars.findIndex((bar) => bar.date.slice(0, 10) >= report.reportedDate);
+        if (index !== -1) markers[index] = report;
+    });
+
+    return markers;
+}
@@ -0,0 +1,42 @@
+import { findNextEarnings, listUpcomingEarnings, placeEarningsMarkers, summarizeSurprises } from './earnings';
+
+const calendar = [
+    { symbol: 'BBB', reportDate: '2024-03-01' },
+    { symbol: 'AAA', reportDate: '2024-03-05' },
+    { symbol: 'CCC', reportDate: '2024-03-05' },
+    { symbol: 'AAA', reportDate: '2024-06-04' },
+];
+const report = (reportedDate, reportedEPS, estimatedEPS, surprisePercentage) =>
+    ({ fiscalDateEnding: reportedDate, reportedDate, reportedEPS, estimatedEPS, surprise: null, surprisePercentage, reportTime: null });
+
+test('listUpcomingEarnings keeps the tracked symbols reporting within the horizon', () => {
+    expect(listUpcomingEarnings(calendar, ['aaa', 'CCC'], 1, '2024-03-01')).toEqual([
+        { symbol: 'AAA', reportDate: '2024-03-05', days: 4 },
+        { symbol: 'CCC', reportDate: '2024-03-05', days: 4 },
+    ]);
+    expect(listUpcomingEarnings(calendar, ['BBB'], 4, '2024-03-02')).toEqual([]);
+    expect(findNextEarnings(calendar, 'AAA', '2024-03-06')).toMatchObject({ reportDate: '2024-06-04', days: 90 });
+    expect(findNextEarnings(calendar, 'DDD', '2024-03-06')).toBeNull();
+});
+
+test('summarizeSurprises counts beats and misses against the estimate', () => {
+    expect(summarizeSurprises([
+        report('2024-01-25', 1.1, 1.0, 10),
+        report('2023-10-25', 0.9, 1.0, -10),
+        report('2023-07-25', 1.2, 1.0, 20),
+        report('2023-04-25', 1.0, null, null),
+    ])).toEqual({ reported: 3, beats: 2, misses: 1, averageSurprise: 20 / 3 });
+    expect(summarizeSurprises([]).averageSurprise).toBeNull();
+});
+
+test('placeEarningsMarkers puts each report on the first bar on or after its date', () => {
+    const bars = [{ date: '2024-01-02' }, { date: '2024-01-05' }, { date: '2024-01-12' }];
+    const markers = placeEarningsMarkers(
+        [report('2024-01-20', 1, 1, 0), report('2024-01-03', 1, 1, 0), report('2023-12-31', 1, 1, 0), report('2023-12-01', 1, 1, 0)],
+        bars
+    );
+
+    // The first bar spans the three days up to it, like the gap to the next bar
+    expect(markers.map((marker) => marker && marker.reportedDate)).toEqual(['2023-12-31', '2024-01-03', null]);
+    expect(placeEarningsMarkers([report('2024-01-02', 1, 1, 0)], [])).toEqual([]);
+});
@@ -0,0 +1,97 @@
+/**
+ * File: holdings.js
+ *
+ * Pure helpers for portfolio holdings. A holding is the list of open lots of a symbol, as derived by replaying
+ * its transaction journal (see ledger.js); each lot carries the shares still held, the price paid per share,
+ * the purchase date and the part of the purchase fees attributable to those shares.
+ *
+ * From the lots and the latest quote these helpers derive the position value, the cost basis and the
+ * unrealized gain/loss, both per symbol and for the whole portfolio.
+ */
+
+
+
+
+
+/**
+ * Creates a unique identifier for a lot or transaction.
+ * @returns {string} - Identifier unique within this browser session.
+ */
+export function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+
+
+
+
+/**
+ * Computes the position of a single symbol from its lots and current price.
+ * @param {Array<object>} lots - Buy lots held for the symbol.
+ * @param {number|null} currentPrice - Latest price per share.
+ * @returns {object|null} - Position summary, or null when no shares are held.
+ */
+export function computePosition(lots, currentPrice) {
+    if (!Array.isArray(lots) || lots.length === 0) return null;
+
+    const shares = lots.reduce((sum, lot) => sum + lot.shares, 0);
+    const costBasis = lots.reduce((sum, lot) => sum + lot.shares * lot.price + (lot.fees || 0), 0);
+
+    if (shares <= 0) return null;
+
+    const hasPrice = typeof currentPrice === 'number' && !isNaN(currentPrice);
+    const marketValue = hasPrice ? shares * currentPrice : null;
+    const unrealizedGain = hasPrice ? marketValue - costBasis : null;
+    const unrealizedGainPercent = hasPrice && costBasis > 0 ? (unrealizedGain / costBasis) * 100 : null;
+
+    return {
+        shares,
+        costBasis,
+        averageCost: costBasis / shares,
+        marketValue,
+        unrealizedGain,
+        unrealizedGainPercent,
+    };
+}
+
+
+
+
+
+/**
+ * Sums the positions of every stock in the portfolio, plus the realized results of every journal.
+ * @param {Array<object|null>} stocks - Stock snapshots, as stored in the grid.
+ * @param {object} replays - Ledger replay results keyed by stock symbol (see replayAllLedgers).
+ * @returns {object|null} - Portfolio totals, or null when no transactions are recorded.
+ */
+export function computePortfolioTotals(stocks, replays) {
+    let marketValue = 0;
+    let costBasis = 0;
+    let positions = 0;
+
+    stocks.forEach(function (stock) {
+        if (!stock || !replays[stock.symbol]) return;
+
+        const position = computePosition(replays[stock.symbol].lots, stock.price);
+        if (!position || position.marketValue === null) return;
+
+        marketValue += position.marketValue;
+        costBasis += position.costBasis;
+        positions += 1;
+    });
+
+    const symbols = Object.keys(replays);
+    if (positions === 0 && symbols.length === 0) return null;
+
+    const unrealizedGain = marketValue - costBasis;
+    const totalRealized = symbols.reduce((sum, symbol) => sum + replays[symbol].totalRealized, 0);
+
+    return {
+        positions,
+        marketValue,
+        costBasis,
+        unrealizedGain,
+        unrealizedGainPercent: costBasis > 0 ? (unrealizedGain / costBasis) * 100 : null,
+        totalRealized,
+    };
+}
@@ -0,0 +1,33 @@
+import { computePortfolioTotals, computePosition } from './holdings';
+
+test('computePosition includes fees in the cost basis', () => {
+    const lots = [
+        { id: 'a', shares: 10, price: 100, date: '2024-01-02', fees: 5 },
+        { id: 'b', shares: 5, price: 110, date: '2024-02-01', fees: 0 },
+    ];
+    const position = computePosition(lots, 120);
+
+    expect(position.shares).toBe(15);
+    expect(position.costBasis).toBe(1555);
+    expect(position.marketValue).toBe(1800);
+    expect(position.unrealizedGain).toBe(245);
+    expect(position.unrealizedGainPercent).toBeCloseTo(15.76, 2);
+    expect(computePosition([], 120)).toBeNull();
+});
+
+test('computePortfolioTotals sums every held stock and all realized results', () => {
+    const stocks = [{ symbol: 'AAA', price: 20 }, null, { symbol: 'BBB', price: 5 }, { symbol: 'CCC', price: 1 }];
+    const replays = {
+        AAA: { lots: [{ id: 'a', shares: 2, price: 10, date: '2024-01-02', fees: 0 }], totalRealized: 0 },
+        BBB: { lots: [{ id: 'b', shares: 4, price: 10, date: '2024-01-02', fees: 0 }], totalRealized: 12 },
+        ZZZ: { lots: [], totalRealized: -2 },
+    };
+    const totals = computePortfolioTotals(stocks, replays);
+
+    expect(totals.positions).toBe(2);
+    expect(totals.marketValue).toBe(60);
+    expect(totals.costBasis).toBe(60);
+    expect(totals.unrealizedGain).toBe(0);
+    expect(totals.totalRealized).toBe(10);
+    expect(computePortfolioTotals([null], {})).toBeNull();
+});
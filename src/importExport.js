@@ -0,0 +1,477 @@
+/**
+ * File: importExport.js
+ *
+ * Pure helpers for moving data in and out of the app.
+ *
+ * The full app state (watchlists, transaction journals, alerts and settings) is exported as one JSON file tagged
+ * with EXPORT_FORMAT and EXPORT_VERSION, so a later version of the app can tell what it is reading.
+ *
+ * Transactions and holdings are exported and imported as CSV. Imports read the layouts of common broker
+ * statements: columns are recognized by the names brokers give them (see COLUMN_ALIASES) and actions by the words
+ * they use (see ACTION_PATTERNS). Every row is validated on its own, so a file with a few unreadable rows can still
+ * be previewed and imported without them. Holdings are imported as one buy per row.
+ */
+
+
+
+import { parseCsv, toCsv } from './csv';
+import { createTransaction, isTransaction, replayLedger, sortTransactions } from './ledger';
+import { flattenStatements } from './statements';
+import { isWatchlist } from './watchlists';
+
+
+
+
+
+// Constants
+export const EXPORT_FORMAT = 'stock-tracker';
+export const EXPORT_VERSION = 1;
+export const IMPORT_KINDS = ['transactions', 'holdings'];
+export const IMPORT_MODES = ['merge', 'replace']; // Add to the journals, or start them over from the file
+
+// Column names found in broker statements (Fidelity, Schwab, Vanguard, E*TRADE, ...), in lower case
+const COLUMN_ALIASES = {
+    symbol: ['symbol', 'ticker', 'security symbol'],
+    date: [
+        'date', 'run date', 'trade date', 'transaction date', 'settlement date', 'acquired', 'date acquired',
+        'open date',
+    ],
+    type: ['type', 'action', 'transaction type', 'activity'],
+    shares: ['shares', 'quantity', 'qty', 'share quantity'],
+    price: [
+        'price', 'price ($)', 'share price', 'price per share', 'average cost', 'average cost basis', 'cost per share',
+        'avg cost',
+    ],
+    costBasis: ['cost basis', 'cost basis total', 'total cost'],
+    fees: ['fees', 'fees ($)', 'commission', 'commission ($)', 'fees & comm', 'commissions & fees'],
+    amount: ['amount', 'amount ($)', 'net amount', 'principal amount'],
+    ratio: ['ratio', 'split ratio'],
+};
+
+// Columns a file needs before any of its rows can be read
+const REQUIRED_COLUMNS = {
+    transactions: [['symbol'], ['date'], ['type']],
+    holdings: [['symbol'], ['shares'], ['price', 'costBasis']],
+};
+
+// Words of a broker's action column and the transaction they stand for, tried in order: reinvestments buy shares
+// with a dividend, so they are matched before dividends
+const ACTION_PATTERNS = [
+    { pattern: /\breinvestment\b|\breinvest shares\b/i, type: 'buy' },
+    { pattern: /\bdividend/i, type: 'dividend' },
+    { pattern: /\bsplit\b/i, type: 'split' },
+    { pattern: /\b(buy|bought|purchased?)\b/i, type: 'buy' },
+    { pattern: /\b(sell|sold|sale)\b/i, type: 'sell' },
+    { pattern: /\b(fees?|commissions?)\b/i, type: 'fee' },
+];
+
+const TRANSACTION_FIELDS = ['shares', 'price', 'fees', 'amount', 'ratio'];
+const TRANSACTION_COLUMNS = ['Symbol', 'Date', 'Type', 'Shares', 'Price', 'Fees', 'Amount', 'Ratio'];
+const HOLDING_COLUMNS = ['Symbol', 'Acquired', 'Shares', 'Price', 'Fees', 'Cost Basis'];
+const BAR_COLUMNS = ['Date', 'Open', 'High', 'Low', 'Close', 'Adjusted Close', 'Volume', 'Dividend', 'Split Coefficient'];
+const STATEMENT_COLUMNS = ['Symbol', 'Statement', 'Period', 'Fiscal Date Ending', 'Currency', 'Item', 'Value'];
+
+
+
+
+
+/**
+ * Wraps the app state in a versioned export.
+ * @param {object} data - The state to export: { watchlists, activeWatchlistId, ledger, matchingMethod, alertRules,
+ *      alertHistory, indicatorSettings, chartMode, concentrationLimits, refreshInterval }.
+ * @param {string} [exportedAt] - Time of the export (ISO 8601); defaults to now.
+ * @returns {object} - The export: { format, version, exportedAt, data }.
+ */
+export function buildStateExport(data, exportedAt = new Date().toISOString()) {
+    return { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt, data };
+}
+
+
+
+
+
+/**
+ * Reads and validates an export made by buildStateExport.
+ * @param {string} text - Contents of the exported file.
+ * @returns {object} - The exported state.
+ * @throws {Error} - If the file is not an export of this app, comes from a newer version or holds invalid data.
+ */
+export function parseStateExport(text) {
+    let file;
+
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (!file || file.format !== EXPORT_FORMAT || !file.data) {
+        throw new Error('The file is not a Stock Tracker export.');
+    }
+    if (!(file.version >= 1 && file.version <= EXPORT_VERSION)) {
+        throw new Error(`The file has export version ${file.version}, which this version of the app cannot read.`);
+    }
+
+    const { watchlists, ledger } = file.data;
+
+    if (!Array.isArray(watchlists) || watchlists.length === 0 || !watchlists.every(isWatchlist)) {
+        throw new Error('The export has no valid watchlists.');
+    }
+    if (!ledger || typeof ledger !== 'object' || Array.isArray(ledger)) {
+        throw new Error('The export has no valid transaction journal.');
+    }
+    Object.keys(ledger).forEach(function (symbol) {
+        if (!Array.isArray(ledger[symbol])) {
+            throw new Error(`The transactions of ${symbol} are not a list.`);
+        }
+
+        const invalid = ledger[symbol].filter((transaction) => !isTransaction(transaction));
+        if (invalid.length > 0) {
+            const problem = invalid.length === 1
+                ? `1 transaction of ${symbol} is missing fields or has`
+                : `${invalid.length} transactions of ${symbol} are missing fields or have`;
+            throw new Error(`${problem} an unknown type.`);
+        }
+
+        try {
+            replayLedger(ledger[symbol]);
+        } catch (error) {
+            throw new Error(`The transactions of ${symbol} do not add up: ${error.message}`);
+        }
+    });
+
+    return file.data;
+}
+
+
+
+
+
+/**
+ * Parses a CSV file of transactions or holdings, validating every row.
+ * Lines above the header (account names, export dates) and footnotes below the rows are ignored.
+ * @param {string} text - The CSV text.
+ * @param {string} kind - One of IMPORT_KINDS.
+ * @param {string} asOf - Date given to holdings without a purchase date (YYYY-MM-DD).
+ * @returns {object} - { columns, rows } where columns lists the fields recognized and each row is
+ *      { line, symbol, transaction, error }: the transaction when the row is valid, the reason it is not otherwise.
+ * @throws {Error} - If no header with the required columns is found.
+ */
+export function parseImportFile(text, kind, asOf) {
+    const lines = parseCsv(text.replace(/^\uFEFF/, ''));
+    const headerIndex = lines.findIndex((line) => hasRequiredColumns(mapColumns(line), kind));
+
+    if (headerIndex === -1) {
+        const expected = REQUIRED_COLUMNS[kind].map((names) => names.map((name) => COLUMN_ALIASES[name][0]).join(' or '));
+        throw new Error(`No header row found. The file needs columns for ${expected.join(', ')}.`);
+    }
+
+    const columns = mapColumns(lines[headerIndex]);
+    const rows = [];
+
+    lines.slice(headerIndex + 1).forEach(function (line, index) {
+        if (line.filter((field) => field.trim() !== '').length < 2) return; // Blank lines and footnotes
+
+        const values = {};
+        Object.keys(columns).forEach((name) => { values[name] = (line[columns[name]] || '').trim(); });
+
+        const symbol = values.symbol.toUpperCase();
+        const row = { line: headerIndex + index + 2, symbol, transaction: null, error: null };
+        try {
+            if (!symbol) throw new Error('Missing symbol.');
+            const input = kind === 'holdings' ? readHolding(values, asOf) : readTransaction(values);
+            row.transaction = createTransaction(input);
+        } catch (error) {
+            row.error = error.message;
+        }
+        rows.push(row);
+    });
+
+    return { columns: Object.keys(columns), rows };
+}
+
+
+
+
+
+/**
+ * Adds the valid rows of an import to the transaction journals.
+ * When merging, transactions already recorded are skipped, so importing the same statement twice changes nothing.
+ * @param {object} ledger - The current transactions keyed by stock symbol.
+ * @param {Array<object>} rows - Parsed rows (see parseImportFile); rows with an error are left out.
+ * @param {string} mode - One of IMPORT_MODES.
+ * @returns {object} - { ledger, added, duplicates }: the new journals and how many rows were added or skipped.
+ * @throws {Error} - If a journal no longer adds up, e.g. a sale exceeds the shares held.
+ */
+export function mergeImportedTransactions(ledger, rows, mode) {
+    const merged = {};
+    let added = 0;
+    let duplicates = 0;
+
+    if (mode === 'merge') Object.keys(ledger).forEach((symbol) => { merged[symbol] = ledger[symbol].slice(); });
+
+    rows.filter((row) => row.transaction).forEach(function ({ symbol, transaction }) {
+        const recorded = mode === 'merge' ? ledger[symbol] || [] : [];
+
+        if (recorded.some((existing) => isSameTransaction(existing, transaction))) {
+            duplicates++;
+            return;
+        }
+        merged[symbol] = (merged[symbol] || []).concat(transaction);
+        added++;
+    });
+
+    Object.keys(merged).forEach(function (symbol) {
+        merged[symbol] = sortTransactions(merged[symbol]);
+        try {
+            replayLedger(merged[symbol]);
+        } catch (error) {
+            throw new Error(`${symbol}: ${error.message}`);
+        }
+    });
+
+    return { ledger: merged, added, duplicates };
+}
+
+
+
+
+
+/**
+ * Exports every transaction as CSV, in a layout parseImportFile reads back.
+ * @param {object} ledger - Transactions keyed by stock symbol.
+ * @returns {string} - The CSV text, sorted by symbol and date.
+ */
+export function transactionsToCsv(ledger) {
+    const rows = Object.keys(ledger)
+        .sort()
+        .flatMap((symbol) => sortTransactions(ledger[symbol]).map((transaction) => [
+            symbol,
+            transaction.date,
+            transaction.type,
+            ...TRANSACTION_FIELDS.map((field) => transaction[field]),
+        ]));
+
+    return toCsv([TRANSACTION_COLUMNS, ...rows]);
+}
+
+
+
+
+
+/**
+ * Exports the open lots of every holding as CSV, in a layout parseImportFile reads back.
+ * @param {object} replays - Ledger replay results keyed by stock symbol (see replayAllLedgers).
+ * @returns {string} - The CSV text, one row per open lot sorted by symbol and purchase date.
+ */
+export function holdingsToCsv(replays) {
+    const rows = Object.keys(replays)
+        .sort()
+        .flatMap((symbol) => replays[symbol].lots.map((lot) => [
+            symbol,
+            lot.date,
+            lot.shares,
+            lot.price,
+            lot.fees || 0,
+            lot.shares * lot.price + (lot.fees || 0),
+        ]));
+
+    return toCsv([HOLDING_COLUMNS, ...rows]);
+}
+
+
+
+
+
+/**
+ * Exports bars as CSV.
+ * @param {Array<object>} bars - Normalized bars, oldest first.
+ * @returns {string} - The CSV text.
+ */
+export function barsToCsv(bars) {
+    const rows = bars.map((bar) => [
+        bar.date,
+        bar.open,
+        bar.high,
+        bar.low,
+        bar.close,
+        bar.adjustedClose,
+        bar.volume,
+        bar.dividend,
+        bar.splitCoefficient,
+    ]);
+
+    return toCsv([BAR_COLUMNS, ...rows]);
+}
+
+
+
+
+
+/**
+ * Exports the financial statements of a stock as CSV, one row per reported value.
+ * @param {string} symbol - Stock symbol.
+ * @param {object} statements - Statements keyed by type (see flattenStatements).
+ * @returns {string} - The CSV text.
+ */
+export function statementsToCsv(symbol, statements) {
+    const rows = flattenStatements(symbol, statements).map((record) => [
+        record.symbol,
+        record.statement,
+        record.period,
+        record.fiscalDateEnding,
+        record.currency,
+        record.item,
+        record.value,
+    ]);
+
+    return toCsv([STATEMENT_COLUMNS, ...rows]);
+}
+
+
+
+
+
+/**
+ * Finds the columns of a header row.
+ * @param {Array<string>} header - Column names as found in the file.
+ * @returns {object} - Column index keyed by field name, for the fields recognized.
+ */
+function mapColumns(header) {
+    const columns = {};
+
+    header.forEach(function (name, index) {
+        const key = name.trim().toLowerCase().replace(/\s+/g, ' ');
+        const field = Object.keys(COLUMN_ALIASES).find((candidate) => COLUMN_ALIASES[candidate].includes(key));
+
+        if (field && columns[field] === undefined) columns[field] = index;
+    });
+
+    return columns;
+}
+
+
+
+
+
+/**
+ * Checks that the columns found are enough to read an import.
+ * @param {object} columns - Column index keyed by field name (see mapColumns).
+ * @param {string} kind - One of IMPORT_KINDS.
+ * @returns {boolean} - Whether every required field, or one of its alternatives, was found.
+ */
+function hasRequiredColumns(columns, kind) {
+    return REQUIRED_COLUMNS[kind].every((names) => names.some((name) => columns[name] !== undefined));
+}
+
+
+
+
+
+/**
+ * Turns the values of a transaction row into transaction input.
+ * @param {object} values - Field values of the row, keyed by field name.
+ * @returns {object} - Input for createTransaction.
+ * @throws {Error} - If the action is not recognized.
+ */
+function readTransaction(values) {
+    const action = ACTION_PATTERNS.find((candidate) => candidate.pattern.test(values.type));
+
+    if (!action) throw new Error(`Unrecognized action "${values.type}".`);
+
+    const shares = parseAmount(values.shares);
+    const fees = parseAmount(values.fees);
+    const amount = parseAmount(values.amount);
+    let price = parseAmount(values.price);
+
+    // Statements without a price column still give the total paid (fees included) or received (fees deducted)
+    if (price === '' && shares > 0 && amount > 0) {
+        price = (action.type === 'buy' ? amount - (fees || 0) : amount + (fees || 0)) / shares;
+    }
+
+    return {
+        type: action.type,
+        date: parseDate(values.date),
+        shares,
+        price,
+        fees,
+        amount,
+        ratio: parseAmount(values.ratio),
+    };
+}
+
+
+
+
+
+/**
+ * Turns the values of a holdings row into the input of a buy transaction.
+ * @param {object} values - Field values of the row, keyed by field name.
+ * @param {string} asOf - Date used when the row has no purchase date (YYYY-MM-DD).
+ * @returns {object} - Input for createTransaction.
+ */
+function readHolding(values, asOf) {
+    const shares = parseAmount(values.shares);
+    const fees = parseAmount(values.fees);
+    const costBasis = parseAmount(values.costBasis);
+    let price = parseAmount(values.price);
+
+    if (price === '' && shares > 0 && costBasis !== '') price = (costBasis - (fees || 0)) / shares;
+
+    return { type: 'buy', date: values.date ? parseDate(values.date) : asOf, shares, price, fees };
+}
+
+
+
+
+
+/**
+ * Reads a number as brokers write it: with currency signs, thousands separators and negative amounts in
+ * parentheses. The sign is dropped, since the transaction type already says which way money and shares moved.
+ * @param {string} [value] - The field value.
+ * @returns {number|string} - The absolute value; empty when blank, and the raw text when it is not a number.
+ */
+function parseAmount(value) {
+    const text = (value || '').replace(/[$,\s]/g, '').replace(/^\((.*)\)$/, '$1');
+
+    if (text === '') return '';
+
+    const number = Number(text);
+    return isNaN(number) ? text : Math.abs(number);
+}
+
+
+
+
+
+/**
+ * Reads a date written as YYYY-MM-DD or MM/DD/YYYY, e.g. "01/05/2024 as of 01/03/2024".
+ * @param {string} value - The field value.
+ * @returns {string} - The first date found (YYYY-MM-DD), or the raw text when none is.
+ */
+function parseDate(value) {
+    const iso = /\d{4}-\d{2}-\d{2}/.exec(value);
+    if (iso) return iso[0];
+
+    const us = /(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/.exec(value);
+    if (!us) return value;
+
+    const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+    return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+}
+
+
+
+
+
+/**
+ * Checks whether two transactions record the same event.
+ * @param {object} a - A transaction.
+ * @param {object} b - Another transaction.
+ * @returns {boolean} - Whether type, date and every amount match.
+ */
+function isSameTransaction(a, b) {
+    if (a.type !== b.type || a.date !== b.date) return false;
+
+    return TRANSACTION_FIELDS.every((field) => (a[field] || 0) === (b[field] || 0));
+}
@@ -0,0 +1,115 @@
+import {
+    barsToCsv,
+    buildStateExport,
+    holdingsToCsv,
+    mergeImportedTransactions,
+    parseImportFile,
+    parseStateExport,
+    transactionsToCsv,
+} from './importExport';
+import { replayAllLedgers } from './ledger';
+
+const buy = (id, date, shares, price) => ({ id, type: 'buy', date, shares, price, fees: 0 });
+const ledger = {
+    AAA: [buy('a1', '2024-01-05', 10, 100), { id: 'a2', type: 'dividend', date: '2024-03-01', amount: 5 }],
+    BBB: [buy('b1', '2024-02-01', 4, 25)],
+};
+const state = { watchlists: [{ id: 'w1', name: 'My Stocks', stocks: [] }], activeWatchlistId: 'w1', ledger };
+
+test('parseStateExport reads back what buildStateExport wrote', () => {
+    const text = JSON.stringify(buildStateExport(state, '2024-06-01T00:00:00.000Z'));
+
+    expect(parseStateExport(text)).toEqual(state);
+});
+
+test('parseStateExport rejects other files, newer versions and journals that do not add up', () => {
+    const exported = buildStateExport(state);
+
+    expect(() => parseStateExport('not json')).toThrow('not valid JSON');
+    expect(() => parseStateExport(JSON.stringify({ data: state }))).toThrow('not a Stock Tracker export');
+    expect(() => parseStateExport(JSON.stringify({ ...exported, version: 99 }))).toThrow('export version 99');
+    expect(() => parseStateExport(JSON.stringify({ ...exported, data: { ...state, watchlists: [] } }))).toThrow('watchlists');
+
+    const oversold = { ...ledger, BBB: ledger.BBB.concat({ id: 'b2', type: 'sell', date: '2024-03-01', shares: 5, price: 30 }) };
+    expect(() => parseStateExport(JSON.stringify({ ...exported, data: { ...state, ledger: oversold } }))).toThrow('BBB');
+
+    const incomplete = { ...ledger, AAA: ledger.AAA.concat({ id: 'a3', type: 'dividend', date: '2024-06-01' }) };
+    expect(() => parseStateExport(JSON.stringify({ ...exported, data: { ...state, ledger: incomplete } }))).toThrow(
+        '1 transaction of AAA is missing fields'
+    );
+});
+
+test('parseImportFile maps a broker layout and reports the rows it cannot read', () => {
+    const text = [
+        'Brokerage Account X12345678',
+        '',
+        'Run Date,Action,Symbol,Quantity,Price ($),Commission ($),Amount ($)',
+        '01/05/2024,YOU BOUGHT ACME INC (AAA) (Cash),AAA,10,100,1,-1001',
+        '03/01/2024,DIVIDEND RECEIVED ACME INC (AAA) (Cash),AAA,,,,5',
+        '03/04/2024,REINVESTMENT ACME INC (AAA) (Cash),AAA,0.05,,,-5',
+        '04/02/2024,YOU SOLD ACME INC (AAA) (Cash),aaa,-4,110,1,439',
+        '04/03/2024,Electronic Funds Transfer Received (Cash),,,,,500',
+        '04/04/2024,JOURNALED SPP PURCHASE CREDIT,BBB,2,,,',
+        '',
+        '"The data and information in this spreadsheet is provided to you solely for your use."',
+    ].join('\n');
+    const { columns, rows } = parseImportFile(text, 'transactions', '2024-06-01');
+
+    expect(columns).toEqual(['date', 'type', 'symbol', 'shares', 'price', 'fees', 'amount']);
+    expect(rows.map((row) => row.line)).toEqual([4, 5, 6, 7, 8, 9]);
+    expect(rows[0].transaction).toMatchObject({ type: 'buy', date: '2024-01-05', shares: 10, price: 100, fees: 1 });
+    expect(rows[1].transaction).toMatchObject({ type: 'dividend', date: '2024-03-01', amount: 5 });
+    expect(rows[2].transaction).toMatchObject({ type: 'buy', shares: 0.05, price: 100 }); // Price from the amount
+    expect(rows[3]).toMatchObject({ symbol: 'AAA', transaction: { type: 'sell', shares: 4, price: 110 } });
+    expect(rows[4]).toMatchObject({ transaction: null, error: 'Missing symbol.' });
+    expect(rows[5]).toMatchObject({ symbol: 'BBB', transaction: null, error: 'Price must be a number of zero or more.' });
+    expect(() => parseImportFile('Name,Value\nA,1', 'transactions', '2024-06-01')).toThrow('symbol, date, type');
+});
+
+test('parseImportFile turns holdings into buys, dated today when the file has no purchase date', () => {
+    const text = 'Symbol,Quantity,Cost Basis Total\nAAA,"1,000",$25000.00\nBBB,5,n/a\n';
+    const { rows } = parseImportFile(text, 'holdings', '2024-06-01');
+
+    expect(rows[0].transaction).toMatchObject({ type: 'buy', date: '2024-06-01', shares: 1000, price: 25 });
+    expect(rows[1].error).toBe('Price must be a number of zero or more.');
+});
+
+test('mergeImportedTransactions skips recorded transactions when merging and starts over when replacing', () => {
+    const rows = [
+        { symbol: 'AAA', transaction: buy('x1', '2024-01-05', 10, 100) },
+        { symbol: 'CCC', transaction: buy('x2', '2024-01-01', 1, 10) },
+        { symbol: 'DDD', transaction: null, error: 'Missing symbol.' },
+    ];
+
+    const merged = mergeImportedTransactions(ledger, rows, 'merge');
+    expect(merged).toMatchObject({ added: 1, duplicates: 1 });
+    expect(Object.keys(merged.ledger)).toEqual(['AAA', 'BBB', 'CCC']);
+    expect(merged.ledger.AAA).toEqual(ledger.AAA);
+
+    const replaced = mergeImportedTransactions(ledger, rows, 'replace');
+    expect(replaced).toMatchObject({ added: 2, duplicates: 0 });
+    expect(Object.keys(replaced.ledger)).toEqual(['AAA', 'CCC']);
+
+    const sale = { symbol: 'BBB', transaction: { id: 'x3', type: 'sell', date: '2024-03-01', shares: 5, price: 30, fees: 0 } };
+    expect(() => mergeImportedTransactions(ledger, [sale], 'merge')).toThrow('BBB: Cannot sell 5 shares');
+});
+
+test('transactions and holdings exported as CSV import back unchanged', () => {
+    const transactions = parseImportFile(transactionsToCsv(ledger), 'transactions', '2024-06-01').rows;
+    const holdings = parseImportFile(holdingsToCsv(replayAllLedgers(ledger, 'FIFO')), 'holdings', '2024-06-01').rows;
+    const strip = ({ id, ...transaction }) => transaction;
+
+    expect(transactions.map((row) => row.symbol)).toEqual(['AAA', 'AAA', 'BBB']);
+    expect(transactions.map((row) => strip(row.transaction))).toEqual(
+        [...ledger.AAA, ...ledger.BBB].map(strip)
+    );
+    expect(holdings.map((row) => strip(row.transaction))).toEqual([ledger.AAA[0], ledger.BBB[0]].map(strip));
+});
+
+test('barsToCsv writes one row per bar', () => {
+    const bar = { date: '2024-01-02', open: 1, high: 2, low: 0.5, close: 1.5, adjustedClose: null, volume: 100, dividend: 0, splitCoefficient: 1 };
+
+    expect(barsToCsv([bar])).toBe(
+        'Date,Open,High,Low,Close,Adjusted Close,Volume,Dividend,Split Coefficient\r\n2024-01-02,1,2,0.5,1.5,,100,0,1\r\n'
+    );
+});
@@ -0,0 +1,285 @@
+/**
+ * File: indicators.js
+ *
+ * Pure technical indicator math for the StockDetails chart. Every indicator takes a series ordered oldest first
+ * and returns series of the same length, aligned index for index with its input; values are null until enough
+ * data has been seen (the warm-up period).
+ *
+ * INDICATOR_DEFAULTS describes the user settings: which overlays and sub-panels are shown and their periods.
+ */
+
+
+
+import { getBarPrice } from './marketData';
+
+
+
+
+
+// Constants
+export const INDICATOR_DEFAULTS = {
+    sma: { enabled: false, period: 20 },
+    ema: { enabled: false, period: 50 },
+    bollinger: { enabled: false, period: 20, multiplier: 2 },
+    vwap: { enabled: false },
+    volume: { enabled: false },
+    rsi: { enabled: false, period: 14 },
+    macd: { enabled: false, fast: 12, slow: 26, signal: 9 },
+};
+const MAX_PERIOD = 500;
+
+
+
+
+
+/**
+ * Merges stored settings into the defaults, dropping unknown indicators and invalid periods.
+ * @param {object} [settings] - Stored indicator settings.
+ * @returns {object} - Complete settings, shaped like INDICATOR_DEFAULTS.
+ */
+export function normalizeIndicatorSettings(settings) {
+    const normalized = {};
+
+    Object.keys(INDICATOR_DEFAULTS).forEach(function (name) {
+        const defaults = INDICATOR_DEFAULTS[name];
+        const stored = settings && typeof settings[name] === 'object' ? settings[name] : {};
+        const merged = { ...defaults, enabled: Boolean(stored.enabled) };
+
+        Object.keys(defaults).forEach(function (key) {
+            if (key === 'enabled') return;
+
+            const value = Number(stored[key]);
+            const isMultiplier = key === 'multiplier';
+            const valid = isMultiplier ? value > 0 : Number.isInteger(value) && value >= 1 && value <= MAX_PERIOD;
+            if (valid) merged[key] = value;
+        });
+
+        normalized[name] = merged;
+    });
+
+    return normalized;
+}
+
+
+
+
+
+/**
+ * Simple moving average.
+ * @param {Array<number>} values - Series, oldest first.
+ * @param {number} period - Number of values averaged.
+ * @returns {Array<number|null>} - The average of the last `period` values at each index.
+ */
+export function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+
+    values.forEach(function (value, index) {
+        sum += value;
+        if (index >= period) sum -= values[index - period];
+        if (index >= period - 1) result[index] = sum / period;
+    });
+
+    return result;
+}
+
+
+
+
+
+/**
+ * Exponential moving average, seeded with the simple average of the first `period` values.
+ * Null values at the start of the series (another indicator's warm-up) are skipped.
+ * @param {Array<number|null>} values - Series, oldest first.
+ * @param {number} period - Number of values the smoothing is based on.
+ * @returns {Array<number|null>} - The exponential average at each index.
+ */
+export function ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex((value) => value !== null && value !== undefined);
+    const alpha = 2 / (period + 1);
+
+    if (start === -1 || values.length - start < period) return result;
+
+    let average = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+    result[start + period - 1] = average;
+
+    for (let index = start + period; index < values.length; index++) {
+        average = values[index] * alpha + average * (1 - alpha);
+        result[index] = average;
+    }
+
+    return result;
+}
+
+
+
+
+
+/**
+ * Bollinger Bands: a simple moving average with bands a number of standard deviations above and below it.
+ * @param {Array<number>} values - Series, oldest first.
+ * @param {number} [period=20] - Number of values averaged.
+ * @param {number} [multiplier=2] - Width of the bands in standard deviations.
+ * @returns {object} - { middle, upper, lower } series.
+ */
+export function bollingerBands(values, period = 20, multiplier = 2) {
+    const middle = sma(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+
+    middle.forEach(function (mean, index) {
+        if (mean === null) return;
+
+        const window = values.slice(index - period + 1, index + 1);
+        const deviation = Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+
+        upper[index] = mean + multiplier * deviation;
+        lower[index] = mean - multiplier * deviation;
+    });
+
+    return { middle, upper, lower };
+}
+
+
+
+
+
+/**
+ * Volume-weighted average price, restarting at every trading session.
+ * @param {Array<object>} bars - Normalized intraday bars, oldest first.
+ * @returns {Array<number|null>} - The session VWAP at each bar; null until the session has traded volume.
+ */
+export function vwap(bars) {
+    let session = null;
+    let priceVolume = 0;
+    let volume = 0;
+
+    return bars.map(function (bar) {
+        const day = bar.date.slice(0, 10);
+
+        if (day !== session) {
+            session = day;
+            priceVolume = 0;
+            volume = 0;
+        }
+
+        priceVolume += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+        volume += bar.volume;
+
+        return volume > 0 ? priceVolume / volume : null;
+    });
+}
+
+
+
+
+
+/**
+ * Relative strength index with Wilder's smoothing.
+ * @param {Array<number>} values - Series, oldest first.
+ * @param {number} [period=14] - Number of changes the averages are based on.
+ * @returns {Array<number|null>} - RSI between 0 and 100 at each index.
+ */
+export function rsi(values, period = 14) {
+    const result = new Array(values.length).fill(null);
+    let averageGain = 0;
+    let averageLoss = 0;
+
+    for (let index = 1; index < values.length; index++) {
+        const change = values[index] - values[index - 1];
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+
+        if (index <= period) {
+            averageGain += gain / period;
+            averageLoss += loss / period;
+        } else {
+            averageGain = (averageGain * (period - 1) + gain) / period;
+            averageLoss = (averageLoss * (period - 1) + loss) / period;
+        }
+
+        if (index >= period) {
+            result[index] = averageLoss === 0 ? 100 : 100 - 100 / (1 + averageGain / averageLoss);
+        }
+    }
+
+    return result;
+}
+
+
+
+
+
+/**
+ * Moving average convergence/divergence.
+ * @param {Array<number>} values - Series, oldest first.
+ * @param {number} [fast=12] - Period of the fast exponential average.
+ * @param {number} [slow=26] - Period of the slow exponential average.
+ * @param {number} [signal=9] - Period of the signal line, an exponential average of the MACD line.
+ * @returns {object} - { macd, signal, histogram } series.
+ */
+export function macd(values, fast = 12, slow = 26, signal = 9) {
+    const fastAverage = ema(values, fast);
+    const slowAverage = ema(values, slow);
+    const macdLine = values.map((value, index) =>
+        fastAverage[index] !== null && slowAverage[index] !== null ? fastAverage[index] - slowAverage[index] : null
+    );
+    const signalLine = ema(macdLine, signal);
+    const histogram = macdLine.map((value, index) =>
+        value !== null && signalLine[index] !== null ? value - signalLine[index] : null
+    );
+
+    return { macd: macdLine, signal: signalLine, histogram };
+}
+
+
+
+
+
+/**
+ * Computes every enabled indicator over the full history, then keeps the values of the charted bars.
+ * Using the full history means the indicators are warmed up at the first charted bar whenever possible.
+ * @param {Array<object>} history - All fetched bars, oldest first.
+ * @param {Array<object>} bars - The charted bars; a run of consecutive history bars, which a custom range may end
+ *      before the latest one.
+ * @param {object} settings - Indicator settings, shaped like INDICATOR_DEFAULTS.
+ * @returns {object} - Series aligned with the charted bars, keyed by indicator; only enabled indicators are present.
+ */
+export function computeIndicators(history, bars, settings) {
+    const start = bars.length > 0 && history ? history.findIndex((bar) => bar.date === bars[0].date) : -1;
+    const source = start >= 0 && start + bars.length <= history.length ? history : bars;
+    const offset = source === history ? start : 0;
+    const prices = source.map(getBarPrice);
+    const clip = (series) => series.slice(offset, offset + bars.length);
+    const result = {};
+
+    if (settings.sma.enabled) result.sma = clip(sma(prices, settings.sma.period));
+    if (settings.ema.enabled) result.ema = clip(ema(prices, settings.ema.period));
+    if (settings.bollinger.enabled) {
+        const bands = bollingerBands(prices, settings.bollinger.period, settings.bollinger.multiplier);
+        result.bollinger = { middle: clip(bands.middle), upper: clip(bands.upper), lower: clip(bands.lower) };
+    }
+    if (settings.vwap.enabled && isIntraday(bars)) result.vwap = clip(vwap(source));
+    if (settings.volume.enabled) result.volume = bars.map((bar) => bar.volume);
+    if (settings.rsi.enabled) result.rsi = clip(rsi(prices, settings.rsi.period));
+    if (settings.macd.enabled) {
+        const lines = macd(prices, settings.macd.fast, settings.macd.slow, settings.macd.signal);
+        result.macd = { macd: clip(lines.macd), signal: clip(lines.signal), histogram: clip(lines.histogram) };
+    }
+
+    return result;
+}
+
+
+
+
+
+/**
+ * Tells whether bars are intraday bars.
+ * @param {Array<object>} bars - Normalized bars.
+ * @returns {boolean} - True when the bars carry a time of day.
+ */
+export function isIntraday(bars) {
+    return bars.length > 0 && bars[0].date.length > 10;
+}
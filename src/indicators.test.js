@@ -0,0 +1,75 @@
+import { bollingerBands, computeIndicators, ema, macd, normalizeIndicatorSettings, rsi, sma, vwap } from './indicators';
+
+test('sma and ema warm up before producing values', () => {
+    expect(sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+
+    const average = ema([1, 2, 3, 4, 5], 3);
+    expect(average.slice(0, 2)).toEqual([null, null]);
+    expect(average[2]).toBe(2);
+    expect(average[3]).toBe(3); // 4 * 0.5 + 2 * 0.5
+    expect(average[4]).toBe(4);
+    expect(ema([null, null, 2, 4], 2)).toEqual([null, null, null, 3]);
+});
+
+test('bollingerBands are two standard deviations around the average', () => {
+    const { middle, upper, lower } = bollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+
+    expect(middle[7]).toBe(5);
+    expect(upper[7]).toBe(9); // Standard deviation of this series is 2
+    expect(lower[7]).toBe(1);
+    expect(upper[6]).toBeNull();
+});
+
+test('rsi is 100 on a steady rise and close to 50 on alternating moves', () => {
+    const rising = Array.from({ length: 20 }, (value, index) => index);
+    const alternating = Array.from({ length: 40 }, (value, index) => (index % 2 === 0 ? 10 : 11));
+
+    expect(rsi(rising, 14)[13]).toBeNull();
+    expect(rsi(rising, 14)[14]).toBe(100);
+    expect(Math.abs(rsi(alternating, 14)[39] - 50)).toBeLessThan(5);
+});
+
+test('macd is the gap between the fast and slow averages', () => {
+    const values = Array.from({ length: 40 }, (value, index) => 100 + index);
+    const { macd: line, signal, histogram } = macd(values, 3, 6, 3);
+
+    expect(line[4]).toBeNull();
+    expect(line[5]).toBeCloseTo(ema(values, 3)[5] - ema(values, 6)[5], 10);
+    expect(signal[6]).toBeNull();
+    expect(signal[7]).not.toBeNull();
+    expect(histogram[39]).toBeCloseTo(line[39] - signal[39], 10);
+});
+
+test('vwap restarts every session and computeIndicators keeps the charted bars only', () => {
+    const bars = [
+        { date: '2024-01-02 15:45:00', high: 11, low: 9, close: 10, adjustedClose: null, volume: 100 },
+        { date: '2024-01-03 09:30:00', high: 21, low: 19, close: 20, adjustedClose: null, volume: 100 },
+        { date: '2024-01-03 09:45:00', high: 31, low: 29, close: 30, adjustedClose: null, volume: 300 },
+    ];
+
+    expect(vwap(bars)).toEqual([10, 20, 27.5]);
+
+    const settings = normalizeIndicatorSettings({ sma: { enabled: true, period: 2 }, vwap: { enabled: true } });
+    const indicators = computeIndicators(bars, bars.slice(1), settings);
+
+    expect(indicators.sma).toEqual([15, 25]);
+    expect(indicators.vwap).toEqual([20, 27.5]);
+    expect(indicators.rsi).toBeUndefined();
+});
+
+test('computeIndicators places the values of a range ending before the latest bar on its own dates', () => {
+    const history = [10, 20, 30, 40, 50].map((close, index) => ({
+        date: `2024-01-0${index + 2}`, high: close, low: close, close, adjustedClose: null, volume: 100,
+    }));
+    const settings = normalizeIndicatorSettings({ sma: { enabled: true, period: 2 } });
+
+    expect(computeIndicators(history, history.slice(1, 3), settings).sma).toEqual([15, 25]);
+});
+
+test('normalizeIndicatorSettings drops invalid periods', () => {
+    const settings = normalizeIndicatorSettings({ rsi: { enabled: true, period: -3 }, macd: { fast: '5' }, bogus: {} });
+
+    expect(settings.rsi).toEqual({ enabled: true, period: 14 });
+    expect(settings.macd).toEqual({ enabled: false, fast: 5, slow: 26, signal: 9 });
+    expect(settings.bogus).toBeUndefined();
+});
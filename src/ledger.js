@@ -0,0 +1,408 @@
+/**
+ * File: ledger.js
+ *
+ * Pure helpers for the transaction journal kept per symbol. A journal records buys, sells, dividends received,
+ * stock splits and standalone fees. Replaying the journal in date order yields the open lots still held,
+ * the realized gain/loss of every sale and the income and fees booked along the way.
+ *
+ * Sales are matched against open lots using one of the MATCHING_METHODS:
+ *  -   FIFO: the oldest lots are sold first.
+ *  -   LIFO: the newest lots are sold first.
+ *  -   AVERAGE: every lot is reduced pro rata, so the average cost per share is unchanged by a sale.
+ */
+
+
+
+import { createId } from './holdings';
+
+
+
+
+
+// Constants
+export const TRANSACTION_TYPES = ['buy', 'sell', 'dividend', 'split', 'fee'];
+export const MATCHING_METHODS = ['FIFO', 'LIFO', 'AVERAGE'];
+const SHARE_EPSILON = 1e-9; // Remaining shares below this are treated as zero to absorb rounding
+
+
+
+
+
+/**
+ * Validates user input and creates a transaction.
+ * @param {object} input - Raw transaction values, usually straight from form fields.
+ * @param {string} input.type - One of TRANSACTION_TYPES.
+ * @param {string} input.date - Transaction date (YYYY-MM-DD).
+ * @param {string|number} [input.shares] - Shares bought or sold (buy, sell).
+ * @param {string|number} [input.price] - Price per share (buy, sell).
+ * @param {string|number} [input.fees] - Commission paid on the trade (buy, sell).
+ * @param {string|number} [input.amount] - Cash received or paid (dividend, fee).
+ * @param {string|number} [input.ratio] - New shares per old share, e.g. 2 for a 2-for-1 split (split).
+ * @returns {object} - The new transaction.
+ * @throws {Error} - If any value is missing or invalid.
+ */
+export function createTransaction(input) {
+    const { type, date } = input;
+
+    if (!TRANSACTION_TYPES.includes(type)) {
+        throw new Error(`Unknown transaction type "${type}".`);
+    }
+    if (!date || isNaN(new Date(date).getTime())) {
+        throw new Error('Please enter a valid transaction date.');
+    }
+
+    const transaction = { id: createId(), type, date };
+
+    switch (type) {
+        case 'buy':
+        case 'sell': {
+            const shares = parseFloat(input.shares);
+            const price = parseFloat(input.price);
+            const fees = isBlank(input.fees) ? 0 : parseFloat(input.fees);
+
+            if (!(shares > 0)) throw new Error('Shares must be a number greater than zero.');
+            if (!(price >= 0)) throw new Error('Price must be a number of zero or more.');
+            if (!(fees >= 0)) throw new Error('Fees must be a number of zero or more.');
+
+            return { ...transaction, shares, price, fees };
+        }
+        case 'dividend':
+        case 'fee': {
+            const amount = parseFloat(input.amount);
+
+            if (!(amount > 0)) throw new Error('Amount must be a number greater than zero.');
+
+            return { ...transaction, amount };
+        }
+        case 'split': {
+            const ratio = parseFloat(input.ratio);
+
+            if (!(ratio > 0) || ratio === 1) throw new Error('Split ratio must be a positive number other than 1.');
+
+            return { ...transaction, ratio };
+        }
+        default:
+            throw new Error(`Unknown transaction type "${type}".`);
+    }
+}
+
+
+
+
+
+/**
+ * Checks the shape of a stored transaction.
+ * @param {object} transaction - The transaction.
+ * @returns {boolean} - Whether it has an id, a known type, a date and the amounts its type needs.
+ */
+export function isTransaction(transaction) {
+    if (!transaction || !transaction.id || !TRANSACTION_TYPES.includes(transaction.type)) return false;
+    if (typeof transaction.date !== 'string') return false;
+
+    switch (transaction.type) {
+        case 'buy':
+        case 'sell':
+            return typeof transaction.shares === 'number' && typeof transaction.price === 'number';
+        case 'dividend':
+        case 'fee':
+            return typeof transaction.amount === 'number';
+        default:
+            return typeof transaction.ratio === 'number';
+    }
+}
+
+
+
+
+
+/**
+ * Converts buy lots recorded before the journal existed into buy transactions.
+ * @param {object} holdings - Buy lots keyed by stock symbol.
+ * @returns {object} - Transactions keyed by stock symbol.
+ */
+export function migrateLotsToLedger(holdings) {
+    const ledger = {};
+
+    Object.keys(holdings || {}).forEach(function (symbol) {
+        ledger[symbol] = holdings[symbol].map((lot) => ({
+            id: lot.id || createId(),
+            type: 'buy',
+            date: lot.date,
+            shares: lot.shares,
+            price: lot.price,
+            fees: lot.fees || 0,
+        }));
+    });
+
+    return ledger;
+}
+
+
+
+
+
+/**
+ * Sorts transactions by date, keeping the entry order of transactions on the same day.
+ * @param {Array<object>} transactions - Transactions of one symbol.
+ * @returns {Array<object>} - A sorted copy.
+ */
+export function sortTransactions(transactions) {
+    return transactions
+        .map((transaction, index) => ({ transaction, index }))
+        .sort((a, b) => a.transaction.date.localeCompare(b.transaction.date) || a.index - b.index)
+        .map((entry) => entry.transaction);
+}
+
+
+
+
+
+/**
+ * Replays a symbol's journal to derive its open lots and realized results.
+ * @param {Array<object>} transactions - Transactions of one symbol.
+ * @param {string} [method='FIFO'] - One of MATCHING_METHODS.
+ * @returns {object} - Open lots, realized gain/loss, dividend income, fees and the matched sales.
+ * @throws {Error} - If a sale exceeds the shares held at that date.
+ */
+export function replayLedger(transactions, method = 'FIFO') {
+    let lots = [];
+    let realizedGain = 0;
+    let dividendIncome = 0;
+    let feesPaid = 0;
+    const sales = [];
+
+    sortTransactions(transactions || []).forEach(function (transaction) {
+        switch (transaction.type) {
+            case 'buy':
+                lots.push({
+                    id: transaction.id,
+                    date: transaction.date,
+                    shares: transaction.shares,
+                    price: transaction.price,
+                    fees: transaction.fees || 0,
+                });
+                break;
+
+            case 'sell': {
+                const { costBasis, remainingLots } = matchSale(lots, transaction.shares, method, transaction.date);
+                const proceeds = transaction.shares * transaction.price - (transaction.fees || 0);
+
+                lots = remainingLots;
+                realizedGain += proceeds - costBasis;
+                sales.push({
+                    id: transaction.id,
+                    date: transaction.date,
+                    shares: transaction.shares,
+                    proceeds,
+                    costBasis,
+                    gain: proceeds - costBasis,
+                });
+                break;
+            }
+
+            case 'dividend':
+                dividendIncome += transaction.amount;
+                break;
+
+            case 'split':
+                lots = lots.map((lot) => ({
+                    ...lot,
+                    shares: lot.shares * transaction.ratio,
+                    price: lot.price / transaction.ratio,
+                }));
+                break;
+
+            case 'fee':
+                feesPaid += transaction.amount;
+                break;
+
+            default:
+                break;
+        }
+    });
+
+    return {
+        lots,
+        shares: lots.reduce((sum, lot) => sum + lot.shares, 0),
+        realizedGain,
+        dividendIncome,
+        feesPaid,
+        totalRealized: realizedGain + dividendIncome - feesPaid,
+        sales,
+    };
+}
+
+
+
+
+
+/**
+ * Replays every symbol's journal.
+ * @param {object} ledger - Transactions keyed by stock symbol.
+ * @param {string} method - One of MATCHING_METHODS.
+ * @returns {object} - Replay results keyed by stock symbol; symbols whose journal is invalid are skipped.
+ */
+export function replayAllLedgers(ledger, method) {
+    const results = {};
+
+    Object.keys(ledger || {}).forEach(function (symbol) {
+        try {
+            results[symbol] = replayLedger(ledger[symbol], method);
+        } catch (error) {
+            console.error(`Failed to replay the ledger of ${symbol}:`, error);
+        }
+    });
+
+    return results;
+}
+
+
+
+
+
+/**
+ * Counts the shares held at the start of a given date, before its trades. Corporate actions are dated by their
+ * ex-date: shares bought on that day do not receive the dividend, and shares sold on it still do.
+ * @param {Array<object>} transactions - Transactions of one symbol.
+ * @param {string} date - The date to look at (YYYY-MM-DD).
+ * @returns {number} - Shares held.
+ */
+export function sharesHeldOn(transactions, date) {
+    const day = date.slice(0, 10);
+    const earlier = (transactions || []).filter((transaction) => transaction.date < day);
+
+    return replayLedger(earlier).shares;
+}
+
+
+
+
+
+/**
+ * Suggests dividend and split transactions from the corporate actions found in market data.
+ * Actions before the first transaction, on days nothing was held, or already recorded are skipped.
+ * @param {Array<object>} transactions - Transactions of one symbol.
+ * @param {Array<object>} actions - Corporate actions: { date, dividendAmount, splitCoefficient }.
+ * @returns {Array<object>} - Transaction inputs ready for createTransaction, newest first.
+ */
+export function suggestCorporateActions(transactions, actions) {
+    const recorded = new Set((transactions || []).map((transaction) => `${transaction.type}:${transaction.date}`));
+    const suggestions = [];
+
+    (actions || []).forEach(function (action) {
+        const date = action.date.slice(0, 10);
+        const shares = sharesHeldOn(transactions, date);
+
+        if (shares <= SHARE_EPSILON) return;
+
+        if (action.splitCoefficient && action.splitCoefficient !== 1 && !recorded.has(`split:${date}`)) {
+            suggestions.push({ type: 'split', date, ratio: action.splitCoefficient });
+        }
+
+        if (action.dividendAmount > 0 && !recorded.has(`dividend:${date}`)) {
+            suggestions.push({
+                type: 'dividend',
+                date,
+                amount: roundCents(action.dividendAmount * shares),
+                perShare: action.dividendAmount,
+                shares,
+            });
+        }
+    });
+
+    return suggestions.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+
+
+
+
+/**
+ * Removes sold shares from the open lots.
+ * @param {Array<object>} lots - Open lots, oldest first.
+ * @param {number} sharesToSell - Number of shares sold.
+ * @param {string} method - One of MATCHING_METHODS.
+ * @param {string} date - The date of the sale, used in the error message.
+ * @returns {object} - The cost basis of the sold shares and the lots left open.
+ * @throws {Error} - If more shares are sold than are held.
+ */
+function matchSale(lots, sharesToSell, method, date) {
+    const held = lots.reduce((sum, lot) => sum + lot.shares, 0);
+
+    if (sharesToSell > held + SHARE_EPSILON) {
+        throw new Error(`Cannot sell ${sharesToSell} shares on ${date}: only ${held} held.`);
+    }
+
+    if (method === 'AVERAGE') {
+        const fraction = Math.min(sharesToSell / held, 1);
+        const costBasis = lots.reduce((sum, lot) => sum + lotCost(lot), 0) * fraction;
+        const remainingLots = lots
+            .map((lot) => ({ ...lot, shares: lot.shares * (1 - fraction), fees: lot.fees * (1 - fraction) }))
+            .filter((lot) => lot.shares > SHARE_EPSILON);
+
+        return { costBasis, remainingLots };
+    }
+
+    const ordered = method === 'LIFO' ? lots.slice().reverse() : lots.slice();
+    const remaining = [];
+    let sharesLeft = sharesToSell;
+    let costBasis = 0;
+
+    ordered.forEach(function (lot) {
+        if (sharesLeft <= SHARE_EPSILON) {
+            remaining.push(lot);
+            return;
+        }
+
+        const sold = Math.min(lot.shares, sharesLeft);
+        const fraction = sold / lot.shares;
+
+        costBasis += lotCost(lot) * fraction;
+        sharesLeft -= sold;
+
+        if (lot.shares - sold > SHARE_EPSILON) {
+            remaining.push({ ...lot, shares: lot.shares - sold, fees: lot.fees * (1 - fraction) });
+        }
+    });
+
+    return { costBasis, remainingLots: method === 'LIFO' ? remaining.reverse() : remaining };
+}
+
+
+
+
+
+/**
+ * Total cost of a lot, including its fees.
+ * @param {object} lot - An open lot.
+ * @returns {number} - Cost of the lot.
+ */
+function lotCost(lot) {
+    return lot.shares * lot.price + (lot.fees || 0);
+}
+
+
+
+
+
+/**
+ * Checks whether a form value was left empty.
+ * @param {*} value - The form value.
+ * @returns {boolean} - True for undefined, null and empty strings.
+ */
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+
+
+
+
+/**
+ * Rounds a dollar amount to cents.
+ * @param {number} value - The amount.
+ * @returns {number} - The rounded amount.
+ */
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,83 @@
+import { createTransaction, isTransaction, migrateLotsToLedger, replayLedger, suggestCorporateActions } from './ledger';
+
+const journal = [
+    { id: '1', type: 'buy', date: '2024-01-02', shares: 10, price: 10, fees: 0 },
+    { id: '2', type: 'buy', date: '2024-02-01', shares: 10, price: 20, fees: 0 },
+    { id: '3', type: 'sell', date: '2024-03-01', shares: 10, price: 25, fees: 0 },
+];
+
+test('createTransaction validates each transaction type', () => {
+    expect(createTransaction({ type: 'buy', date: '2024-01-02', shares: '5', price: '10' })).toMatchObject({
+        type: 'buy',
+        shares: 5,
+        price: 10,
+        fees: 0,
+    });
+    expect(createTransaction({ type: 'split', date: '2024-01-02', ratio: '4' }).ratio).toBe(4);
+    expect(() => createTransaction({ type: 'split', date: '2024-01-02', ratio: '1' })).toThrow(/ratio/);
+    expect(() => createTransaction({ type: 'dividend', date: '2024-01-02', amount: '' })).toThrow(/Amount/);
+    expect(() => createTransaction({ type: 'gift', date: '2024-01-02' })).toThrow(/Unknown/);
+});
+
+test('replayLedger matches sales with FIFO, LIFO and average cost', () => {
+    expect(replayLedger(journal, 'FIFO').realizedGain).toBe(150);
+    expect(replayLedger(journal, 'LIFO').realizedGain).toBe(50);
+    expect(replayLedger(journal, 'AVERAGE').realizedGain).toBe(100);
+
+    const fifo = replayLedger(journal, 'FIFO');
+    expect(fifo.shares).toBe(10);
+    expect(fifo.lots).toEqual([{ id: '2', date: '2024-02-01', shares: 10, price: 20, fees: 0 }]);
+});
+
+test('replayLedger applies splits, dividends and fees', () => {
+    const result = replayLedger([
+        { id: '1', type: 'buy', date: '2024-01-02', shares: 10, price: 100, fees: 10 },
+        { id: '2', type: 'split', date: '2024-02-01', ratio: 2 },
+        { id: '3', type: 'dividend', date: '2024-03-01', amount: 8 },
+        { id: '4', type: 'fee', date: '2024-03-02', amount: 3 },
+        { id: '5', type: 'sell', date: '2024-04-01', shares: 5, price: 60, fees: 0 },
+    ]);
+
+    expect(result.shares).toBe(15);
+    expect(result.realizedGain).toBeCloseTo(47.5);
+    expect(result.dividendIncome).toBe(8);
+    expect(result.totalRealized).toBeCloseTo(52.5);
+    expect(() => replayLedger([{ id: '1', type: 'sell', date: '2024-01-02', shares: 1, price: 1 }])).toThrow(
+        /Cannot sell/
+    );
+});
+
+test('suggestCorporateActions proposes unrecorded actions on held days only', () => {
+    const suggestions = suggestCorporateActions(journal, [
+        { date: '2023-12-01', dividendAmount: 1, splitCoefficient: 1 },
+        { date: '2024-02-15', dividendAmount: 0.5, splitCoefficient: 1 },
+        { date: '2024-04-01', dividendAmount: 0, splitCoefficient: 3 },
+    ]);
+
+    expect(suggestions).toEqual([
+        { type: 'split', date: '2024-04-01', ratio: 3 },
+        { type: 'dividend', date: '2024-02-15', amount: 10, perShare: 0.5, shares: 20 },
+    ]);
+});
+
+test('suggestCorporateActions counts the shares held before the ex-date', () => {
+    const suggestions = suggestCorporateActions(journal, [
+        { date: '2024-02-01', dividendAmount: 1, splitCoefficient: 1 },
+        { date: '2024-03-01', dividendAmount: 1, splitCoefficient: 1 },
+    ]);
+
+    expect(suggestions.map((suggestion) => suggestion.shares)).toEqual([20, 10]);
+});
+
+test('migrateLotsToLedger turns stored lots into buy transactions', () => {
+    const ledger = migrateLotsToLedger({ AAA: [{ id: 'x', shares: 1, price: 2, date: '2024-01-02', fees: 0 }] });
+
+    expect(ledger).toEqual({ AAA: [{ id: 'x', type: 'buy', date: '2024-01-02', shares: 1, price: 2, fees: 0 }] });
+});
+
+test('isTransaction accepts stored transactions with the fields of their type', () => {
+    expect(journal.every(isTransaction)).toBe(true);
+    expect(isTransaction({ id: '4', type: 'split', date: '2024-01-02', ratio: 2 })).toBe(true);
+    expect(isTransaction({ id: '5', type: 'dividend', date: '2024-01-02' })).toBe(false);
+    expect(isTransaction({ type: 'buy', date: '2024-01-02', shares: 1, price: 1 })).toBe(false);
+});
@@ -0,0 +1,155 @@
+/**
+ * File: marketData.js
+ *
+ * The normalized market-data model shared by every provider (see providers/) and the rest of the app.
+ *
+ *  Bar:            { date, open, high, low, close, adjustedClose, volume, dividend, splitCoefficient }
+ *                  date is "YYYY-MM-DD" for daily and longer bars, "YYYY-MM-DD HH:mm:ss" (exchange time) intraday.
+ *                  adjustedClose is null when the source does not adjust; dividend is 0 and splitCoefficient is 1
+ *                  on bars without a corporate action.
+ *  Search result:  { symbol, name, type, region, marketOpen, marketClose, timezone, currency, matchScore }
+ *  Fundamentals:   { symbol, name, description, assetType, exchange, currency, country, sector, industry, website,
+ *                    fiscalYearEnd, marketCap, peRatio, forwardPE, pegRatio, priceToBook, priceToSales, evToEbitda,
+ *                    eps, beta, targetPrice, profitMargin, operatingMargin, returnOnEquity, returnOnAssets,
+ *                    dividendPerShare, dividendYield, dividendDate, exDividendDate, week52High, week52Low }
+ *                  Missing values are null.
+ *  Statement:      { annual: [report], quarterly: [report] }, newest first, for each of the income statement, balance
+ *                  sheet and cash flow; a report is { fiscalDateEnding, currency, items } where items maps line
+ *                  items in camel case (e.g. totalRevenue) to numbers, null when not reported.
+ *  Earnings:       [{ fiscalDateEnding, reportedDate, reportedEPS, estimatedEPS, surprise, surprisePercentage,
+ *                     reportTime }], newest first; reportTime is 'pre-market', 'post-market' or null.
+ *  Earnings calendar: [{ symbol, name, reportDate, fiscalDateEnding, estimate, currency }], soonest first, for
+ *                  every company reporting in the next three months.
+ */
+
+
+
+
+
+// Constants
+export const RESOLUTIONS = ['1min', '5min', '15min', '30min', '60min', 'daily', 'weekly', 'monthly'];
+const AVERAGE_VOLUME_SESSIONS = 63; // About three months of trading days
+
+
+
+
+
+/**
+ * Parses a numeric field, treating the placeholders data sources use for missing values as null.
+ * @param {string|number|null|undefined} value - The raw value.
+ * @returns {number|null} - The number, or null.
+ */
+export function parseNumber(value) {
+    if (value === null || value === undefined || value === '' || value === 'None' || value === '-') {
+        return null;
+    }
+
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+
+
+
+
+/**
+ * Gets the price a bar is charted at: the adjusted close when available, the close otherwise.
+ * @param {object} bar - Normalized bar.
+ * @returns {number} - The price.
+ */
+export function getBarPrice(bar) {
+    return bar.adjustedClose !== null && bar.adjustedClose !== undefined ? bar.adjustedClose : bar.close;
+}
+
+
+
+
+
+/**
+ * Aggregates daily bars into weekly or monthly bars, each dated by its last trading day.
+ * @param {Array<object>} bars - Normalized daily bars, oldest first.
+ * @param {string} resolution - 'weekly' or 'monthly'.
+ * @returns {Array<object>} - Aggregated bars, oldest first.
+ */
+export function aggregateBars(bars, resolution) {
+    const groups = [];
+
+    bars.forEach(function (bar) {
+        const key = resolution === 'monthly' ? bar.date.slice(0, 7) : getWeekKey(bar.date);
+        const group = groups[groups.length - 1];
+
+        if (!group || group.key !== key) {
+            groups.push({ key, bars: [bar] });
+        } else {
+            group.bars.push(bar);
+        }
+    });
+
+    return groups.map(function (group) {
+        const first = group.bars[0];
+        const last = group.bars[group.bars.length - 1];
+
+        return {
+            date: last.date,
+            open: first.open,
+            high: Math.max(...group.bars.map((bar) => bar.high)),
+            low: Math.min(...group.bars.map((bar) => bar.low)),
+            close: last.close,
+            adjustedClose: last.adjustedClose,
+            volume: group.bars.reduce((sum, bar) => sum + bar.volume, 0),
+            dividend: group.bars.reduce((sum, bar) => sum + (bar.dividend || 0), 0),
+            splitCoefficient: group.bars.reduce((product, bar) => product * (bar.splitCoefficient || 1), 1),
+        };
+    });
+}
+
+
+
+
+
+/**
+ * Summarizes a stock's trading whatever time frame it is charted at: the latest day's range and volume, the 52-week
+ * range including that day, and the average volume of the sessions before it.
+ * @param {Array<object>} daily - Daily bars, oldest first.
+ * @param {Array<object>} [intraday=[]] - Intraday bars, oldest first. Their last day is the latest day when they
+ *      reach past the daily bars, which lag behind during the session.
+ * @returns {object} - { dayHigh, dayLow, volume, weekHigh, weekLow, avgVolume }; null where the bars lack the data.
+ */
+export function summarizeTrading(daily, intraday = []) {
+    const latestIntraday = intraday.length > 0 ? intraday[intraday.length - 1].date.slice(0, 10) : '';
+    const latestDaily = daily.length > 0 ? daily[daily.length - 1].date : '';
+    const latestDay = latestIntraday > latestDaily ? latestIntraday : latestDaily;
+
+    const dayBars = latestIntraday === latestDay
+        ? intraday.filter((bar) => bar.date.slice(0, 10) === latestDay)
+        : daily.filter((bar) => bar.date === latestDay);
+    const yearAgo = `${Number(latestDay.slice(0, 4)) - 1}${latestDay.slice(4, 10)}`;
+    const pastYear = daily.filter((bar) => bar.date >= yearAgo && bar.date < latestDay).concat(dayBars);
+    const earlier = daily.filter((bar) => bar.date < latestDay).slice(-AVERAGE_VOLUME_SESSIONS);
+
+    return {
+        dayHigh: dayBars.length > 0 ? Math.max(...dayBars.map((bar) => bar.high)) : null,
+        dayLow: dayBars.length > 0 ? Math.min(...dayBars.map((bar) => bar.low)) : null,
+        volume: dayBars.length > 0 ? dayBars.reduce((sum, bar) => sum + bar.volume, 0) : null,
+        weekHigh: pastYear.length > 0 ? Math.max(...pastYear.map((bar) => bar.high)) : null,
+        weekLow: pastYear.length > 0 ? Math.min(...pastYear.map((bar) => bar.low)) : null,
+        avgVolume: earlier.length > 0 ? earlier.reduce((sum, bar) => sum + bar.volume, 0) / earlier.length : null,
+    };
+}
+
+
+
+
+
+/**
+ * Identifies the week a date falls in by the date of that week's Monday.
+ * @param {string} date - Date (YYYY-MM-DD).
+ * @returns {string} - The Monday's date (YYYY-MM-DD).
+ */
+function getWeekKey(date) {
+    const day = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+    const offset = (day.getUTCDay() + 6) % 7; // Days since Monday
+
+    day.setUTCDate(day.getUTCDate() - offset);
+    return day.toISOString().slice(0, 10);
+}
@@ -0,0 +1,195 @@
+import { aggregateBars, getBarPrice, parseNumber, summarizeTrading } from './marketData';
+import { createAlphaVantageProvider, createDataProvider, createFixtureProvider } from './providers';
+import { RateLimitError } from './requestScheduler';
+
+const dailyBars = [
+    { date: '2024-01-05', open: 10, high: 12, low: 9, close: 11, adjustedClose: 11, volume: 100, dividend: 0, splitCoefficient: 1 },
+    { date: '2024-01-08', open: 11, high: 13, low: 10, close: 12, adjustedClose: 12, volume: 200, dividend: 0.5, splitCoefficient: 1 },
+    { date: '2024-01-09', open: 12, high: 14, low: 8, close: 13, adjustedClose: 13, volume: 300, dividend: 0, splitCoefficient: 2 },
+    { date: '2024-02-01', open: 13, high: 15, low: 12, close: 14, adjustedClose: null, volume: 400, dividend: 0, splitCoefficient: 1 },
+];
+
+test('parseNumber treats placeholders as missing', () => {
+    expect(parseNumber('12.5')).toBe(12.5);
+    expect(parseNumber('None')).toBeNull();
+    expect(parseNumber('-')).toBeNull();
+    expect(parseNumber(undefined)).toBeNull();
+});
+
+test('aggregateBars rolls daily bars up into weeks and months', () => {
+    const weekly = aggregateBars(dailyBars, 'weekly');
+    expect(weekly.map((bar) => bar.date)).toEqual(['2024-01-05', '2024-01-09', '2024-02-01']);
+    expect(weekly[1]).toMatchObject({ open: 11, high: 14, low: 8, close: 13, volume: 500, dividend: 0.5, splitCoefficient: 2 });
+
+    const monthly = aggregateBars(dailyBars, 'monthly');
+    expect(monthly).toHaveLength(2);
+    expect(monthly[0]).toMatchObject({ open: 10, close: 13, volume: 600 });
+    expect(getBarPrice(monthly[1])).toBe(14);
+});
+
+test('the Alpha Vantage provider normalizes bars, search results and fundamentals', async () => {
+    const responses = {
+        TIME_SERIES_DAILY_ADJUSTED: {
+            'Time Series (Daily)': {
+                '2024-01-09': { '1. open': '2', '2. high': '3', '3. low': '1', '4. close': '2.5', '5. adjusted close': '2.4', '6. volume': '50', '7. dividend amount': '0.1000', '8. split coefficient': '1.0' },
+                '2024-01-08': { '1. open': '1', '2. high': '2', '3. low': '1', '4. close': '2', '5. adjusted close': '1.9', '6. volume': '40', '7. dividend amount': '0.0000', '8. split coefficient': '1.0' },
+            },
+        },
+        SYMBOL_SEARCH: { bestMatches: [{ '1. symbol': 'IBM', '2. name': 'International Business Machines', '8. currency': 'USD', '9. matchScore': '1.0000' }] },
+        OVERVIEW: { Symbol: 'IBM', Sector: 'TECHNOLOGY', PERatio: '21.5', PEGRatio: 'None', DividendDate: '2024-03-09' },
+    };
+    const requested = [];
+    const provider = createAlphaVantageProvider({
+        apiKey: 'demo',
+        fetchJson: async (url) => {
+            requested.push(url);
+            return responses[new URL(url).searchParams.get('function')];
+        },
+    });
+
+    const bars = await provider.getBars('IBM', 'daily');
+    expect(bars.map((bar) => bar.date)).toEqual(['2024-01-08', '2024-01-09']);
+    expect(bars[1]).toEqual({
+        date: '2024-01-09', open: 2, high: 3, low: 1, close: 2.5, adjustedClose: 2.4, volume: 50, dividend: 0.1, splitCoefficient: 1,
+    });
+    expect(requested[0]).toContain('apikey=demo');
+
+    const [match] = await provider.searchSymbols('IBM');
+    expect(match).toMatchObject({ symbol: 'IBM', currency: 'USD', matchScore: 1 });
+
+    const fundamentals = await provider.getFundamentals('IBM');
+    expect(fundamentals).toMatchObject({ sector: 'TECHNOLOGY', peRatio: 21.5, pegRatio: null, dividendDate: '2024-03-09' });
+
+    await expect(provider.getBars('IBM', 'weekly')).rejects.toThrow(/unavailable/);
+});
+
+test('summarizeTrading takes the latest day from intraday bars and the rest from daily bars', () => {
+    const intraday = [
+        { date: '2024-02-01 15:45:00', high: 15, low: 12, close: 14, volume: 50 },
+        { date: '2024-02-02 09:30:00', high: 16, low: 13, close: 15, volume: 60 },
+        { date: '2024-02-02 09:45:00', high: 17, low: 14, close: 16, volume: 70 },
+    ];
+
+    expect(summarizeTrading(dailyBars, intraday)).toEqual({
+        dayHigh: 17, dayLow: 13, volume: 130, weekHigh: 17, weekLow: 8, avgVolume: 250,
+    });
+    expect(summarizeTrading(dailyBars)).toEqual({
+        dayHigh: 15, dayLow: 12, volume: 400, weekHigh: 15, weekLow: 8, avgVolume: 200,
+    });
+    expect(summarizeTrading([]).weekHigh).toBeNull();
+});
+
+test('the fixture provider searches listings and derives missing resolutions', async () => {
+    const provider = createDataProvider('fixture', {
+        data: { DEMO: { name: 'Demo Industries', currency: 'USD', bars: { daily: dailyBars }, fundamentals: { sector: 'TECH' } } },
+    });
+
+    expect(await provider.searchSymbols('demo ind')).toEqual([
+        { symbol: 'DEMO', name: 'Demo Industries', currency: 'USD', matchScore: 0.5 },
+    ]);
+    expect(await provider.getBars('DEMO', 'monthly')).toHaveLength(2);
+    expect(await provider.getBars('DEMO', '15min')).toBe(dailyBars);
+    expect(await provider.getFundamentals('DEMO')).toEqual({ sector: 'TECH' });
+    await expect(createFixtureProvider({ data: {} }).getFundamentals('NOPE')).rejects.toThrow(/No fixture/);
+});
+
+test('the fixture provider reads its files from where the app is served', async () => {
+    const urls = [];
+    const fetchJson = async function (url) {
+        urls.push(url);
+        return [];
+    };
+    const { PUBLIC_URL } = process.env;
+
+    process.env.PUBLIC_URL = '/stock-tracker/';
+    try {
+        await createDataProvider('fixture', { fetchJson }).searchSymbols('demo');
+    } finally {
+        if (PUBLIC_URL === undefined) {
+            delete process.env.PUBLIC_URL;
+        } else {
+            process.env.PUBLIC_URL = PUBLIC_URL;
+        }
+    }
+
+    expect(urls).toEqual(['/stock-tracker/fixtures/index.json']);
+});
+
+test('the Alpha Vantage provider reports throttling notices as rate-limit errors', async () => {
+    const reply = (body) => createAlphaVantageProvider({ apiKey: 'demo', fetchJson: async () => body });
+
+    await expect(reply({ Note: 'Our standard API call frequency is 5 calls per minute.' }).getFundamentals('IBM'))
+        .rejects.toThrow(RateLimitError);
+    await expect(reply({ Information: 'We have detected your API key and our standard API rate limit is 25 requests per day.' }).searchSymbols('IBM'))
+        .rejects.toThrow(RateLimitError);
+    await expect(reply({ Information: 'This is a premium endpoint.' }).getFundamentals('IBM'))
+        .rejects.not.toThrow(RateLimitError);
+});
+
+test('both providers return financial statements as annual and quarterly reports', async () => {
+    const alphaVantage = createAlphaVantageProvider({
+        apiKey: 'demo',
+        fetchJson: async () => ({
+            symbol: 'IBM',
+            annualReports: [{ fiscalDateEnding: '2023-12-31', reportedCurrency: 'USD', totalRevenue: '61860000000', ebitda: 'None' }],
+            quarterlyReports: [],
+        }),
+    });
+
+    expect(await alphaVantage.getStatements('IBM', 'income')).toEqual({
+        annual: [{ fiscalDateEnding: '2023-12-31', currency: 'USD', items: { totalRevenue: 61860000000, ebitda: null } }],
+        quarterly: [],
+    });
+    await expect(alphaVantage.getStatements('IBM', 'equity')).rejects.toThrow(/Unsupported/);
+
+    const income = { annual: [], quarterly: [{ fiscalDateEnding: '2024-03-31', currency: 'USD', items: { netIncome: 5 } }] };
+    const fixture = createFixtureProvider({ data: { DEMO: { name: 'Demo Industries', statements: { income } } } });
+
+    expect(await fixture.getStatements('DEMO', 'income')).toBe(income);
+    await expect(fixture.getStatements('DEMO', 'balance')).rejects.toThrow(/unavailable/);
+});
+
+test('both providers return past earnings and the earnings calendar', async () => {
+    const alphaVantage = createAlphaVantageProvider({
+        apiKey: 'demo',
+        fetchJson: async () => ({
+            symbol: 'IBM',
+            quarterlyEarnings: [{
+                fiscalDateEnding: '2023-12-31', reportedDate: '2024-01-24', reportedEPS: '3.87', estimatedEPS: '3.78',
+                surprise: '0.09', surprisePercentage: '2.381', reportTime: 'post-market',
+            }],
+        }),
+        fetchText: async () => 'symbol,name,reportDate,fiscalDateEnding,estimate,currency\r\n'
+            + 'IBM,"International Business Machines, Corp",2024-04-24,2024-03-31,1.6,USD\r\n'
+            + 'AAPL,Apple Inc,2024-02-01,2023-12-31,,USD\r\n',
+    });
+
+    expect(await alphaVantage.getEarnings('IBM')).toEqual([{
+        fiscalDateEnding: '2023-12-31', reportedDate: '2024-01-24', reportedEPS: 3.87, estimatedEPS: 3.78,
+        surprise: 0.09, surprisePercentage: 2.381, reportTime: 'post-market',
+    }]);
+    expect(await alphaVantage.getEarningsCalendar()).toEqual([
+        { symbol: 'AAPL', name: 'Apple Inc', reportDate: '2024-02-01', fiscalDateEnding: '2023-12-31', estimate: null, currency: 'USD' },
+        {
+            symbol: 'IBM', name: 'International Business Machines, Corp', reportDate: '2024-04-24',
+            fiscalDateEnding: '2024-03-31', estimate: 1.6, currency: 'USD',
+        },
+    ]);
+
+    const throttled = createAlphaVantageProvider({ apiKey: 'demo', fetchText: async () => '{"Note": "5 calls per minute."}' });
+    await expect(throttled.getEarningsCalendar()).rejects.toThrow(RateLimitError);
+
+    const fixture = createFixtureProvider({
+        data: {
+            DEMO: { name: 'Demo Industries', earnings: [{ reportedDate: '2024-01-25' }], earningsCalendar: [{ reportDate: '2024-04-25' }] },
+            NEXT: { name: 'Next Corp', earningsCalendar: [{ reportDate: '2024-04-01' }] },
+        },
+    });
+
+    expect(await fixture.getEarnings('DEMO')).toEqual([{ reportedDate: '2024-01-25' }]);
+    expect(await fixture.getEarnings('NEXT')).toEqual([]);
+    expect(await fixture.getEarningsCalendar()).toEqual([
+        { symbol: 'NEXT', name: 'Next Corp', reportDate: '2024-04-01' },
+        { symbol: 'DEMO', name: 'Demo Industries', reportDate: '2024-04-25' },
+    ]);
+});
@@ -0,0 +1,370 @@
+/**
+ * File: marketHours.js
+ *
+ * Trading calendar of the US stock exchanges (NYSE and NASDAQ), in the exchanges' own time zone whatever the user's
+ * time zone is:
+ *  -   Regular sessions run Monday to Friday, 9:30 to 16:00, with extended hours from 4:00 to 9:30 (pre-market)
+ *      and 16:00 to 20:00 (post-market).
+ *  -   The exchanges close for the holidays in listHolidays, which follow the NYSE rules: a holiday on a Saturday
+ *      is observed the Friday before and one on a Sunday the Monday after, except New Year's Day, which is not
+ *      observed at all when it falls on a Saturday. Unscheduled closures are listed in SPECIAL_CLOSURES.
+ *  -   The regular session ends at 13:00 on the day before Independence Day, the day after Thanksgiving and
+ *      Christmas Eve (see listEarlyCloses).
+ *
+ * Dates are "YYYY-MM-DD" and bar times "YYYY-MM-DD HH:mm:ss" in exchange time, as in the Bar model (see marketData.js).
+ */
+
+
+
+
+
+// Constants
+export const EXCHANGE_TIME_ZONE = 'America/New_York';
+export const BAR_SESSIONS = ['pre', 'regular', 'post']; // Parts of a trading day an intraday bar can fall in
+const PRE_MARKET_OPEN_MINUTES = 4 * 60; // 4:00
+const SESSION_OPEN_MINUTES = 9 * 60 + 30; // 9:30
+const SESSION_CLOSE_MINUTES = 16 * 60; // 16:00
+const EARLY_CLOSE_MINUTES = 13 * 60; // 13:00
+const POST_MARKET_CLOSE_MINUTES = 20 * 60; // 20:00
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SPECIAL_CLOSURES = {
+    '2012-10-29': 'Hurricane Sandy',
+    '2012-10-30': 'Hurricane Sandy',
+    '2018-12-05': 'National Day of Mourning for George H. W. Bush',
+    '2025-01-09': 'National Day of Mourning for Jimmy Carter',
+};
+const DAY = 24 * 60 * 60 * 1000;
+
+
+
+
+
+/**
+ * Reads the wall-clock time at the exchange.
+ * @param {Date} [date=new Date()] - The moment to convert.
+ * @returns {object} - { date: 'YYYY-MM-DD', weekday: 0-6 (Sunday = 0), minutes: minutes since midnight }.
+ */
+export function getExchangeTime(date = new Date()) {
+    const parts = {};
+
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: EXCHANGE_TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    })
+        .formatToParts(date)
+        .forEach((part) => { parts[part.type] = part.value; });
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    };
+}
+
+
+
+
+
+/**
+ * Lists the days the exchanges are closed for a holiday.
+ * @param {number} year - The calendar year.
+ * @returns {Array<object>} - Holidays { date, name } on the days they are observed, soonest first.
+ */
+export function listHolidays(year) {
+    const holidays = [
+        { date: observeNewYear(year), name: "New Year's Day" },
+        { date: nthWeekday(year, 1, 1, 3), name: 'Martin Luther King Jr. Day' },
+        { date: nthWeekday(year, 2, 1, 3), name: "Washington's Birthday" },
+        { date: addDays(getEasterSunday(year), -2), name: 'Good Friday' },
+        { date: nthWeekday(year, 5, 1, -1), name: 'Memorial Day' },
+        { date: year >= 2022 ? observe(toDate(year, 6, 19)) : null, name: 'Juneteenth' },
+        { date: observe(toDate(year, 7, 4)), name: 'Independence Day' },
+        { date: nthWeekday(year, 9, 1, 1), name: 'Labor Day' },
+        { date: nthWeekday(year, 11, 4, 4), name: 'Thanksgiving Day' },
+        { date: observe(toDate(year, 12, 25)), name: 'Christmas Day' },
+        ...Object.keys(SPECIAL_CLOSURES)
+            .filter((date) => date.startsWith(`${year}-`))
+            .map((date) => ({ date, name: SPECIAL_CLOSURES[date] })),
+    ];
+
+    return holidays.filter((holiday) => holiday.date).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+
+
+
+
+/**
+ * Lists the days the regular session closes early, at 13:00.
+ * @param {number} year - The calendar year.
+ * @returns {Array<object>} - Early closes { date, name }, soonest first.
+ */
+export function listEarlyCloses(year) {
+    const julyThird = toDate(year, 7, 3);
+    const christmasEve = toDate(year, 12, 24);
+
+    return [
+        { date: julyThird, name: 'Independence Day' },
+        { date: addDays(nthWeekday(year, 11, 4, 4), 1), name: 'Thanksgiving Day' },
+        { date: christmasEve, name: 'Christmas Eve' },
+    ].filter(function (earlyClose) {
+        // The day before a holiday only closes early when it is a weekday that is not itself the observed holiday
+        const weekday = getWeekday(earlyClose.date);
+        return earlyClose.name === 'Thanksgiving Day' || (weekday >= 1 && weekday <= 4);
+    });
+}
+
+
+
+
+
+/**
+ * Reads the regular session hours of a day.
+ * @param {string} date - The day (YYYY-MM-DD).
+ * @returns {object|null} - { open, close } in minutes since midnight, exchange time; null when the exchanges close.
+ */
+export function getSessionHours(date) {
+    const year = Number(date.slice(0, 4));
+    const weekday = getWeekday(date);
+
+    if (weekday === 0 || weekday === 6) return null;
+    if (listHolidays(year).some((holiday) => holiday.date === date)) return null;
+
+    const earlyClose = listEarlyCloses(year).some((entry) => entry.date === date);
+    return { open: SESSION_OPEN_MINUTES, close: earlyClose ? EARLY_CLOSE_MINUTES : SESSION_CLOSE_MINUTES };
+}
+
+
+
+
+
+/**
+ * Tells whether the exchanges trade on a day.
+ * @param {string} date - The day (YYYY-MM-DD).
+ * @returns {boolean} - False on weekends and holidays.
+ */
+export function isTradingDay(date) {
+    return getSessionHours(date) !== null;
+}
+
+
+
+
+
+/**
+ * Checks whether the regular trading session is open.
+ * @param {Date} [date=new Date()] - The moment to check.
+ * @returns {boolean} - True between the opening and closing bell on trading days.
+ */
+export function isMarketOpen(date = new Date()) {
+    const time = getExchangeTime(date);
+    const hours = getSessionHours(time.date);
+
+    return Boolean(hours) && time.minutes >= hours.open && time.minutes < hours.close;
+}
+
+
+
+
+
+/**
+ * Finds the latest regular session that has opened.
+ * Before the opening bell, and on days without a session, that is the previous trading day.
+ * @param {Date} [date=new Date()] - The moment to look back from.
+ * @returns {string} - The day of the session (YYYY-MM-DD).
+ */
+export function getLatestSession(date = new Date()) {
+    const time = getExchangeTime(date);
+    const hours = getSessionHours(time.date);
+
+    return hours && time.minutes >= hours.open ? time.date : listSessions(addDays(time.date, -1), 1)[0];
+}
+
+
+
+
+
+/**
+ * Lists the trading days up to a day.
+ * @param {string} end - The last day (YYYY-MM-DD), included when it is a trading day.
+ * @param {number} count - How many trading days to list.
+ * @returns {Array<string>} - The trading days (YYYY-MM-DD), oldest first.
+ */
+export function listSessions(end, count) {
+    const sessions = [];
+
+    for (let date = end; sessions.length < count; date = addDays(date, -1)) {
+        if (isTradingDay(date)) sessions.unshift(date);
+    }
+    return sessions;
+}
+
+
+
+
+
+/**
+ * Keeps the bars of the latest trading sessions.
+ * The latest session is the one that opened last, or the last one with bars when the data lags behind.
+ * @param {Array<object>} bars - Normalized intraday bars, oldest first.
+ * @param {number} count - How many sessions to keep.
+ * @param {Date} [now=new Date()] - The current moment.
+ * @returns {Array<object>} - The bars of those sessions, extended hours included, oldest first.
+ */
+export function selectSessionBars(bars, count, now = new Date()) {
+    if (bars.length === 0) return [];
+
+    const latestSession = getLatestSession(now);
+    const latestBarDay = bars[bars.length - 1].date.slice(0, 10);
+    const sessions = listSessions(latestBarDay < latestSession ? latestBarDay : latestSession, count);
+
+    return bars.filter((bar) => sessions.includes(bar.date.slice(0, 10)));
+}
+
+
+
+
+
+/**
+ * Tells which part of the trading day an intraday bar falls in.
+ * @param {string} time - Bar time (YYYY-MM-DD HH:mm:ss), exchange time.
+ * @returns {string|null} - One of BAR_SESSIONS, or null for daily bars and bars outside trading hours.
+ */
+export function getBarSession(time) {
+    if (time.length <= 10) return null;
+
+    const hours = getSessionHours(time.slice(0, 10));
+    const minutes = Number(time.slice(11, 13)) * 60 + Number(time.slice(14, 16));
+
+    if (!hours || minutes < PRE_MARKET_OPEN_MINUTES || minutes >= POST_MARKET_CLOSE_MINUTES) return null;
+    if (minutes < hours.open) return 'pre';
+    return minutes < hours.close ? 'regular' : 'post';
+}
+
+
+
+
+
+/**
+ * Observes a holiday falling on a weekend on the nearest weekday.
+ * @param {string} date - The holiday (YYYY-MM-DD).
+ * @returns {string} - The day it is observed.
+ */
+function observe(date) {
+    const weekday = getWeekday(date);
+
+    if (weekday === 6) return addDays(date, -1);
+    return weekday === 0 ? addDays(date, 1) : date;
+}
+
+
+
+
+
+/**
+ * Observes New Year's Day, which is not moved back into the previous year when it falls on a Saturday.
+ * @param {number} year - The calendar year.
+ * @returns {string|null} - The day it is observed, or null when it is not.
+ */
+function observeNewYear(year) {
+    const date = toDate(year, 1, 1);
+    return getWeekday(date) === 6 ? null : observe(date);
+}
+
+
+
+
+
+/**
+ * Finds the nth weekday of a month, such as the third Monday of January.
+ * @param {number} year - The calendar year.
+ * @param {number} month - The month, 1-12.
+ * @param {number} weekday - The weekday, 0-6 (Sunday = 0).
+ * @param {number} nth - Which one: 1 for the first, -1 for the last.
+ * @returns {string} - The day (YYYY-MM-DD).
+ */
+function nthWeekday(year, month, weekday, nth) {
+    if (nth < 0) {
+        const lastDay = addDays(toDate(month === 12 ? year + 1 : year, (month % 12) + 1, 1), -1);
+        return addDays(lastDay, -((getWeekday(lastDay) - weekday + 7) % 7));
+    }
+
+    const firstDay = toDate(year, month, 1);
+    return addDays(firstDay, ((weekday - getWeekday(firstDay) + 7) % 7) + (nth - 1) * 7);
+}
+
+
+
+
+
+/**
+ * Computes Easter Sunday with the anonymous Gregorian algorithm.
+ * @param {number} year - The calendar year.
+ * @returns {string} - The day (YYYY-MM-DD).
+ */
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return toDate(year, month, day);
+}
+
+
+
+
+
+/**
+ * Formats a calendar day.
+ * @param {number} year - The year.
+ * @param {number} month - The month, 1-12.
+ * @param {number} day - The day of the month.
+ * @returns {string} - The day (YYYY-MM-DD).
+ */
+function toDate(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+
+
+
+
+/**
+ * Shifts a calendar day.
+ * @param {string} date - The day (YYYY-MM-DD).
+ * @param {number} days - Days to add, negative to go back.
+ * @returns {string} - The shifted day (YYYY-MM-DD).
+ */
+function addDays(date, days) {
+    return new Date(Date.parse(date) + days * DAY).toISOString().slice(0, 10);
+}
+
+
+
+
+
+/**
+ * Reads the weekday of a calendar day.
+ * @param {string} date - The day (YYYY-MM-DD).
+ * @returns {number} - The weekday, 0-6 (Sunday = 0).
+ */
+function getWeekday(date) {
+    return new Date(Date.parse(date)).getUTCDay();
+}
@@ -0,0 +1,74 @@
+import {
+    getBarSession,
+    getExchangeTime,
+    getLatestSession,
+    getSessionHours,
+    isMarketOpen,
+    listEarlyCloses,
+    listHolidays,
+    listSessions,
+    selectSessionBars,
+} from './marketHours';
+
+test('getExchangeTime converts to New York wall-clock time', () => {
+    expect(getExchangeTime(new Date('2024-07-01T13:30:00Z'))).toEqual({ date: '2024-07-01', weekday: 1, minutes: 9 * 60 + 30 });
+    expect(getExchangeTime(new Date('2024-01-02T03:00:00Z'))).toEqual({ date: '2024-01-01', weekday: 1, minutes: 22 * 60 });
+});
+
+test('isMarketOpen follows the regular session on weekdays only', () => {
+    expect(isMarketOpen(new Date('2024-07-01T13:29:00Z'))).toBe(false); // 9:29 EDT
+    expect(isMarketOpen(new Date('2024-07-01T13:30:00Z'))).toBe(true); // 9:30 EDT
+    expect(isMarketOpen(new Date('2024-01-02T20:59:00Z'))).toBe(true); // 15:59 EST
+    expect(isMarketOpen(new Date('2024-01-02T21:00:00Z'))).toBe(false); // 16:00 EST
+    expect(isMarketOpen(new Date('2024-07-06T15:00:00Z'))).toBe(false); // Saturday
+});
+
+test('listHolidays observes weekend holidays on the nearest weekday, except a Saturday New Year', () => {
+    expect(listHolidays(2024).map((holiday) => holiday.date)).toEqual([
+        '2024-01-01', '2024-01-15', '2024-02-19', '2024-03-29', '2024-05-27',
+        '2024-06-19', '2024-07-04', '2024-09-02', '2024-11-28', '2024-12-25',
+    ]);
+    expect(listHolidays(2022).map((holiday) => holiday.date)).toEqual([
+        '2022-01-17', '2022-02-21', '2022-04-15', '2022-05-30',
+        '2022-06-20', '2022-07-04', '2022-09-05', '2022-11-24', '2022-12-26',
+    ]);
+    expect(listHolidays(2026).find((holiday) => holiday.name === 'Independence Day').date).toBe('2026-07-03');
+    expect(listHolidays(2025).map((holiday) => holiday.date)).toContain('2025-01-09');
+});
+
+test('listEarlyCloses skips the days that are weekends or holidays themselves', () => {
+    expect(listEarlyCloses(2024).map((entry) => entry.date)).toEqual(['2024-07-03', '2024-11-29', '2024-12-24']);
+    expect(listEarlyCloses(2026).map((entry) => entry.date)).toEqual(['2026-11-27', '2026-12-24']);
+    expect(getSessionHours('2024-11-29')).toEqual({ open: 9 * 60 + 30, close: 13 * 60 });
+    expect(getSessionHours('2024-12-25')).toBeNull();
+    expect(isMarketOpen(new Date('2024-11-29T18:30:00Z'))).toBe(false); // 13:30 EST after an early close
+    expect(isMarketOpen(new Date('2024-07-04T15:00:00Z'))).toBe(false); // Independence Day
+});
+
+test('getLatestSession and listSessions skip weekends, holidays and the hours before the opening bell', () => {
+    expect(getLatestSession(new Date('2024-07-08T12:00:00Z'))).toBe('2024-07-05'); // Monday 8:00 EDT
+    expect(getLatestSession(new Date('2024-07-08T14:00:00Z'))).toBe('2024-07-08'); // Monday 10:00 EDT
+    expect(getLatestSession(new Date('2024-07-06T15:00:00Z'))).toBe('2024-07-05'); // Saturday
+    expect(listSessions('2024-07-08', 5)).toEqual(['2024-07-01', '2024-07-02', '2024-07-03', '2024-07-05', '2024-07-08']);
+});
+
+test('selectSessionBars keeps the latest sessions, following the data when it lags behind', () => {
+    const bars = ['2024-07-03 15:45:00', '2024-07-05 09:30:00', '2024-07-05 17:00:00', '2024-07-08 07:00:00']
+        .map((date) => ({ date }));
+    const dates = (count, now) => selectSessionBars(bars, count, new Date(now)).map((bar) => bar.date);
+
+    expect(dates(1, '2024-07-08T12:00:00Z')).toEqual(['2024-07-05 09:30:00', '2024-07-05 17:00:00']);
+    expect(dates(1, '2024-07-08T14:00:00Z')).toEqual(['2024-07-08 07:00:00']);
+    expect(dates(2, '2024-07-06T15:00:00Z')).toEqual(['2024-07-03 15:45:00', '2024-07-05 09:30:00', '2024-07-05 17:00:00']);
+    expect(dates(1, '2024-07-20T15:00:00Z')).toEqual(['2024-07-08 07:00:00']);
+    expect(selectSessionBars([], 1)).toEqual([]);
+});
+
+test('getBarSession tells pre-market, regular and post-market bars apart', () => {
+    expect(getBarSession('2024-07-01 08:00:00')).toBe('pre');
+    expect(getBarSession('2024-07-01 09:30:00')).toBe('regular');
+    expect(getBarSession('2024-07-01 16:00:00')).toBe('post');
+    expect(getBarSession('2024-07-03 13:15:00')).toBe('post'); // After an early close
+    expect(getBarSession('2024-07-01 20:00:00')).toBeNull();
+    expect(getBarSession('2024-07-01')).toBeNull();
+});
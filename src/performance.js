@@ -0,0 +1,233 @@
+/**
+ * File: performance.js
+ *
+ * Pure helpers for the performance of the whole portfolio. Replaying every journal (see ledger.js) against the
+ * daily closes of its symbol yields a daily series of the portfolio value and of the cash that went in or out:
+ *  -   buys and standalone fees are money put into the portfolio;
+ *  -   sales and dividends are money taken out of it.
+ *
+ * The returns are measured two ways, both over the whole series rather than annualized:
+ *  -   time-weighted: chains the daily returns so deposits and withdrawals do not count as performance;
+ *  -   money-weighted: the rate that discounts every cash flow and the final value back to the starting value
+ *      (internal rate of return), so it rewards adding money before good days.
+ */
+
+
+
+import { sortTransactions } from './ledger';
+
+
+
+
+
+// Constants
+export const TRADING_DAYS_PER_YEAR = 252;
+const SHARE_EPSILON = 1e-9; // Remaining shares below this are treated as zero to absorb rounding
+const IRR_TOLERANCE = 1e-7;
+const IRR_MAX_ITERATIONS = 200;
+
+
+
+
+
+/**
+ * Computes the cash a transaction puts into the portfolio.
+ * @param {object} transaction - A journal transaction (see ledger.js).
+ * @returns {number} - Money put in (positive) or taken out (negative).
+ */
+export function transactionFlow(transaction) {
+    switch (transaction.type) {
+        case 'buy':
+            return transaction.shares * transaction.price + (transaction.fees || 0);
+        case 'sell':
+            return -(transaction.shares * transaction.price - (transaction.fees || 0));
+        case 'dividend':
+            return -transaction.amount;
+        case 'fee':
+            return transaction.amount;
+        default:
+            return 0;
+    }
+}
+
+
+
+
+
+/**
+ * Builds the daily value series of the portfolio.
+ * The series starts at the first transaction and has a point on every day any held symbol has a close; a symbol
+ * without a close on a given day is valued at its previous close. Transactions on days without closes, such as
+ * weekends, are booked on the next day of the series.
+ * @param {object} ledger - Transactions keyed by stock symbol.
+ * @param {object} historyBySymbol - Daily bars, oldest first, keyed by stock symbol.
+ * @returns {Array<object>} - Points { date, value, flow }, oldest first; flow is the money put in that day.
+ */
+export function buildPortfolioSeries(ledger, historyBySymbol) {
+    const symbols = Object.keys(ledger || {}).filter(
+        (symbol) => ledger[symbol] && ledger[symbol].length > 0 && historyBySymbol[symbol]
+    );
+
+    if (symbols.length === 0) return [];
+
+    const holdings = symbols.map((symbol) => ({
+        transactions: sortTransactions(ledger[symbol]),
+        closes: new Map(historyBySymbol[symbol].map((bar) => [bar.date.slice(0, 10), bar.close])),
+        next: 0,
+        shares: 0,
+        lastClose: null,
+    }));
+    const start = holdings.map((holding) => holding.transactions[0].date).sort()[0];
+    const dates = Array.from(
+        new Set(symbols.flatMap((symbol) => historyBySymbol[symbol].map((bar) => bar.date.slice(0, 10))))
+    )
+        .filter((date) => date >= start)
+        .sort();
+
+    return dates.map(function (date) {
+        let value = 0;
+        let flow = 0;
+
+        holdings.forEach(function (holding) {
+            const { transactions } = holding;
+
+            while (holding.next < transactions.length && transactions[holding.next].date <= date) {
+                const transaction = transactions[holding.next];
+
+                if (transaction.type === 'buy') holding.shares += transaction.shares;
+                if (transaction.type === 'sell') holding.shares -= transaction.shares;
+                if (transaction.type === 'split') holding.shares *= transaction.ratio;
+                flow += transactionFlow(transaction);
+                holding.next += 1;
+            }
+
+            if (holding.closes.has(date)) holding.lastClose = holding.closes.get(date);
+            if (holding.shares > SHARE_EPSILON && holding.lastClose !== null) value += holding.shares * holding.lastClose;
+        });
+
+        return { date, value, flow };
+    });
+}
+
+
+
+
+
+/**
+ * Computes the daily returns of a value series, net of the money put in or taken out each day.
+ * Cash flows are assumed to happen at the end of the day, at that day's close.
+ * @param {Array<object>} series - Points { date, value, flow }, oldest first.
+ * @returns {Array<number|null>} - Returns as fractions, aligned with the series; null where nothing was held the day before.
+ */
+export function dailyReturns(series) {
+    return series.map(function (point, index) {
+        const previous = index > 0 ? series[index - 1].value : 0;
+        return previous > 0 ? (point.value - point.flow) / previous - 1 : null;
+    });
+}
+
+
+
+
+
+/**
+ * Computes the money-weighted return of a value series: the value at the start counts as money put in on the
+ * first day, and the value at the end as money taken out on the last day.
+ * @param {Array<object>} series - Points { date, value, flow }, oldest first.
+ * @returns {number|null} - Return over the whole series in percent, or null when it cannot be solved.
+ */
+export function moneyWeightedReturn(series) {
+    if (series.length < 2) return null;
+
+    const first = new Date(series[0].date).getTime();
+    const span = new Date(series[series.length - 1].date).getTime() - first;
+    if (!(span > 0)) return null;
+
+    // Investor's cash flows, with the time of each as a fraction of the whole series
+    const flows = series.slice(1).map((point) => ({ time: (new Date(point.date).getTime() - first) / span, amount: -point.flow }));
+    flows.unshift({ time: 0, amount: -series[0].value });
+    flows.push({ time: 1, amount: series[series.length - 1].value });
+    if (!flows.some((flow) => flow.amount < 0) || !flows.some((flow) => flow.amount > 0)) return null;
+
+    const presentValue = (rate) => flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.time), 0);
+
+    // Bisection: the present value falls as the rate rises when money goes in before it comes out
+    let low = -0.9999;
+    let high = 1;
+    while (presentValue(high) > 0 && high < 1e6) high *= 2;
+    if (presentValue(low) < 0 || presentValue(high) > 0) return null;
+
+    for (let i = 0; i < IRR_MAX_ITERATIONS && high - low > IRR_TOLERANCE; i++) {
+        const middle = (low + high) / 2;
+        if (presentValue(middle) > 0) low = middle;
+        else high = middle;
+    }
+
+    return ((low + high) / 2) * 100;
+}
+
+
+
+
+
+/**
+ * Measures the performance of a value series.
+ * @param {Array<object>} series - Points { date, value, flow }, oldest first, e.g. one time frame of the portfolio.
+ * @returns {object} - { returnIndex, timeWeightedReturn, moneyWeightedReturn, maxDrawdown, volatility }: returnIndex
+ *      is the time-weighted return up to each point, volatility the annualized standard deviation of the daily
+ *      returns; all in percent, null when the series is too short.
+ */
+export function analyzePerformance(series) {
+    const returns = dailyReturns(series);
+    const measured = returns.filter((value) => value !== null);
+
+    let wealth = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    const returnIndex = returns.map(function (value) {
+        if (value !== null) wealth *= 1 + value;
+        peak = Math.max(peak, wealth);
+        maxDrawdown = Math.min(maxDrawdown, wealth / peak - 1);
+        return (wealth - 1) * 100;
+    });
+
+    let volatility = null;
+    if (measured.length > 1) {
+        const mean = measured.reduce((sum, value) => sum + value, 0) / measured.length;
+        const variance = measured.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (measured.length - 1);
+        volatility = Math.sqrt(variance * TRADING_DAYS_PER_YEAR) * 100;
+    }
+
+    return {
+        returnIndex,
+        timeWeightedReturn: measured.length > 0 ? (wealth - 1) * 100 : null,
+        moneyWeightedReturn: moneyWeightedReturn(series),
+        maxDrawdown: measured.length > 0 ? maxDrawdown * 100 : null,
+        volatility,
+    };
+}
+
+
+
+
+
+/**
+ * Rebases a symbol's closes on a list of dates, as the percent change from the first of them.
+ * A date without a close takes the previous close; dates before the first close are null.
+ * @param {Array<string>} dates - Dates (YYYY-MM-DD), oldest first.
+ * @param {Array<object>} bars - Daily bars, oldest first.
+ * @returns {Array<number|null>} - Percent changes aligned with the dates.
+ */
+export function rebaseOnDates(dates, bars) {
+    const closes = new Map(bars.map((bar) => [bar.date.slice(0, 10), bar.close]));
+    const earlier = bars.filter((bar) => dates.length > 0 && bar.date.slice(0, 10) < dates[0]);
+    let lastClose = earlier.length > 0 ? earlier[earlier.length - 1].close : null;
+    let base = null;
+
+    return dates.map(function (date) {
+        if (closes.has(date)) lastClose = closes.get(date);
+        if (lastClose === null) return null;
+        if (base === null) base = lastClose;
+        return (lastClose / base - 1) * 100;
+    });
+}
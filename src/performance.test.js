@@ -0,0 +1,69 @@
+import { analyzePerformance, buildPortfolioSeries, moneyWeightedReturn, rebaseOnDates, transactionFlow } from './performance';
+
+const bar = (date, close) => ({ date, open: close, high: close, low: close, close, adjustedClose: null, volume: 0 });
+
+const history = {
+    AAA: [bar('2024-01-02', 10), bar('2024-01-03', 11), bar('2024-01-04', 12), bar('2024-01-05', 12), bar('2024-01-08', 9)],
+};
+const ledger = {
+    AAA: [
+        { id: '1', type: 'buy', date: '2024-01-02', shares: 10, price: 10, fees: 0 },
+        { id: '2', type: 'buy', date: '2024-01-04', shares: 10, price: 12, fees: 0 },
+    ],
+};
+
+test('transactionFlow counts buys and fees as money in, sales and dividends as money out', () => {
+    expect(transactionFlow({ type: 'buy', shares: 2, price: 10, fees: 1 })).toBe(21);
+    expect(transactionFlow({ type: 'sell', shares: 2, price: 10, fees: 1 })).toBe(-19);
+    expect(transactionFlow({ type: 'dividend', amount: 5 })).toBe(-5);
+    expect(transactionFlow({ type: 'fee', amount: 5 })).toBe(5);
+    expect(transactionFlow({ type: 'split', ratio: 2 })).toBe(0);
+});
+
+test('buildPortfolioSeries values the shares held each day and books the cash flows', () => {
+    const series = buildPortfolioSeries(ledger, history);
+
+    expect(series).toEqual([
+        { date: '2024-01-02', value: 100, flow: 100 },
+        { date: '2024-01-03', value: 110, flow: 0 },
+        { date: '2024-01-04', value: 240, flow: 120 },
+        { date: '2024-01-05', value: 240, flow: 0 },
+        { date: '2024-01-08', value: 180, flow: 0 },
+    ]);
+    expect(buildPortfolioSeries({ BBB: ledger.AAA }, history)).toEqual([]);
+});
+
+test('analyzePerformance chains daily returns so deposits do not count as gains', () => {
+    const performance = analyzePerformance(buildPortfolioSeries(ledger, history));
+
+    expect(performance.returnIndex[3]).toBeCloseTo(20, 10); // Price went from 10 to 12
+    expect(performance.timeWeightedReturn).toBeCloseTo(-10, 10);
+    expect(performance.maxDrawdown).toBeCloseTo(-25, 10);
+    expect(performance.volatility).toBeGreaterThan(0);
+    expect(analyzePerformance([]).timeWeightedReturn).toBeNull();
+});
+
+test('moneyWeightedReturn weighs returns by the money invested at the time', () => {
+    expect(moneyWeightedReturn([
+        { date: '2024-01-01', value: 100, flow: 100 },
+        { date: '2025-01-01', value: 110, flow: 0 },
+    ])).toBeCloseTo(10, 4);
+
+    // Flat first half, +10% second half with twice the money invested
+    const mwr = moneyWeightedReturn([
+        { date: '2024-01-01', value: 100, flow: 100 },
+        { date: '2024-07-01', value: 200, flow: 100 },
+        { date: '2025-01-01', value: 220, flow: 0 },
+    ]);
+    expect(mwr).toBeGreaterThan(10);
+    expect(moneyWeightedReturn([{ date: '2024-01-01', value: 0, flow: 0 }])).toBeNull();
+});
+
+test('rebaseOnDates carries the previous close over missing days', () => {
+    const bars = [bar('2024-01-01', 50), bar('2024-01-02', 100), bar('2024-01-04', 110)];
+    const rebased = rebaseOnDates(['2024-01-02', '2024-01-03', '2024-01-04'], bars);
+
+    expect(rebased.slice(0, 2)).toEqual([0, 0]);
+    expect(rebased[2]).toBeCloseTo(10, 10);
+    expect(rebaseOnDates(['2023-12-29', '2024-01-01'], bars)).toEqual([null, 0]);
+});
@@ -0,0 +1,472 @@
+/**
+ * File: providers/alphaVantage.js
+ *
+ * Market-data provider backed by the Alpha Vantage REST API (https://www.alphavantage.co/documentation/).
+ * Translates Alpha Vantage's numbered keys ("1. open", "4. close", ...) into the normalized data model
+ * described in marketData.js, so nothing outside this file needs to know about them.
+ *
+ * When the per-minute or per-day limit is exceeded, Alpha Vantage answers with a "Note" or "Information" payload
+ * instead of data. Those answers are turned into a RateLimitError so the request scheduler can back off and retry.
+ * The earnings calendar is only served as CSV, but its notices are still JSON.
+ */
+
+
+
+import { parseCsv } from '../csv';
+import { parseNumber } from '../marketData';
+import { STATEMENT_TYPES } from '../statements';
+import { RateLimitError } from '../requestScheduler';
+
+
+
+
+
+// Constants
+const BASE_URL = 'https://www.alphavantage.co/query';
+
+// API function and time series key for each resolution; adjusted series also carry dividends and splits
+const RESOLUTION_ENDPOINTS = {
+    '1min': { endpoint: 'TIME_SERIES_INTRADAY', interval: '1min', seriesKey: 'Time Series (1min)' },
+    '5min': { endpoint: 'TIME_SERIES_INTRADAY', interval: '5min', seriesKey: 'Time Series (5min)' },
+    '15min': { endpoint: 'TIME_SERIES_INTRADAY', interval: '15min', seriesKey: 'Time Series (15min)' },
+    '30min': { endpoint: 'TIME_SERIES_INTRADAY', interval: '30min', seriesKey: 'Time Series (30min)' },
+    '60min': { endpoint: 'TIME_SERIES_INTRADAY', interval: '60min', seriesKey: 'Time Series (60min)' },
+    daily: { endpoint: 'TIME_SERIES_DAILY_ADJUSTED', seriesKey: 'Time Series (Daily)' },
+    weekly: { endpoint: 'TIME_SERIES_WEEKLY_ADJUSTED', seriesKey: 'Weekly Adjusted Time Series' },
+    monthly: { endpoint: 'TIME_SERIES_MONTHLY_ADJUSTED', seriesKey: 'Monthly Adjusted Time Series' },
+};
+
+// API function for each financial statement
+const STATEMENT_ENDPOINTS = { income: 'INCOME_STATEMENT', balance: 'BALANCE_SHEET', cashflow: 'CASH_FLOW' };
+
+const EARNINGS_CALENDAR_HORIZON = '3month'; // How far ahead the earnings calendar looks: 3month, 6month or 12month
+
+
+
+
+
+/**
+ * Creates an Alpha Vantage provider.
+ * @param {object} options - Provider options.
+ * @param {string} options.apiKey - Alpha Vantage API key.
+ * @param {function} [options.fetchJson] - Fetches a URL, with an optional AbortSignal, and resolves with its parsed
+ *      JSON body; defaults to fetch.
+ * @param {function} [options.fetchText] - Fetches a URL, with an optional AbortSignal, and resolves with its raw body;
+ *      defaults to fetch.
+ * @param {object} [options.scheduler] - Request scheduler every call is queued on (see requestScheduler.js).
+ * @returns {object} - Provider implementing searchSymbols, getBars, getFundamentals, getStatements, getEarnings and
+ *      getEarningsCalendar.
+ */
+export function createAlphaVantageProvider(options) {
+    const { apiKey, fetchJson = defaultFetchJson, fetchText = defaultFetchText, scheduler } = options;
+
+    /**
+     * Calls the API, through the scheduler when there is one.
+     * @param {string} url - The query URL.
+     * @param {string} [format='json'] - 'json', or 'csv' for endpoints that answer with CSV.
+     * @param {AbortSignal} [signal] - Cancels the call, whether it is still queued or already sent.
+     * @returns {Promise<object|Array<object>>} - The parsed response body; one object per row for CSV.
+     * @throws {RateLimitError} - If the call was throttled.
+     */
+    function request(url, format = 'json', signal = undefined) {
+        async function task() {
+            const data = format === 'csv'
+                ? parseCsvResponse(await fetchText(url, signal))
+                : await fetchJson(url, signal);
+            assertNotThrottled(data);
+            return data;
+        }
+
+        return scheduler ? scheduler.schedule(task, { signal }) : task();
+    }
+
+    /**
+     * Builds a query URL for an API function.
+     * @param {object} params - Query parameters, without the API key.
+     * @returns {string} - The URL.
+     */
+    function buildUrl(params) {
+        const query = new URLSearchParams({ ...params, apikey: apiKey });
+        return `${BASE_URL}?${query.toString()}`;
+    }
+
+    return {
+        name: 'alphavantage',
+
+        /**
+         * Searches listings matching a symbol or company name.
+         * @param {string} query - Keywords to search for.
+         * @param {AbortSignal} [signal] - Cancels the call.
+         * @returns {Promise<Array<object>>} - Normalized search results, best match first.
+         */
+        async searchSymbols(query, signal) {
+            const data = await request(buildUrl({ function: 'SYMBOL_SEARCH', keywords: query }), 'json', signal);
+            assertNoError(data);
+
+            return (data.bestMatches || []).map(normalizeSearchResult);
+        },
+
+        /**
+         * Fetches the full available price history of a symbol.
+         * @param {string} symbol - Stock symbol.
+         * @param {string} resolution - One of RESOLUTIONS.
+         * @param {AbortSignal} [signal] - Cancels the call.
+         * @returns {Promise<Array<object>>} - Normalized bars, oldest first.
+         */
+        async getBars(symbol, resolution, signal) {
+            const { endpoint, interval, seriesKey } = RESOLUTION_ENDPOINTS[resolution] || {};
+
+            if (!endpoint) {
+                throw new Error(`Unsupported resolution "${resolution}".`);
+            }
+
+            const params = { function: endpoint, symbol, outputsize: 'full' };
+            if (interval) params.interval = interval;
+
+            const data = await request(buildUrl(params), 'json', signal);
+            assertNoError(data);
+
+            const timeSeries = data ? data[seriesKey] : null;
+            if (!timeSeries) {
+                throw new Error(`Time series data unavailable for "${symbol}" (${resolution}).`);
+            }
+
+            return Object.keys(timeSeries)
+                .sort()
+                .map((date) => normalizeBar(date, timeSeries[date]));
+        },
+
+        /**
+         * Fetches the company overview of a symbol.
+         * @param {string} symbol - Stock symbol.
+         * @param {AbortSignal} [signal] - Cancels the call.
+         * @returns {Promise<object>} - Normalized fundamentals; empty when none are available.
+         */
+        async getFundamentals(symbol, signal) {
+            const data = await request(buildUrl({ function: 'OVERVIEW', symbol }), 'json', signal);
+            assertNoError(data);
+
+            if (!data || Object.keys(data).length === 0) {
+                console.warn('Overview data is not available.');
+                return {};
+            }
+
+            return normalizeFundamentals(data);
+        },
+
+        /**
+         * Fetches the annual and quarterly reports of a financial statement.
+         * @param {string} symbol - Stock symbol.
+         * @param {string} type - One of STATEMENT_TYPES.
+         * @param {AbortSignal} [signal] - Cancels the call.
+         * @returns {Promise<object>} - Normalized statement: { annual, quarterly }, newest first.
+         */
+        async getStatements(symbol, type, signal) {
+            if (!STATEMENT_TYPES.includes(type)) {
+                throw new Error(`Unsupported financial statement "${type}".`);
+            }
+
+            const data = await request(buildUrl({ function: STATEMENT_ENDPOINTS[type], symbol }), 'json', signal);
+            assertNoError(data);
+
+            if (!data || (!data.annualReports && !data.quarterlyReports)) {
+                throw new Error(`Financial statements unavailable for "${symbol}".`);
+            }
+
+            return {
+                annual: (data.annualReports || []).map(normalizeReport),
+                quarterly: (data.quarterlyReports || []).map(normalizeReport),
+            };
+        },
+
+        /**
+         * Fetches the past quarterly earnings reports of a symbol.
+         * @param {string} symbol - Stock symbol.
+         * @param {AbortSignal} [signal] - Cancels the call.
+         * @returns {Promise<Array<object>>} - Normalized earnings reports, newest first.
+         */
+        async getEarnings(symbol, signal) {
+            const data = await request(buildUrl({ function: 'EARNINGS', symbol }), 'json', signal);
+            assertNoError(data);
+
+            if (!data || !data.quarterlyEarnings) {
+                throw new Error(`Earnings unavailable for "${symbol}".`);
+            }
+
+            return data.quarterlyEarnings.map(normalizeEarningsReport);
+        },
+
+        /**
+         * Fetches the upcoming earnings reports of every company.
+         * @param {AbortSignal} [signal] - Cancels the call.
+         * @returns {Promise<Array<object>>} - Normalized earnings calendar, soonest first.
+         */
+        async getEarningsCalendar(signal) {
+            const url = buildUrl({ function: 'EARNINGS_CALENDAR', horizon: EARNINGS_CALENDAR_HORIZON });
+            const data = await request(url, 'csv', signal);
+            assertNoError(data);
+
+            return data
+                .map(normalizeCalendarEntry)
+                .filter((entry) => entry.symbol && entry.reportDate)
+                .sort((a, b) => a.reportDate.localeCompare(b.reportDate));
+        },
+    };
+}
+
+
+
+
+
+/**
+ * Fetches a URL and parses its JSON body.
+ * @param {string} url - The URL to fetch.
+ * @param {AbortSignal} [signal] - Aborts the request.
+ * @returns {Promise<object>} - The parsed body.
+ */
+async function defaultFetchJson(url, signal) {
+    const response = await fetch(url, { signal });
+    return response.json();
+}
+
+
+
+
+
+/**
+ * Fetches a URL and returns its raw body.
+ * @param {string} url - The URL to fetch.
+ * @param {AbortSignal} [signal] - Aborts the request.
+ * @returns {Promise<string>} - The body.
+ */
+async function defaultFetchText(url, signal) {
+    const response = await fetch(url, { signal });
+    return response.text();
+}
+
+
+
+
+
+/**
+ * Parses the body of a CSV endpoint, which answers with a JSON object instead when it has a notice or an error.
+ * @param {string} text - The raw body.
+ * @returns {object|Array<object>} - The JSON notice, or one object per row keyed by the header's column names.
+ */
+function parseCsvResponse(text) {
+    const body = text.trim();
+
+    if (body.startsWith('{')) return JSON.parse(body);
+
+    const [header = [], ...rows] = parseCsv(body);
+    return rows
+        .filter((row) => row.some((field) => field !== ''))
+        .map(function (row) {
+            const record = {};
+            header.forEach((column, index) => { record[column] = row[index] !== undefined ? row[index] : ''; });
+            return record;
+        });
+}
+
+
+
+
+
+/**
+ * Throws when Alpha Vantage answers with a throttling notice instead of data.
+ * "Information" is also used for other notices (e.g. premium-only endpoints), which are reported as plain errors.
+ * @param {object} data - The parsed response body.
+ * @throws {RateLimitError|Error} - With Alpha Vantage's own message.
+ */
+function assertNotThrottled(data) {
+    const notice = data && (data['Note'] || data['Information']);
+
+    if (!notice) return;
+
+    if (data['Note'] || /rate limit|requests per|call frequency|spreading out/i.test(notice)) {
+        throw new RateLimitError(notice);
+    }
+    throw new Error(notice);
+}
+
+
+
+
+
+/**
+ * Throws when Alpha Vantage answers with an error payload instead of data.
+ * @param {object} data - The parsed response body.
+ * @throws {Error} - With Alpha Vantage's own message.
+ */
+function assertNoError(data) {
+    if (data && data['Error Message']) {
+        throw new Error(data['Error Message']);
+    }
+}
+
+
+
+
+
+/**
+ * Converts one Alpha Vantage time series entry into a normalized bar.
+ * Plain and adjusted series number their volume differently ("5. volume" vs "6. volume").
+ * @param {string} date - Date or date-time of the bar.
+ * @param {object} dataPoint - The raw entry.
+ * @returns {object} - Normalized bar.
+ */
+function normalizeBar(date, dataPoint) {
+    const isAdjusted = dataPoint['5. adjusted close'] !== undefined;
+
+    return {
+        date,
+        open: parseFloat(dataPoint['1. open']),
+        high: parseFloat(dataPoint['2. high']),
+        low: parseFloat(dataPoint['3. low']),
+        close: parseFloat(dataPoint['4. close']),
+        adjustedClose: isAdjusted ? parseFloat(dataPoint['5. adjusted close']) : null,
+        volume: parseInt(dataPoint[isAdjusted ? '6. volume' : '5. volume']) || 0,
+        dividend: dataPoint['7. dividend amount'] ? parseFloat(dataPoint['7. dividend amount']) : 0,
+        splitCoefficient: dataPoint['8. split coefficient'] ? parseFloat(dataPoint['8. split coefficient']) : 1,
+    };
+}
+
+
+
+
+
+/**
+ * Converts one SYMBOL_SEARCH match into a normalized search result.
+ * @param {object} match - The raw match.
+ * @returns {object} - Normalized search result.
+ */
+function normalizeSearchResult(match) {
+    return {
+        symbol: match['1. symbol'],
+        name: match['2. name'],
+        type: match['3. type'],
+        region: match['4. region'],
+        marketOpen: match['5. marketOpen'],
+        marketClose: match['6. marketClose'],
+        timezone: match['7. timezone'],
+        currency: match['8. currency'],
+        matchScore: parseNumber(match['9. matchScore']),
+    };
+}
+
+
+
+
+
+/**
+ * Converts an OVERVIEW payload into normalized fundamentals.
+ * @param {object} data - The raw overview.
+ * @returns {object} - Normalized fundamentals.
+ */
+function normalizeFundamentals(data) {
+    return {
+        symbol: data['Symbol'] || null,
+        name: data['Name'] || null,
+        description: data['Description'] || null,
+        assetType: data['AssetType'] || null,
+        exchange: data['Exchange'] || null,
+        currency: data['Currency'] || null,
+        country: data['Country'] || null,
+        sector: data['Sector'] || null,
+        industry: data['Industry'] || null,
+        website: data['OfficialSite'] || null,
+        fiscalYearEnd: data['FiscalYearEnd'] || null,
+        marketCap: parseNumber(data['MarketCapitalization']),
+        peRatio: parseNumber(data['PERatio']),
+        forwardPE: parseNumber(data['ForwardPE']),
+        pegRatio: parseNumber(data['PEGRatio']),
+        priceToBook: parseNumber(data['PriceToBookRatio']),
+        priceToSales: parseNumber(data['PriceToSalesRatioTTM']),
+        evToEbitda: parseNumber(data['EVToEBITDA']),
+        eps: parseNumber(data['EPS']),
+        beta: parseNumber(data['Beta']),
+        targetPrice: parseNumber(data['AnalystTargetPrice']),
+        profitMargin: parseNumber(data['ProfitMargin']),
+        operatingMargin: parseNumber(data['OperatingMarginTTM']),
+        returnOnEquity: parseNumber(data['ReturnOnEquityTTM']),
+        returnOnAssets: parseNumber(data['ReturnOnAssetsTTM']),
+        dividendPerShare: parseNumber(data['DividendPerShare']),
+        dividendYield: parseNumber(data['DividendYield']),
+        dividendDate: parseDate(data['DividendDate']),
+        exDividendDate: parseDate(data['ExDividendDate']),
+        week52High: parseNumber(data['52WeekHigh']),
+        week52Low: parseNumber(data['52WeekLow']),
+    };
+}
+
+
+
+
+
+/**
+ * Converts one financial statement report into a normalized report.
+ * @param {object} report - The raw report, with every line item as a string.
+ * @returns {object} - Normalized report: { fiscalDateEnding, currency, items }.
+ */
+function normalizeReport(report) {
+    const { fiscalDateEnding, reportedCurrency, ...lineItems } = report;
+    const items = {};
+
+    Object.keys(lineItems).forEach((item) => { items[item] = parseNumber(lineItems[item]); });
+
+    return { fiscalDateEnding, currency: reportedCurrency || null, items };
+}
+
+
+
+
+
+/**
+ * Converts one quarterly EARNINGS entry into a normalized earnings report.
+ * @param {object} report - The raw entry.
+ * @returns {object} - Normalized earnings report.
+ */
+function normalizeEarningsReport(report) {
+    return {
+        fiscalDateEnding: parseDate(report.fiscalDateEnding),
+        reportedDate: parseDate(report.reportedDate),
+        reportedEPS: parseNumber(report.reportedEPS),
+        estimatedEPS: parseNumber(report.estimatedEPS),
+        surprise: parseNumber(report.surprise),
+        surprisePercentage: parseNumber(report.surprisePercentage),
+        reportTime: report.reportTime || null,
+    };
+}
+
+
+
+
+
+/**
+ * Converts one EARNINGS_CALENDAR row into a normalized calendar entry.
+ * @param {object} row - The raw row.
+ * @returns {object} - Normalized calendar entry.
+ */
+function normalizeCalendarEntry(row) {
+    return {
+        symbol: row.symbol || null,
+        name: row.name || null,
+        reportDate: parseDate(row.reportDate),
+        fiscalDateEnding: parseDate(row.fiscalDateEnding),
+        estimate: parseNumber(row.estimate),
+        currency: row.currency || null,
+    };
+}
+
+
+
+
+
+/**
+ * Parses an Alpha Vantage date field, which uses "None" or "0000-00-00" when empty.
+ * @param {string} value - The raw value.
+ * @returns {string|null} - The date (YYYY-MM-DD), or null.
+ */
+function parseDate(value) {
+    return value && /^\d{4}-\d{2}-\d{2}$/.test(value) && value !== '0000-00-00' ? value : null;
+}
@@ -0,0 +1,211 @@
+/**
+ * File: providers/fixture.js
+ *
+ * Market-data provider backed by local fixture data, for offline development and tests.
+ * Fixtures are either passed in directly or served as JSON files, one per symbol, next to an index of listings:
+ *
+ *      <baseUrl>/index.json     [{ symbol, name, type, region, currency, ... }]
+ *      <baseUrl>/<SYMBOL>.json  { symbol, name, fundamentals: {...}, bars: { daily: [...], '15min': [...], ... },
+ *                                 statements: { income: {...}, balance: {...}, cashflow: {...} },
+ *                                 earnings: [...], earningsCalendar: [{ reportDate, fiscalDateEnding, ... }] }
+ *
+ * Fixture bars, fundamentals, statements and earnings are already in the normalized model described in
+ * marketData.js. Weekly and monthly bars are aggregated from daily bars when a fixture does not carry them, and the
+ * earnings calendar is gathered from the upcoming reports of every fixture.
+ */
+
+
+
+import { throwIfAborted } from '../abort';
+import { aggregateBars } from '../marketData';
+
+
+
+
+
+/**
+ * Creates a fixture provider.
+ * @param {object} [options] - Provider options.
+ * @param {string} [options.baseUrl] - Where the JSON files are served from; defaults to the fixtures folder of the
+ *      app's public URL, wherever the app is served from.
+ * @param {object} [options.data] - In-memory fixtures keyed by symbol; when given, no files are fetched.
+ * @param {function} [options.fetchJson] - Fetches a URL, with an optional AbortSignal, and resolves with its parsed
+ *      JSON body; defaults to fetch.
+ * @returns {object} - Provider implementing searchSymbols, getBars, getFundamentals, getStatements, getEarnings and
+ *      getEarningsCalendar.
+ */
+export function createFixtureProvider(options = {}) {
+    const {
+        baseUrl = `${(process.env.PUBLIC_URL || '').replace(/\/$/, '')}/fixtures`,
+        data,
+        fetchJson = defaultFetchJson,
+    } = options;
+
+    /**
+     * Loads the listings index.
+     * @param {AbortSignal} [signal] - Cancels the load.
+     * @returns {Promise<Array<object>>} - Listings.
+     */
+    async function loadIndex(signal) {
+        if (data) {
+            throwIfAborted(signal);
+            return Object.keys(data).map(function (symbol) {
+                const { bars, fundamentals, statements, earnings, earningsCalendar, ...listing } = data[symbol];
+                return { symbol, ...listing };
+            });
+        }
+        return fetchJson(`${baseUrl}/index.json`, signal);
+    }
+
+    /**
+     * Loads the fixture of one symbol.
+     * @param {string} symbol - Stock symbol.
+     * @param {AbortSignal} [signal] - Cancels the load.
+     * @returns {Promise<object>} - The fixture.
+     * @throws {Error} - If there is no fixture for the symbol.
+     */
+    async function loadFixture(symbol, signal) {
+        throwIfAborted(signal);
+        const fixture = data ? data[symbol] : await fetchJson(`${baseUrl}/${encodeURIComponent(symbol)}.json`, signal);
+
+        if (!fixture) {
+            throw new Error(`No fixture data for "${symbol}".`);
+        }
+        return fixture;
+    }
+
+    return {
+        name: 'fixture',
+
+        /**
+         * Searches listings whose symbol or name contains the query.
+         * @param {string} query - Keywords to search for.
+         * @param {AbortSignal} [signal] - Cancels the search.
+         * @returns {Promise<Array<object>>} - Normalized search results, best match first.
+         */
+        async searchSymbols(query, signal) {
+            const keywords = query.trim().toUpperCase();
+            const listings = await loadIndex(signal);
+
+            return listings
+                .map(function (listing) {
+                    const symbol = listing.symbol.toUpperCase();
+                    const name = (listing.name || '').toUpperCase();
+                    let matchScore = 0;
+
+                    if (symbol === keywords) matchScore = 1;
+                    else if (symbol.startsWith(keywords)) matchScore = 0.8;
+                    else if (name.includes(keywords)) matchScore = 0.5;
+
+                    return { ...listing, matchScore };
+                })
+                .filter((result) => result.matchScore > 0)
+                .sort((a, b) => b.matchScore - a.matchScore);
+        },
+
+        /**
+         * Returns the fixture bars of a symbol.
+         * Intraday resolutions fall back to the finest intraday series available, then to daily bars.
+         * @param {string} symbol - Stock symbol.
+         * @param {string} resolution - One of RESOLUTIONS.
+         * @param {AbortSignal} [signal] - Cancels the load.
+         * @returns {Promise<Array<object>>} - Normalized bars, oldest first.
+         */
+        async getBars(symbol, resolution, signal) {
+            const { bars = {} } = await loadFixture(symbol, signal);
+
+            if (bars[resolution]) return bars[resolution];
+
+            if (resolution === 'weekly' || resolution === 'monthly') {
+                if (bars.daily) return aggregateBars(bars.daily, resolution);
+            } else {
+                const intraday = ['1min', '5min', '15min', '30min', '60min'].find((key) => bars[key]);
+                if (intraday) return bars[intraday];
+                if (bars.daily) return bars.daily;
+            }
+
+            throw new Error(`Time series data unavailable for "${symbol}" (${resolution}).`);
+        },
+
+        /**
+         * Returns the fixture fundamentals of a symbol.
+         * @param {string} symbol - Stock symbol.
+         * @param {AbortSignal} [signal] - Cancels the load.
+         * @returns {Promise<object>} - Normalized fundamentals; empty when the fixture has none.
+         */
+        async getFundamentals(symbol, signal) {
+            const fixture = await loadFixture(symbol, signal);
+            return fixture.fundamentals || {};
+        },
+
+        /**
+         * Returns the fixture reports of a financial statement.
+         * @param {string} symbol - Stock symbol.
+         * @param {string} type - One of STATEMENT_TYPES (see statements.js).
+         * @param {AbortSignal} [signal] - Cancels the load.
+         * @returns {Promise<object>} - Normalized statement: { annual, quarterly }, newest first.
+         * @throws {Error} - If the fixture has no such statement.
+         */
+        async getStatements(symbol, type, signal) {
+            const { statements = {} } = await loadFixture(symbol, signal);
+
+            if (!statements[type]) {
+                throw new Error(`Financial statements unavailable for "${symbol}".`);
+            }
+            return statements[type];
+        },
+
+        /**
+         * Returns the fixture earnings reports of a symbol.
+         * @param {string} symbol - Stock symbol.
+         * @param {AbortSignal} [signal] - Cancels the load.
+         * @returns {Promise<Array<object>>} - Normalized earnings reports, newest first; empty without fixture earnings.
+         */
+        async getEarnings(symbol, signal) {
+            const fixture = await loadFixture(symbol, signal);
+            return fixture.earnings || [];
+        },
+
+        /**
+         * Gathers the upcoming earnings reports of every fixture.
+         * A fixture that fails to load is left out, unless the load was cancelled.
+         * @param {AbortSignal} [signal] - Cancels the load.
+         * @returns {Promise<Array<object>>} - Normalized earnings calendar, soonest first.
+         */
+        async getEarningsCalendar(signal) {
+            const listings = await loadIndex(signal);
+            const fixtures = await Promise.all(
+                listings.map((listing) => loadFixture(listing.symbol, signal).catch(() => null))
+            );
+
+            throwIfAborted(signal);
+
+            return fixtures
+                .flatMap(function (fixture, index) {
+                    const { symbol, name = null } = listings[index];
+                    return ((fixture && fixture.earningsCalendar) || []).map((entry) => ({ symbol, name, ...entry }));
+                })
+                .sort((a, b) => a.reportDate.localeCompare(b.reportDate));
+        },
+    };
+}
+
+
+
+
+
+/**
+ * Fetches a URL and parses its JSON body.
+ * @param {string} url - The URL to fetch.
+ * @param {AbortSignal} [signal] - Aborts the request.
+ * @returns {Promise<object>} - The parsed body.
+ * @throws {Error} - If the file does not exist.
+ */
+async function defaultFetchJson(url, signal) {
+    const response = await fetch(url, { signal });
+
+    if (!response.ok) {
+        throw new Error(`Fixture "${url}" could not be loaded (${response.status}).`);
+    }
+    return response.json();
+}
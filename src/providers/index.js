@@ -0,0 +1,50 @@
+/**
+ * File: providers/index.js
+ *
+ * Registry of market-data providers. Every provider implements the same interface:
+ *  -   searchSymbols(query): listings matching a symbol or company name.
+ *  -   getBars(symbol, resolution): the available OHLCV history at one of RESOLUTIONS, oldest first.
+ *  -   getFundamentals(symbol): company profile and key ratios.
+ *  -   getStatements(symbol, type): annual and quarterly reports of a financial statement (see statements.js).
+ *  -   getEarnings(symbol): past earnings reports with the estimates they are compared with.
+ *  -   getEarningsCalendar(): upcoming earnings reports of every company (see earnings.js).
+ * All of them resolve with the normalized data model described in marketData.js. Each also takes an optional
+ * AbortSignal as its last argument and rejects with an AbortError (see abort.js) once it is aborted.
+ */
+
+
+
+import { createAlphaVantageProvider } from './alphaVantage';
+import { createFixtureProvider } from './fixture';
+
+
+
+
+
+// Constants
+const PROVIDER_FACTORIES = {
+    alphavantage: createAlphaVantageProvider,
+    fixture: createFixtureProvider,
+};
+
+
+
+
+
+/**
+ * Creates the market-data provider with the given name.
+ * @param {string} [name='alphavantage'] - One of the registered provider names.
+ * @param {object} [options] - Options passed to the provider factory.
+ * @returns {object} - The provider.
+ * @throws {Error} - If no provider is registered under the name.
+ */
+export function createDataProvider(name = 'alphavantage', options = {}) {
+    const factory = PROVIDER_FACTORIES[name.toLowerCase()];
+
+    if (!factory) {
+        throw new Error(`Unknown market-data provider "${name}".`);
+    }
+    return factory(options);
+}
+
+export { createAlphaVantageProvider, createFixtureProvider };
@@ -0,0 +1,333 @@
+/**
+ * File: requestCache.js
+ *
+ * Cache for market-data requests. Responses are kept in memory and in a persistent storage (IndexedDB in the
+ * browser) under a key built from the endpoint, symbol and interval, each with a time-to-live that depends on
+ * how quickly that kind of data goes stale. Concurrent requests for the same key share one in-flight request,
+ * which is only cancelled once every caller waiting for it has cancelled (see abort.js).
+ *
+ * Every lookup resolves with an envelope, { value, cachedAt, fromCache, stale }, so callers can tell the user
+ * how old the data on screen is.
+ *
+ * The same database holds the last snapshot of every tracked stock, which the watchlists saved in localStorage
+ * leave out (see storage.js).
+ */
+
+
+
+import { AbortError, abortable, isAbortError } from './abort';
+
+
+
+
+
+// Constants
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Time-to-live per endpoint; bars are keyed by resolution
+export const CACHE_TTLS = {
+    search: 7 * DAY,
+    fundamentals: DAY,
+    statements: DAY,
+    earnings: DAY,
+    earningsCalendar: 12 * HOUR,
+    bars: {
+        '1min': MINUTE,
+        '5min': 5 * MINUTE,
+        '15min': 5 * MINUTE,
+        '30min': 10 * MINUTE,
+        '60min': 15 * MINUTE,
+        daily: HOUR,
+        weekly: 6 * HOUR,
+        monthly: 12 * HOUR,
+    },
+};
+
+const DB_NAME = 'stockTracker';
+const DB_VERSION = 2; // Version 1 had the requests store only
+export const DB_STORES = { requests: 'requests', snapshots: 'snapshots' }; // Cached requests and last stock snapshots
+
+
+
+
+
+/**
+ * Looks up the time-to-live of an endpoint.
+ * @param {string} endpoint - 'search', 'fundamentals', 'statements', 'earnings', 'earningsCalendar' or 'bars'.
+ * @param {string} [resolution] - Bar resolution, for the 'bars' endpoint.
+ * @returns {number} - Time-to-live in milliseconds.
+ */
+export function getCacheTtl(endpoint, resolution) {
+    const ttl = CACHE_TTLS[endpoint];
+
+    if (typeof ttl === 'number') return ttl;
+    return (ttl && ttl[resolution]) || HOUR;
+}
+
+
+
+
+
+/**
+ * Creates a request cache.
+ * @param {object} [options] - Cache options.
+ * @param {object} [options.storage] - Persistent storage with async get(key), set(key, entry) and clear().
+ * @param {function} [options.now] - Returns the current time in milliseconds; defaults to Date.now.
+ * @returns {object} - The cache: fetch(keyParts, loader, ttl) and clear().
+ */
+export function createRequestCache(options = {}) {
+    const { storage = createMemoryStorage(), now = Date.now } = options;
+    const memory = new Map();
+    const inFlight = new Map();
+
+    /**
+     * Reads an entry from memory, falling back to the persistent storage.
+     * @param {string} key - The cache key.
+     * @returns {Promise<object|null>} - The entry, or null.
+     */
+    async function readEntry(key) {
+        if (memory.has(key)) return memory.get(key);
+
+        try {
+            const entry = await storage.get(key);
+            if (entry) memory.set(key, entry);
+            return entry || null;
+        } catch (error) {
+            console.error('Failed to read cached request:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Writes an entry to memory and to the persistent storage.
+     * @param {string} key - The cache key.
+     * @param {object} entry - The entry.
+     */
+    async function writeEntry(key, entry) {
+        memory.set(key, entry);
+
+        try {
+            await storage.set(key, entry);
+        } catch (error) {
+            console.error('Failed to persist cached request:', error);
+        }
+    }
+
+    /**
+     * Serves a fresh cached entry, or runs the loader and caches its result.
+     * When the loader fails and an expired entry exists, the expired entry is served instead.
+     * @param {string} key - The cache key.
+     * @param {function} loader - Loads the value when the cache cannot serve it.
+     * @param {number} ttl - Time-to-live in milliseconds.
+     * @returns {Promise<object>} - Envelope: { value, cachedAt, fromCache, stale }.
+     */
+    async function load(key, loader, ttl) {
+        const entry = await readEntry(key);
+
+        if (entry && now() - entry.cachedAt < ttl) {
+            return { value: entry.value, cachedAt: entry.cachedAt, fromCache: true, stale: false };
+        }
+
+        try {
+            const value = await loader();
+            const cachedAt = now();
+
+            await writeEntry(key, { value, cachedAt });
+            return { value, cachedAt, fromCache: false, stale: false };
+        } catch (error) {
+            if (entry && !isAbortError(error)) {
+                console.warn(`Serving expired cache for ${key}:`, error.message);
+                return { value: entry.value, cachedAt: entry.cachedAt, fromCache: true, stale: true };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Waits for an in-flight request on behalf of one caller.
+     * The request is cancelled once every caller that waits for it with a signal has cancelled; a caller without a
+     * signal keeps it going.
+     * @param {string} key - The cache key.
+     * @param {object} request - The in-flight request: { promise, controller, waiting }.
+     * @param {AbortSignal} [signal] - Signal of the caller.
+     * @returns {Promise<object>} - Envelope, or a rejection with an AbortError once the caller cancelled.
+     */
+    function wait(key, request, signal) {
+        if (!signal) {
+            request.waiting = Infinity;
+            return request.promise;
+        }
+
+        const handleAbort = function () {
+            request.waiting -= 1;
+            if (request.waiting > 0) return;
+
+            request.controller.abort();
+            if (inFlight.get(key) === request) inFlight.delete(key); // Later callers start a new request
+        };
+
+        request.waiting += 1;
+        signal.addEventListener('abort', handleAbort, { once: true });
+
+        // A signal aborted after the request settled, e.g. by the view moving on, has nothing left to cancel
+        return abortable(request.promise, signal).finally(() => signal.removeEventListener('abort', handleAbort));
+    }
+
+    return {
+        /**
+         * Fetches a value through the cache.
+         * @param {Array<string>} keyParts - Endpoint, symbol, interval... joined into the cache key.
+         * @param {function} loader - Loads the value when the cache cannot serve it; receives an AbortSignal that is
+         *      aborted once no caller waits for the value anymore.
+         * @param {number} ttl - Time-to-live in milliseconds.
+         * @param {AbortSignal} [signal] - Stops waiting for the value when aborted.
+         * @returns {Promise<object>} - Envelope: { value, cachedAt, fromCache, stale }; rejects with an AbortError
+         *      once the signal is aborted.
+         */
+        fetch(keyParts, loader, ttl, signal) {
+            const key = keyParts.filter((part) => part !== undefined && part !== '').join(':');
+
+            if (signal && signal.aborted) return Promise.reject(new AbortError());
+
+            if (!inFlight.has(key)) {
+                const controller = new AbortController();
+                const request = { controller, waiting: 0 };
+
+                request.promise = load(key, () => loader(controller.signal), ttl).finally(function () {
+                    if (inFlight.get(key) === request) inFlight.delete(key);
+                });
+                inFlight.set(key, request);
+            }
+            return wait(key, inFlight.get(key), signal);
+        },
+
+        /**
+         * Drops every cached entry.
+         * @returns {Promise<void>}
+         */
+        async clear() {
+            memory.clear();
+            await storage.clear();
+        },
+    };
+}
+
+
+
+
+
+/**
+ * Creates the persistent storage best suited to the environment: IndexedDB when available, memory otherwise.
+ * @param {string} [storeName=DB_STORES.requests] - One of DB_STORES.
+ * @returns {object} - Storage with async get(key), set(key, entry) and clear().
+ */
+export function createDefaultStorage(storeName = DB_STORES.requests) {
+    return typeof indexedDB !== 'undefined' ? createIndexedDbStorage(DB_NAME, storeName) : createMemoryStorage();
+}
+
+
+
+
+
+/**
+ * Creates a storage that keeps entries in memory only.
+ * @returns {object} - Storage with async get(key), set(key, entry) and clear().
+ */
+export function createMemoryStorage() {
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            return entries.get(key) || null;
+        },
+        async set(key, entry) {
+            entries.set(key, entry);
+        },
+        async clear() {
+            entries.clear();
+        },
+    };
+}
+
+
+
+
+
+/**
+ * Creates a storage backed by an IndexedDB object store.
+ * @param {string} [dbName=DB_NAME] - Database name.
+ * @param {string} [storeName=DB_STORES.requests] - Object store name; one of DB_STORES.
+ * @returns {object} - Storage with async get(key), set(key, entry) and clear().
+ */
+export function createIndexedDbStorage(dbName = DB_NAME, storeName = DB_STORES.requests) {
+    let dbPromise = null;
+
+    /**
+     * Opens the database once, creating the object stores it does not have yet.
+     * @returns {Promise<IDBDatabase>} - The database.
+     */
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise(function (resolve, reject) {
+                const request = indexedDB.open(dbName, DB_VERSION);
+                request.onupgradeneeded = function () {
+                    Object.values(DB_STORES)
+                        .filter((name) => !request.result.objectStoreNames.contains(name))
+                        .forEach((name) => request.result.createObjectStore(name));
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Runs one request against the object store.
+     * @param {string} mode - 'readonly' or 'readwrite'.
+     * @param {function} makeRequest - Creates the request from the object store.
+     * @returns {Promise<*>} - The request result.
+     */
+    async function run(mode, makeRequest) {
+        const db = await openDb();
+
+        return new Promise(function (resolve, reject) {
+            const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    return {
+        async get(key) {
+            return (await run('readonly', (store) => store.get(key))) || null;
+        },
+        async set(key, entry) {
+            await run('readwrite', (store) => store.put(entry, key));
+        },
+        async clear() {
+            await run('readwrite', (store) => store.clear());
+        },
+    };
+}
+
+
+
+
+
+/**
+ * Summarizes the envelopes of several cached requests that together make up one view.
+ * @param {Array<object>} envelopes - Envelopes returned by fetch.
+ * @returns {object} - { fromCache, stale, cachedAt } where cachedAt is the oldest timestamp of the cached parts.
+ */
+export function summarizeCacheStatus(envelopes) {
+    const cached = envelopes.filter((envelope) => envelope && envelope.fromCache);
+
+    return {
+        fromCache: cached.length > 0,
+        stale: cached.some((envelope) => envelope.stale),
+        cachedAt: cached.length > 0 ? Math.min(...cached.map((envelope) => envelope.cachedAt)) : null,
+    };
+}
@@ -0,0 +1,98 @@
+import { createMemoryStorage, createRequestCache, getCacheTtl, summarizeCacheStatus } from './requestCache';
+
+test('fresh entries are served from the cache until their TTL expires', async () => {
+    let time = 1000;
+    let calls = 0;
+    const cache = createRequestCache({ now: () => time });
+    const loader = async () => ++calls;
+
+    expect(await cache.fetch(['bars', 'IBM', 'daily'], loader, 500)).toEqual({
+        value: 1, cachedAt: 1000, fromCache: false, stale: false,
+    });
+
+    time = 1400;
+    expect(await cache.fetch(['bars', 'IBM', 'daily'], loader, 500)).toMatchObject({ value: 1, fromCache: true });
+
+    time = 1600;
+    expect(await cache.fetch(['bars', 'IBM', 'daily'], loader, 500)).toMatchObject({ value: 2, fromCache: false });
+});
+
+test('concurrent identical requests share one in-flight request', async () => {
+    let calls = 0;
+    const cache = createRequestCache();
+    const loader = () => new Promise((resolve) => setTimeout(() => resolve(++calls), 10));
+
+    const [a, b] = await Promise.all([
+        cache.fetch(['search', 'IBM'], loader, 1000),
+        cache.fetch(['search', 'IBM'], loader, 1000),
+    ]);
+
+    expect(calls).toBe(1);
+    expect(a).toBe(b);
+});
+
+test('a shared request is only aborted once every caller waiting for it has cancelled', async () => {
+    const cache = createRequestCache();
+    const signals = [];
+    const loader = (signal) => new Promise(function (resolve, reject) {
+        signals.push(signal);
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        setTimeout(() => resolve('bars'), 10);
+    });
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const a = cache.fetch(['bars', 'IBM'], loader, 1000, first.signal);
+    const b = cache.fetch(['bars', 'IBM'], loader, 1000, second.signal);
+
+    first.abort();
+    await expect(a).rejects.toMatchObject({ name: 'AbortError' });
+    expect(signals[0].aborted).toBe(false);
+
+    second.abort();
+    await expect(b).rejects.toMatchObject({ name: 'AbortError' });
+    expect(signals[0].aborted).toBe(true);
+
+    const c = cache.fetch(['bars', 'IBM'], loader, 1000, new AbortController().signal);
+    const d = cache.fetch(['bars', 'IBM'], loader, 1000);
+    expect(await d).toMatchObject({ value: 'bars', fromCache: false });
+    expect(await c).toMatchObject({ value: 'bars' });
+    expect(signals).toHaveLength(2);
+});
+
+test('a caller cancelling after its request settled leaves the request alone', async () => {
+    const cache = createRequestCache();
+    const signals = [];
+    const loader = async (signal) => signals.push(signal);
+    const controller = new AbortController();
+
+    await cache.fetch(['bars', 'IBM'], loader, 1000, controller.signal);
+    controller.abort();
+
+    expect(signals[0].aborted).toBe(false);
+});
+
+test('entries persist in storage and expired entries back up failed requests', async () => {
+    let time = 0;
+    const storage = createMemoryStorage();
+    await createRequestCache({ storage, now: () => time }).fetch(['fundamentals', 'IBM'], async () => 'overview', 100);
+
+    time = 500;
+    const reloaded = createRequestCache({ storage, now: () => time });
+    const envelope = await reloaded.fetch(['fundamentals', 'IBM'], async () => { throw new Error('offline'); }, 100);
+
+    expect(envelope).toEqual({ value: 'overview', cachedAt: 0, fromCache: true, stale: true });
+    await expect(reloaded.fetch(['fundamentals', 'AAPL'], async () => { throw new Error('offline'); }, 100))
+        .rejects.toThrow('offline');
+});
+
+test('TTLs depend on the endpoint and the cache status summarizes several requests', () => {
+    expect(getCacheTtl('bars', '1min')).toBeLessThan(getCacheTtl('bars', 'daily'));
+    expect(getCacheTtl('search')).toBeGreaterThan(getCacheTtl('fundamentals'));
+    expect(summarizeCacheStatus([
+        { fromCache: false, cachedAt: 30 },
+        { fromCache: true, cachedAt: 20, stale: false },
+        { fromCache: true, cachedAt: 10, stale: true },
+        null,
+    ])).toEqual({ fromCache: true, stale: true, cachedAt: 10 });
+});
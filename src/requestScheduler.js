@@ -0,0 +1,269 @@
+/**
+ * File: requestScheduler.js
+ *
+ * Central scheduler for calls to a rate-limited API. It enforces a calls-per-minute and a calls-per-day budget,
+ * queues calls beyond the budget in arrival order, and retries calls the API throttled with exponential backoff.
+ *
+ * Tasks signal throttling by throwing a RateLimitError. Listeners subscribed to the scheduler receive a status
+ * object whenever the queue or throttling state changes, so the UI can say what is going on.
+ *
+ * A call scheduled with an AbortSignal leaves the queue when the signal is aborted, without using any budget. Once
+ * started, the call is the task's to stop, e.g. by handing the signal to fetch().
+ */
+
+
+
+import { AbortError } from './abort';
+
+
+
+
+
+// Constants
+const MINUTE = 60 * 1000;
+
+
+
+
+
+/**
+ * Error thrown when the API refuses a call because a rate limit was hit.
+ */
+export class RateLimitError extends Error {
+    /**
+     * @param {string} message - Description of the limit that was hit.
+     * @param {number} [retryAfter] - Milliseconds to wait before retrying, when known.
+     */
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+
+
+
+
+/**
+ * Creates a request scheduler.
+ * @param {object} [options] - Scheduler options.
+ * @param {number} [options.callsPerMinute=5] - Calls allowed in any 60-second window.
+ * @param {number} [options.callsPerDay=25] - Calls allowed per calendar day.
+ * @param {number} [options.maxRetries=4] - Retries of a throttled call before giving up.
+ * @param {number} [options.baseDelay=15000] - First backoff delay in milliseconds; doubled on every retry.
+ * @param {object} [options.initialUsage] - Calls already made today: { day, count }.
+ * @param {function} [options.onUsageChange] - Called with { day, count } after every call, to persist the usage.
+ * @param {function} [options.now] - Returns the current time in milliseconds; defaults to Date.now.
+ * @returns {object} - The scheduler: schedule(task), subscribe(listener) and getStatus().
+ */
+export function createRequestScheduler(options = {}) {
+    const {
+        callsPerMinute = 5,
+        callsPerDay = 25,
+        maxRetries = 4,
+        baseDelay = 15000,
+        initialUsage,
+        onUsageChange,
+        now = Date.now,
+    } = options;
+
+    const queue = []; // Jobs waiting to run: { task, resolve, reject, attempts, notBefore }
+    const recentCalls = []; // Start times of the calls made in the last minute
+    const listeners = new Set();
+    let usage = initialUsage && initialUsage.day === getDayKey(now()) ? { ...initialUsage } : { day: getDayKey(now()), count: 0 };
+    let timer = null;
+    let status = buildStatus('idle', null);
+
+    /**
+     * Builds the status object handed to listeners.
+     * @param {string} state - 'idle', 'queued' (waiting for budget), 'throttled' (backing off) or 'exhausted'.
+     * @param {number|null} resumeAt - When the next queued call can run, in milliseconds since the epoch.
+     * @returns {object} - The status.
+     */
+    function buildStatus(state, resumeAt) {
+        return { state, resumeAt, queued: queue.length, callsToday: usage.count, callsPerDay, callsPerMinute };
+    }
+
+    /**
+     * Publishes a new status to every listener.
+     * @param {string} state - See buildStatus.
+     * @param {number|null} resumeAt - See buildStatus.
+     */
+    function setStatus(state, resumeAt) {
+        status = buildStatus(state, resumeAt);
+        listeners.forEach((listener) => listener(status));
+    }
+
+    /**
+     * Resets the daily count when the day changes.
+     */
+    function rollDay() {
+        const day = getDayKey(now());
+        if (usage.day !== day) usage = { day, count: 0 };
+    }
+
+    /**
+     * Waits until the queue can make progress again.
+     * @param {number} delay - Milliseconds to wait.
+     */
+    function wake(delay) {
+        clearTimeout(timer);
+        timer = setTimeout(pump, Math.max(delay, 0));
+    }
+
+    /**
+     * Starts as many queued jobs as the budget allows.
+     */
+    function pump() {
+        clearTimeout(timer);
+        timer = null;
+        rollDay();
+
+        while (queue.length > 0) {
+            const job = queue[0];
+            const time = now();
+
+            while (recentCalls.length > 0 && time - recentCalls[0] >= MINUTE) recentCalls.shift();
+
+            if (job.notBefore > time) {
+                setStatus('throttled', job.notBefore);
+                wake(job.notBefore - time);
+                return;
+            }
+
+            if (usage.count >= callsPerDay) {
+                queue.splice(0).forEach((waiting) => waiting.reject(createBudgetError()));
+                setStatus('exhausted', null);
+                return;
+            }
+
+            if (recentCalls.length >= callsPerMinute) {
+                const resumeAt = recentCalls[0] + MINUTE;
+                setStatus('queued', resumeAt);
+                wake(resumeAt - time);
+                return;
+            }
+
+            queue.shift();
+            recentCalls.push(time);
+            usage = { ...usage, count: usage.count + 1 };
+            if (onUsageChange) onUsageChange(usage);
+            run(job);
+        }
+
+        setStatus(usage.count >= callsPerDay ? 'exhausted' : 'idle', null);
+    }
+
+    /**
+     * Runs a job, putting it back at the head of the queue with a backoff delay when it is throttled.
+     * @param {object} job - The job.
+     */
+    function run(job) {
+        Promise.resolve()
+            .then(job.task)
+            .then(job.resolve, function (error) {
+                if (!(error instanceof RateLimitError) || job.attempts >= maxRetries) {
+                    job.reject(error);
+                    return;
+                }
+
+                const delay = error.retryAfter || baseDelay * 2 ** job.attempts;
+                job.attempts += 1;
+                job.notBefore = now() + delay;
+                queue.unshift(job);
+                pump();
+            });
+    }
+
+    /**
+     * Takes a job out of the queue because its call was cancelled. A job already running is left to finish.
+     * @param {object} job - The job.
+     */
+    function cancel(job) {
+        const index = queue.indexOf(job);
+        if (index === -1) return;
+
+        queue.splice(index, 1);
+        job.reject(new AbortError());
+        pump();
+    }
+
+    /**
+     * Creates the error given to calls refused because the daily budget is used up.
+     * @returns {RateLimitError} - The error.
+     */
+    function createBudgetError() {
+        return new RateLimitError(`Daily API budget of ${callsPerDay} calls is used up. Please try again tomorrow.`);
+    }
+
+    return {
+        /**
+         * Queues a call to the API.
+         * @param {function} task - Makes the call; throws a RateLimitError when the API throttles it.
+         * @param {object} [options] - Call options.
+         * @param {AbortSignal} [options.signal] - Takes the call out of the queue when aborted before it started.
+         * @returns {Promise<*>} - Resolves with the task's result once it ran successfully; rejects with an
+         *      AbortError when cancelled while queued.
+         */
+        schedule(task, options = {}) {
+            const { signal } = options;
+            rollDay();
+
+            if (signal && signal.aborted) return Promise.reject(new AbortError());
+            if (usage.count >= callsPerDay) {
+                setStatus('exhausted', null);
+                return Promise.reject(createBudgetError());
+            }
+
+            return new Promise(function (resolve, reject) {
+                const job = { task, resolve, reject, attempts: 0, notBefore: 0 };
+
+                if (signal) {
+                    // Kept until the job settles, as a throttled job goes back into the queue to be retried
+                    const handleAbort = () => cancel(job);
+                    const release = () => signal.removeEventListener('abort', handleAbort);
+
+                    signal.addEventListener('abort', handleAbort, { once: true });
+                    job.resolve = (value) => { release(); resolve(value); };
+                    job.reject = (error) => { release(); reject(error); };
+                }
+
+                queue.push(job);
+                pump();
+            });
+        },
+
+        /**
+         * Registers a listener for status changes.
+         * @param {function} listener - Called with the new status.
+         * @returns {function} - Unsubscribes the listener.
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /**
+         * Gets the current status.
+         * @returns {object} - { state, resumeAt, queued, callsToday, callsPerDay, callsPerMinute }.
+         */
+        getStatus() {
+            return status;
+        },
+    };
+}
+
+
+
+
+
+/**
+ * Identifies the calendar day of a timestamp.
+ * @param {number} time - Milliseconds since the epoch.
+ * @returns {string} - Local date (YYYY-MM-DD).
+ */
+function getDayKey(time) {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
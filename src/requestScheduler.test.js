@@ -0,0 +1,96 @@
+import { createRequestScheduler, RateLimitError } from './requestScheduler';
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2024, 0, 2, 10, 0, 0));
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+test('calls beyond the per-minute budget wait for the window to clear', async () => {
+    const scheduler = createRequestScheduler({ callsPerMinute: 2, callsPerDay: 10 });
+    const started = [];
+    const results = [1, 2, 3].map((n) => scheduler.schedule(async () => { started.push(n); return n; }));
+
+    await Promise.resolve();
+    expect(started).toEqual([1, 2]);
+    expect(scheduler.getStatus()).toMatchObject({ state: 'queued', queued: 1 });
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(await Promise.all(results)).toEqual([1, 2, 3]);
+    expect(scheduler.getStatus()).toMatchObject({ state: 'idle', callsToday: 3 });
+});
+
+test('throttled calls are retried with backoff and other errors are not', async () => {
+    const statuses = [];
+    const scheduler = createRequestScheduler({ baseDelay: 1000 });
+    scheduler.subscribe((status) => statuses.push(status.state));
+    let attempts = 0;
+
+    const result = scheduler.schedule(async () => {
+        attempts += 1;
+        if (attempts < 3) throw new RateLimitError('Thank you for using Alpha Vantage!');
+        return 'data';
+    });
+
+    for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+        await Promise.resolve();
+        jest.advanceTimersByTime(2000);
+    }
+
+    expect(await result).toBe('data');
+    expect(attempts).toBe(3);
+    expect(statuses).toContain('throttled');
+    await expect(scheduler.schedule(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+});
+
+test('the daily budget carries over from the stored usage and rejects calls once used up', async () => {
+    const usages = [];
+    const scheduler = createRequestScheduler({
+        callsPerDay: 3,
+        initialUsage: { day: '2024-01-02', count: 2 },
+        onUsageChange: (usage) => usages.push(usage.count),
+    });
+
+    expect(await scheduler.schedule(async () => 'last')).toBe('last');
+    await expect(scheduler.schedule(async () => 'over')).rejects.toThrow(RateLimitError);
+    expect(usages).toEqual([3]);
+    expect(scheduler.getStatus().state).toBe('exhausted');
+
+    jest.setSystemTime(new Date(2024, 0, 3, 10, 0, 0));
+    expect(await scheduler.schedule(async () => 'tomorrow')).toBe('tomorrow');
+});
+
+test('a call cancelled while queued leaves the queue without using the budget', async () => {
+    const scheduler = createRequestScheduler({ callsPerMinute: 1, callsPerDay: 10 });
+    const controller = new AbortController();
+    const started = [];
+
+    const first = scheduler.schedule(async () => { started.push(1); return 1; });
+    const cancelled = scheduler.schedule(async () => { started.push(2); return 2; }, { signal: controller.signal });
+    const last = scheduler.schedule(async () => { started.push(3); return 3; });
+
+    controller.abort();
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(scheduler.schedule(async () => 4, { signal: controller.signal })).rejects.toThrow('cancelled');
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(await Promise.all([first, last])).toEqual([1, 3]);
+    expect(started).toEqual([1, 3]);
+    expect(scheduler.getStatus()).toMatchObject({ callsToday: 2 });
+});
+
+test('a call stops listening to its signal once it settled', async () => {
+    const scheduler = createRequestScheduler({ callsPerMinute: 5, callsPerDay: 10 });
+    const controller = new AbortController();
+    const removed = jest.spyOn(controller.signal, 'removeEventListener');
+
+    expect(await scheduler.schedule(async () => 'done', { signal: controller.signal })).toBe('done');
+    await expect(scheduler.schedule(async () => { throw new Error('down'); }, { signal: controller.signal }))
+        .rejects.toThrow('down');
+    expect(removed).toHaveBeenCalledTimes(2);
+    expect(removed.mock.calls.every(([type]) => type === 'abort')).toBe(true);
+});
@@ -0,0 +1,206 @@
+/**
+ * File: routes.js
+ *
+ * Client-side routes, so every view has a URL that survives a refresh, works with the browser's back and forward
+ * buttons and can be shared:
+ *
+ *      /                               The watchlist grid
+ *      /stock/:symbol?tf=6M&chart=candle&scale=log
+ *                                      A stock's details; a custom range replaces tf with from, to and interval
+ *      /compare?symbols=AAA,BBB&tf=1Y  The comparison view
+ *      /portfolio[/:view]              The portfolio's performance, or one of PORTFOLIO_VIEWS
+ *
+ *  Route:  { view, symbol, symbols, portfolioView, timeFrame, chartMode } where view is one of ROUTE_VIEWS and
+ *          only the fields of that view are set. timeFrame and chartMode are null when the URL does not set them.
+ *
+ * Paths are relative to where the app is served from. The server must answer every route with index.html, as the
+ * development server does.
+ */
+
+
+
+import { CHART_TYPES, SCALE_MODES } from './chartModes';
+import { MAX_COMPARISON_SYMBOLS } from './comparison';
+import { TIME_FRAMES, createTimeRange, isTimeRange } from './timeRange';
+
+
+
+
+
+// Constants
+export const ROUTE_VIEWS = ['grid', 'stock', 'compare', 'portfolio'];
+export const PORTFOLIO_VIEWS = ['performance', 'allocation', 'dividends', 'earnings']; // The first one is /portfolio
+const CHART_TYPE_PARAMS = { // Chart types as they read in URLs
+    line: 'line',
+    area: 'area',
+    candlestick: 'candle',
+    ohlc: 'ohlc',
+    heikinAshi: 'heikin-ashi',
+};
+const SYMBOL_PATTERN = /^[A-Z0-9.\-^=:]{1,20}$/; // Tickers such as BRK.B, ^GSPC or TSX:RY
+
+
+
+
+
+/**
+ * Reads the route of a URL.
+ * Anything the URL gets wrong is left out rather than failing: an unknown or malformed path is the grid, an unknown
+ * time frame or chart type is null.
+ * @param {string} pathname - Path of the URL, relative to where the app is served from.
+ * @param {string} [search=''] - Query string of the URL, with or without the leading "?".
+ * @returns {object} - The route.
+ */
+export function parseRoute(pathname, search = '') {
+    const params = new URLSearchParams(search);
+    const route = { view: 'grid', symbol: null, symbols: null, portfolioView: null, timeFrame: null, chartMode: null };
+    let segments;
+
+    try {
+        segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        return route; // A malformed escape, such as %E0%A4%A
+    }
+
+    const [section, detail] = segments;
+
+    if (section === 'stock' && isSymbol(detail)) {
+        const symbol = detail.toUpperCase();
+        return { ...route, view: 'stock', symbol, timeFrame: readTimeFrame(params), chartMode: readChartMode(params) };
+    }
+    if (section === 'compare') {
+        const symbols = (params.get('symbols') || '').split(',').filter(isSymbol).map((symbol) => symbol.toUpperCase());
+        const unique = Array.from(new Set(symbols)).slice(0, MAX_COMPARISON_SYMBOLS);
+
+        if (unique.length > 0) return { ...route, view: 'compare', symbols: unique, timeFrame: readTimeFrame(params) };
+    }
+    if (section === 'portfolio' && (!detail || PORTFOLIO_VIEWS.includes(detail))) {
+        return { ...route, view: 'portfolio', portfolioView: detail || PORTFOLIO_VIEWS[0] };
+    }
+
+    return route;
+}
+
+
+
+
+
+/**
+ * Builds the URL of a route.
+ * @param {object} route - The route; fields of other views are ignored.
+ * @returns {string} - Path and query string, relative to where the app is served from.
+ */
+export function buildRoute(route) {
+    switch (route.view) {
+        case 'stock': {
+            const params = writeTimeFrame(route.timeFrame);
+
+            if (route.chartMode) {
+                params.set('chart', CHART_TYPE_PARAMS[route.chartMode.type]);
+                params.set('scale', route.chartMode.scale);
+            }
+            return withQuery(`/stock/${encodeURIComponent(route.symbol)}`, params);
+        }
+        case 'compare': {
+            const params = new URLSearchParams({ symbols: route.symbols.join(',') });
+
+            writeTimeFrame(route.timeFrame).forEach((value, key) => params.set(key, value));
+            return withQuery('/compare', params);
+        }
+        case 'portfolio':
+            return route.portfolioView === PORTFOLIO_VIEWS[0] ? '/portfolio' : `/portfolio/${route.portfolioView}`;
+        default:
+            return '/';
+    }
+}
+
+
+
+
+
+/**
+ * Reads the time frame of a URL: a fixed one from tf, or a custom range from from, to and interval.
+ * @param {URLSearchParams} params - Query parameters.
+ * @returns {string|object|null} - The time frame, or null when none is set or it is invalid.
+ */
+function readTimeFrame(params) {
+    if (params.has('from') || params.has('to')) {
+        try {
+            const interval = params.get('interval') || 'auto';
+            return createTimeRange({ start: params.get('from'), end: params.get('to'), interval });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const timeFrame = (params.get('tf') || '').toUpperCase();
+    return TIME_FRAMES.includes(timeFrame) ? timeFrame : null;
+}
+
+
+
+
+
+/**
+ * Writes a time frame as query parameters.
+ * @param {string|object|null} timeFrame - A fixed time frame, a custom range, or null for none.
+ * @returns {URLSearchParams} - The parameters.
+ */
+function writeTimeFrame(timeFrame) {
+    const params = new URLSearchParams();
+
+    if (isTimeRange(timeFrame)) {
+        params.set('from', timeFrame.start);
+        params.set('to', timeFrame.end);
+        if (timeFrame.interval !== 'auto') params.set('interval', timeFrame.interval);
+    } else if (timeFrame) {
+        params.set('tf', timeFrame);
+    }
+    return params;
+}
+
+
+
+
+
+/**
+ * Reads the chart type and y-axis mode of a URL.
+ * @param {URLSearchParams} params - Query parameters.
+ * @returns {object|null} - The valid settings among { type, scale }, or null when there are none.
+ */
+function readChartMode(params) {
+    const chartMode = {};
+    const type = CHART_TYPES.find((candidate) => CHART_TYPE_PARAMS[candidate] === params.get('chart'));
+
+    if (type) chartMode.type = type;
+    if (SCALE_MODES.includes(params.get('scale'))) chartMode.scale = params.get('scale');
+    return Object.keys(chartMode).length > 0 ? chartMode : null;
+}
+
+
+
+
+
+/**
+ * Tells whether a path segment or parameter can be a ticker.
+ * @param {string} [value] - The value.
+ * @returns {boolean} - Whether it looks like a ticker.
+ */
+function isSymbol(value) {
+    return Boolean(value) && SYMBOL_PATTERN.test(value.toUpperCase());
+}
+
+
+
+
+
+/**
+ * Appends query parameters to a path.
+ * @param {string} path - The path.
+ * @param {URLSearchParams} params - The parameters.
+ * @returns {string} - The path with its query string, if any.
+ */
+function withQuery(path, params) {
+    const query = params.toString();
+    return query ? `${path}?${query}` : path;
+}
@@ -0,0 +1,48 @@
+import { buildRoute, parseRoute } from './routes';
+
+test('parseRoute reads stock routes with their time frame and chart settings', () => {
+    expect(parseRoute('/stock/ibm', '?tf=6m&chart=candle&scale=log')).toMatchObject({
+        view: 'stock',
+        symbol: 'IBM',
+        timeFrame: '6M',
+        chartMode: { type: 'candlestick', scale: 'log' },
+    });
+    expect(parseRoute('/stock/BRK.B', '?from=2024-01-02&to=2024-03-01&interval=weekly').timeFrame).toEqual({
+        start: '2024-01-02', end: '2024-03-01', interval: 'weekly',
+    });
+    expect(parseRoute('/stock/IBM', '?tf=2W&chart=pie')).toMatchObject({ timeFrame: null, chartMode: null });
+    expect(parseRoute('/stock/IBM', '?from=2024-03-02&to=2024-03-01').timeFrame).toBeNull();
+});
+
+test('parseRoute reads comparison and portfolio routes and falls back to the grid', () => {
+    expect(parseRoute('/compare', 'symbols=aaa,BBB,aaa,%3Cx%3E&tf=1Y')).toMatchObject({
+        view: 'compare', symbols: ['AAA', 'BBB'], timeFrame: '1Y',
+    });
+    expect(parseRoute('/portfolio', '').portfolioView).toBe('performance');
+    expect(parseRoute('/portfolio/dividends/', '').portfolioView).toBe('dividends');
+    expect(parseRoute('/portfolio/taxes', '').view).toBe('grid');
+    expect(parseRoute('/compare', '').view).toBe('grid');
+    expect(parseRoute('/', '').view).toBe('grid');
+    expect(parseRoute('/nowhere', '').view).toBe('grid');
+    expect(parseRoute('/stock/%E0%A4%A', 'tf=1Y')).toEqual({
+        view: 'grid', symbol: null, symbols: null, portfolioView: null, timeFrame: null, chartMode: null,
+    });
+});
+
+test('buildRoute writes URLs that parseRoute reads back', () => {
+    const routes = [
+        { view: 'stock', symbol: '^GSPC', timeFrame: '1D', chartMode: { type: 'heikinAshi', scale: 'percent' } },
+        { view: 'stock', symbol: 'IBM', timeFrame: { start: '2024-06-14 10:00', end: '2024-06-14 12:30', interval: 'auto' } },
+        { view: 'compare', symbols: ['IBM', 'SPY'], timeFrame: '5Y' },
+        { view: 'portfolio', portfolioView: 'allocation' },
+    ];
+
+    expect(buildRoute(routes[0])).toBe('/stock/%5EGSPC?tf=1D&chart=heikin-ashi&scale=percent');
+    expect(buildRoute(routes[2])).toBe('/compare?symbols=IBM%2CSPY&tf=5Y');
+    expect(buildRoute({ view: 'portfolio', portfolioView: 'performance' })).toBe('/portfolio');
+    expect(buildRoute({ view: 'grid' })).toBe('/');
+    routes.forEach(function (route) {
+        const [path, search] = buildRoute(route).split('?');
+        expect(parseRoute(path, search)).toMatchObject(route);
+    });
+});
@@ -0,0 +1,218 @@
+/**
+ * File: statements.js
+ *
+ * Pure helpers for financial statements: income statement, balance sheet and cash flow, each reported annually
+ * and quarterly (see the Statement model in marketData.js).
+ *
+ * A statement is shown as a table with one row per line item and one column per fiscal period, newest first.
+ * Every value is paired with its year-over-year growth: against the previous year for annual reports, and against
+ * the same quarter a year earlier for quarterly reports.
+ */
+
+
+
+
+
+// Constants
+export const STATEMENT_TYPES = ['income', 'balance', 'cashflow'];
+export const STATEMENT_LABELS = { income: 'Income Statement', balance: 'Balance Sheet', cashflow: 'Cash Flow' };
+export const STATEMENT_PERIODS = ['annual', 'quarterly'];
+export const MAX_STATEMENT_PERIODS = { annual: 5, quarterly: 8 }; // Columns shown per table
+const ACRONYMS = ['EBIT', 'EBITDA', 'EPS']; // Kept in capitals when naming line items
+
+
+
+
+
+/**
+ * Turns a line item key into a label, e.g. "totalRevenue" into "Total Revenue".
+ * @param {string} key - Line item key, in camel case.
+ * @returns {string} - The label.
+ */
+export function formatLineItem(key) {
+    return key
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .split(' ')
+        .map((word) => (ACRONYMS.includes(word.toUpperCase()) ? word.toUpperCase() : word.charAt(0).toUpperCase() + word.slice(1)))
+        .join(' ');
+}
+
+
+
+
+
+/**
+ * Computes the year-over-year growth of a value.
+ * @param {number|null} value - The value.
+ * @param {number|null} previous - The value a year earlier.
+ * @returns {number|null} - Growth in percent, or null when either value is missing or the earlier one is zero.
+ */
+export function yearOverYear(value, previous) {
+    if (value === null || value === undefined || previous === null || previous === undefined || previous === 0) return null;
+
+    return ((value - previous) / Math.abs(previous)) * 100;
+}
+
+
+
+
+
+/**
+ * Builds the table of a statement.
+ * @param {Array<object>} reports - Reports { fiscalDateEnding, currency, items }, newest first.
+ * @param {number} [maxPeriods=Infinity] - Number of periods to show; older reports are only used for growth.
+ * @returns {object} - { periods, rows } where periods lists the fiscal dates shown and each row is
+ *      { item, label, values, growth, history }: values and growth are aligned with periods, history holds every
+ *      reported value oldest first for the sparkline.
+ */
+export function buildStatementTable(reports, maxPeriods = Infinity) {
+    const shown = reports.slice(0, maxPeriods);
+    const items = [];
+
+    reports.forEach(function (report) {
+        Object.keys(report.items).forEach((item) => { if (!items.includes(item)) items.push(item); });
+    });
+
+    // Report a year before each shown period, matched on the fiscal date so missing quarters do not shift it
+    const previousReports = shown.map(function (report) {
+        const target = new Date(report.fiscalDateEnding);
+        target.setFullYear(target.getFullYear() - 1);
+
+        return reports.find((candidate) => Math.abs(new Date(candidate.fiscalDateEnding) - target) < 20 * 24 * 60 * 60 * 1000);
+    });
+
+    const rows = items.map(function (item) {
+        const values = shown.map((report) => valueOf(report, item));
+
+        return {
+            item,
+            label: formatLineItem(item),
+            values,
+            growth: values.map((value, index) => yearOverYear(value, valueOf(previousReports[index], item))),
+            history: reports.map((report) => valueOf(report, item)).reverse(),
+        };
+    });
+
+    return { periods: shown.map((report) => report.fiscalDateEnding), rows };
+}
+
+
+
+
+
+/**
+ * Sorts the rows of a statement table.
+ * Rows without a value in the sorted column always come last.
+ * @param {Array<object>} rows - Table rows (see buildStatementTable).
+ * @param {object|null} sort - { column ('label', 'value' or 'growth'), index (period index), direction ('asc' or 'desc') }.
+ * @returns {Array<object>} - A sorted copy; the statement's own order when no sort is given.
+ */
+export function sortStatementRows(rows, sort) {
+    if (!sort) return rows.slice();
+
+    const sign = sort.direction === 'desc' ? -1 : 1;
+    const key = (row) => (sort.column === 'label' ? row.label : row[sort.column === 'growth' ? 'growth' : 'values'][sort.index]);
+
+    return rows.slice().sort(function (a, b) {
+        const first = key(a);
+        const second = key(b);
+
+        if (first === null || first === undefined) return second === null || second === undefined ? 0 : 1;
+        if (second === null || second === undefined) return -1;
+        return sign * (typeof first === 'string' ? first.localeCompare(second) : first - second);
+    });
+}
+
+
+
+
+
+/**
+ * Computes the points of a sparkline.
+ * @param {Array<number|null>} values - Values, oldest first; missing values are skipped, joining their neighbours.
+ * @param {number} width - Width of the sparkline.
+ * @param {number} height - Height of the sparkline.
+ * @returns {string} - Points "x,y x,y ..." for an SVG polyline, empty when fewer than two values are known.
+ */
+export function sparklinePoints(values, width, height) {
+    const known = values.map((value, index) => ({ value, index })).filter((point) => point.value !== null);
+
+    if (known.length < 2) return '';
+
+    const min = Math.min(...known.map((point) => point.value));
+    const max = Math.max(...known.map((point) => point.value));
+    const range = max - min || 1;
+    const step = width / (values.length - 1);
+
+    return known
+        .map((point) => `${round(point.index * step)},${round(height - ((point.value - min) / range) * height)}`)
+        .join(' ');
+}
+
+
+
+
+
+/**
+ * Flattens statements into one record per reported value, e.g. for exporting them.
+ * @param {string} symbol - Stock symbol.
+ * @param {object} statements - Statements keyed by type: { income, balance, cashflow } (see marketData.js).
+ * @returns {Array<object>} - Records { symbol, statement, period, fiscalDateEnding, currency, item, value }.
+ */
+export function flattenStatements(symbol, statements) {
+    const records = [];
+
+    STATEMENT_TYPES.forEach(function (type) {
+        const statement = statements && statements[type];
+        if (!statement) return;
+
+        STATEMENT_PERIODS.forEach(function (period) {
+            (statement[period] || []).forEach(function (report) {
+                Object.keys(report.items).forEach(function (item) {
+                    records.push({
+                        symbol,
+                        statement: type,
+                        period,
+                        fiscalDateEnding: report.fiscalDateEnding,
+                        currency: report.currency,
+                        item,
+                        value: report.items[item],
+                    });
+                });
+            });
+        });
+    });
+
+    return records;
+}
+
+
+
+
+
+/**
+ * Reads a line item from a report.
+ * @param {object} [report] - The report.
+ * @param {string} item - Line item key.
+ * @returns {number|null} - The value, or null when the report or the item is missing.
+ */
+function valueOf(report, item) {
+    if (!report) return null;
+
+    const value = report.items[item];
+    return typeof value === 'number' ? value : null;
+}
+
+
+
+
+
+/**
+ * Rounds a coordinate to two decimals.
+ * @param {number} value - The coordinate.
+ * @returns {number} - The rounded coordinate.
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,66 @@
+import { buildStatementTable, flattenStatements, formatLineItem, sortStatementRows, sparklinePoints } from './statements';
+
+const report = (fiscalDateEnding, items) => ({ fiscalDateEnding, currency: 'USD', items });
+
+const annual = [
+    report('2025-12-31', { totalRevenue: 150, netIncome: 15 }),
+    report('2024-12-31', { totalRevenue: 120, netIncome: null }),
+    report('2023-12-31', { totalRevenue: 100, netIncome: 10 }),
+];
+
+test('formatLineItem turns keys into labels and keeps acronyms', () => {
+    expect(formatLineItem('totalRevenue')).toBe('Total Revenue');
+    expect(formatLineItem('ebitda')).toBe('EBITDA');
+    expect(formatLineItem('dividendPayoutCommonStock')).toBe('Dividend Payout Common Stock');
+});
+
+test('buildStatementTable pairs each value with its year-over-year growth', () => {
+    const table = buildStatementTable(annual, 2);
+
+    expect(table.periods).toEqual(['2025-12-31', '2024-12-31']);
+    expect(table.rows[0]).toEqual({
+        item: 'totalRevenue',
+        label: 'Total Revenue',
+        values: [150, 120],
+        growth: [25, 20],
+        history: [100, 120, 150],
+    });
+    expect(table.rows[1].growth).toEqual([null, null]);
+});
+
+test('buildStatementTable compares quarters with the same quarter a year earlier', () => {
+    const quarterly = [
+        report('2025-06-30', { totalRevenue: 44 }),
+        report('2025-03-31', { totalRevenue: 30 }),
+        report('2024-12-31', { totalRevenue: 35 }),
+        report('2024-06-30', { totalRevenue: 40 }),
+    ];
+    const table = buildStatementTable(quarterly, 3);
+
+    expect(table.rows[0].growth[0]).toBeCloseTo(10, 10);
+    expect(table.rows[0].growth.slice(1)).toEqual([null, null]); // Quarters a year earlier are missing
+});
+
+test('sortStatementRows orders by a column and keeps missing values last', () => {
+    const rows = buildStatementTable(annual).rows;
+
+    expect(sortStatementRows(rows, { column: 'value', index: 1, direction: 'desc' }).map((row) => row.item)).toEqual(['totalRevenue', 'netIncome']);
+    expect(sortStatementRows(rows, { column: 'value', index: 1, direction: 'asc' }).map((row) => row.item)).toEqual(['totalRevenue', 'netIncome']);
+    expect(sortStatementRows(rows, { column: 'label', direction: 'asc' }).map((row) => row.item)).toEqual(['netIncome', 'totalRevenue']);
+    expect(sortStatementRows(rows, null)).toEqual(rows);
+});
+
+test('sparklinePoints scales the known values to the box', () => {
+    expect(sparklinePoints([0, null, 10], 100, 20)).toBe('0,20 100,0');
+    expect(sparklinePoints([5, 5], 10, 10)).toBe('0,10 10,10');
+    expect(sparklinePoints([5, null], 10, 10)).toBe('');
+});
+
+test('flattenStatements lists every reported value', () => {
+    const records = flattenStatements('AAA', { income: { annual: annual.slice(0, 1), quarterly: [] } });
+
+    expect(records).toEqual([
+        { symbol: 'AAA', statement: 'income', period: 'annual', fiscalDateEnding: '2025-12-31', currency: 'USD', item: 'totalRevenue', value: 150 },
+        { symbol: 'AAA', statement: 'income', period: 'annual', fiscalDateEnding: '2025-12-31', currency: 'USD', item: 'netIncome', value: 15 },
+    ]);
+});
@@ -0,0 +1,347 @@
+/**
+ * File: storage.js
+ *
+ * Layout of the user's data in localStorage, with the schema version it follows and the migrations that bring
+ * data saved by earlier versions of the app up to date.
+ *
+ * Only the user's own data is kept here: watchlists (symbols and names), transactions, alerts and settings.
+ * Market data, such as fetched bars and the last snapshot of every stock, lives in IndexedDB (see requestCache.js),
+ * which has room for it and may be cleared without losing anything the user entered.
+ *
+ * Lists the user builds up are saved as collections: an index of ids under the collection's key, and every entry
+ * under a key of its own. An entry that cannot be read is skipped instead of taking the whole collection with it,
+ * and whatever cannot be parsed is set aside under CORRUPT_KEY_PREFIX rather than overwritten.
+ *
+ * Schema versions:
+ *  -   0: No version stored. Either the fixed 10-slot grid with buy lots, or watchlists and transaction journals
+ *         saved as single blobs with every stock's full fetched data.
+ *  -   1: Watchlists and transaction journals saved as single blobs.
+ *  -   2: Watchlists and transaction journals saved as collections, stocks reduced to their symbol and name.
+ */
+
+
+
+import { isTransaction, migrateLotsToLedger } from './ledger';
+import { hasQuote, isWatchlist, migrateStocksToWatchlists, toStoredWatchlists } from './watchlists';
+
+
+
+
+
+// Constants
+export const SCHEMA_VERSION = 2;
+export const STORAGE_KEYS = {
+    schemaVersion: 'stockTracker_schemaVersion',
+    watchlists: 'stockTracker_watchlists', // Collection of watchlists
+    activeWatchlist: 'stockTracker_activeWatchlist', // Id of the open watchlist, as plain text
+    alertRules: 'stockTracker_alertRules',
+    alertHistory: 'stockTracker_alertHistory',
+    indicators: 'stockTracker_indicators',
+    chartMode: 'stockTracker_chartMode',
+    concentrationLimits: 'stockTracker_concentrationLimits',
+    ledger: 'stockTracker_ledger', // Collection of transaction journals keyed by stock symbol
+    matchingMethod: 'stockTracker_matchingMethod', // Plain text
+    apiUsage: 'stockTracker_apiUsage',
+    refreshInterval: 'stockTracker_refreshInterval',
+    stocks: 'stockTracker_stocks', // Version 0: stocks of the fixed grid
+    holdings: 'stockTracker_holdings', // Version 0: buy lots keyed by stock symbol
+};
+export const CORRUPT_KEY_PREFIX = 'stockTracker_corrupt:'; // Unreadable values are kept under this prefix
+
+// Forward migrations, each bringing data of the previous version to its own
+const MIGRATIONS = [
+    { version: 1, migrate: migrateLegacyGrid },
+    { version: 2, migrate: splitUserData },
+];
+
+
+
+
+
+/**
+ * Brings the stored data up to the current schema version.
+ * Migrations run in order and the version is recorded after each one, so a failed migration is retried on the
+ * next start. Data saved by a newer version of the app is left untouched.
+ * @param {Storage} storage - The storage holding the data, usually localStorage.
+ * @returns {object} - { from, to, snapshots }: the versions before and after, and the stock snapshots taken out of
+ *      the user's data, for the market-data store.
+ */
+export function migrateStorage(storage) {
+    const from = Number(storage.getItem(STORAGE_KEYS.schemaVersion)) || 0;
+    const result = { from, to: from, snapshots: [] };
+
+    if (from > SCHEMA_VERSION) {
+        console.warn(`Stored data has schema version ${from}, newer than ${SCHEMA_VERSION}; reading it as is.`);
+        return result;
+    }
+
+    for (const migration of MIGRATIONS.filter((candidate) => candidate.version > from)) {
+        try {
+            migration.migrate(storage, result);
+            storage.setItem(STORAGE_KEYS.schemaVersion, String(migration.version));
+        } catch (error) {
+            console.error(`Failed to migrate stored data to version ${migration.version}:`, error);
+            break;
+        }
+        result.to = migration.version;
+    }
+
+    return result;
+}
+
+
+
+
+
+/**
+ * Reads a value stored as JSON.
+ * @param {Storage} storage - The storage.
+ * @param {string} key - The key.
+ * @param {*} [fallback=null] - Returned when nothing is stored or the value cannot be parsed.
+ * @returns {*} - The stored value, or the fallback.
+ */
+export function readValue(storage, key, fallback = null) {
+    const text = storage.getItem(key);
+
+    if (text === null) return fallback;
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        console.error(`Failed to parse ${key}; keeping it under ${CORRUPT_KEY_PREFIX}${key}:`, error);
+        setAside(storage, key, text);
+        return fallback;
+    }
+}
+
+
+
+
+
+/**
+ * Stores a value as JSON.
+ * @param {Storage} storage - The storage.
+ * @param {string} key - The key.
+ * @param {*} value - The value.
+ * @returns {boolean} - Whether it was saved; false when the storage is full or unavailable.
+ */
+export function writeValue(storage, key, value) {
+    try {
+        storage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.error(`Failed to save ${key}:`, error);
+        return false;
+    }
+}
+
+
+
+
+
+/**
+ * Reads a list stored as JSON, keeping only its valid items.
+ * @param {Storage} storage - The storage.
+ * @param {string} key - The key.
+ * @param {function} isValid - Tells whether an item can be used.
+ * @returns {Array<*>} - The valid items; empty when nothing is stored or the list cannot be parsed.
+ */
+export function readList(storage, key, isValid) {
+    const list = readValue(storage, key, []);
+
+    if (!Array.isArray(list)) return [];
+    return keepValid(list, isValid, key);
+}
+
+
+
+
+
+/**
+ * Reads a collection: an index of ids with every entry stored under a key of its own.
+ * When the index itself cannot be read, the entries are found by their keys instead, in no particular order. A
+ * single blob still stored under the key, as left by a migration to version 2 that could not finish, is read as is.
+ * @param {Storage} storage - The storage.
+ * @param {string} key - Key of the index.
+ * @param {function} isValid - Tells whether an entry can be used.
+ * @returns {Array<Array>} - Pairs [id, value] in index order; entries that are missing or invalid are skipped.
+ */
+export function readCollection(storage, key, isValid) {
+    let ids = readValue(storage, key);
+
+    if (isBlob(ids)) {
+        const entries = Array.isArray(ids) ? ids.map((item) => [item && item.id, item]) : Object.entries(ids);
+        return keepValid(entries, (entry) => entry[1] !== null && isValid(entry[1]), key);
+    }
+    if (!Array.isArray(ids)) ids = findEntryIds(storage, key);
+
+    const entries = ids.map((id) => [id, readValue(storage, `${key}:${id}`)]);
+    return keepValid(entries, (entry) => entry[1] !== null && isValid(entry[1]), key);
+}
+
+
+
+
+
+/**
+ * Writes a collection, removing the entries no longer in it.
+ * The entries are written before the index, so the index never lists an entry that was not saved, and a value
+ * stored under the index key in an earlier layout is only replaced once every entry is saved.
+ * @param {Storage} storage - The storage.
+ * @param {string} key - Key of the index.
+ * @param {Array<Array>} entries - Pairs [id, value] in the order to keep.
+ * @returns {boolean} - Whether everything was saved; when an entry fails, the index is left as it was.
+ */
+export function writeCollection(storage, key, entries) {
+    const previous = readValue(storage, key, []);
+    const ids = entries.map((entry) => String(entry[0]));
+
+    if (!entries.every(([id, value]) => writeValue(storage, `${key}:${id}`, value))) return false;
+    if (!writeValue(storage, key, ids)) return false;
+
+    if (Array.isArray(previous)) {
+        previous
+            .filter((id) => typeof id === 'string' && !ids.includes(id))
+            .forEach((id) => storage.removeItem(`${key}:${id}`));
+    }
+    return true;
+}
+
+
+
+
+
+/**
+ * Version 1: moves the stocks of the fixed grid into a default watchlist and the buy lots into transactions.
+ * @param {Storage} storage - The storage.
+ */
+function migrateLegacyGrid(storage) {
+    if (storage.getItem(STORAGE_KEYS.stocks) !== null) {
+        if (storage.getItem(STORAGE_KEYS.watchlists) === null) {
+            const stocks = readValue(storage, STORAGE_KEYS.stocks, []);
+            storage.setItem(STORAGE_KEYS.watchlists, JSON.stringify(migrateStocksToWatchlists(stocks)));
+        }
+        storage.removeItem(STORAGE_KEYS.stocks);
+    }
+
+    if (storage.getItem(STORAGE_KEYS.holdings) !== null) {
+        if (storage.getItem(STORAGE_KEYS.ledger) === null) {
+            const holdings = readValue(storage, STORAGE_KEYS.holdings, {});
+            storage.setItem(STORAGE_KEYS.ledger, JSON.stringify(migrateLotsToLedger(holdings)));
+        }
+        storage.removeItem(STORAGE_KEYS.holdings);
+    }
+}
+
+
+
+
+
+/**
+ * Version 2: turns the watchlist and transaction blobs into collections. The fetched data stored with every stock
+ * is handed back as snapshots for the market-data store, and only the symbol and name stay with the user's data.
+ * The watchlist blob is reduced to the symbols and names in place first, which frees room for the collection when
+ * the storage is full. A key already holding a collection, saved while an earlier attempt had failed, is kept.
+ * @param {Storage} storage - The storage.
+ * @param {object} result - Migration result; the snapshots taken out are added to result.snapshots.
+ */
+function splitUserData(storage, result) {
+    const watchlists = readValue(storage, STORAGE_KEYS.watchlists);
+    const ledger = readValue(storage, STORAGE_KEYS.ledger);
+
+    if (isBlob(watchlists)) {
+        const valid = keepValid(watchlists, isWatchlist, STORAGE_KEYS.watchlists);
+        const storedWatchlists = toStoredWatchlists(valid);
+
+        valid.forEach(function (list) {
+            list.stocks.forEach((stock) => { if (stock && hasQuote(stock)) result.snapshots.push(stock); });
+        });
+        storage.setItem(STORAGE_KEYS.watchlists, JSON.stringify(storedWatchlists));
+
+        if (!writeCollection(storage, STORAGE_KEYS.watchlists, storedWatchlists.map((list) => [list.id, list]))) {
+            throw new Error('Could not save the watchlists.');
+        }
+    }
+
+    if (isBlob(ledger)) {
+        const entries = Object.keys(ledger)
+            .filter((symbol) => Array.isArray(ledger[symbol]))
+            .map((symbol) => [symbol, keepValid(ledger[symbol], isTransaction, `${STORAGE_KEYS.ledger}:${symbol}`)]);
+
+        if (!writeCollection(storage, STORAGE_KEYS.ledger, entries)) {
+            throw new Error('Could not save the transactions.');
+        }
+    }
+}
+
+
+
+
+
+/**
+ * Tells whether a value read from a collection's key is a single blob of schema version 1 rather than an index.
+ * @param {*} value - The value read.
+ * @returns {boolean} - True for a list of objects, such as the watchlists, or an object, such as the journals.
+ */
+function isBlob(value) {
+    if (Array.isArray(value)) return value.some((item) => typeof item !== 'string');
+    return Boolean(value) && typeof value === 'object';
+}
+
+
+
+
+
+/**
+ * Finds the ids of a collection's entries by their keys.
+ * @param {Storage} storage - The storage.
+ * @param {string} key - Key of the index.
+ * @returns {Array<string>} - Ids of the entries found.
+ */
+function findEntryIds(storage, key) {
+    const ids = [];
+
+    for (let index = 0; index < storage.length; index++) {
+        const entryKey = storage.key(index);
+        if (entryKey.startsWith(`${key}:`)) ids.push(entryKey.slice(key.length + 1));
+    }
+    return ids;
+}
+
+
+
+
+
+/**
+ * Keeps the valid items of a list, logging how many were dropped.
+ * @param {Array<*>} items - The items.
+ * @param {function} isValid - Tells whether an item can be used.
+ * @param {string} key - Key the items were read from, for the log.
+ * @returns {Array<*>} - The valid items.
+ */
+function keepValid(items, isValid, key) {
+    const valid = items.filter((item) => item !== null && item !== undefined && isValid(item));
+
+    if (valid.length < items.length) {
+        console.warn(`Skipped ${items.length - valid.length} unreadable entries of ${key}.`);
+    }
+    return valid;
+}
+
+
+
+
+
+/**
+ * Keeps the text of a value that cannot be parsed, so it is not lost when the key is written next.
+ * @param {Storage} storage - The storage.
+ * @param {string} key - The key.
+ * @param {string} text - The stored text.
+ */
+function setAside(storage, key, text) {
+    try {
+        storage.setItem(`${CORRUPT_KEY_PREFIX}${key}`, text);
+    } catch (error) {
+        console.error(`Failed to set aside ${key}:`, error);
+    }
+}
@@ -0,0 +1,125 @@
+import {
+    CORRUPT_KEY_PREFIX,
+    SCHEMA_VERSION,
+    STORAGE_KEYS,
+    migrateStorage,
+    readCollection,
+    readValue,
+    writeCollection,
+} from './storage';
+
+const buy = { id: 'b1', type: 'buy', date: '2024-01-02', shares: 1, price: 2, fees: 0 };
+
+/**
+ * In-memory Storage; keys listed in failOn throw on write, as a full localStorage does.
+ */
+function createStorage(items = {}, failOn = []) {
+    const data = new Map(Object.entries(items));
+
+    return {
+        data,
+        get length() { return data.size; },
+        key: (index) => Array.from(data.keys())[index] ?? null,
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem(key, value) {
+            if (failOn.includes(key)) throw new Error('QuotaExceededError');
+            data.set(key, String(value));
+        },
+        removeItem: (key) => data.delete(key),
+    };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('migrateStorage moves the fixed grid and buy lots into collections of bare watchlists and transactions', () => {
+    const storage = createStorage({
+        [STORAGE_KEYS.stocks]: JSON.stringify([{ symbol: 'AAA', name: 'Aaa', price: 10 }, null]),
+        [STORAGE_KEYS.holdings]: JSON.stringify({ AAA: [{ id: 'b1', shares: 1, price: 2, date: '2024-01-02' }] }),
+    });
+
+    const result = migrateStorage(storage);
+    const [[id, list]] = readCollection(storage, STORAGE_KEYS.watchlists, () => true);
+
+    expect(result).toMatchObject({ from: 0, to: SCHEMA_VERSION });
+    expect(result.snapshots).toEqual([{ symbol: 'AAA', name: 'Aaa', price: 10 }]);
+    expect(list).toEqual({ id, name: 'My Stocks', stocks: [{ symbol: 'AAA', name: 'Aaa' }] });
+    expect(readCollection(storage, STORAGE_KEYS.ledger, Array.isArray)).toEqual([['AAA', [buy]]]);
+    expect(storage.getItem(STORAGE_KEYS.stocks)).toBeNull();
+    expect(storage.getItem(STORAGE_KEYS.schemaVersion)).toBe(String(SCHEMA_VERSION));
+    expect(migrateStorage(storage)).toEqual({ from: SCHEMA_VERSION, to: SCHEMA_VERSION, snapshots: [] });
+});
+
+test('migrateStorage splits the blobs and drops the entries it cannot read', () => {
+    const storage = createStorage({
+        [STORAGE_KEYS.watchlists]: JSON.stringify([{ id: 'w1', name: 'Tech', stocks: [{ symbol: 'AAA' }] }, { id: 'x' }]),
+        [STORAGE_KEYS.ledger]: JSON.stringify({ AAA: [buy, { id: 'b2', type: 'buy' }] }),
+    });
+
+    expect(migrateStorage(storage).snapshots).toEqual([]);
+    expect(readCollection(storage, STORAGE_KEYS.watchlists, () => true).map((entry) => entry[0])).toEqual(['w1']);
+    expect(readValue(storage, `${STORAGE_KEYS.ledger}:AAA`)).toEqual([buy]);
+});
+
+test('a failed migration keeps the old data and is retried, and newer data is left alone', () => {
+    const blob = JSON.stringify({ AAA: [buy] });
+    const storage = createStorage({ [STORAGE_KEYS.ledger]: blob }, [`${STORAGE_KEYS.ledger}:AAA`]);
+
+    expect(migrateStorage(storage)).toMatchObject({ from: 0, to: 1 });
+    expect(storage.getItem(STORAGE_KEYS.ledger)).toBe(blob);
+    expect(storage.getItem(STORAGE_KEYS.schemaVersion)).toBe('1');
+
+    const newer = createStorage({ [STORAGE_KEYS.schemaVersion]: '99', [STORAGE_KEYS.ledger]: blob });
+    expect(migrateStorage(newer)).toMatchObject({ from: 99, to: 99 });
+    expect(newer.getItem(STORAGE_KEYS.ledger)).toBe(blob);
+});
+
+test('data left in blobs by a migration that ran out of room is still read, and saved collections are kept', () => {
+    const watchlists = [{ id: 'w1', name: 'Tech', stocks: [{ symbol: 'AAA', name: 'Aaa', price: 10 }] }];
+    const failOn = [`${STORAGE_KEYS.watchlists}:w1`, `${STORAGE_KEYS.ledger}:AAA`];
+    const storage = createStorage({
+        [STORAGE_KEYS.schemaVersion]: '1',
+        [STORAGE_KEYS.watchlists]: JSON.stringify(watchlists),
+        [STORAGE_KEYS.ledger]: JSON.stringify({ AAA: [buy] }),
+    }, failOn);
+
+    expect(migrateStorage(storage)).toMatchObject({ from: 1, to: 1 });
+    expect(readValue(storage, STORAGE_KEYS.watchlists)).toEqual([
+        { id: 'w1', name: 'Tech', stocks: [{ symbol: 'AAA', name: 'Aaa' }] },
+    ]);
+    expect(readCollection(storage, STORAGE_KEYS.watchlists, () => true).map((entry) => entry[0])).toEqual(['w1']);
+    expect(readCollection(storage, STORAGE_KEYS.ledger, Array.isArray)).toEqual([['AAA', [buy]]]);
+
+    failOn.length = 0;
+    writeCollection(storage, STORAGE_KEYS.ledger, [['AAA', [buy]]]);
+    expect(migrateStorage(storage)).toMatchObject({ from: 1, to: SCHEMA_VERSION });
+    expect(readCollection(storage, STORAGE_KEYS.ledger, Array.isArray)).toEqual([['AAA', [buy]]]);
+    expect(readCollection(storage, STORAGE_KEYS.watchlists, () => true).map((entry) => entry[0])).toEqual(['w1']);
+});
+
+test('readCollection skips corrupt entries, sets them aside and finds entries when the index is lost', () => {
+    const storage = createStorage();
+    writeCollection(storage, STORAGE_KEYS.ledger, [['AAA', [buy]], ['BBB', [buy]]]);
+    storage.setItem(`${STORAGE_KEYS.ledger}:BBB`, '[{"id":');
+
+    expect(readCollection(storage, STORAGE_KEYS.ledger, Array.isArray)).toEqual([['AAA', [buy]]]);
+    expect(storage.getItem(`${CORRUPT_KEY_PREFIX}${STORAGE_KEYS.ledger}:BBB`)).toBe('[{"id":');
+
+    storage.setItem(STORAGE_KEYS.ledger, 'not json');
+    expect(readCollection(storage, STORAGE_KEYS.ledger, Array.isArray)).toEqual([['AAA', [buy]]]);
+});
+
+test('writeCollection removes dropped entries and leaves the index alone when an entry fails', () => {
+    const storage = createStorage({}, [`${STORAGE_KEYS.ledger}:CCC`]);
+    writeCollection(storage, STORAGE_KEYS.ledger, [['AAA', [buy]], ['BBB', [buy]]]);
+
+    expect(writeCollection(storage, STORAGE_KEYS.ledger, [['AAA', [buy]]])).toBe(true);
+    expect(storage.getItem(`${STORAGE_KEYS.ledger}:BBB`)).toBeNull();
+
+    expect(writeCollection(storage, STORAGE_KEYS.ledger, [['CCC', [buy]]])).toBe(false);
+    expect(readValue(storage, STORAGE_KEYS.ledger)).toEqual(['AAA']);
+});
@@ -0,0 +1,93 @@
+/**
+ * File: store.js
+ *
+ * A small application store. The whole state is one object that only a reducer changes, in response to actions.
+ *
+ *  Action: { type, ...payload }, handed to the reducer, which returns the next state without changing the last one.
+ *  Thunk:  function (dispatch, getState, services) dispatched in place of an action, for work that takes more than
+ *          one step, such as loading data. services holds what it needs from outside, such as the data provider,
+ *          so the thunk can be tested with fakes.
+ *
+ * Selectors read values from the state. Those made with createSelector remember their last result, so derived
+ * lists and objects keep their identity until their inputs change.
+ */
+
+
+
+
+
+/**
+ * Creates a store.
+ * @param {function} reducer - Returns the next state: (state, action) => state.
+ * @param {object} initialState - The state to start with.
+ * @param {object} [services={}] - Handed to every thunk as its third argument.
+ * @returns {object} - The store: getState(), dispatch(actionOrThunk) and subscribe(listener).
+ */
+export function createStore(reducer, initialState, services = {}) {
+    const listeners = new Set();
+    let state = initialState;
+
+    /**
+     * Reads the current state.
+     * @returns {object} - The state.
+     */
+    function getState() {
+        return state;
+    }
+
+    /**
+     * Runs an action through the reducer, or runs a thunk.
+     * Listeners are only called when the reducer returned a new state.
+     * @param {object|function} action - The action, or a thunk.
+     * @returns {*} - The action, or whatever the thunk returns.
+     */
+    function dispatch(action) {
+        if (typeof action === 'function') return action(dispatch, getState, services);
+
+        const nextState = reducer(state, action);
+
+        if (nextState !== state) {
+            state = nextState;
+            listeners.forEach((listener) => listener(state));
+        }
+        return action;
+    }
+
+    /**
+     * Calls a listener after every change of the state.
+     * @param {function} listener - Called with the new state.
+     * @returns {function} - Stops calling the listener.
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    return { getState, dispatch, subscribe };
+}
+
+
+
+
+
+/**
+ * Creates a selector that remembers its last result.
+ * The result is computed again only when one of the input selectors returns something else than last time.
+ * @param {Array<function>} inputs - Selectors reading the values the result depends on.
+ * @param {function} combine - Computes the result from the values of the inputs, in order.
+ * @returns {function} - The selector: (state) => result.
+ */
+export function createSelector(inputs, combine) {
+    let lastValues = null;
+    let lastResult;
+
+    return function (state) {
+        const values = inputs.map((input) => input(state));
+
+        if (!lastValues || values.some((value, index) => value !== lastValues[index])) {
+            lastResult = combine(...values);
+            lastValues = values;
+        }
+        return lastResult;
+    };
+}
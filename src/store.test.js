@@ -0,0 +1,32 @@
+import { createSelector, createStore } from './store';
+
+test('createStore runs actions through the reducer and thunks with the services', () => {
+    const reducer = (state, action) => (action.type === 'add' ? { count: state.count + action.amount } : state);
+    const store = createStore(reducer, { count: 0 }, { step: 5 });
+    const seen = [];
+    const unsubscribe = store.subscribe((state) => seen.push(state.count));
+
+    store.dispatch({ type: 'add', amount: 2 });
+    store.dispatch({ type: 'unknown' });
+    const result = store.dispatch((dispatch, getState, services) => {
+        dispatch({ type: 'add', amount: services.step });
+        return getState().count;
+    });
+    unsubscribe();
+    store.dispatch({ type: 'add', amount: 1 });
+
+    expect(result).toBe(7);
+    expect(seen).toEqual([2, 7]);
+    expect(store.getState()).toEqual({ count: 8 });
+});
+
+test('createSelector recomputes only when an input changes', () => {
+    const combine = jest.fn((items, factor) => items.map((item) => item * factor));
+    const select = createSelector([(state) => state.items, (state) => state.factor], combine);
+    const items = [1, 2];
+
+    const first = select({ items, factor: 2, other: 1 });
+    expect(select({ items, factor: 2, other: 2 })).toBe(first);
+    expect(select({ items, factor: 3 })).toEqual([3, 6]);
+    expect(combine).toHaveBeenCalledTimes(2);
+});
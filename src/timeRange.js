@@ -0,0 +1,216 @@
+/**
+ * File: timeRange.js
+ *
+ * Custom chart ranges, picked with the date-range fields or by dragging across the chart.
+ *
+ *  Range:  { start, end, interval } where start and end are "YYYY-MM-DD", or "YYYY-MM-DD HH:mm" when zoomed into
+ *          an intraday chart, and both ends are included. interval is one of RESOLUTIONS (see marketData.js), or
+ *          'auto' to let the span decide.
+ *
+ * With 'auto', short spans get intraday bars and longer ones daily, weekly or monthly bars, about as many as the
+ * fixed time frames show. Intraday bars only go back about a month, so older ranges fall back to daily bars.
+ */
+
+
+
+import { RESOLUTIONS } from './marketData';
+
+
+
+
+
+// Constants
+export const TIME_FRAMES = ['1D', '5D', '1M', '6M', 'YTD', '1Y', '5Y', 'ALL']; // Fixed time frames of the stock chart
+export const INTERVAL_LABELS = {
+    auto: 'Auto',
+    '1min': '1 min',
+    '5min': '5 min',
+    '15min': '15 min',
+    '30min': '30 min',
+    '60min': '1 hour',
+    daily: 'Daily',
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+};
+export const INTRADAY_HISTORY_DAYS = 30; // How far back intraday bars are available
+const AUTO_INTERVALS = [
+    { maxDays: 2, interval: '15min' },
+    { maxDays: 10, interval: '60min' },
+    { maxDays: 190, interval: 'daily' },
+    { maxDays: 5 * 366, interval: 'weekly' },
+    { maxDays: Infinity, interval: 'monthly' },
+];
+const DAY = 24 * 60 * 60 * 1000;
+
+
+
+
+
+/**
+ * Checks and completes a custom range.
+ * @param {object} input - Range fields as entered.
+ * @param {string} input.start - First date included.
+ * @param {string} input.end - Last date included.
+ * @param {string} [input.interval='auto'] - One of RESOLUTIONS, or 'auto'.
+ * @returns {object} - The range.
+ * @throws {Error} - If a date is missing or invalid, the range is backwards or the interval is unknown.
+ */
+export function createTimeRange(input) {
+    const { start, end, interval = 'auto' } = input;
+
+    if (!isRangeDate(start) || !isRangeDate(end)) {
+        throw new Error('Please enter a start and end date.');
+    }
+    if (start > end) {
+        throw new Error('The start date must be on or before the end date.');
+    }
+    if (interval !== 'auto' && !RESOLUTIONS.includes(interval)) {
+        throw new Error(`Unknown interval "${interval}".`);
+    }
+
+    return { start, end, interval };
+}
+
+
+
+
+
+/**
+ * Tells whether a time frame is a custom range rather than one of the fixed time frames.
+ * @param {string|object} timeFrame - A fixed time frame (e.g. '1M') or a range.
+ * @returns {boolean} - True for a range.
+ */
+export function isTimeRange(timeFrame) {
+    return Boolean(timeFrame) && typeof timeFrame === 'object';
+}
+
+
+
+
+
+/**
+ * Counts the days a range spans.
+ * @param {object} range - The range.
+ * @returns {number} - Days from the start to the end, counting a single day as one.
+ */
+export function getRangeDays(range) {
+    const days = (parseRangeDate(range.end) - parseRangeDate(range.start)) / DAY;
+
+    // Whole days include their last day; a zoomed intraday range is as long as it is
+    return range.end.length > 10 ? Math.max(days, 1 / 24) : days + 1;
+}
+
+
+
+
+
+/**
+ * Picks the bar interval of a range: the chosen one, or one suited to its span.
+ * @param {object} range - The range.
+ * @param {number} [now=Date.now()] - Current time, in milliseconds since the epoch.
+ * @returns {string} - One of RESOLUTIONS.
+ */
+export function pickRangeInterval(range, now = Date.now()) {
+    if (range.interval !== 'auto') return range.interval;
+
+    const { interval } = AUTO_INTERVALS.find((candidate) => getRangeDays(range) <= candidate.maxDays);
+    const intradayAvailable = parseRangeDate(range.start) >= now - INTRADAY_HISTORY_DAYS * DAY;
+
+    return interval.endsWith('min') && !intradayAvailable ? 'daily' : interval;
+}
+
+
+
+
+
+/**
+ * Picks the time axis unit and tick count of a range.
+ * @param {object} range - The range.
+ * @returns {object} - { timeUnit, ticks }.
+ */
+export function getRangeAxis(range) {
+    const days = getRangeDays(range);
+
+    if (days <= 2) return { timeUnit: 'hour', ticks: Math.min(Math.ceil(days * 24), 24) };
+    if (days <= 62) return { timeUnit: 'day', ticks: Math.min(Math.ceil(days), 22) };
+    if (days <= 3 * 366) return { timeUnit: 'month', ticks: Math.min(Math.ceil(days / 30.4), 12) };
+    return { timeUnit: 'year', ticks: Math.min(Math.ceil(days / 365), 20) };
+}
+
+
+
+
+
+/**
+ * Keeps the bars within a range, both ends included.
+ * A day bound covers every intraday bar of that day.
+ * @param {Array<object>} bars - Normalized bars, oldest first.
+ * @param {object} range - The range.
+ * @returns {Array<object>} - The bars within the range, oldest first.
+ */
+export function filterBarsByRange(bars, range) {
+    return bars.filter((bar) =>
+        bar.date.slice(0, range.start.length) >= range.start && bar.date.slice(0, range.end.length) <= range.end
+    );
+}
+
+
+
+
+
+/**
+ * Formats a chart time as a range bound.
+ * @param {number} time - Time in milliseconds since the epoch, in the chart's local time.
+ * @param {boolean} intraday - Whether to keep the time of day.
+ * @returns {string} - "YYYY-MM-DD", or "YYYY-MM-DD HH:mm" intraday.
+ */
+export function toRangeDate(time, intraday) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+    return intraday ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+}
+
+
+
+
+
+/**
+ * Describes a time frame for labels, file names and messages.
+ * @param {string|object} timeFrame - A fixed time frame or a range.
+ * @returns {string} - The fixed time frame as is, or "start to end".
+ */
+export function describeTimeFrame(timeFrame) {
+    return isTimeRange(timeFrame) ? `${timeFrame.start} to ${timeFrame.end}` : timeFrame;
+}
+
+
+
+
+
+/**
+ * Checks that a range bound is a real date, with or without a time of day.
+ * @param {*} value - The bound.
+ * @returns {boolean} - Whether it can be used.
+ */
+function isRangeDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}( \d{2}:\d{2})?$/.test(value)) return false;
+
+    // Dates like 2024-02-30 roll over into the next month, so they do not survive the round trip
+    return toRangeDate(parseRangeDate(value), value.length > 10) === value;
+}
+
+
+
+
+
+/**
+ * Parses a range bound in local time, as the chart does.
+ * @param {string} value - "YYYY-MM-DD" or "YYYY-MM-DD HH:mm".
+ * @returns {number} - Time in milliseconds since the epoch.
+ */
+function parseRangeDate(value) {
+    const [year, month, day, hours = 0, minutes = 0] = value.split(/[- :]/).map(Number);
+    return new Date(year, month - 1, day, hours, minutes).getTime();
+}
@@ -0,0 +1,58 @@
+import {
+    createTimeRange,
+    describeTimeFrame,
+    filterBarsByRange,
+    getRangeAxis,
+    pickRangeInterval,
+    toRangeDate,
+} from './timeRange';
+
+const now = new Date(2024, 5, 15, 12).getTime();
+
+test('createTimeRange validates the dates and the interval', () => {
+    expect(createTimeRange({ start: '2024-01-02', end: '2024-03-01' })).toEqual({
+        start: '2024-01-02', end: '2024-03-01', interval: 'auto',
+    });
+    expect(createTimeRange({ start: '2024-06-14 10:00', end: '2024-06-14 12:30', interval: '5min' }).interval).toBe('5min');
+    expect(() => createTimeRange({ start: '', end: '2024-03-01' })).toThrow(/start and end/);
+    expect(() => createTimeRange({ start: '2024-02-30', end: '2024-03-01' })).toThrow(/start and end/);
+    expect(() => createTimeRange({ start: '2024-03-02', end: '2024-03-01' })).toThrow(/on or before/);
+    expect(() => createTimeRange({ start: '2024-03-01', end: '2024-03-02', interval: '2min' })).toThrow(/Unknown/);
+});
+
+test('pickRangeInterval suits the span and falls back to daily bars where intraday bars are not kept', () => {
+    const pick = (start, end) => pickRangeInterval(createTimeRange({ start, end }), now);
+
+    expect(pick('2024-06-14', '2024-06-14')).toBe('15min');
+    expect(pick('2024-06-14 10:00', '2024-06-14 11:00')).toBe('15min');
+    expect(pick('2024-06-07', '2024-06-14')).toBe('60min');
+    expect(pick('2024-01-02', '2024-01-05')).toBe('daily');
+    expect(pick('2024-01-02', '2024-06-14')).toBe('daily');
+    expect(pick('2021-01-02', '2024-06-14')).toBe('weekly');
+    expect(pick('2010-01-02', '2024-06-14')).toBe('monthly');
+    expect(pickRangeInterval(createTimeRange({ start: '2010-01-02', end: '2024-06-14', interval: 'daily' }), now)).toBe('daily');
+});
+
+test('getRangeAxis picks a time unit for the span', () => {
+    expect(getRangeAxis(createTimeRange({ start: '2024-06-14', end: '2024-06-14' }))).toEqual({ timeUnit: 'hour', ticks: 24 });
+    expect(getRangeAxis(createTimeRange({ start: '2024-06-01', end: '2024-06-14' }))).toEqual({ timeUnit: 'day', ticks: 14 });
+    expect(getRangeAxis(createTimeRange({ start: '2023-06-15', end: '2024-06-14' })).timeUnit).toBe('month');
+    expect(getRangeAxis(createTimeRange({ start: '2014-06-15', end: '2024-06-14' })).timeUnit).toBe('year');
+});
+
+test('filterBarsByRange includes both ends, whole days or to the minute', () => {
+    const bars = ['2024-06-13 15:45:00', '2024-06-14 09:30:00', '2024-06-14 12:00:00', '2024-06-17 09:30:00']
+        .map((date) => ({ date }));
+    const dates = (start, end) => filterBarsByRange(bars, createTimeRange({ start, end })).map((bar) => bar.date);
+
+    expect(dates('2024-06-14', '2024-06-14')).toEqual(['2024-06-14 09:30:00', '2024-06-14 12:00:00']);
+    expect(dates('2024-06-13 15:45', '2024-06-14 09:30')).toEqual(['2024-06-13 15:45:00', '2024-06-14 09:30:00']);
+    expect(dates('2024-06-15', '2024-06-16')).toEqual([]);
+});
+
+test('toRangeDate formats chart times and describeTimeFrame labels ranges', () => {
+    expect(toRangeDate(new Date(2024, 0, 2, 9, 5).getTime(), true)).toBe('2024-01-02 09:05');
+    expect(toRangeDate(new Date(2024, 0, 2, 9, 5).getTime(), false)).toBe('2024-01-02');
+    expect(describeTimeFrame('1M')).toBe('1M');
+    expect(describeTimeFrame(createTimeRange({ start: '2024-01-02', end: '2024-03-01' }))).toBe('2024-01-02 to 2024-03-01');
+});
@@ -0,0 +1,268 @@
+/**
+ * File: watchlists.js
+ *
+ * Pure helpers for watchlists. A watchlist is a named, ordered list of stock snapshots: { id, name, stocks }.
+ * Every helper returns a new array of watchlists instead of changing the one it was given, so the results can be
+ * handed straight to a React state setter.
+ */
+
+
+
+import { createId } from './holdings';
+
+
+
+
+
+// Constants
+export const DEFAULT_WATCHLIST_NAME = 'My Stocks';
+export const MAX_WATCHLIST_NAME_LENGTH = 30;
+
+
+
+
+
+/**
+ * Validates a watchlist name and creates an empty watchlist.
+ * @param {Array<object>} watchlists - The existing watchlists, to keep names unique.
+ * @param {string} name - Name entered by the user.
+ * @param {Array<object>} [stocks=[]] - Stock snapshots the list starts with.
+ * @returns {object} - The new watchlist.
+ * @throws {Error} - If the name is empty, too long or already taken.
+ */
+export function createWatchlist(watchlists, name, stocks = []) {
+    return { id: createId(), name: validateWatchlistName(watchlists, name), stocks };
+}
+
+
+
+
+
+/**
+ * Checks that a watchlist name is usable.
+ * @param {Array<object>} watchlists - The existing watchlists.
+ * @param {string} name - Name entered by the user.
+ * @param {string} [exceptId] - Watchlist being renamed, which may keep its own name.
+ * @returns {string} - The trimmed name.
+ * @throws {Error} - If the name is empty, too long or already taken.
+ */
+export function validateWatchlistName(watchlists, name, exceptId) {
+    const trimmed = (name || '').trim();
+
+    if (!trimmed) {
+        throw new Error('Please enter a watchlist name.');
+    }
+    if (trimmed.length > MAX_WATCHLIST_NAME_LENGTH) {
+        throw new Error(`Watchlist names can be at most ${MAX_WATCHLIST_NAME_LENGTH} characters long.`);
+    }
+    if (watchlists.some((list) => list.id !== exceptId && list.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error(`A watchlist named "${trimmed}" already exists.`);
+    }
+
+    return trimmed;
+}
+
+
+
+
+
+/**
+ * Moves the stocks stored before watchlists existed into a default watchlist.
+ * @param {Array<object|null>} stocks - Stock snapshots of the old fixed grid; empty slots are null.
+ * @returns {Array<object>} - Watchlists holding the default list only.
+ */
+export function migrateStocksToWatchlists(stocks) {
+    const kept = Array.isArray(stocks) ? stocks.filter((stock) => stock && stock.symbol) : [];
+    return [createWatchlist([], DEFAULT_WATCHLIST_NAME, kept)];
+}
+
+
+
+
+
+/**
+ * Renames a watchlist.
+ * @param {Array<object>} watchlists - The watchlists.
+ * @param {string} id - Watchlist to rename.
+ * @param {string} name - New name entered by the user.
+ * @returns {Array<object>} - Updated watchlists.
+ * @throws {Error} - If the name is empty, too long or already taken.
+ */
+export function renameWatchlist(watchlists, id, name) {
+    const trimmed = validateWatchlistName(watchlists, name, id);
+    return watchlists.map((list) => (list.id === id ? { ...list, name: trimmed } : list));
+}
+
+
+
+
+
+/**
+ * Copies a watchlist, inserting the copy right after the original.
+ * @param {Array<object>} watchlists - The watchlists.
+ * @param {string} id - Watchlist to copy.
+ * @returns {object} - { watchlists, copy } with the updated watchlists and the new list.
+ */
+export function duplicateWatchlist(watchlists, id) {
+    const index = watchlists.findIndex((list) => list.id === id);
+    if (index === -1) throw new Error('Watchlist not found.');
+
+    const original = watchlists[index];
+    const taken = new Set(watchlists.map((list) => list.name.toLowerCase()));
+    let name = `${original.name} (copy)`.slice(0, MAX_WATCHLIST_NAME_LENGTH);
+    for (let counter = 2; taken.has(name.toLowerCase()); counter++) {
+        name = `${original.name} (copy ${counter})`.slice(0, MAX_WATCHLIST_NAME_LENGTH);
+    }
+
+    const copy = createWatchlist(watchlists, name, original.stocks.slice());
+    return { watchlists: [...watchlists.slice(0, index + 1), copy, ...watchlists.slice(index + 1)], copy };
+}
+
+
+
+
+
+/**
+ * Deletes a watchlist. The last remaining watchlist cannot be deleted.
+ * @param {Array<object>} watchlists - The watchlists.
+ * @param {string} id - Watchlist to delete.
+ * @returns {Array<object>} - Updated watchlists.
+ * @throws {Error} - If it is the only watchlist left.
+ */
+export function deleteWatchlist(watchlists, id) {
+    if (watchlists.length <= 1) {
+        throw new Error('The last watchlist cannot be deleted.');
+    }
+    return watchlists.filter((list) => list.id !== id);
+}
+
+
+
+
+
+/**
+ * Replaces the stocks of one watchlist.
+ * @param {Array<object>} watchlists - The watchlists.
+ * @param {string} id - Watchlist to update.
+ * @param {Array<object>|function} update - New stocks, or a function from the current stocks to the new ones.
+ * @returns {Array<object>} - Updated watchlists.
+ */
+export function updateWatchlistStocks(watchlists, id, update) {
+    return watchlists.map(function (list) {
+        if (list.id !== id) return list;
+        return { ...list, stocks: typeof update === 'function' ? update(list.stocks) : update };
+    });
+}
+
+
+
+
+
+/**
+ * Moves a stock to another position within its list.
+ * @param {Array<object>} stocks - Stock snapshots of one watchlist.
+ * @param {number} from - Current index of the stock.
+ * @param {number} to - Index the stock should end up at.
+ * @returns {Array<object>} - Reordered copy of the stocks.
+ */
+export function moveStock(stocks, from, to) {
+    if (from === to || from < 0 || from >= stocks.length) return stocks;
+
+    const reordered = stocks.slice();
+    const [stock] = reordered.splice(from, 1);
+    reordered.splice(Math.max(0, Math.min(to, reordered.length)), 0, stock);
+    return reordered;
+}
+
+
+
+
+
+/**
+ * Lists every stock tracked in any watchlist once, keeping its first snapshot.
+ * @param {Array<object>} watchlists - The watchlists.
+ * @returns {Array<object>} - Stock snapshots unique by symbol.
+ */
+export function listTrackedStocks(watchlists) {
+    const seen = new Set();
+
+    return watchlists.flatMap((list) => list.stocks).filter(function (stock) {
+        if (!stock || seen.has(stock.symbol)) return false;
+        seen.add(stock.symbol);
+        return true;
+    });
+}
+
+
+
+
+
+/**
+ * Checks the shape of a stored or imported watchlist.
+ * @param {object} watchlist - The watchlist.
+ * @returns {boolean} - Whether it has an id, a name and a list of stocks.
+ */
+export function isWatchlist(watchlist) {
+    return Boolean(watchlist && watchlist.id && typeof watchlist.name === 'string' && Array.isArray(watchlist.stocks));
+}
+
+
+
+
+
+/**
+ * Reduces watchlists to what the user chose: their ids and names, and the symbol and name of every stock.
+ * The fetched data of the stocks is left out, as it is market data kept elsewhere (see storage.js).
+ * @param {Array<object>} watchlists - The watchlists.
+ * @returns {Array<object>} - The watchlists with bare stocks.
+ */
+export function toStoredWatchlists(watchlists) {
+    return watchlists.map((list) => ({
+        id: list.id,
+        name: list.name,
+        stocks: list.stocks
+            .filter((stock) => stock && stock.symbol)
+            .map((stock) => ({ symbol: stock.symbol, name: stock.name })),
+    }));
+}
+
+
+
+
+
+/**
+ * Fills the stocks that have no fetched data yet with their last snapshot.
+ * @param {Array<object>} watchlists - The watchlists.
+ * @param {object} snapshots - Last stock snapshots keyed by symbol.
+ * @returns {Array<object>} - Updated watchlists; the same array when no stock was filled.
+ */
+export function applyStockSnapshots(watchlists, snapshots) {
+    let changed = false;
+
+    const updated = watchlists.map(function (list) {
+        if (!list.stocks.some((stock) => !hasQuote(stock) && snapshots[stock.symbol])) return list;
+
+        changed = true;
+        return {
+            ...list,
+            stocks: list.stocks.map((stock) =>
+                (!hasQuote(stock) && snapshots[stock.symbol] ? { ...snapshots[stock.symbol], name: stock.name } : stock)
+            ),
+        };
+    });
+
+    return changed ? updated : watchlists;
+}
+
+
+
+
+
+/**
+ * Checks whether a stock carries fetched data or only its symbol and name.
+ * @param {object} stock - Stock of a watchlist.
+ * @returns {boolean} - Whether the stock has a price.
+ */
+export function hasQuote(stock) {
+    return stock.price !== undefined;
+}
@@ -0,0 +1,67 @@
+import {
+    applyStockSnapshots,
+    createWatchlist,
+    deleteWatchlist,
+    duplicateWatchlist,
+    isWatchlist,
+    listTrackedStocks,
+    migrateStocksToWatchlists,
+    moveStock,
+    renameWatchlist,
+    toStoredWatchlists,
+} from './watchlists';
+
+test('migrateStocksToWatchlists moves the old grid into a default list', () => {
+    const [list] = migrateStocksToWatchlists([{ symbol: 'AAA' }, null, { symbol: 'BBB' }]);
+
+    expect(list.name).toBe('My Stocks');
+    expect(list.stocks.map((stock) => stock.symbol)).toEqual(['AAA', 'BBB']);
+    expect(migrateStocksToWatchlists(null)[0].stocks).toEqual([]);
+});
+
+test('watchlist names must be present and unique', () => {
+    const tech = createWatchlist([], ' Tech ');
+    const lists = [tech, createWatchlist([tech], 'Dividend')];
+
+    expect(tech.name).toBe('Tech');
+    expect(() => createWatchlist(lists, 'tech')).toThrow(/already exists/);
+    expect(() => createWatchlist(lists, '  ')).toThrow(/enter/);
+    expect(() => renameWatchlist(lists, tech.id, 'Dividend')).toThrow(/already exists/);
+    expect(renameWatchlist(lists, tech.id, 'TECH')[0].name).toBe('TECH');
+});
+
+test('duplicateWatchlist copies the stocks next to the original and deleteWatchlist keeps one list', () => {
+    const tech = createWatchlist([], 'Tech', [{ symbol: 'AAA' }]);
+    const first = duplicateWatchlist([tech], tech.id);
+    const second = duplicateWatchlist(first.watchlists, tech.id);
+
+    expect(first.copy.name).toBe('Tech (copy)');
+    expect(second.watchlists.map((list) => list.name)).toEqual(['Tech', 'Tech (copy 2)', 'Tech (copy)']);
+    expect(second.copy.stocks).not.toBe(tech.stocks);
+    expect(deleteWatchlist(first.watchlists, tech.id)).toEqual([first.copy]);
+    expect(() => deleteWatchlist([tech], tech.id)).toThrow(/last/);
+});
+
+test('moveStock reorders a list and listTrackedStocks dedupes symbols across lists', () => {
+    const stocks = [{ symbol: 'A' }, { symbol: 'B' }, { symbol: 'C' }];
+
+    expect(moveStock(stocks, 0, 2).map((stock) => stock.symbol)).toEqual(['B', 'C', 'A']);
+    expect(moveStock(stocks, 2, 0).map((stock) => stock.symbol)).toEqual(['C', 'A', 'B']);
+
+    const lists = [createWatchlist([], 'One', stocks), createWatchlist([], 'Two', [{ symbol: 'B' }, { symbol: 'D' }])];
+    expect(listTrackedStocks(lists).map((stock) => stock.symbol)).toEqual(['A', 'B', 'C', 'D']);
+});
+
+test('toStoredWatchlists keeps symbols and names and applyStockSnapshots fills them back in', () => {
+    const lists = [createWatchlist([], 'Tech', [{ symbol: 'AAA', name: 'Aaa', price: 10 }, { symbol: 'BBB', name: 'Bbb' }])];
+    const stored = toStoredWatchlists(lists);
+
+    expect(stored[0].stocks).toEqual([{ symbol: 'AAA', name: 'Aaa' }, { symbol: 'BBB', name: 'Bbb' }]);
+    expect(isWatchlist(stored[0])).toBe(true);
+    expect(isWatchlist({ id: 'x', name: 'Broken' })).toBe(false);
+
+    const filled = applyStockSnapshots(stored, { AAA: { symbol: 'AAA', name: 'Old', price: 10 } });
+    expect(filled[0].stocks[0]).toEqual({ symbol: 'AAA', name: 'Aaa', price: 10 });
+    expect(filled[0].stocks[1]).toBe(stored[0].stocks[1]);
+    expect(applyStockSnapshots(filled, { AAA: { symbol: 'AAA', price: 12 } })).toBe(filled);
+});